@@ -364,14 +364,9 @@ export const getUserById = async (req, res) => {
   }
 };
 
-/* ================= DELETE USER BY ID (OWNER ONLY - SOFT DELETE) ================= */
+/* ================= DELETE USER BY ID (users.manage - SOFT DELETE) ================= */
 export const deleteUserById = async (req, res) => {
   try {
-    // 🛡️ Owner-only access
-    if (req.user?.role !== "Owner") {
-      return res.status(403).json({ success: false, message: "Owner access only", result: {} });
-    }
-
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ success: false, message: "Invalid user ID", result: {} });
@@ -386,6 +381,7 @@ export const deleteUserById = async (req, res) => {
       return res.status(400).json({ success: false, message: "User already deleted", result: {} });
     }
 
+    let deletedTechProfileId = null;
     const session = await mongoose.startSession();
     await session.withTransaction(async () => {
       // 🧹 Personal Data Cleanup (Requested Schemas Only)
@@ -398,6 +394,8 @@ export const deleteUserById = async (req, res) => {
           .session(session);
 
         if (techProfile) {
+          deletedTechProfileId = techProfile._id;
+
           // Update all ServiceBookings with technician snapshot before deletion
           await ServiceBooking.updateMany(
             { technicianId: techProfile._id },
@@ -423,9 +421,20 @@ export const deleteUserById = async (req, res) => {
 
       // HARD DELETE User record
       await User.deleteOne({ _id: id }).session(session);
+      await recordStatusChange({
+        user,
+        fromStatus: user.status,
+        toStatus: "Deleted",
+        source: "admin",
+        changedBy: req.user.userId,
+        session,
+      });
     });
     session.endSession();
 
+    // 🔌 Drop any live sockets of the deleted account
+    disconnectUserSockets(req.io, { userId: id, technicianProfileId: deletedTechProfileId }, "deleted");
+
     console.log(`🗑️ Admin soft-deleted user ${id} (role: ${user.role})`);
 
     return res.status(200).json({
@@ -439,6 +448,41 @@ export const deleteUserById = async (req, res) => {
   }
 };
 
+/* ================= BLOCK / UNBLOCK USER (users.manage) ================= */
+// Body: { status: "Active" | "Blocked", reason, blockedUntil? } (reason mandatory)
+export const updateUserStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid user ID", result: {} });
+    }
+
+    if (!["Active", "Blocked"].includes(status)) {
+      return res.status(400).json({ success: false, message: "Status must be Active or Blocked", result: {} });
+    }
+
+    const { reason, blockedUntil } = parseStatusChangeInput(req.body);
+
+    const user = status === "Blocked"
+      ? await blockUserAccount({ userId: id, reason, blockedUntil, changedBy: req.user.userId, io: req.io })
+      : await unblockUserAccount({ userId: id, reason, changedBy: req.user.userId });
+
+    return res.status(200).json({
+      success: true,
+      message: status === "Blocked" ? "User blocked successfully" : "User unblocked successfully",
+      result: { userId: id, role: user.role, status: user.status, blockReason: user.blockReason, blockedUntil: user.blockedUntil },
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message, result: {}, error: { code: err.code } });
+    }
+    console.error("updateUserStatus Error:", err);
+    return res.status(500).json({ success: false, message: "Server error", result: { error: err.message } });
+  }
+};
+
 // Owner and Technician login functions using passwords have been removed/replaced by OTP flows.
 // See the OTP-based wrappers further down in the file.
 
@@ -485,7 +529,6 @@ export const checkUserByIdentifier = async (req, res) => {
 };
 
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import mongoose from "mongoose";
 
 import Otp from "../Schemas/Otp.js";
@@ -500,7 +543,26 @@ import Address from "../Schemas/Address.js";
 import JobBroadcast from "../Schemas/TechnicianBroadcast.js";
 import crypto from "crypto";
 
-import sendSms from "../Utils/sendSMS.js";
+import { deliverOtp } from "../Utils/otpDelivery.js";
+import {
+  checkOtpSend,
+  recordOtpSend,
+  checkOtpVerify,
+  recordOtpVerifyFailure,
+  resetOtpVerifyFailures,
+} from "../Utils/otpThrottle.js";
+import { createSession, revokeAllSessions, getDeviceInfo } from "../Utils/authSession.js";
+import { getPendingPolicies, recordPolicyAcceptance, getCurrentPolicies } from "../Utils/policyRegistry.js";
+import { disconnectUserSockets } from "../Utils/socketSessions.js";
+import { validateReferralCode, createReferral, ensureReferralCode } from "../Utils/referral.js";
+import { createLoginChallenge, isTwoFactorSetupRequired, LOGIN_CHALLENGE_TTL_SECONDS } from "../Utils/twoFactor.js";
+import { recordLoginEvent, recordLoginFailure } from "../Utils/loginActivity.js";
+import {
+  parseStatusChangeInput,
+  blockUserAccount,
+  unblockUserAccount,
+  recordStatusChange,
+} from "../Utils/userStatus.js";
 
 /* ======================================================
   RESPONSE HELPERS (Consistent API shape)
@@ -521,6 +583,14 @@ const fail = (res, status, message, code, details) =>
     ...(code ? { error: { code, ...(details !== undefined ? { details } : {}) } } : {}),
   });
 
+// 🚦 OTP throttle rejection -> 429 with a retry hint
+const failThrottled = (res, rejection) => {
+  res.set("Retry-After", String(rejection.retryAfterSeconds));
+  return fail(res, 429, rejection.message, rejection.code, {
+    retryAfterSeconds: rejection.retryAfterSeconds,
+  });
+};
+
 /* ======================================================
   CONSTANTS & HELPERS
 ====================================================== */
@@ -554,6 +624,20 @@ const findAnyProfileByMobileNumber = async (mobileNumber) => {
 
 // applyRolePopulates removed. Only used for TechnicianProfile in profile APIs if needed.
 
+// Adding a first email is allowed from the profile; replacing one needs POST /me/contact-change
+const isUnverifiedEmailChange = async (userId, email) => {
+  if (email === undefined) return false;
+  const current = await User.findById(userId).select("email").lean();
+  const normalized = email ? String(email).trim().toLowerCase() : "";
+  return !!current?.email && !current.email.startsWith("deleted_") && current.email !== normalized;
+};
+
+// Login of an account awaiting deletion: the app should offer POST /me/account-deletion/cancel
+const pendingDeletionInfo = (user) =>
+  user.status === "PendingDeletion"
+    ? { scheduledFor: user.deletionScheduledFor, cancelUrl: "/api/user/me/account-deletion/cancel" }
+    : null;
+
 // Helper to build GeoJSON Point
 const buildLocation = (lat, lng) => {
   if (
@@ -570,7 +654,7 @@ const buildLocation = (lat, lng) => {
 ====================================================== */
 export const signupAndSendOtp = async (req, res) => {
   try {
-    let { identifier, role, termsAndServices, privacyPolicy } = req.body;
+    let { identifier, role, termsAndServices, privacyPolicy, referralCode } = req.body;
 
     role = normalizeRole(role);
     identifier = identifier?.trim();
@@ -581,6 +665,11 @@ export const signupAndSendOtp = async (req, res) => {
       });
     }
 
+    // Admin staff accounts are created by an Owner (POST /api/admin/staff)
+    if (role === "Admin") {
+      return fail(res, 403, "Admin accounts are created by an Owner", "ADMIN_SIGNUP_FORBIDDEN");
+    }
+
     // Validate terms and privacy acceptance (required for Customer and Technician)
     if (role === "Customer" || role === "Technician") {
       const missing = [];
@@ -634,11 +723,29 @@ export const signupAndSendOtp = async (req, res) => {
       }
     }
 
+    // 🤝 Optional referral code (rejects self-referrals and reused devices)
+    let referrer = null;
+    const { deviceId } = getDeviceInfo(req);
+    if (referralCode && (role === "Customer" || role === "Technician")) {
+      try {
+        referrer = await validateReferralCode({ code: referralCode, identifier, deviceId });
+      } catch (err) {
+        if (!err.statusCode) throw err;
+        return fail(res, err.statusCode, err.message, err.code);
+      }
+    }
+
+    const sendRejection = await checkOtpSend(identifier);
+    if (sendRejection) return failThrottled(res, sendRejection);
+
     // Step 1: Create / update temp user (FIRST)
     const updateFields = {
       identifier,
       role,
-      tempstatus: "Pending"
+      tempstatus: "Pending",
+      referralCode: referrer?.referralCode || null,
+      referrerId: referrer?._id || null,
+      deviceId: referrer ? deviceId : null,
     };
 
     // If terms/privacy were accepted, persist them in temp storage
@@ -670,10 +777,9 @@ export const signupAndSendOtp = async (req, res) => {
 
     // Step 3: Generate and hash OTP
     const otp = generateOtp();
-    console.log(otp)
     const hashedOtp = await bcrypt.hash(otp, 10);
     // Step 4: Store OTP
-    await Otp.create({
+    const otpDoc = await Otp.create({
       identifier,
       role,
       purpose: "SIGNUP",
@@ -681,20 +787,23 @@ export const signupAndSendOtp = async (req, res) => {
       expiresAt: Date.now() + 5 * 60 * 1000, // 5 min
     });
 
-    // Step 5: SEND OTP VIA SMS (AFTER storing in database)
-    try {
-      await sendSms(identifier, otp);
-    } catch (smsErr) {
-      console.error("SMS sending failed:", smsErr.message);
-      // OTP is stored, SMS will retry or user can request resend
-      return fail(res, 500, "Failed to send OTP. Please try again.", "SMS_SEND_FAILED");
+    // Step 5: DELIVER OTP (SMS -> WhatsApp fallback, AFTER storing in database)
+    await recordOtpSend(identifier);
+    const delivery = await deliverOtp({ identifier, otp, purpose: "SIGNUP", otpId: otpDoc._id });
+    if (!delivery.delivered) {
+      // OTP is stored, user can request resend
+      return fail(res, 502, "Failed to send OTP. Please try again.", "OTP_DELIVERY_FAILED", {
+        attempts: delivery.attempts,
+      });
     }
 
     return ok(res, 200, "OTP sent successfully", {
       identifier,
       role,
       purpose: "SIGNUP",
+      channel: delivery.channel,
       expiresInSeconds: 300,
+      referralApplied: !!referrer,
     });
   } catch (err) {
     return fail(res, 500, err.message || "Internal server error", "SERVER_ERROR");
@@ -716,22 +825,24 @@ export const resendOtp = async (req, res) => {
 
     // 1. Find the latest OTP record for this identifier to infer role and purpose
     // This is the most reliable way to follow the user's just-started flow (Login or Signup)
-    const lastOtp = await Otp.findOne({ identifier: finalIdentifier }).sort({ createdAt: -1 });
+    const lastOtp = await Otp.findOne({
+      identifier: finalIdentifier,
+      purpose: { $ne: "CHANGE_CONTACT" }, // re-request via /me/contact-change instead
+    }).sort({ createdAt: -1 });
 
     if (!lastOtp) {
       return fail(res, 404, "No recent OTP found. Please login or signup again.", "OTP_NOT_FOUND");
     }
 
-    // ⏳ 60 sec cooldown check
-    if (Date.now() - lastOtp.createdAt < 60 * 1000) {
-      return fail(res, 429, "Please wait before retrying", "OTP_COOLDOWN");
-    }
+    // ⏳ Per-number cooldown / hourly + daily caps (exponential backoff)
+    const sendRejection = await checkOtpSend(finalIdentifier);
+    if (sendRejection) return failThrottled(res, sendRejection);
 
     const { role, purpose } = lastOtp;
 
-    // 2. Safety Check for Owner: Owner only uses OTP for SIGNUP (signin), not for login
-    if (role === "Owner" && purpose !== "SIGNUP") {
-      return fail(res, 403, "Owner can only resend OTP for signup", "FORBIDDEN");
+    // 2. Safety Check for Owner: Owner only uses OTP for SIGNUP (signin) and password reset, not for login
+    if ((role === "Owner" || role === "Admin") && purpose === "LOGIN") {
+      return fail(res, 403, "Owner can only resend OTP for signup or password reset", "FORBIDDEN");
     }
 
     // Standard for Customer/Technician: both LOGIN and SIGNUP work naturally here
@@ -749,7 +860,7 @@ export const resendOtp = async (req, res) => {
     const hashedOtp = await bcrypt.hash(otp, 10);
 
     // Store new OTP
-    await Otp.create({
+    const otpDoc = await Otp.create({
       identifier: finalIdentifier,
       role,
       purpose,
@@ -757,20 +868,32 @@ export const resendOtp = async (req, res) => {
       expiresAt: Date.now() + 5 * 60 * 1000, // 5 min
     });
 
-    // Send SMS
-    try {
-      await sendSms(finalIdentifier, otp);
-    } catch (smsErr) {
-      console.error("SMS sending failed:", smsErr.message);
-      return fail(res, 500, "Failed to send OTP. Please try again.", "SMS_SEND_FAILED");
+    // Existing accounts may have an email to fall back on
+    const account = purpose === "SIGNUP"
+      ? null
+      : await User.findOne({ mobileNumber: finalIdentifier }).select("email").lean();
+
+    const cooldownSeconds = await recordOtpSend(finalIdentifier);
+    const delivery = await deliverOtp({
+      identifier: finalIdentifier,
+      otp,
+      purpose,
+      email: account?.email,
+      otpId: otpDoc._id,
+    });
+    if (!delivery.delivered) {
+      return fail(res, 502, "Failed to send OTP. Please try again.", "OTP_DELIVERY_FAILED", {
+        attempts: delivery.attempts,
+      });
     }
 
     return ok(res, 200, "OTP resent successfully", {
       identifier: finalIdentifier,
       role,
       purpose,
+      channel: delivery.channel,
       expiresInSeconds: 300,
-      cooldownSeconds: 60,
+      cooldownSeconds,
     });
   } catch (err) {
     console.error("resendOtp Error:", err);
@@ -799,10 +922,15 @@ export const verifyOtp = async (req, res) => {
       });
     }
 
+    // 🔒 Per-number lockout (survives resends)
+    const verifyRejection = await checkOtpVerify(finalIdentifier);
+    if (verifyRejection) return failThrottled(res, verifyRejection);
+
     // 1. Find the OTP record (valid, not verified, not expired)
     // We search by identifier. If role is provided, restrict to that role.
     const query = {
       identifier: finalIdentifier,
+      purpose: { $in: ["SIGNUP", "LOGIN"] }, // RESET_PASSWORD / CHANGE_CONTACT have their own endpoints
       verified: false,
       otp: { $exists: true }, // Ensure OTP field exists
       expiresAt: { $gte: Date.now() },
@@ -840,6 +968,16 @@ export const verifyOtp = async (req, res) => {
     const isMatch = await bcrypt.compare(otp, record.otp);
     if (!isMatch) {
       await Otp.updateOne({ _id: record._id }, { $inc: { attempts: 1 } });
+      await recordLoginFailure({
+        req,
+        identifier: finalIdentifier,
+        role: record.role,
+        event: "otp_failed",
+        method: record.purpose === "SIGNUP" ? "signup" : "otp",
+        reason: "OTP_INVALID",
+      });
+      const lockRejection = await recordOtpVerifyFailure(finalIdentifier);
+      if (lockRejection) return failThrottled(res, lockRejection);
       const remainingAttempts = Math.max(0, 5 - (record.attempts + 1));
       return fail(res, 400, `Invalid OTP. ${remainingAttempts} attempts remaining`, "OTP_INVALID", {
         attemptsRemaining: remainingAttempts,
@@ -848,6 +986,7 @@ export const verifyOtp = async (req, res) => {
 
     // 3. Mark OTP as verified
     await Otp.updateOne({ _id: record._id }, { $set: { verified: true } });
+    await resetOtpVerifyFailures(finalIdentifier);
 
     // 4. Branch Logic based on Purpose
     if (record.purpose === "SIGNUP") {
@@ -857,6 +996,22 @@ export const verifyOtp = async (req, res) => {
         return fail(res, 404, "No signup request found. Please signup first.", "TEMPUSER_NOT_FOUND");
       }
 
+      // 🤝 Re-check the referral: the device may have claimed one since the OTP was sent
+      let referrer = null;
+      let referralRejection = null;
+      if (tempUser.referralCode) {
+        try {
+          referrer = await validateReferralCode({
+            code: tempUser.referralCode,
+            identifier: finalIdentifier,
+            deviceId: tempUser.deviceId,
+          });
+        } catch (err) {
+          if (!err.statusCode) throw err;
+          referralRejection = err.code;
+        }
+      }
+
       const session = await mongoose.startSession();
       session.startTransaction();
       try {
@@ -885,6 +1040,25 @@ export const verifyOtp = async (req, res) => {
           ], { session });
         }
 
+        // 📜 Consent given at signup is recorded against the current policy versions
+        const acceptedTypes = [
+          ...(tempUser.termsAndServices ? ["terms"] : []),
+          ...(tempUser.privacyPolicy ? ["privacy"] : []),
+        ];
+        if (acceptedTypes.length > 0) {
+          await recordPolicyAcceptance({ userId: user._id, types: acceptedTypes, req, session });
+        }
+
+        if (referrer) {
+          await createReferral({
+            referrer,
+            referee: user,
+            deviceId: tempUser.deviceId,
+            ip: getDeviceInfo(req).ip,
+            session,
+          });
+        }
+
         // Cleanup
         await TempUser.deleteOne({ identifier: finalIdentifier, role: record.role }, { session });
         await Otp.deleteMany({ identifier: finalIdentifier, role: record.role }, { session });
@@ -892,18 +1066,17 @@ export const verifyOtp = async (req, res) => {
         await session.commitTransaction();
         session.endSession();
 
-        // Generate Token
-        const tokenPayload = {
-          userId: user._id,
-          role: record.role,
-        };
-        if (technicianProfile && technicianProfile[0]) {
-          tokenPayload.technicianProfileId = technicianProfile[0]._id;
-        }
-        const token = jwt.sign(tokenPayload, process.env.JWT_SECRET, { expiresIn: "30d" });
+        // Generate Token (new device session)
+        const tokens = await createSession({
+          user,
+          technicianProfileId: technicianProfile?.[0]?._id || null,
+          req,
+        });
+        await recordLoginEvent({ req, user, event: "login_success", method: "signup", sessionId: tokens.sessionId });
+        const myReferralCode = await ensureReferralCode(user._id);
 
         return ok(res, 201, "Account created successfully", {
-          token,
+          ...tokens,
           user: {
             _id: user._id,
             fname: user.fname || "",
@@ -912,8 +1085,13 @@ export const verifyOtp = async (req, res) => {
             email: user.email || "",
             role: record.role,
             profileComplete: false,
+            referralCode: myReferralCode,
           },
           technicianProfileId: technicianProfile?.[0]?._id || null,
+          referral: {
+            applied: !!referrer,
+            rejectedReason: referralRejection,
+          },
         });
       } catch (err) {
         await session.abortTransaction();
@@ -952,19 +1130,16 @@ export const verifyOtp = async (req, res) => {
         technicianProfileId = tech?._id || null;
       }
 
-      // Generate Token
-      const token = jwt.sign(
-        {
-          userId: user._id,
-          role: user.role,
-          technicianProfileId,
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: "30d" }
-      );
+      // Generate Token (new device session)
+      const tokens = await createSession({ user, technicianProfileId, req });
+      await recordLoginEvent({ req, user, event: "login_success", method: "otp", sessionId: tokens.sessionId });
+      const pendingPolicies = await getPendingPolicies(user);
 
       return ok(res, 200, "Login successful", {
-        token,
+        ...tokens,
+        termsUpdateRequired: pendingPolicies.length > 0,
+        pendingPolicies,
+        pendingDeletion: pendingDeletionInfo(user),
         user: {
           _id: user._id,
           fname: user.fname || "",
@@ -1024,6 +1199,185 @@ export const setPassword = async (req, res) => {
   }
 };
 
+// Owner / Admin staff account by registered mobile number or email
+const findPasswordAccount = (identifier) => {
+  const filter = identifier.includes("@")
+    ? { email: identifier.toLowerCase() }
+    : { mobileNumber: identifier };
+  return User.findOne({ ...filter, role: { $in: ["Owner", "Admin"] } }).select("role status mobileNumber email");
+};
+
+/* ======================================================
+  4️⃣.1 FORGOT PASSWORD (Owner / Admin) - Send RESET_PASSWORD OTP
+====================================================== */
+export const forgotPassword = async (req, res) => {
+  try {
+    const { identifier, mobileNumber, email } = req.body;
+    const finalIdentifier = (identifier || mobileNumber || email)?.toString().trim();
+
+    if (!finalIdentifier) {
+      return fail(res, 400, "Registered mobile number or email required", "VALIDATION_ERROR", {
+        required: ["identifier"],
+      });
+    }
+
+    // Same response whether or not the account exists (no account enumeration):
+    // throttled on what was typed, before the lookup, so unknown identifiers are limited too
+    const genericResult = { purpose: "RESET_PASSWORD", expiresInSeconds: 300 };
+    const throttleKey = `reset:${finalIdentifier.toLowerCase()}`;
+    const sendRejection = await checkOtpSend(throttleKey);
+    if (sendRejection) return failThrottled(res, sendRejection);
+    await recordOtpSend(throttleKey);
+
+    const user = await findPasswordAccount(finalIdentifier);
+
+    // Blocked accounts get no OTP either; resetPassword refuses them after OTP checks
+    if (!user || user.status === "Deleted" || user.status === "Blocked") {
+      return ok(res, 200, "If the account exists, an OTP has been sent", genericResult);
+    }
+
+    // OTPs are always keyed by the mobile number; its own limit applies silently
+    const mobile = user.mobileNumber;
+
+    const mobileRejection = await checkOtpSend(mobile);
+    if (mobileRejection) {
+      console.warn(`forgotPassword: OTP not sent to ${user._id} (${mobileRejection.code})`);
+      return ok(res, 200, "If the account exists, an OTP has been sent", genericResult);
+    }
+
+    await Otp.deleteMany({ identifier: mobile, role: user.role, purpose: "RESET_PASSWORD" });
+
+    const otp = generateOtp();
+    const otpDoc = await Otp.create({
+      identifier: mobile,
+      role: user.role,
+      purpose: "RESET_PASSWORD",
+      otp: await bcrypt.hash(otp, 10),
+      expiresAt: Date.now() + 5 * 60 * 1000, // 5 min
+    });
+
+    await recordOtpSend(mobile);
+    const delivery = await deliverOtp({
+      identifier: mobile,
+      otp,
+      purpose: "RESET_PASSWORD",
+      email: user.email,
+      otpId: otpDoc._id,
+      preferChannels: finalIdentifier.includes("@") ? ["email"] : [],
+    });
+    if (!delivery.delivered) {
+      console.error(`forgotPassword: OTP delivery to ${user._id} failed:`, JSON.stringify(delivery.attempts));
+    }
+
+    return ok(res, 200, "If the account exists, an OTP has been sent", genericResult);
+  } catch (err) {
+    console.error("forgotPassword Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/* ======================================================
+  4️⃣.2 RESET PASSWORD (Owner / Admin) - Verify OTP + New Password
+====================================================== */
+export const resetPassword = async (req, res) => {
+  try {
+    const { identifier, mobileNumber, email, otp, newPassword } = req.body;
+    const finalIdentifier = (identifier || mobileNumber || email)?.toString().trim();
+
+    if (!finalIdentifier || !otp || !newPassword) {
+      return fail(res, 400, "Identifier, OTP and new password required", "VALIDATION_ERROR", {
+        required: ["identifier", "otp", "newPassword"],
+      });
+    }
+
+    // Validate strength first so a weak password doesn't burn an OTP attempt
+    if (!passwordRegex.test(newPassword)) {
+      return fail(
+        res,
+        400,
+        "Password must be at least 8 characters and include a letter, a number and a special character",
+        "WEAK_PASSWORD"
+      );
+    }
+
+    const user = await findPasswordAccount(finalIdentifier);
+    if (!user || user.status === "Deleted") {
+      return fail(res, 400, "OTP expired, invalid, or already used", "OTP_INVALID_OR_EXPIRED");
+    }
+
+    const mobile = user.mobileNumber;
+
+    const verifyRejection = await checkOtpVerify(mobile);
+    if (verifyRejection) return failThrottled(res, verifyRejection);
+
+    const record = await Otp.findOne({
+      identifier: mobile,
+      role: user.role,
+      purpose: "RESET_PASSWORD",
+      verified: false,
+      expiresAt: { $gte: Date.now() },
+    }).sort({ createdAt: -1 });
+
+    if (!record) {
+      return fail(res, 400, "OTP expired, invalid, or already used", "OTP_INVALID_OR_EXPIRED");
+    }
+
+    if (record.attempts >= 5) {
+      return fail(res, 429, "Too many attempts. Request new OTP.", "OTP_TOO_MANY_ATTEMPTS");
+    }
+
+    const isMatch = await bcrypt.compare(String(otp), record.otp);
+    if (!isMatch) {
+      await Otp.updateOne({ _id: record._id }, { $inc: { attempts: 1 } });
+      const lockRejection = await recordOtpVerifyFailure(mobile);
+      if (lockRejection) return failThrottled(res, lockRejection);
+      const remainingAttempts = Math.max(0, 5 - (record.attempts + 1));
+      return fail(res, 400, `Invalid OTP. ${remainingAttempts} attempts remaining`, "OTP_INVALID", {
+        attemptsRemaining: remainingAttempts,
+      });
+    }
+
+    await resetOtpVerifyFailures(mobile);
+
+    // Only someone holding a valid OTP learns the account is blocked (blocked after the OTP was sent)
+    if (user.status === "Blocked") {
+      await Otp.deleteMany({ identifier: mobile, purpose: "RESET_PASSWORD" });
+      return fail(res, 403, "Account is blocked. Please contact support.", "ACCOUNT_BLOCKED");
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { password: await bcrypt.hash(newPassword, 10) } },
+        { session }
+      );
+      await Otp.deleteMany({ identifier: mobile, purpose: "RESET_PASSWORD" }, { session });
+
+      // 🔒 Every existing device must sign in again with the new password
+      await revokeAllSessions(user._id, "password_reset", { session });
+
+      await session.commitTransaction();
+      session.endSession();
+    } catch (err) {
+      await session.abortTransaction();
+      session.endSession();
+      throw err;
+    }
+
+    disconnectUserSockets(req.io, { userId: user._id }, "password_reset");
+
+    return ok(res, 200, "Password reset successfully. Please login with your new password.", {
+      userId: user._id,
+      role: user.role,
+    });
+  } catch (err) {
+    console.error("resetPassword Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
 /* ======================================================
   5️⃣ LOGIN (Hybrid: Password for Owner, OTP for Cust/Tech)
 ====================================================== */
@@ -1041,9 +1395,17 @@ export const login = async (req, res) => {
     }
 
     // Check if user exists (ignoring role initially to give better error)
-    const user = await User.findOne({ mobileNumber: finalIdentifier }).select("+password role status");
+    const user = await User.findOne({ mobileNumber: finalIdentifier }).select("+password role status email deletionScheduledFor twoFactor.enabled");
 
     if (!user) {
+      await recordLoginEvent({
+        req,
+        identifier: finalIdentifier,
+        role: normalizedRole,
+        event: "login_failed",
+        method: ["Owner", "Admin"].includes(normalizedRole) ? "password" : "otp",
+        reason: "USER_NOT_FOUND",
+      });
       return fail(res, 404, "User not found. Please signup first.", "USER_NOT_FOUND");
     }
 
@@ -1073,35 +1435,50 @@ export const login = async (req, res) => {
       }
     }
 
-    // --- OWNER LOGIN (PASSWORD) ---
-    if (normalizedRole === "Owner" && user.password) {
+    // --- OWNER / ADMIN STAFF LOGIN (PASSWORD) ---
+    if ((normalizedRole === "Owner" || normalizedRole === "Admin") && user.password) {
       if (!password) {
-        return fail(res, 400, "Password is required for Owner login", "PASSWORD_REQUIRED");
+        return fail(res, 400, `Password is required for ${normalizedRole} login`, "PASSWORD_REQUIRED");
       }
 
       const isMatch = await bcrypt.compare(password, user.password);
       if (!isMatch) {
+        await recordLoginEvent({ req, user, identifier: finalIdentifier, event: "login_failed", method: "password", reason: "INVALID_CREDENTIALS" });
         return fail(res, 401, "Invalid password", "INVALID_CREDENTIALS");
       }
 
+      // 🔑 2FA enrolled: password alone only earns a short-lived login challenge
+      if (user.twoFactor?.enabled) {
+        const challengeToken = await createLoginChallenge(user._id);
+        return ok(res, 200, "Two-factor authentication code required", {
+          twoFactorRequired: true,
+          challengeToken,
+          expiresInSeconds: LOGIN_CHALLENGE_TTL_SECONDS,
+          userId: user._id,
+          role: user.role,
+        });
+      }
+
       // Login Successful
       await User.updateOne({ _id: user._id }, { $set: { lastLoginAt: new Date() } });
 
-      const token = jwt.sign(
-        { userId: user._id, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: "30d" }
-      );
+      const tokens = await createSession({ user, req });
+      await recordLoginEvent({ req, user, identifier: finalIdentifier, event: "login_success", method: "password", sessionId: tokens.sessionId });
 
       return ok(res, 200, "Login successful", {
-        token,
+        ...tokens,
         userId: user._id,
         role: user.role,
+        pendingDeletion: pendingDeletionInfo(user),
+        twoFactor: { enabled: false, setupRequired: isTwoFactorSetupRequired(user) },
       });
     }
 
     // --- CUSTOMER / TECHNICIAN LOGIN (OTP) ---
     else {
+      const sendRejection = await checkOtpSend(finalIdentifier);
+      if (sendRejection) return failThrottled(res, sendRejection);
+
       // Remove old login OTPs
       await Otp.deleteMany({
         identifier: finalIdentifier,
@@ -1115,7 +1492,7 @@ export const login = async (req, res) => {
       const hashedOtp = await bcrypt.hash(otp, 10);
 
       // Store OTP
-      await Otp.create({
+      const otpDoc = await Otp.create({
         identifier: finalIdentifier,
         role: normalizedRole,
         purpose: "LOGIN",
@@ -1123,18 +1500,26 @@ export const login = async (req, res) => {
         expiresAt: Date.now() + 5 * 60 * 1000,
       });
 
-      // Send SMS
-      try {
-        await sendSms(finalIdentifier, otp);
-      } catch (smsErr) {
-        console.error("SMS sending failed:", smsErr.message);
-        return fail(res, 500, "Failed to send OTP. Please try again.", "SMS_SEND_FAILED");
+      // Deliver OTP (SMS -> WhatsApp -> Email)
+      await recordOtpSend(finalIdentifier);
+      const delivery = await deliverOtp({
+        identifier: finalIdentifier,
+        otp,
+        purpose: "LOGIN",
+        email: user.email,
+        otpId: otpDoc._id,
+      });
+      if (!delivery.delivered) {
+        return fail(res, 502, "Failed to send OTP. Please try again.", "OTP_DELIVERY_FAILED", {
+          attempts: delivery.attempts,
+        });
       }
 
       return ok(res, 200, "OTP sent successfully", {
         identifier: finalIdentifier,
         role: normalizedRole,
         purpose: "LOGIN",
+        channel: delivery.channel,
         expiresInSeconds: 300,
       });
     }
@@ -1217,11 +1602,17 @@ export const getMyProfile = async (req, res) => {
       result.bankVerified = kyc.bankVerified || false;
       result.bankUpdateRequired = kyc.bankUpdateRequired || false;
     }
+    result.termsUpdateRequired = req.user.pendingPolicies?.length > 0;
+    result.pendingPolicies = req.user.pendingPolicies || [];
     return ok(res, 200, "Profile fetched successfully", result);
   } else {
     const user = await User.findById(userId).select("-password");
     if (!user) return fail(res, 404, "User not found", "USER_NOT_FOUND");
-    return ok(res, 200, "Profile fetched successfully", user.toObject());
+    return ok(res, 200, "Profile fetched successfully", {
+      ...user.toObject(),
+      termsUpdateRequired: req.user.pendingPolicies?.length > 0,
+      pendingPolicies: req.user.pendingPolicies || [],
+    });
   }
 };
 
@@ -1291,6 +1682,9 @@ export const completeProfile = async (req, res) => {
         updateData[field] = req.body[field];
       }
     });
+    if (await isUnverifiedEmailChange(userId, updateData.email)) {
+      return fail(res, 400, "Use the contact change flow to change your email", "EMAIL_CHANGE_REQUIRES_VERIFICATION");
+    }
     // Mark profile as complete after filling required fields
     updateData.profileComplete = true;
     const updated = await User.findByIdAndUpdate(
@@ -1314,37 +1708,48 @@ export const acceptTerms = async (req, res) => {
       return fail(res, 401, "Unauthorized", "UNAUTHORIZED");
     }
 
-    const { termsAndServices, privacyPolicy } = req.body;
+    const { termsAndServices, privacyPolicy, termsVersion, privacyVersion } = req.body;
 
-    const updateData = {};
-    if (termsAndServices === true) {
-      updateData.termsAndServices = true;
-      updateData.termsAndServicesAt = new Date();
-    }
-    if (privacyPolicy === true) {
-      updateData.privacyPolicy = true;
-      updateData.privacyPolicyAt = new Date();
-    }
+    const types = [];
+    if (termsAndServices === true) types.push("terms");
+    if (privacyPolicy === true) types.push("privacy");
 
-    if (Object.keys(updateData).length === 0) {
+    if (types.length === 0) {
       return fail(res, 400, "Provide either termsAndServices: true or privacyPolicy: true", "VALIDATION_ERROR");
     }
 
-    const user = await User.findByIdAndUpdate(
-      userId,
-      updateData,
-      { new: true }
-    ).select("-password");
+    // Optional version pinning: the app must have shown the current document
+    const policies = await getCurrentPolicies();
+    const pinned = { terms: termsVersion, privacy: privacyVersion };
+    const outdated = types.filter(
+      (t) => pinned[t] !== undefined && Number(pinned[t]) !== (policies[t].current?.version || 0)
+    );
+    if (outdated.length > 0) {
+      return fail(res, 409, "A newer version is available. Please review it before accepting.", "POLICY_VERSION_OUTDATED", {
+        current: outdated.map((t) => policies[t].current),
+      });
+    }
 
-    if (!user) {
+    const exists = await User.exists({ _id: userId });
+    if (!exists) {
       return fail(res, 404, "User not found", "USER_NOT_FOUND");
     }
 
+    await recordPolicyAcceptance({ userId, types, req });
+
+    const user = await User.findById(userId)
+      .select("role termsAndServices privacyPolicy termsAndServicesAt privacyPolicyAt acceptedPolicyVersions")
+      .lean();
+    const pendingPolicies = await getPendingPolicies(user);
+
     return ok(res, 200, "Terms or Privacy Policy updated successfully", {
       termsAndServices: user.termsAndServices,
       privacyPolicy: user.privacyPolicy,
       termsAndServicesAt: user.termsAndServicesAt,
       privacyPolicyAt: user.privacyPolicyAt,
+      acceptedPolicyVersions: user.acceptedPolicyVersions,
+      termsUpdateRequired: pendingPolicies.length > 0,
+      pendingPolicies,
     });
   } catch (err) {
     return fail(res, 500, err.message, "SERVER_ERROR");
@@ -1472,6 +1877,9 @@ export const updateMyProfile = async (req, res) => {
     Object.keys(req.body || {}).forEach((k) => {
       if (!forbidden.has(k) && allowedFields.includes(k)) updateData[k] = req.body[k];
     });
+    if (await isUnverifiedEmailChange(userId, updateData.email)) {
+      return fail(res, 400, "Use the contact change flow to change your email", "EMAIL_CHANGE_REQUIRES_VERIFICATION");
+    }
 
     // Auto-calculate profileComplete: true if fname AND mobileNumber exist
     const currentUser = await User.findById(userId).select("fname lname mobileNumber");
@@ -1,38 +1,41 @@
-import mongoose from "mongoose";
 import User from "../Schemas/User.js";
 import TechnicianProfile from "../Schemas/TechnicianProfile.js";
-import TechnicianKyc from "../Schemas/TechnicianKYC.js";
-import Address from "../Schemas/Address.js";
-import ServiceBooking from "../Schemas/ServiceBooking.js";
-import JobBroadcast from "../Schemas/TechnicianBroadcast.js";
-import Cart from "../Schemas/Cart.js";
-import Otp from "../Schemas/Otp.js";
-import TempUser from "../Schemas/TempUser.js";
-import WalletTransaction from "../Schemas/WalletTransaction.js";
-import WithdrawalRequest from "../Schemas/WithdrawalRequest.js";
-import Rating from "../Schemas/Rating.js";
-import Report from "../Schemas/Report.js";
-
-const ok = (res, message) =>
+import { revokeAllSessions } from "../Utils/authSession.js";
+import { disconnectUserSockets } from "../Utils/socketSessions.js";
+import { recordStatusChange } from "../Utils/userStatus.js";
+import {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  getDeletionBlockers,
+  purgeUserAccount,
+} from "../Utils/accountDeletion.js";
+
+const ok = (res, message, result = {}) =>
   res.status(200).json({
     success: true,
     message,
-    result: {},
+    result,
   });
 
-const fail = (res, status, message) =>
+const fail = (res, status, message, code, details) =>
   res.status(status).json({
     success: false,
     message,
     result: {},
+    ...(code ? { error: { code, ...(details !== undefined ? { details } : {}) } } : {}),
   });
 
-const buildDeletedMobileNumber = (userId) =>
-  `deleted_${userId}_${Date.now()}`;
-
-const buildDeletedEmail = (userId) =>
-  `deleted_${userId}_${Date.now()}@example.invalid`;
-
+const deletionStatus = (user) => ({
+  status: user.status,
+  pendingDeletion: user.status === "PendingDeletion",
+  deletionRequestedAt: user.deletionRequestedAt || null,
+  deletionScheduledFor: user.deletionScheduledFor || null,
+});
+
+/**
+ * @desc    Request deletion of my account (grace period, then permanent purge)
+ * @route   DELETE /api/user/delete-my-account
+ * @access  Private (Authenticated)
+ */
 export const deleteMyAccount = async (req, res) => {
   const userId = req.user?.userId;
   const tokenRole = req.user?.role;
@@ -41,93 +44,105 @@ export const deleteMyAccount = async (req, res) => {
     return fail(res, 401, "Unauthorized");
   }
 
-  const session = await mongoose.startSession();
   try {
-    await session.withTransaction(async () => {
-      const user = await User.findById(userId).session(session);
-      if (!user) {
-        throw new Error("ACCOUNT_NOT_FOUND");
-      }
-
-      if (tokenRole && user.role !== tokenRole) {
-        throw new Error("ROLE_MISMATCH");
-      }
-
-      if (user.role === "Owner") {
-        const activeOwners = await User.countDocuments({
-          role: "Owner",
-          status: "Active",
-          _id: { $ne: userId },
-        }).session(session);
-
-        if (activeOwners < 1) {
-          throw new Error("OWNER_REQUIRED");
-        }
-      }
-
-      const deletedMobileNumber = buildDeletedMobileNumber(userId);
-      const deletedEmail = buildDeletedEmail(userId);
-      const baseUserUpdate = {
-        password: null,
-        status: "Deleted",
-        lastLoginAt: null,
-      };
-
-      // 🧹 Personal Data Cleanup (Requested Schemas Only)
-      await Address.deleteMany({ customerId: userId }).session(session);
-      await Address.deleteMany({ userId }).session(session);
-
-      if (user.role === "Technician") {
-        const techProfile = await TechnicianProfile.findOne({ userId })
-          .select("_id")
-          .session(session);
-
-        if (techProfile) {
-          const techProfileId = techProfile._id;
-
-          // Update all ServiceBookings with technician snapshot before hard-deletion of profile link
-          await ServiceBooking.updateMany(
-            { technicianId: techProfileId },
-            {
-              $set: {
-                "technicianSnapshot.name": `${user.fname || ""} ${user.lname || ""}`.trim() || "Unknown",
-                "technicianSnapshot.mobile": user.mobileNumber || "",
-                "technicianSnapshot.deleted": true,
-              },
-            },
-            { session }
-          );
-
-          // Hard delete technician-specific records
-          await TechnicianProfile.deleteOne({ _id: techProfileId }).session(session);
-          await TechnicianKyc.deleteOne({ technicianId: techProfileId }).session(session);
-          // Note: JobBroadcast, WalletTransaction, etc. are kept as per user instruction "others dont touch"
-        }
-      }
-
-      // Final cleanup for any user-related OTP/Temp records (Identity management)
-      await Otp.deleteMany({ identifier: user.mobileNumber }).session(session);
-      await TempUser.deleteMany({ identifier: user.mobileNumber }).session(session);
-
-      // HARD DELETE User record
-      await User.deleteOne({ _id: userId }).session(session);
-    });
-
-    return ok(res, "Account deleted successfully");
-  } catch (err) {
-    if (err.message === "ACCOUNT_NOT_FOUND") {
-      return fail(res, 404, "Account not found");
+    const user = await User.findById(userId).select("role status deletionRequestedAt deletionScheduledFor");
+    if (!user || user.status === "Deleted") {
+      return fail(res, 404, "Account not found", "ACCOUNT_NOT_FOUND");
     }
-    if (err.message === "OWNER_REQUIRED") {
-      return fail(res, 400, "At least one active owner required");
-    }
-    if (err.message === "ROLE_MISMATCH") {
+
+    if (tokenRole && user.role !== tokenRole) {
       return fail(res, 401, "Unauthorized");
     }
 
+    if (user.status === "PendingDeletion") {
+      return ok(res, "Account deletion already scheduled", deletionStatus(user));
+    }
+
+    const blockers = await getDeletionBlockers(user);
+    if (blockers.length > 0) {
+      return fail(res, 400, blockers[0].message, blockers[0].code, { blockers });
+    }
+
+    // ⚡ No grace period configured: delete right away
+    if (ACCOUNT_DELETION_GRACE_DAYS === 0) {
+      const { technicianProfileId } = await purgeUserAccount(userId, { source: "self" });
+      disconnectUserSockets(req.io, { userId, technicianProfileId }, "deleted");
+      return ok(res, "Account deleted successfully");
+    }
+
+    const now = new Date();
+    const fromStatus = user.status;
+    user.status = "PendingDeletion";
+    user.deletionRequestedAt = now;
+    user.deletionScheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    user.deletionDeferredUntil = null;
+    await user.save();
+    await recordStatusChange({ user, fromStatus, toStatus: "PendingDeletion", source: "self" });
+
+    // 📴 Technician stops receiving jobs during the grace period
+    const techProfile = user.role === "Technician"
+      ? await TechnicianProfile.findOneAndUpdate(
+        { userId },
+        { $set: { "availability.isOnline": false } },
+        { new: true }
+      ).select("_id")
+      : null;
+
+    // 🔌 Sign out everywhere; logging in again only allows restoring the account
+    await revokeAllSessions(userId, "logout_all");
+    disconnectUserSockets(req.io, { userId, technicianProfileId: techProfile?._id }, "deletion_scheduled");
+
+    return ok(
+      res,
+      `Account scheduled for deletion in ${ACCOUNT_DELETION_GRACE_DAYS} days. Log in before then to restore it.`,
+      deletionStatus(user)
+    );
+  } catch (err) {
     console.error("deleteMyAccount Error:", err);
     return fail(res, 500, "Internal server error");
-  } finally {
-    session.endSession();
+  }
+};
+
+/**
+ * @desc    My account deletion status
+ * @route   GET /api/user/me/account-deletion
+ * @access  Private (Authenticated, allowed while PendingDeletion)
+ */
+export const getMyAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("status deletionRequestedAt deletionScheduledFor");
+    if (!user) {
+      return fail(res, 404, "Account not found", "ACCOUNT_NOT_FOUND");
+    }
+    return ok(res, "Account deletion status fetched", deletionStatus(user));
+  } catch (err) {
+    console.error("getMyAccountDeletion Error:", err);
+    return fail(res, 500, "Internal server error");
+  }
+};
+
+/**
+ * @desc    Cancel a scheduled deletion and restore my account
+ * @route   POST /api/user/me/account-deletion/cancel
+ * @access  Private (Authenticated, allowed while PendingDeletion)
+ */
+export const cancelMyAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.user.userId, status: "PendingDeletion" },
+      { $set: { status: "Active", deletionRequestedAt: null, deletionScheduledFor: null, deletionDeferredUntil: null } },
+      { new: true }
+    ).select("role status deletionRequestedAt deletionScheduledFor");
+
+    if (!user) {
+      return fail(res, 400, "No scheduled deletion to cancel", "DELETION_NOT_SCHEDULED");
+    }
+
+    await recordStatusChange({ user, fromStatus: "PendingDeletion", toStatus: "Active", source: "self" });
+
+    return ok(res, "Account restored successfully", deletionStatus(user));
+  } catch (err) {
+    console.error("cancelMyAccountDeletion Error:", err);
+    return fail(res, 500, "Internal server error");
   }
 };
@@ -0,0 +1,321 @@
+import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
+import User from "../Schemas/User.js";
+import AdminRole from "../Schemas/AdminRole.js";
+import { getUserPermissions } from "../Middleware/Auth.js";
+import { ensureSystemRoles } from "../Utils/adminRoles.js";
+import {
+  PERMISSIONS,
+  ASSIGNABLE_PERMISSIONS,
+  OWNER_ONLY_PERMISSIONS,
+} from "../Utils/permissions.js";
+
+/* ======================================================
+  RESPONSE HELPERS (Consistent API shape)
+====================================================== */
+
+const ok = (res, status, message, result = {}) =>
+  res.status(status).json({
+    success: true,
+    message,
+    result,
+  });
+
+const fail = (res, status, message, code, details) =>
+  res.status(status).json({
+    success: false,
+    message,
+    result: {},
+    ...(code ? { error: { code, ...(details !== undefined ? { details } : {}) } } : {}),
+  });
+
+const isValidObjectId = mongoose.Types.ObjectId.isValid;
+
+const passwordRegex =
+  /^(?=.*[A-Za-z])(?=.*\d)(?=.*[^A-Za-z0-9]).{8,}$/;
+
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) return { valid: false, invalid: [] };
+  const invalid = permissions.filter((p) => !ASSIGNABLE_PERMISSIONS.includes(p));
+  return { valid: invalid.length === 0, invalid };
+};
+
+// Returns the de-duplicated role ids, or null when any id is unknown
+const resolveRoleIds = async (roleIds) => {
+  if (!Array.isArray(roleIds)) return null;
+  const unique = [...new Set(roleIds.map(String))];
+  if (!unique.every(isValidObjectId)) return null;
+  const count = await AdminRole.countDocuments({ _id: { $in: unique } });
+  return count === unique.length ? unique : null;
+};
+
+/* ================= PERMISSION CATALOGUE ================= */
+export const getPermissionCatalogue = async (req, res) => {
+  return ok(res, 200, "Permissions fetched", {
+    permissions: PERMISSIONS,
+    assignable: ASSIGNABLE_PERMISSIONS,
+    ownerOnly: OWNER_ONLY_PERMISSIONS,
+  });
+};
+
+/* ================= ROLES ================= */
+export const getAdminRoles = async (req, res) => {
+  try {
+    await ensureSystemRoles();
+
+    const roles = await AdminRole.find().sort({ isSystem: -1, name: 1 }).lean();
+    const counts = await User.aggregate([
+      { $match: { role: "Admin", status: { $ne: "Deleted" } } },
+      { $unwind: "$adminRoleIds" },
+      { $group: { _id: "$adminRoleIds", count: { $sum: 1 } } },
+    ]);
+    const countMap = new Map(counts.map((c) => [String(c._id), c.count]));
+
+    const result = roles.map((r) => ({ ...r, staffCount: countMap.get(String(r._id)) || 0 }));
+    return ok(res, 200, "Roles fetched", result);
+  } catch (err) {
+    console.error("getAdminRoles Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+export const createAdminRole = async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (!name || typeof name !== "string" || name.trim().length < 3) {
+      return fail(res, 400, "Role name must be at least 3 characters", "VALIDATION_ERROR");
+    }
+
+    const check = validatePermissions(permissions);
+    if (!check.valid || permissions.length === 0) {
+      return fail(res, 400, "Provide a non-empty list of valid permissions", "VALIDATION_ERROR", {
+        invalid: check.invalid,
+        allowed: ASSIGNABLE_PERMISSIONS,
+      });
+    }
+
+    const exists = await AdminRole.findOne({ name: name.trim() }).select("_id");
+    if (exists) {
+      return fail(res, 409, "A role with this name already exists", "ROLE_EXISTS");
+    }
+
+    const role = await AdminRole.create({
+      name: name.trim(),
+      description: description || null,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user.userId,
+    });
+
+    return ok(res, 201, "Role created", role);
+  } catch (err) {
+    console.error("createAdminRole Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+export const updateAdminRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, permissions } = req.body;
+
+    if (!isValidObjectId(id)) {
+      return fail(res, 400, "Invalid role ID", "VALIDATION_ERROR");
+    }
+
+    const role = await AdminRole.findById(id);
+    if (!role) {
+      return fail(res, 404, "Role not found", "ROLE_NOT_FOUND");
+    }
+    if (role.isSystem) {
+      return fail(res, 400, "Built-in roles cannot be edited", "ROLE_READ_ONLY");
+    }
+
+    if (name !== undefined) {
+      if (typeof name !== "string" || name.trim().length < 3) {
+        return fail(res, 400, "Role name must be at least 3 characters", "VALIDATION_ERROR");
+      }
+      const dup = await AdminRole.findOne({ name: name.trim(), _id: { $ne: id } }).select("_id");
+      if (dup) {
+        return fail(res, 409, "A role with this name already exists", "ROLE_EXISTS");
+      }
+      role.name = name.trim();
+    }
+
+    if (description !== undefined) role.description = description || null;
+
+    if (permissions !== undefined) {
+      const check = validatePermissions(permissions);
+      if (!check.valid || permissions.length === 0) {
+        return fail(res, 400, "Provide a non-empty list of valid permissions", "VALIDATION_ERROR", {
+          invalid: check.invalid,
+          allowed: ASSIGNABLE_PERMISSIONS,
+        });
+      }
+      role.permissions = [...new Set(permissions)];
+    }
+
+    await role.save();
+    return ok(res, 200, "Role updated", role);
+  } catch (err) {
+    console.error("updateAdminRole Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+export const deleteAdminRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return fail(res, 400, "Invalid role ID", "VALIDATION_ERROR");
+    }
+
+    const role = await AdminRole.findById(id);
+    if (!role) {
+      return fail(res, 404, "Role not found", "ROLE_NOT_FOUND");
+    }
+    if (role.isSystem) {
+      return fail(res, 400, "Built-in roles cannot be deleted", "ROLE_READ_ONLY");
+    }
+
+    // Detach from staff first so nobody keeps a dangling grant
+    await User.updateMany({ adminRoleIds: role._id }, { $pull: { adminRoleIds: role._id } });
+    await role.deleteOne();
+
+    return ok(res, 200, "Role deleted", { roleId: id });
+  } catch (err) {
+    console.error("deleteAdminRole Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/* ================= STAFF ================= */
+export const getAdminStaff = async (req, res) => {
+  try {
+    const staff = await User.find({ role: "Admin", status: { $ne: "Deleted" } })
+      .select("fname lname mobileNumber email status lastLoginAt adminRoleIds createdAt")
+      .populate("adminRoleIds", "name permissions isSystem")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return ok(res, 200, "Staff fetched", staff);
+  } catch (err) {
+    console.error("getAdminStaff Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+export const createAdminStaff = async (req, res) => {
+  try {
+    let { mobileNumber, fname, lname, email, password, roleIds = [] } = req.body;
+    mobileNumber = mobileNumber?.toString().trim();
+
+    if (!mobileNumber || !/^[0-9]{10}$/.test(mobileNumber)) {
+      return fail(res, 400, "Valid 10-digit mobileNumber is required", "VALIDATION_ERROR");
+    }
+    if (!fname || !String(fname).trim()) {
+      return fail(res, 400, "fname is required", "VALIDATION_ERROR");
+    }
+    if (password !== undefined && !passwordRegex.test(password)) {
+      return fail(
+        res,
+        400,
+        "Password must be 8+ characters with a letter, a number and a symbol",
+        "WEAK_PASSWORD"
+      );
+    }
+
+    const resolvedRoleIds = await resolveRoleIds(roleIds);
+    if (!resolvedRoleIds) {
+      return fail(res, 400, "roleIds must be a list of existing role IDs", "VALIDATION_ERROR");
+    }
+
+    // Same rule as signup: one active account per mobile number, across roles
+    const existing = await User.findOne({ mobileNumber }).select("_id role status");
+    if (existing && existing.status !== "Deleted") {
+      return fail(res, 409, `Mobile number already registered as a ${existing.role}`, "MOBILE_ALREADY_EXISTS", {
+        existingRole: existing.role,
+      });
+    }
+    if (existing) {
+      // Free the number held by a deleted account (same self-healing as signup)
+      const anonymized = `deleted_${existing._id}_${Date.now()}`;
+      await User.updateOne(
+        { _id: existing._id },
+        { $set: { mobileNumber: anonymized, email: `${anonymized}@example.invalid` } }
+      );
+    }
+    if (email) {
+      const emailTaken = await User.findOne({ email: String(email).toLowerCase().trim() }).select("_id");
+      if (emailTaken) {
+        return fail(res, 409, "Email already in use", "EMAIL_ALREADY_EXISTS");
+      }
+    }
+
+    const staff = await User.create({
+      role: "Admin",
+      mobileNumber,
+      fname: String(fname).trim(),
+      lname: lname ? String(lname).trim() : undefined,
+      email: email || undefined,
+      password: password ? await bcrypt.hash(password, 10) : undefined,
+      status: "Active",
+      profileComplete: true,
+      adminRoleIds: resolvedRoleIds,
+    });
+
+    const result = staff.toObject();
+    delete result.password;
+
+    console.log(`🧑‍💼 Owner ${req.user.userId} created Admin staff ${staff._id}`);
+    return ok(res, 201, "Admin staff created", result);
+  } catch (err) {
+    console.error("createAdminStaff Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+export const assignStaffRoles = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { roleIds } = req.body;
+
+    if (!isValidObjectId(id)) {
+      return fail(res, 400, "Invalid staff ID", "VALIDATION_ERROR");
+    }
+
+    const resolvedRoleIds = await resolveRoleIds(roleIds);
+    if (!resolvedRoleIds) {
+      return fail(res, 400, "roleIds must be a list of existing role IDs", "VALIDATION_ERROR");
+    }
+
+    const staff = await User.findOneAndUpdate(
+      { _id: id, role: "Admin", status: { $ne: "Deleted" } },
+      { $set: { adminRoleIds: resolvedRoleIds } },
+      { new: true }
+    )
+      .select("fname lname mobileNumber email status adminRoleIds")
+      .populate("adminRoleIds", "name permissions isSystem");
+
+    if (!staff) {
+      return fail(res, 404, "Admin staff not found", "STAFF_NOT_FOUND");
+    }
+
+    return ok(res, 200, "Roles assigned", staff);
+  } catch (err) {
+    console.error("assignStaffRoles Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/* ================= MY PERMISSIONS (Admin panel menu) ================= */
+export const getMyPermissions = async (req, res) => {
+  try {
+    const permissions = await getUserPermissions(req);
+    return ok(res, 200, "Permissions fetched", { role: req.user.role, permissions });
+  } catch (err) {
+    console.error("getMyPermissions Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
@@ -0,0 +1,365 @@
+import mongoose from "mongoose";
+import User from "../Schemas/User.js";
+import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import ProductBooking from "../Schemas/ProductBooking.js";
+import Rating from "../Schemas/Rating.js";
+import Report from "../Schemas/Report.js";
+import Address from "../Schemas/Address.js";
+import UserStatusHistory from "../Schemas/UserStatusHistory.js";
+import LoginEvent from "../Schemas/LoginEvent.js";
+import {
+  parseStatusChangeInput,
+  blockUserAccount,
+  unblockUserAccount,
+} from "../Utils/userStatus.js";
+
+/* ======================================================
+  RESPONSE HELPERS (Consistent API shape)
+====================================================== */
+
+const ok = (res, status, message, result = {}) =>
+  res.status(status).json({
+    success: true,
+    message,
+    result,
+  });
+
+const fail = (res, status, message, code, details) =>
+  res.status(status).json({
+    success: false,
+    message,
+    result: {},
+    ...(code ? { error: { code, ...(details !== undefined ? { details } : {}) } } : {}),
+  });
+
+const isValidObjectId = mongoose.Types.ObjectId.isValid;
+
+const ROLES = ["Customer", "Technician", "Owner", "Admin"];
+const STATUSES = ["Active", "Inactive", "Blocked", "PendingDeletion", "Deleted"];
+const LOGIN_EVENTS = ["login_success", "login_failed", "otp_failed", "two_factor_failed"];
+const SORT_FIELDS = { createdAt: "createdAt", lastLoginAt: "lastLoginAt", fname: "fname" };
+
+const PUBLIC_USER_FIELDS =
+  "role fname lname gender email mobileNumber status blockReason blockedAt blockedUntil " +
+  "deletionRequestedAt deletionScheduledFor profileComplete lastLoginAt createdAt updatedAt";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parsePagination = (query) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20));
+  return { page, limit };
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+const handleStatusError = (res, err, label) => {
+  if (err.statusCode) {
+    return fail(res, err.statusCode, err.message, err.code);
+  }
+  console.error(`${label} Error:`, err);
+  return fail(res, 500, "Internal server error", "SERVER_ERROR");
+};
+
+/**
+ * @desc    Search users (name / mobile / email, role, status, signup date)
+ * @route   GET /api/admin/users?search=&role=&status=&signupFrom=&signupTo=&sort=&order=&page=&limit=
+ * @access  Private (Staff with users.view)
+ */
+export const searchUsers = async (req, res) => {
+  try {
+    const { search, role, status, signupFrom, signupTo, sort, order } = req.query;
+    const { page, limit } = parsePagination(req.query);
+    const filter = {};
+
+    if (role) {
+      if (!ROLES.includes(role)) {
+        return fail(res, 400, `role must be one of: ${ROLES.join(", ")}`, "VALIDATION_ERROR");
+      }
+      filter.role = role;
+    }
+
+    if (status) {
+      if (!STATUSES.includes(status)) {
+        return fail(res, 400, `status must be one of: ${STATUSES.join(", ")}`, "VALIDATION_ERROR");
+      }
+      filter.status = status;
+    } else {
+      filter.status = { $ne: "Deleted" };
+    }
+
+    const from = parseDate(signupFrom);
+    const to = parseDate(signupTo);
+    if (from === undefined || to === undefined) {
+      return fail(res, 400, "Invalid signupFrom / signupTo date", "VALIDATION_ERROR");
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    // Every word must match a name, mobile or email ("ravi kumar" -> fname + lname)
+    const terms = (search || "").trim().split(/\s+/).filter(Boolean).slice(0, 5);
+    if (terms.length > 0) {
+      filter.$and = terms.map((term) => {
+        const regex = { $regex: escapeRegex(term), $options: "i" };
+        return { $or: [{ fname: regex }, { lname: regex }, { mobileNumber: regex }, { email: regex }] };
+      });
+    }
+
+    const sortField = SORT_FIELDS[sort] || "createdAt";
+    const sortOrder = order === "asc" ? 1 : -1;
+
+    const [items, total] = await Promise.all([
+      User.find(filter)
+        .select(PUBLIC_USER_FIELDS)
+        .sort({ [sortField]: sortOrder, _id: sortOrder })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter),
+    ]);
+
+    return ok(res, 200, "Users fetched", {
+      items,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    console.error("searchUsers Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    User detail with bookings, ratings, reports and recent status changes
+ * @route   GET /api/admin/users/:id
+ * @access  Private (Staff with users.view)
+ */
+export const getUserDetail = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return fail(res, 400, "Invalid user ID", "VALIDATION_ERROR");
+    }
+
+    const user = await User.findById(id).select(PUBLIC_USER_FIELDS).lean();
+    if (!user) {
+      return fail(res, 404, "User not found", "USER_NOT_FOUND");
+    }
+
+    const userId = user._id;
+    const techProfile = user.role === "Technician"
+      ? await TechnicianProfile.findOne({ userId })
+        .select("workStatus trainingCompleted rating availability.isOnline walletBalance")
+        .lean()
+      : null;
+
+    // Customers are matched on customerId, technicians on their profile id
+    const bookingMatch = techProfile ? { technicianId: techProfile._id } : { customerId: userId };
+    const ratingMatch = techProfile ? { technicianId: techProfile._id } : { userId };
+    const reportMatch = techProfile ? { technicianId: techProfile._id } : { customerId: userId };
+
+    const [
+      bookingStats,
+      recentBookings,
+      productBookingCount,
+      ratingStats,
+      recentRatings,
+      reportStats,
+      recentReports,
+      addressCount,
+      statusHistory,
+    ] = await Promise.all([
+      ServiceBooking.aggregate([
+        { $match: bookingMatch },
+        { $group: { _id: "$status", count: { $sum: 1 }, amount: { $sum: "$baseAmount" } } },
+      ]),
+      ServiceBooking.find(bookingMatch)
+        .select("serviceId status paymentStatus baseAmount scheduledAt createdAt")
+        .populate("serviceId", "serviceName")
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .lean(),
+      techProfile ? 0 : ProductBooking.countDocuments({ customerId: userId }),
+      Rating.aggregate([
+        { $match: ratingMatch },
+        { $group: { _id: null, count: { $sum: 1 }, avg: { $avg: "$rates" } } },
+      ]),
+      Rating.find(ratingMatch).select("bookingId rates comment createdAt").sort({ createdAt: -1 }).limit(5).lean(),
+      Report.aggregate([
+        { $match: reportMatch },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+      Report.find(reportMatch).select("bookingId complaint status createdAt").sort({ createdAt: -1 }).limit(5).lean(),
+      techProfile ? 0 : Address.countDocuments({ customerId: userId }),
+      UserStatusHistory.find({ userId })
+        .populate("changedBy", "fname lname role")
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .lean(),
+    ]);
+
+    const byStatus = Object.fromEntries(bookingStats.map((s) => [s._id, s.count]));
+    const completedAmount = bookingStats.find((s) => s._id === "completed")?.amount || 0;
+
+    return ok(res, 200, "User fetched", {
+      user,
+      technician: techProfile,
+      bookings: {
+        total: bookingStats.reduce((sum, s) => sum + s.count, 0),
+        byStatus,
+        completedAmount,
+        productBookings: productBookingCount,
+        recent: recentBookings,
+      },
+      ratings: {
+        perspective: techProfile ? "received" : "given",
+        count: ratingStats[0]?.count || 0,
+        avg: ratingStats[0]?.avg ? Math.round(ratingStats[0].avg * 10) / 10 : 0,
+        recent: recentRatings,
+      },
+      reports: {
+        perspective: techProfile ? "received" : "filed",
+        open: reportStats.find((s) => s._id === "open")?.count || 0,
+        resolved: reportStats.find((s) => s._id === "resolved")?.count || 0,
+        recent: recentReports,
+      },
+      addresses: addressCount,
+      statusHistory,
+    });
+  } catch (err) {
+    console.error("getUserDetail Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Block a user (reason required, optional blockedUntil for a temporary suspension)
+ * @route   PUT /api/admin/users/:id/block
+ * @access  Private (Staff with users.manage)
+ */
+export const blockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return fail(res, 400, "Invalid user ID", "VALIDATION_ERROR");
+    }
+
+    const { reason, blockedUntil } = parseStatusChangeInput(req.body);
+    const user = await blockUserAccount({ userId: id, reason, blockedUntil, changedBy: req.user.userId, io: req.io });
+
+    return ok(res, 200, blockedUntil ? "User suspended" : "User blocked", {
+      userId: user._id,
+      status: user.status,
+      blockReason: user.blockReason,
+      blockedAt: user.blockedAt,
+      blockedUntil: user.blockedUntil,
+    });
+  } catch (err) {
+    return handleStatusError(res, err, "blockUser");
+  }
+};
+
+/**
+ * @desc    Unblock a user (reason required)
+ * @route   PUT /api/admin/users/:id/unblock
+ * @access  Private (Staff with users.manage)
+ */
+export const unblockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return fail(res, 400, "Invalid user ID", "VALIDATION_ERROR");
+    }
+
+    const { reason } = parseStatusChangeInput({ reason: req.body?.reason });
+    const user = await unblockUserAccount({ userId: id, reason, changedBy: req.user.userId });
+
+    return ok(res, 200, "User unblocked", { userId: user._id, status: user.status });
+  } catch (err) {
+    return handleStatusError(res, err, "unblockUser");
+  }
+};
+
+/**
+ * @desc    Full status change history of a user
+ * @route   GET /api/admin/users/:id/status-history?page=&limit=
+ * @access  Private (Staff with users.view)
+ */
+export const getUserStatusHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return fail(res, 400, "Invalid user ID", "VALIDATION_ERROR");
+    }
+
+    const { page, limit } = parsePagination(req.query);
+    const [items, total] = await Promise.all([
+      UserStatusHistory.find({ userId: id })
+        .populate("changedBy", "fname lname role")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      UserStatusHistory.countDocuments({ userId: id }),
+    ]);
+
+    return ok(res, 200, "Status history fetched", {
+      items,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    console.error("getUserStatusHistory Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Login history of a user (device, IP, location, alerts raised)
+ * @route   GET /api/admin/users/:id/login-history?event=&alertsOnly=&page=&limit=
+ * @access  Private (Staff with users.view)
+ */
+export const getUserLoginHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return fail(res, 400, "Invalid user ID", "VALIDATION_ERROR");
+    }
+
+    const { page, limit } = parsePagination(req.query);
+    const filter = { userId: id };
+
+    if (req.query.event) {
+      if (!LOGIN_EVENTS.includes(req.query.event)) {
+        return fail(res, 400, `event must be one of: ${LOGIN_EVENTS.join(", ")}`, "VALIDATION_ERROR");
+      }
+      filter.event = req.query.event;
+    }
+    if (req.query.alertsOnly === "true") {
+      filter["alerts.0"] = { $exists: true };
+    }
+
+    const [items, total] = await Promise.all([
+      LoginEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      LoginEvent.countDocuments(filter),
+    ]);
+
+    return ok(res, 200, "Login history fetched", {
+      items,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    console.error("getUserLoginHistory Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
@@ -3,6 +3,10 @@ import ServiceBooking from "../Schemas/ServiceBooking.js";
 import Service from "../Schemas/Service.js";
 import { resolveUserLocation } from "../Utils/resolveUserLocation.js";
 import { matchAndBroadcastBooking } from "../Utils/technicianMatching.js";
+import { validateScheduledSlot } from "../Utils/bookingSlots.js";
+import { getSchedulingRules } from "../Utils/schedulingConfig.js";
+import { getBookingBaseAmount } from "../Utils/inspectionQuote.js";
+import { priceServiceBooking, toBookingPricingFields } from "../Utils/pricing.js";
 
 const toFiniteNumber = (val) => {
   if (val === null || val === undefined || val === "") return null;
@@ -170,6 +174,7 @@ export const getCompletedServices = async (req, res) => {
           serviceImages: service.serviceImages || [],
           currentPrice,
           previousPrice: b.baseAmount,
+          previousPartsAmount: b.partsAmount || 0,
           isAvailable: service.isActive ?? false,
           category: service.categoryId
             ? {
@@ -283,11 +288,9 @@ export const rebookService = async (req, res) => {
       });
     }
 
-    // Calculate Latest Price & Commission Structure
-    const latestBaseAmount =
-      service.discountedPrice && service.discountedPrice > 0
-        ? service.discountedPrice
-        : service.serviceCost;
+    // 🧮 Latest price, GST & commission structure (pricing module)
+    const pricing = await priceServiceBooking({ service, amount: getBookingBaseAmount(service, null) });
+    const latestBaseAmount = pricing.baseAmount;
 
     if (typeof latestBaseAmount !== "number" || Number.isNaN(latestBaseAmount) || latestBaseAmount < 0) {
       return res.status(400).json({
@@ -297,10 +300,6 @@ export const rebookService = async (req, res) => {
       });
     }
 
-    const commissionPct = typeof service.commissionPercentage === "number" ? service.commissionPercentage : 0;
-    const commissionAmt = Math.round((latestBaseAmount * commissionPct) / 100);
-    const techAmt = latestBaseAmount - commissionAmt;
-
     // ⏰ Determine Booking Type & Schedule Timing
     const bookingTypeInput = req.body?.bookingType || previousBooking.bookingType;
     const isScheduled = bookingTypeInput === "scheduled" || bookingTypeInput === "schedule";
@@ -330,36 +329,6 @@ export const rebookService = async (req, res) => {
           result: {},
         });
       }
-
-      // Schedule window check (minimum 30 mins in future, window: Tomorrow or Day After Tomorrow)
-      const now = new Date();
-      const minFuture = new Date(now.getTime() + 30 * 60 * 1000);
-      if (finalScheduledAt < minFuture) {
-        return res.status(400).json({
-          success: false,
-          message: "Scheduled time must be at least 30 minutes in the future",
-          result: {},
-        });
-      }
-
-      const tomorrowStart = new Date(now);
-      tomorrowStart.setDate(tomorrowStart.getDate() + 1);
-      tomorrowStart.setHours(0, 0, 0, 0);
-
-      const dayAfterEnd = new Date(now);
-      dayAfterEnd.setDate(dayAfterEnd.getDate() + 2);
-      dayAfterEnd.setHours(23, 59, 59, 999);
-
-      if (finalScheduledAt < tomorrowStart || finalScheduledAt > dayAfterEnd) {
-        return res.status(400).json({
-          success: false,
-          message: "Scheduled bookings are only allowed for Tomorrow or Day after Tomorrow",
-          result: {
-            tomorrow: tomorrowStart.toISOString().split("T")[0],
-            dayAfter: dayAfterEnd.toISOString().split("T")[0],
-          },
-        });
-      }
     } else {
       finalScheduledAt = req.body?.scheduledAt ? new Date(req.body.scheduledAt) : null;
     }
@@ -408,6 +377,22 @@ export const rebookService = async (req, res) => {
       });
     }
 
+    // 📅 Schedule window, hours and holidays for this city / category
+    if (isScheduled) {
+      const rules = await getSchedulingRules({
+        city: resolvedLocation.addressSnapshot?.city,
+        categoryId: service.categoryId,
+      });
+      const slotCheck = validateScheduledSlot(finalScheduledAt, rules);
+      if (!slotCheck.success) {
+        return res.status(slotCheck.statusCode).json({
+          success: false,
+          message: slotCheck.message,
+          result: slotCheck.result,
+        });
+      }
+    }
+
     // 🕒 Auto-Cancellation Window setup
     const now = new Date();
     const autoCancelAt = isScheduled
@@ -422,10 +407,7 @@ export const rebookService = async (req, res) => {
       customerId,
       serviceId: service._id,
       bookingType,
-      baseAmount: latestBaseAmount,
-      commissionPercentage: commissionPct,
-      commissionAmount: commissionAmt,
-      technicianAmount: techAmt,
+      ...toBookingPricingFields(pricing),
       locationType: resolvedLocation.locationType,
       addressSnapshot: resolvedLocation.addressSnapshot,
       address: resolvedLocation.addressSnapshot.addressLine || previousBooking.address || "Pinned Location",
@@ -10,7 +10,18 @@ import TechnicianProfile from "../Schemas/TechnicianProfile.js";
 import mongoose from "mongoose";
 import { matchAndBroadcastBooking } from "../Utils/technicianMatching.js";
 import { resolveUserLocation } from "../Utils/resolveUserLocation.js";
+import {
+    getSlotStatus,
+    getScheduleDays,
+    validateScheduledSlot,
+    SLOT_STATUS,
+    SLOT_FULL_MESSAGE,
+} from "../Utils/bookingSlots.js";
+import { getSchedulingRules } from "../Utils/schedulingConfig.js";
+import { getBookingBaseAmount } from "../Utils/inspectionQuote.js";
+import { priceServiceBooking, toBookingPricingFields } from "../Utils/pricing.js";
 import { ensureCustomer } from "../Utils/ensureCustomer.js";
+import { getCreditBalance, redeemCredits, resolveCreditToApply } from "../Utils/customerCredit.js";
 import {
     SERVICE_BOOKING_STATUS,
     PRODUCT_BOOKING_STATUS,
@@ -442,48 +453,52 @@ const parseTimeString = (timeInput) => {
 };
 
 /**
- * @route   GET /api/user/cart/schedule-slots
- * @desc    Get allowed schedule dates (Tomorrow & Day After Tomorrow) and formatted time slots
+ * @route   GET /api/user/cart/schedule-slots?[city=][&serviceId=]
+ * @desc    Get allowed schedule dates and hourly time slots (owner-configured window, hours and holidays)
  * @access  Private (Auth) / Public
  */
 export const getCartScheduleSlots = async (req, res) => {
     try {
         const now = new Date();
+        const { city, serviceId } = req.query;
+
+        const service = serviceId && mongoose.Types.ObjectId.isValid(serviceId)
+            ? await Service.findById(serviceId).select("categoryId").lean()
+            : null;
+        const rules = await getSchedulingRules({ city, categoryId: service?.categoryId });
+
+        const allowedDates = getScheduleDays(rules, now)
+            .filter((day) => day.isOpen)
+            .map((day) => ({
+                label: day.label,
+                date: day.date,
+                month: day.month,
+                dayName: day.dayName,
+                bookingDate: day.fullDate,
+            }));
+
+        const toMinutes = (time) => {
+            const [h, m] = time.split(":").map(Number);
+            return h * 60 + m;
+        };
 
-        const allowedDates = [];
-        for (let i = 1; i <= 2; i++) {
-            const d = new Date(now);
-            d.setDate(d.getDate() + i);
-            const dayName = d.toLocaleDateString("en-US", { weekday: "short" });
-            const month = d.toLocaleDateString("en-US", { month: "short" });
-            const fullDate = d.toISOString().split("T")[0];
-
-            allowedDates.push({
-                label: i === 1 ? "Tomorrow" : "Day after Tomorrow",
-                date: d.getDate(),
-                month,
-                dayName,
-                bookingDate: fullDate,
-            });
-        }
+        const formatTime = (minutes) => {
+            const hour = Math.floor(minutes / 60);
+            const min = minutes % 60;
+            const period = hour < 12 || hour === 24 ? "AM" : "PM";
+            const display = hour % 12 === 0 ? 12 : hour % 12;
+            return `${display < 10 ? "0" + display : display}:${min < 10 ? "0" + min : min} ${period}`;
+        };
 
+        // One-hour ranges that end by closing time
         const timeSlots = [];
-        const startHour = 9;
-        const endHour = 20;
-
-        for (let h = startHour; h <= endHour; h++) {
-            const nextH = h + 1;
+        const closeMinutes = toMinutes(rules.closeTime);
 
-            const formatHour = (hour) => {
-                const period = hour < 12 || hour === 24 ? "AM" : "PM";
-                const display = hour % 12 === 0 ? 12 : hour % 12;
-                return `${display < 10 ? "0" + display : display}:00 ${period}`;
-            };
-
-            const startLabel = formatHour(h);
-            const endLabel = formatHour(nextH);
-            const slotRange = `${startLabel} - ${endLabel}`;
-            const militaryTime = `${h < 10 ? "0" + h : h}:00`;
+        for (let start = toMinutes(rules.openTime); start + 60 <= closeMinutes; start += 60) {
+            const slotRange = `${formatTime(start)} - ${formatTime(start + 60)}`;
+            const h = Math.floor(start / 60);
+            const m = start % 60;
+            const militaryTime = `${h < 10 ? "0" + h : h}:${m < 10 ? "0" + m : m}`;
 
             timeSlots.push({
                 timeSlot: slotRange,
@@ -494,14 +509,14 @@ export const getCartScheduleSlots = async (req, res) => {
 
         return res.status(200).json({
             success: true,
-            message: "Cart schedule slots retrieved successfully (Tomorrow and Day After Tomorrow only)",
+            message: "Cart schedule slots retrieved successfully",
             result: {
                 allowedDates,
                 timeSlots,
                 samplePayloadFormat: {
                     itemId: "SAMPLE_ITEM_ID",
-                    bookingDate: allowedDates[0].bookingDate,
-                    timeSlot: timeSlots[0].timeSlot,
+                    bookingDate: allowedDates[0]?.bookingDate || null,
+                    timeSlot: timeSlots[0]?.timeSlot || null,
                     faultProblem: "Optional description of issue"
                 }
             }
@@ -538,35 +553,12 @@ export const setCartItemSchedule = async (req, res) => {
         // ─── Resolve Time ────────────────────────────────────────────────
         let finalScheduledAt = null;
         if (effectiveDate && parsedTime) {
-            // Enforce Tomorrow or Day after Tomorrow
-            const now = new Date();
-
-            const tomorrow = new Date(now);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            const tomorrowStr = tomorrow.toISOString().split("T")[0];
-
-            const dayAfter = new Date(now);
-            dayAfter.setDate(dayAfter.getDate() + 2);
-            const dayAfterStr = dayAfter.toISOString().split("T")[0];
-
-            if (effectiveDate !== tomorrowStr && effectiveDate !== dayAfterStr) {
-                return res.status(400).json({
-                    success: false,
-                    message: "Scheduling is only allowed for Tomorrow or Day after Tomorrow. Please refresh slots.",
-                    result: { providedDate: effectiveDate, allowed: [tomorrowStr, dayAfterStr] },
-                });
-            }
-
             const combined = new Date(`${effectiveDate}T${parsedTime}:00`);
             if (isNaN(combined.getTime())) {
                 return res.status(400).json({ success: false, message: "Invalid date or time format", result: {} });
             }
-            // Must be 30 min in future
-            if (combined <= new Date(Date.now() + 30 * 60 * 1000)) {
-                return res.status(400).json({ success: false, message: "Schedule must be at least 30 min in future", result: {} });
-            }
             finalScheduledAt = combined;
-        } else if (scheduledAt) {
+        } else if (scheduledAt && !isNaN(new Date(scheduledAt).getTime())) {
             finalScheduledAt = new Date(scheduledAt);
         }
 
@@ -575,6 +567,56 @@ export const setCartItemSchedule = async (req, res) => {
             return res.status(400).json({ success: false, message: "Invalid date/time format provided", result: {} });
         }
 
+        // 📅 Window, hours and holidays for the city / category, then capacity
+        // (location from the request, else the default address)
+        let service = null;
+        let location = { success: false };
+        if (finalScheduledAt && itemType === "service" && mongoose.Types.ObjectId.isValid(itemId)) {
+            service = await Service.findById(itemId).select("categoryId").lean();
+
+            const { addressId, latitude, longitude } = req.body;
+            const hasCoords = latitude !== undefined && longitude !== undefined;
+            const savedAddressId = addressId || (hasCoords
+                ? null
+                : (await Address.findOne({ customerId, isDefault: true }).select("_id").lean())?._id?.toString());
+
+            if (savedAddressId || hasCoords) {
+                location = await resolveUserLocation({ addressId: savedAddressId, latitude, longitude, userId: customerId });
+            }
+        }
+
+        if (finalScheduledAt) {
+            const rules = await getSchedulingRules({
+                city: location.success ? location.addressSnapshot?.city : null,
+                categoryId: service?.categoryId,
+            });
+            const slotCheck = validateScheduledSlot(finalScheduledAt, rules);
+            if (!slotCheck.success) {
+                return res.status(slotCheck.statusCode).json({
+                    success: false,
+                    message: slotCheck.message,
+                    result: slotCheck.result,
+                });
+            }
+
+            // No saved address or coordinates yet: nothing to check capacity against
+            if (service && location.success) {
+                const slotStatus = await getSlotStatus({
+                    serviceId: itemId,
+                    address: { ...location.addressSnapshot, latitude: location.latitude, longitude: location.longitude },
+                    scheduledAt: finalScheduledAt,
+                });
+                if (slotStatus === SLOT_STATUS.FULL) {
+                    return res.status(409).json({
+                        success: false,
+                        message: SLOT_FULL_MESSAGE,
+                        result: { scheduledAt: finalScheduledAt, slotStatus },
+                        error: { code: "SLOT_FULL" },
+                    });
+                }
+            }
+        }
+
 
         const updateData = {};
         if (finalScheduledAt) updateData.scheduledAt = finalScheduledAt;
@@ -741,31 +783,11 @@ export const checkout = async (req, res) => {
         }
 
         // ─── Resolve Time ────────────────────────────────────────────────
-        const now = new Date();
-        const tomorrowStart = new Date(now);
-        tomorrowStart.setDate(tomorrowStart.getDate() + 1);
-        tomorrowStart.setHours(0, 0, 0, 0);
-
-        const dayAfterEnd = new Date(now);
-        dayAfterEnd.setDate(dayAfterEnd.getDate() + 2);
-        dayAfterEnd.setHours(23, 59, 59, 999);
-
         // Use scheduledAt if provided, otherwise null (Instant)
         const finalScheduledAt = scheduledAt ? new Date(scheduledAt) : null;
-
-        // 🛡️ PRODUCTION VALIDATION: Scheduled bookings must be Tomorrow or Day after Tomorrow
-        if (finalScheduledAt) {
-            if (finalScheduledAt < tomorrowStart || finalScheduledAt > dayAfterEnd) {
-                await session.abortTransaction();
-                return res.status(400).json({
-                    success: false,
-                    message: "Scheduled bookings are only allowed for Tomorrow or Day after Tomorrow",
-                    result: {
-                        tomorrow: tomorrowStart.toISOString().split("T")[0],
-                        dayAfter: dayAfterEnd.toISOString().split("T")[0]
-                    },
-                });
-            }
+        if (finalScheduledAt && isNaN(finalScheduledAt.getTime())) {
+            await session.abortTransaction();
+            return res.status(400).json({ success: false, message: "Invalid scheduledAt", result: {} });
         }
 
         // 🔁 Decision Logic: Address ID vs Current Location (Automated locationType)
@@ -849,17 +871,20 @@ export const checkout = async (req, res) => {
                     await Cart.findOneAndDelete({ _id: cartItem._id, customerId }).session(session);
                     removedItems.push({ id: cartItem.itemId, name: service?.serviceName || "Unknown Service", type: "service", reason: "not found or inactive" });
                 } else {
-                    // Check if schedule is in the past or invalid window
-                    if (cartItem.scheduledAt) {
-                        const itemScheduledAt = new Date(cartItem.scheduledAt);
-                        if (itemScheduledAt < tomorrowStart || itemScheduledAt > dayAfterEnd) {
+                    // Check the schedule against this city / category's window, hours and holidays
+                    const itemScheduledAt = cartItem.scheduledAt ? new Date(cartItem.scheduledAt) : finalScheduledAt;
+                    if (itemScheduledAt) {
+                        const rules = await getSchedulingRules({ city: addressSnapshot.city, categoryId: service.categoryId });
+                        const slotCheck = validateScheduledSlot(itemScheduledAt, rules);
+                        if (!slotCheck.success) {
                             invalidSchedules.push({
                                 id: cartItem.itemId,
                                 name: service.serviceName,
                                 currentSchedule: itemScheduledAt.toLocaleString("en-IN", {
                                     day: "2-digit", month: "short", year: "numeric",
                                     hour: "2-digit", minute: "2-digit", hour12: true
-                                })
+                                }),
+                                reason: slotCheck.message,
                             });
                         }
                     }
@@ -920,8 +945,13 @@ export const checkout = async (req, res) => {
         for (const cartItem of validServiceItems) {
             const service = await Service.findById(cartItem.itemId).session(session);
 
-            // Calculate amount (using fallback to 0 to avoid NaN)
-            const baseAmount = (service.serviceCost || 0) * cartItem.quantity;
+            // 🧮 Catalog price × quantity less discount, with GST and commission (visit charge only if priced after inspection)
+            const pricing = await priceServiceBooking({
+                service,
+                amount: getBookingBaseAmount(service, null),
+                quantity: cartItem.quantity,
+            });
+            const baseAmount = pricing.baseAmount;
 
             // ─── Detect scheduled vs instant per cart item ───────────────────
             let itemScheduledAt = cartItem.scheduledAt || finalScheduledAt || null;
@@ -949,7 +979,7 @@ export const checkout = async (req, res) => {
                 customerId,
                 serviceId: cartItem.itemId,
                 bookingType: itemBookingType === "scheduled" ? "schedule" : "instant",
-                baseAmount,
+                ...toBookingPricingFields(pricing),
                 address: addressSnapshot.addressLine,
                 addressId: resolvedLocation.addressId || null,
                 scheduledAt: itemScheduledAt,
@@ -1037,6 +1067,38 @@ export const checkout = async (req, res) => {
             bookingResults.totalAmount += (isNaN(finalAmount) ? 0 : finalAmount);
         }
 
+        // 💳 Apply customer credit (`useCredits: true` or `creditAmount: n`), services first.
+        // Bookings fully covered by credit are confirmed via POST /payment/order (no Razorpay order).
+        const requestedCredit = req.body?.creditAmount ?? req.body?.useCredits;
+        let creditBalance = requestedCredit ? await getCreditBalance(customerId, session) : 0;
+        let creditApplied = 0;
+
+        const payableEntries = [
+            ...bookingResults.serviceBookings.map((entry) => ({ entry, amount: entry.baseAmount, type: "service", Model: ServiceBooking })),
+            ...bookingResults.productBookings.map((entry) => ({ entry, amount: entry.finalAmount, type: "product", Model: ProductBooking })),
+        ];
+
+        for (const { entry, amount, type, Model } of payableEntries) {
+            const apply = resolveCreditToApply({
+                requested: requestedCredit === true ? true : Number(requestedCredit || 0) - creditApplied,
+                balance: creditBalance,
+                amountDue: amount,
+            });
+
+            if (apply > 0) {
+                await redeemCredits({ customerId, amount: apply, bookingId: entry.bookingId, bookingType: type, session });
+                await Model.updateOne({ _id: entry.bookingId }, { $set: { creditApplied: apply } }, { session });
+                creditBalance -= apply;
+                creditApplied += apply;
+            }
+
+            entry.creditApplied = apply;
+            entry.amountDue = Math.round((amount - apply) * 100) / 100;
+        }
+
+        bookingResults.creditApplied = Math.round(creditApplied * 100) / 100;
+        bookingResults.amountDue = Math.round((bookingResults.totalAmount - creditApplied) * 100) / 100;
+
         // Clear the cart only after all bookings are created successfully
         await Cart.deleteMany({ customerId }).session(session);
 
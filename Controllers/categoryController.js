@@ -1,9 +1,41 @@
 import Category from "../Schemas/Category.js";
+import Service from "../Schemas/Service.js";
 import mongoose from "mongoose";
+import { GST_RATES } from "../Utils/constants.js";
 
 // Escape regex special chars (for safe user-provided search)
 const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
+// 🧮 Optional GST settings: { hsnSac, gstRate, taxInclusive } (null gstRate = no GST, others = policy default)
+const readTaxFields = (body = {}) => {
+  const fields = {};
+
+  if (body.hsnSac !== undefined) {
+    const code = body.hsnSac === null || body.hsnSac === "" ? null : String(body.hsnSac).trim();
+    if (code !== null && !/^\d{4,8}$/.test(code)) {
+      return { error: "hsnSac must be a 4 to 8 digit HSN/SAC code" };
+    }
+    fields.hsnSac = code;
+  }
+
+  if (body.gstRate !== undefined) {
+    const rate = body.gstRate === null || body.gstRate === "" ? null : Number(body.gstRate);
+    if (rate !== null && !GST_RATES.includes(rate)) {
+      return { error: `gstRate must be one of: ${GST_RATES.join(", ")}` };
+    }
+    fields.gstRate = rate;
+  }
+
+  if (body.taxInclusive !== undefined) {
+    if (body.taxInclusive !== null && typeof body.taxInclusive !== "boolean") {
+      return { error: "taxInclusive must be true or false" };
+    }
+    fields.taxInclusive = body.taxInclusive;
+  }
+
+  return { fields };
+};
+
 /* ================= CREATE CATEGORY (NO IMAGE) ================= */
 export const serviceCategory = async (req, res) => {
   try {
@@ -27,6 +59,11 @@ export const serviceCategory = async (req, res) => {
       });
     }
 
+    const tax = readTaxFields(req.body);
+    if (tax.error) {
+      return res.status(400).json({ success: false, message: tax.error, result: {} });
+    }
+
 
     // Duplicate check (case-insensitive) - same name allowed for different types
     const existing = await Category.findOne({
@@ -54,6 +91,7 @@ export const serviceCategory = async (req, res) => {
       category,
       description,
       categoryType: normalizedType,
+      ...tax.fields,
     });
 
     return res.status(201).json({
@@ -279,6 +317,11 @@ export const updateCategory = async (req, res) => {
       }
     }
 
+    const tax = readTaxFields(req.body);
+    if (tax.error) {
+      return res.status(400).json({ success: false, message: tax.error, result: {} });
+    }
+
     // Duplicate check scoped by name + type - same name allowed for different types
     if (category) {
       const existing = await Category.findOne({
@@ -308,6 +351,7 @@ export const updateCategory = async (req, res) => {
       category,
       description,
       categoryType: normalizedType,
+      ...tax.fields,
     };
 
     // Update slug when name changes
@@ -326,6 +370,12 @@ export const updateCategory = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // 🧮 GST changed: re-run the pricing hook so listed service prices follow
+    if (Object.keys(tax.fields).length) {
+      const services = await Service.find({ categoryId: id });
+      for (const service of services) await service.save();
+    }
+
     return res.status(200).json({
       success: true,
       message: "Category updated successfully",
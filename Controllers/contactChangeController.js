@@ -0,0 +1,551 @@
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+
+import User from "../Schemas/User.js";
+import Otp from "../Schemas/Otp.js";
+import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import ContactChangeRequest from "../Schemas/ContactChangeRequest.js";
+import { deliverOtp, deliverNotice } from "../Utils/otpDelivery.js";
+import {
+  checkOtpSend,
+  recordOtpSend,
+  checkOtpVerify,
+  recordOtpVerifyFailure,
+  resetOtpVerifyFailures,
+} from "../Utils/otpThrottle.js";
+
+/* ======================================================
+  RESPONSE HELPERS (Consistent API shape)
+====================================================== */
+
+const ok = (res, status, message, result = {}) =>
+  res.status(status).json({
+    success: true,
+    message,
+    result,
+  });
+
+const fail = (res, status, message, code, details) =>
+  res.status(status).json({
+    success: false,
+    message,
+    result: {},
+    ...(code ? { error: { code, ...(details !== undefined ? { details } : {}) } } : {}),
+  });
+
+const failThrottled = (res, rejection) => {
+  res.set("Retry-After", String(rejection.retryAfterSeconds));
+  return fail(res, 429, rejection.message, rejection.code, {
+    retryAfterSeconds: rejection.retryAfterSeconds,
+  });
+};
+
+const changeError = (statusCode, message, code, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  err.details = details;
+  return err;
+};
+
+/* ======================================================
+  HELPERS
+====================================================== */
+
+const OTP_TTL_MS = 5 * 60 * 1000;
+const MAX_OTP_ATTEMPTS = 5;
+const PHONE_CHANNELS = ["sms", "whatsapp"];
+const OPEN_REQUEST_STATUSES = ["PendingOtp", "PendingApproval"];
+const CLOSED_BOOKING_STATUSES = ["completed", "cancelled", "expired"];
+
+const isValidMobile = (v) => /^[0-9]{10}$/.test(v);
+const isValidEmail = (v) => /^\S+@\S+\.\S+$/.test(v);
+
+const maskValue = (value) => {
+  if (!value) return null;
+  if (value.includes("@")) {
+    const [name, domain] = value.split("@");
+    return `${name.slice(0, 2)}***@${domain}`;
+  }
+  return `******${value.slice(-4)}`;
+};
+
+const generateOtp = () =>
+  Math.floor(1000 + Math.random() * 9000).toString();
+
+// The "old" factor is always the current mobile number (also for email changes)
+const getOldTarget = (user) => ({ identifier: user.mobileNumber, email: null, onlyChannels: PHONE_CHANNELS });
+
+const getNewTarget = (request) =>
+  request.type === "mobile"
+    ? { identifier: request.newValue, email: null, onlyChannels: PHONE_CHANNELS }
+    : { identifier: request.newValue, email: request.newValue, onlyChannels: ["email"] };
+
+/**
+ * Ensure the new mobile / email is free across all roles (mirrors signup)
+ * Deleted accounts still holding the value are anonymized to free it.
+ */
+const ensureContactAvailable = async (type, value, userId) => {
+  const filter = type === "mobile" ? { mobileNumber: value } : { email: value };
+  const holder = await User.findOne({ ...filter, _id: { $ne: userId } }).select("_id status role");
+  if (!holder) return;
+
+  if (holder.status === "Deleted") {
+    console.log(`♻️ Found zombie deleted user ${holder._id}. Anonymizing to free up ${value}...`);
+    const timestamp = Date.now();
+    await User.updateOne(
+      { _id: holder._id },
+      {
+        $set: {
+          mobileNumber: `deleted_${holder._id}_${timestamp}`,
+          email: `deleted_${holder._id}_${timestamp}@example.invalid`,
+        },
+      }
+    );
+    return;
+  }
+
+  if (type === "mobile") {
+    throw changeError(409, `Mobile number already registered as a ${holder.role}.`, "MOBILE_ALREADY_EXISTS", {
+      existingRole: holder.role,
+    });
+  }
+  throw changeError(409, "Email already registered to another account.", "EMAIL_ALREADY_EXISTS");
+};
+
+// Create + deliver one CHANGE_CONTACT OTP
+const issueChangeOtp = async (request, target) => {
+  const otp = generateOtp();
+  const otpDoc = await Otp.create({
+    identifier: target.identifier,
+    role: request.role,
+    purpose: "CHANGE_CONTACT",
+    otp: await bcrypt.hash(otp, 10),
+    expiresAt: Date.now() + OTP_TTL_MS,
+    changeRequestId: request._id,
+  });
+
+  await recordOtpSend(target.identifier);
+  return deliverOtp({
+    identifier: target.identifier,
+    email: target.email,
+    otp,
+    purpose: "CHANGE_CONTACT",
+    otpId: otpDoc._id,
+    onlyChannels: target.onlyChannels,
+  });
+};
+
+// Check one CHANGE_CONTACT OTP; returns null on success or a rejection object
+const checkChangeOtp = async (request, identifier, code) => {
+  const lock = await checkOtpVerify(identifier);
+  if (lock) return { throttled: lock };
+
+  const record = await Otp.findOne({
+    identifier,
+    purpose: "CHANGE_CONTACT",
+    changeRequestId: request._id,
+    verified: false,
+    expiresAt: { $gte: Date.now() },
+  }).sort({ createdAt: -1 });
+
+  if (!record) {
+    return { status: 400, message: "OTP expired, invalid, or already used", code: "OTP_INVALID_OR_EXPIRED" };
+  }
+  if (record.attempts >= MAX_OTP_ATTEMPTS) {
+    return { status: 429, message: "Too many attempts. Request new OTP.", code: "OTP_TOO_MANY_ATTEMPTS" };
+  }
+
+  const isMatch = await bcrypt.compare(String(code), record.otp);
+  if (!isMatch) {
+    await Otp.updateOne({ _id: record._id }, { $inc: { attempts: 1 } });
+    const lockRejection = await recordOtpVerifyFailure(identifier);
+    if (lockRejection) return { throttled: lockRejection };
+    const attemptsRemaining = Math.max(0, MAX_OTP_ATTEMPTS - (record.attempts + 1));
+    return {
+      status: 400,
+      message: `Invalid OTP. ${attemptsRemaining} attempts remaining`,
+      code: "OTP_INVALID",
+      details: { attemptsRemaining },
+    };
+  }
+
+  await Otp.updateOne({ _id: record._id }, { $set: { verified: true } });
+  await resetOtpVerifyFailures(identifier);
+  return null;
+};
+
+/**
+ * Apply a verified / approved change: user record, open booking snapshots,
+ * then notify the old contact.
+ */
+const applyContactChange = async (request, reviewer = null) => {
+  await ensureContactAvailable(request.type, request.newValue, request.userId);
+
+  const user = await User.findById(request.userId).select("role status mobileNumber email fname");
+  if (!user || user.status === "Deleted") {
+    throw changeError(404, "User not found", "USER_NOT_FOUND");
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const field = request.type === "mobile" ? "mobileNumber" : "email";
+      await User.updateOne({ _id: user._id }, { $set: { [field]: request.newValue } }, { session });
+
+      // 👨‍🔧 Customers see the technician's number on their open bookings
+      if (request.type === "mobile" && user.role === "Technician") {
+        const techProfile = await TechnicianProfile.findOne({ userId: user._id }).select("_id").session(session);
+        if (techProfile) {
+          await ServiceBooking.updateMany(
+            { technicianId: techProfile._id, status: { $nin: CLOSED_BOOKING_STATUSES } },
+            { $set: { "technicianSnapshot.mobile": request.newValue } },
+            { session }
+          );
+        }
+      }
+
+      request.status = "Completed";
+      request.completedAt = new Date();
+      if (reviewer) {
+        request.reviewedBy = reviewer.userId;
+        request.reviewedAt = new Date();
+        request.reviewNote = reviewer.note || null;
+      }
+      await request.save({ session });
+
+      await Otp.deleteMany({ changeRequestId: request._id }, { session });
+    });
+  } catch (err) {
+    if (err?.code === 11000) {
+      throw changeError(409, "This contact was just registered to another account.", "CONTACT_ALREADY_EXISTS");
+    }
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  // 📣 Security notice on the old contact (best effort)
+  const message =
+    request.type === "mobile"
+      ? `RightTouch: the mobile number on your account was changed to ${maskValue(request.newValue)}. If this wasn't you, contact support immediately.`
+      : `RightTouch: the email on your account was changed to ${maskValue(request.newValue)}. If this wasn't you, contact support immediately.`;
+
+  const noticeTarget =
+    request.type === "mobile"
+      ? { identifier: request.oldValue, email: user.email, onlyChannels: null }
+      : request.oldValue
+        ? { email: request.oldValue, onlyChannels: ["email"] }
+        : { identifier: user.mobileNumber, onlyChannels: PHONE_CHANNELS };
+
+  await deliverNotice({
+    ...noticeTarget,
+    subject: "Your RightTouch contact details changed",
+    message,
+    smsVariables: [request.type === "mobile" ? "mobile number" : "email", maskValue(request.newValue)],
+  }).catch((err) =>
+    console.error("Contact change notice failed:", err.message)
+  );
+
+  return request;
+};
+
+const serializeRequest = (request) => ({
+  requestId: request._id,
+  type: request.type,
+  oldValue: maskValue(request.oldValue),
+  newValue: request.newValue,
+  status: request.status,
+  oldVerified: request.oldVerified,
+  newVerified: request.newVerified,
+  oldContactLost: request.oldContactLost,
+  createdAt: request.createdAt,
+  completedAt: request.completedAt,
+});
+
+/* ======================================================
+  USER ENDPOINTS
+====================================================== */
+
+/**
+ * @desc    Start a mobile number / email change (OTP to old and new contact)
+ * @route   POST /api/user/me/contact-change
+ * @access  Private (Authenticated)
+ */
+export const requestContactChange = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const type = req.body.type || "mobile";
+    const newValue = req.body.newValue?.toString().trim().toLowerCase();
+    const oldContactLost = type === "mobile" && req.body.oldContactLost === true;
+    const reason = req.body.reason?.toString().trim() || null;
+
+    if (!["mobile", "email"].includes(type)) {
+      return fail(res, 400, "type must be 'mobile' or 'email'", "VALIDATION_ERROR");
+    }
+    if (type === "mobile" ? !isValidMobile(newValue || "") : !isValidEmail(newValue || "")) {
+      return fail(res, 400, type === "mobile" ? "Valid 10-digit mobile number required" : "Valid email required", "VALIDATION_ERROR");
+    }
+    if (oldContactLost && !reason) {
+      return fail(res, 400, "Reason is required when the old number is no longer available", "VALIDATION_ERROR", {
+        required: ["reason"],
+      });
+    }
+
+    const user = await User.findById(userId).select("role status mobileNumber email");
+    if (!user || user.status === "Deleted") {
+      return fail(res, 404, "User not found", "USER_NOT_FOUND");
+    }
+
+    const oldValue = type === "mobile" ? user.mobileNumber : user.email || null;
+    if (oldValue === newValue) {
+      return fail(res, 400, `This ${type === "mobile" ? "number" : "email"} is already on your account`, "SAME_CONTACT");
+    }
+
+    await ensureContactAvailable(type, newValue, userId);
+
+    const draft = { type, newValue };
+    const targets = [getNewTarget(draft)];
+    if (!oldContactLost) targets.push(getOldTarget(user));
+
+    for (const target of targets) {
+      const rejection = await checkOtpSend(target.identifier);
+      if (rejection) return failThrottled(res, rejection);
+    }
+
+    // Only one open request per user
+    const previous = await ContactChangeRequest.find({ userId, status: { $in: OPEN_REQUEST_STATUSES } }).select("_id");
+    if (previous.length > 0) {
+      const ids = previous.map((p) => p._id);
+      await ContactChangeRequest.updateMany({ _id: { $in: ids } }, { $set: { status: "Cancelled" } });
+      await Otp.deleteMany({ changeRequestId: { $in: ids } });
+    }
+
+    const request = await ContactChangeRequest.create({
+      userId,
+      role: user.role,
+      type,
+      oldValue,
+      newValue,
+      oldContactLost,
+      reason,
+    });
+
+    const newDelivery = await issueChangeOtp(request, targets[0]);
+    const oldDelivery = oldContactLost ? null : await issueChangeOtp(request, targets[1]);
+
+    if (!newDelivery.delivered || (oldDelivery && !oldDelivery.delivered)) {
+      request.status = "Cancelled";
+      await request.save();
+      return fail(res, 502, "Failed to send OTP. Please try again.", "OTP_DELIVERY_FAILED", {
+        newContact: newDelivery.attempts,
+        oldContact: oldDelivery?.attempts || [],
+      });
+    }
+
+    return ok(res, 200, "OTP sent to verify the change", {
+      ...serializeRequest(request),
+      otpSentTo: {
+        old: oldContactLost ? null : maskValue(targets[1].identifier),
+        new: maskValue(newValue),
+      },
+      requiresApproval: oldContactLost,
+      expiresInSeconds: OTP_TTL_MS / 1000,
+    });
+  } catch (err) {
+    if (err.statusCode) return fail(res, err.statusCode, err.message, err.code, err.details);
+    console.error("requestContactChange Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Verify contact change OTPs (old + new); applies the change when complete
+ * @route   POST /api/user/me/contact-change/verify
+ * @access  Private (Authenticated)
+ */
+export const verifyContactChange = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { requestId, oldOtp, newOtp } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return fail(res, 400, "Valid requestId required", "VALIDATION_ERROR");
+    }
+    if (!oldOtp && !newOtp) {
+      return fail(res, 400, "OTP required", "VALIDATION_ERROR", { required: ["newOtp", "oldOtp"] });
+    }
+
+    const request = await ContactChangeRequest.findOne({ _id: requestId, userId, status: "PendingOtp" });
+    if (!request) {
+      return fail(res, 404, "No pending contact change found", "CHANGE_REQUEST_NOT_FOUND");
+    }
+
+    const user = await User.findById(userId).select("mobileNumber");
+    const checks = [];
+    if (newOtp && !request.newVerified) checks.push(["newVerified", getNewTarget(request).identifier, newOtp]);
+    if (oldOtp && !request.oldVerified && !request.oldContactLost) {
+      checks.push(["oldVerified", getOldTarget(user).identifier, oldOtp]);
+    }
+
+    for (const [flag, identifier, code] of checks) {
+      const rejection = await checkChangeOtp(request, identifier, code);
+      if (rejection?.throttled) return failThrottled(res, rejection.throttled);
+      if (rejection) {
+        await request.save(); // keep progress of the other factor
+        return fail(res, rejection.status, rejection.message, rejection.code, {
+          ...(rejection.details || {}),
+          factor: flag === "newVerified" ? "new" : "old",
+        });
+      }
+      request[flag] = true;
+    }
+
+    const oldSatisfied = request.oldVerified || request.oldContactLost;
+    if (!request.newVerified || !oldSatisfied) {
+      await request.save();
+      return ok(res, 200, "OTP verified. Verify the remaining contact to finish.", serializeRequest(request));
+    }
+
+    // 🛟 Lost old number: wait for an admin
+    if (request.oldContactLost) {
+      request.status = "PendingApproval";
+      await request.save();
+      return ok(res, 202, "New contact verified. The change will be applied after support approval.", serializeRequest(request));
+    }
+
+    await applyContactChange(request);
+    return ok(res, 200, `${request.type === "mobile" ? "Mobile number" : "Email"} changed successfully`, serializeRequest(request));
+  } catch (err) {
+    if (err.statusCode) return fail(res, err.statusCode, err.message, err.code, err.details);
+    console.error("verifyContactChange Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    My open contact change request (if any)
+ * @route   GET /api/user/me/contact-change
+ * @access  Private (Authenticated)
+ */
+export const getMyContactChange = async (req, res) => {
+  try {
+    const request = await ContactChangeRequest.findOne({
+      userId: req.user.userId,
+      status: { $in: OPEN_REQUEST_STATUSES },
+    }).sort({ createdAt: -1 });
+
+    return ok(res, 200, "Contact change request fetched", request ? serializeRequest(request) : null);
+  } catch (err) {
+    console.error("getMyContactChange Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Cancel my open contact change request
+ * @route   DELETE /api/user/me/contact-change/:requestId
+ * @access  Private (Authenticated)
+ */
+export const cancelContactChange = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return fail(res, 400, "Invalid request ID", "VALIDATION_ERROR");
+    }
+
+    const request = await ContactChangeRequest.findOneAndUpdate(
+      { _id: requestId, userId: req.user.userId, status: { $in: OPEN_REQUEST_STATUSES } },
+      { $set: { status: "Cancelled" } },
+      { new: true }
+    );
+    if (!request) {
+      return fail(res, 404, "No pending contact change found", "CHANGE_REQUEST_NOT_FOUND");
+    }
+
+    await Otp.deleteMany({ changeRequestId: request._id });
+    return ok(res, 200, "Contact change cancelled", serializeRequest(request));
+  } catch (err) {
+    console.error("cancelContactChange Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/* ======================================================
+  ADMIN ENDPOINTS (lost old number escape hatch)
+====================================================== */
+
+/**
+ * @desc    List contact change requests (default: awaiting approval)
+ * @route   GET /api/user/contact-change-requests
+ * @access  Private (Staff with users.view)
+ */
+export const getContactChangeRequests = async (req, res) => {
+  try {
+    const status = req.query.status || "PendingApproval";
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const filter = status === "all" ? {} : { status };
+    const [items, total] = await Promise.all([
+      ContactChangeRequest.find(filter)
+        .populate("userId", "fname lname mobileNumber email role status")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ContactChangeRequest.countDocuments(filter),
+    ]);
+
+    return ok(res, 200, "Contact change requests fetched", {
+      items,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    console.error("getContactChangeRequests Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Approve / reject a change whose old number was lost
+ * @route   PUT /api/user/contact-change-requests/:requestId/review
+ * @access  Private (Staff with users.manage)
+ */
+export const reviewContactChange = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const { action, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return fail(res, 400, "Invalid request ID", "VALIDATION_ERROR");
+    }
+    if (!["approve", "reject"].includes(action)) {
+      return fail(res, 400, "action must be 'approve' or 'reject'", "VALIDATION_ERROR");
+    }
+
+    const request = await ContactChangeRequest.findOne({ _id: requestId, status: "PendingApproval" });
+    if (!request) {
+      return fail(res, 404, "No contact change awaiting approval", "CHANGE_REQUEST_NOT_FOUND");
+    }
+
+    if (action === "reject") {
+      request.status = "Rejected";
+      request.reviewedBy = req.user.userId;
+      request.reviewedAt = new Date();
+      request.reviewNote = note?.toString().trim() || null;
+      await request.save();
+      await Otp.deleteMany({ changeRequestId: request._id });
+      return ok(res, 200, "Contact change rejected", serializeRequest(request));
+    }
+
+    await applyContactChange(request, { userId: req.user.userId, note: note?.toString().trim() });
+    console.log(`🛠️ Contact change ${request._id} approved by ${req.user.userId}`);
+    return ok(res, 200, "Contact change approved and applied", serializeRequest(request));
+  } catch (err) {
+    if (err.statusCode) return fail(res, err.statusCode, err.message, err.code, err.details);
+    console.error("reviewContactChange Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
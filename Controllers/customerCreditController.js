@@ -0,0 +1,169 @@
+import mongoose from "mongoose";
+import User from "../Schemas/User.js";
+import CreditTransaction from "../Schemas/CreditTransaction.js";
+import { getCreditBalance, grantCustomerCredit } from "../Utils/customerCredit.js";
+
+/* ======================================================
+  RESPONSE HELPERS (Consistent API shape)
+====================================================== */
+
+const ok = (res, status, message, result = {}) =>
+  res.status(status).json({
+    success: true,
+    message,
+    result,
+  });
+
+const fail = (res, status, message, code) =>
+  res.status(status).json({
+    success: false,
+    message,
+    result: {},
+    ...(code ? { error: { code } } : {}),
+  });
+
+const isValidObjectId = mongoose.Types.ObjectId.isValid;
+
+const STAFF_CREDIT_SOURCES = ["goodwill", "refund", "adjustment"];
+
+// Balance, buckets expiring next and a page of the ledger
+const buildCreditStatement = async (customerId, query) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20));
+  const now = new Date();
+
+  const [balance, expiringSoon, items, total] = await Promise.all([
+    getCreditBalance(customerId),
+    CreditTransaction.find({
+      customerId,
+      type: "credit",
+      remaining: { $gt: 0 },
+      expiresAt: { $gt: now },
+    })
+      .select("remaining expiresAt source")
+      .sort({ expiresAt: 1 })
+      .limit(3)
+      .lean(),
+    CreditTransaction.find({ customerId })
+      .select("amount type source remaining expiresAt bookingId bookingType refundedAmount note createdAt")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    CreditTransaction.countDocuments({ customerId }),
+  ]);
+
+  return {
+    balance,
+    expiringSoon,
+    items,
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  };
+};
+
+/**
+ * @desc    My credit balance and history
+ * @route   GET /api/user/me/credits?page=&limit=
+ * @access  Private (Customer)
+ */
+export const getMyCredits = async (req, res) => {
+  try {
+    if (req.user.role !== "Customer") {
+      return fail(res, 403, "Customer access only", "FORBIDDEN");
+    }
+
+    const statement = await buildCreditStatement(req.user.userId, req.query);
+    return ok(res, 200, "Credits fetched", statement);
+  } catch (err) {
+    console.error("getMyCredits Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    A customer's credit balance and history
+ * @route   GET /api/admin/credits/:customerId?page=&limit=
+ * @access  Private (Staff with wallet.view)
+ */
+export const getCustomerCredits = async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    if (!isValidObjectId(customerId)) {
+      return fail(res, 400, "Invalid customer ID", "VALIDATION_ERROR");
+    }
+
+    const statement = await buildCreditStatement(customerId, req.query);
+    return ok(res, 200, "Credits fetched", statement);
+  } catch (err) {
+    console.error("getCustomerCredits Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Grant goodwill / refund / adjustment credit to a customer
+ * @route   POST /api/admin/credits/:customerId
+ * @body    { amount, source, note, expiresInDays?, bookingId? }
+ * @access  Private (Staff with wallet.adjust)
+ */
+export const grantCredit = async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const { amount, source = "goodwill", note, expiresInDays, bookingId } = req.body;
+
+    if (!isValidObjectId(customerId)) {
+      return fail(res, 400, "Invalid customer ID", "VALIDATION_ERROR");
+    }
+
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value <= 0) {
+      return fail(res, 400, "amount must be greater than 0", "VALIDATION_ERROR");
+    }
+
+    if (!STAFF_CREDIT_SOURCES.includes(source)) {
+      return fail(res, 400, `source must be one of: ${STAFF_CREDIT_SOURCES.join(", ")}`, "VALIDATION_ERROR");
+    }
+
+    if (!note || typeof note !== "string" || !note.trim()) {
+      return fail(res, 400, "note is required", "VALIDATION_ERROR");
+    }
+
+    if (bookingId && !isValidObjectId(bookingId)) {
+      return fail(res, 400, "Invalid booking ID", "VALIDATION_ERROR");
+    }
+
+    let expiresAt;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isFinite(days) || days <= 0) {
+        return fail(res, 400, "expiresInDays must be greater than 0", "VALIDATION_ERROR");
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const customer = await User.findOne({ _id: customerId, role: "Customer", status: { $ne: "Deleted" } })
+      .select("_id")
+      .lean();
+    if (!customer) {
+      return fail(res, 404, "Customer not found", "USER_NOT_FOUND");
+    }
+
+    const entry = await grantCustomerCredit({
+      customerId,
+      amount: value,
+      source,
+      expiresAt,
+      bookingId: bookingId || null,
+      note: note.trim(),
+      createdBy: req.user.userId,
+    });
+
+    return ok(res, 201, "Credit granted", {
+      credit: entry,
+      balance: await getCreditBalance(customerId),
+    });
+  } catch (err) {
+    console.error("grantCredit Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
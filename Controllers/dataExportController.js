@@ -0,0 +1,100 @@
+import DataExport from "../Schemas/DataExport.js";
+import {
+  getActiveDataExport,
+  startDataExport,
+  issueDownloadToken,
+  findExportByDownloadToken,
+} from "../Utils/dataExport.js";
+
+/* ======================================================
+  RESPONSE HELPERS (Consistent API shape)
+====================================================== */
+
+const ok = (res, status, message, result = {}) =>
+  res.status(status).json({
+    success: true,
+    message,
+    result,
+  });
+
+const fail = (res, status, message, code) =>
+  res.status(status).json({
+    success: false,
+    message,
+    result: {},
+    ...(code ? { error: { code } } : {}),
+  });
+
+const serializeJob = (job) => ({
+  exportId: job._id,
+  status: job.status,
+  requestedAt: job.createdAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+  sizeBytes: job.sizeBytes || 0,
+  fileName: job.fileName,
+  error: job.error || null,
+});
+
+/**
+ * @desc    Request / poll my personal data export
+ *          Starts a job when none is active; returns a fresh download link once ready.
+ * @route   GET /api/user/me/export
+ * @access  Private (Authenticated)
+ */
+export const exportMyData = async (req, res) => {
+  try {
+    const { userId, role } = req.user;
+
+    let job = await getActiveDataExport(userId);
+    if (!job) {
+      job = await startDataExport({ userId, role });
+      return ok(res, 202, "Data export started. Check back shortly to download it.", serializeJob(job));
+    }
+
+    if (job.status !== "ready") {
+      return ok(res, 202, "Data export is being prepared", serializeJob(job));
+    }
+
+    const { downloadToken, downloadTokenExpiresAt } = await issueDownloadToken(job);
+    return ok(res, 200, "Data export ready", {
+      ...serializeJob(job),
+      downloadUrl: `${req.baseUrl}/me/export/download?token=${downloadToken}`,
+      downloadToken,
+      downloadTokenExpiresAt,
+    });
+  } catch (err) {
+    console.error("exportMyData Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Download an export bundle (gzipped JSON)
+ * @route   GET /api/user/me/export/download?token=...
+ * @access  Public (expiring download token)
+ */
+export const downloadMyDataExport = async (req, res) => {
+  try {
+    const job = await findExportByDownloadToken(req.query.token);
+    if (!job || !job.bundle) {
+      return fail(res, 410, "Download link is invalid or has expired", "EXPORT_LINK_EXPIRED");
+    }
+
+    await DataExport.updateOne(
+      { _id: job._id },
+      { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } }
+    );
+
+    res.set({
+      "Content-Type": "application/gzip",
+      "Content-Disposition": `attachment; filename="${job.fileName}"`,
+      "Content-Length": String(job.bundle.length),
+      "Cache-Control": "no-store",
+    });
+    return res.status(200).send(job.bundle);
+  } catch (err) {
+    console.error("downloadMyDataExport Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
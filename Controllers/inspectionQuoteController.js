@@ -0,0 +1,159 @@
+import mongoose from "mongoose";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import {
+  submitInspectionQuote,
+  respondToInspectionQuote,
+  getCurrentQuote,
+} from "../Utils/inspectionQuote.js";
+
+/* ======================================================
+  RESPONSE HELPERS (Consistent API shape)
+====================================================== */
+
+const ok = (res, status, message, result = {}) =>
+  res.status(status).json({
+    success: true,
+    message,
+    result,
+  });
+
+const fail = (res, status, message, code, details) =>
+  res.status(status).json({
+    success: false,
+    message,
+    result: {},
+    ...(code ? { error: { code, ...(details ? { details } : {}) } } : {}),
+  });
+
+const isValidObjectId = mongoose.Types.ObjectId.isValid;
+
+/**
+ * @desc    Quote labour and parts after inspecting the appliance
+ * @route   POST /api/technician/jobs/:id/quote
+ * @body    { items: [{ type: "labour" | "part", description, quantity?, unitPrice, productId? }], note? }
+ * @access  Private (Assigned technician, booking reached / in_progress)
+ */
+export const submitQuote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { items, note } = req.body || {};
+
+    if (!isValidObjectId(id)) {
+      return fail(res, 400, "Invalid booking ID", "VALIDATION_ERROR");
+    }
+
+    const technicianProfileId = req.user?.technicianProfileId;
+    if (!technicianProfileId) {
+      return fail(res, 403, "Technician profile required", "FORBIDDEN");
+    }
+
+    const { booking, quote } = await submitInspectionQuote({
+      bookingId: id,
+      technicianProfileId,
+      items,
+      note,
+      io: req.io,
+    });
+
+    return ok(res, 201, "Quote sent to the customer for approval", {
+      bookingId: booking._id,
+      status: booking.status,
+      quote,
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return fail(res, err.statusCode, err.message, err.code, err.details);
+    }
+    console.error("submitQuote Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Current quote and earlier ones of a booking
+ * @route   GET /api/user/booking/:id/quote
+ * @access  Private (Customer, own booking)
+ */
+export const getBookingQuote = async (req, res) => {
+  try {
+    if (req.user.role !== "Customer") {
+      return fail(res, 403, "Customer access only", "FORBIDDEN");
+    }
+
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return fail(res, 400, "Invalid booking ID", "VALIDATION_ERROR");
+    }
+
+    const booking = await ServiceBooking.findOne({ _id: id, customerId: req.user.userId })
+      .select("status baseAmount creditApplied quotes")
+      .lean();
+    if (!booking) {
+      return fail(res, 404, "Booking not found", "BOOKING_NOT_FOUND");
+    }
+
+    return ok(res, 200, "Quote fetched", {
+      bookingId: booking._id,
+      status: booking.status,
+      baseAmount: booking.baseAmount,
+      quote: getCurrentQuote(booking),
+      history: booking.quotes.slice(0, -1),
+    });
+  } catch (err) {
+    console.error("getBookingQuote Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Approve or reject the technician's quote
+ * @route   PUT /api/user/booking/:id/quote
+ * @body    { action: "approve" | "reject", reason? }
+ * @access  Private (Customer, own booking)
+ */
+export const respondToQuote = async (req, res) => {
+  try {
+    if (req.user.role !== "Customer") {
+      return fail(res, 403, "Customer access only", "FORBIDDEN");
+    }
+
+    const { id } = req.params;
+    const { action, reason } = req.body || {};
+
+    if (!isValidObjectId(id)) {
+      return fail(res, 400, "Invalid booking ID", "VALIDATION_ERROR");
+    }
+    if (!["approve", "reject"].includes(action)) {
+      return fail(res, 400, "action must be approve or reject", "VALIDATION_ERROR");
+    }
+
+    const { booking, quote, amountDue } = await respondToInspectionQuote({
+      bookingId: id,
+      customerId: req.user.userId,
+      action,
+      reason,
+      io: req.io,
+    });
+
+    return ok(
+      res,
+      200,
+      action === "approve"
+        ? "Quote approved. Your technician will continue the job."
+        : `Quote rejected. The booking is closed and only the visit charge of ₹${booking.baseAmount} applies.`,
+      {
+        bookingId: booking._id,
+        status: booking.status,
+        baseAmount: booking.baseAmount,
+        amountDue,
+        quote,
+      }
+    );
+  } catch (err) {
+    if (err.statusCode) {
+      return fail(res, err.statusCode, err.message, err.code, err.details);
+    }
+    console.error("respondToQuote Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
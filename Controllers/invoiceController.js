@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import { issueInvoiceForBooking, getBookingInvoiceDocuments } from "../Utils/invoice.js";
+import { renderInvoiceHtml, renderInvoicePdf } from "../Utils/invoiceRender.js";
+import { hasPermission } from "../Middleware/Auth.js";
+import { PERMISSIONS } from "../Utils/permissions.js";
+
+/* ======================================================
+  RESPONSE HELPERS (Consistent API shape)
+====================================================== */
+
+const ok = (res, status, message, result = {}) =>
+  res.status(status).json({
+    success: true,
+    message,
+    result,
+  });
+
+const fail = (res, status, message, code, details) =>
+  res.status(status).json({
+    success: false,
+    message,
+    result: {},
+    ...(code ? { error: { code, ...(details ? { details } : {}) } } : {}),
+  });
+
+const isValidObjectId = mongoose.Types.ObjectId.isValid;
+
+const FORMATS = ["pdf", "html", "json"];
+
+const fileName = (doc) => `${doc.number.replace(/\//g, "-")}.pdf`;
+
+/**
+ * @desc    Tax invoice of a completed + paid booking (issued on first request), or one of its credit notes
+ * @route   GET /api/user/booking/:id/invoice?format=pdf|html|json&documentId=
+ * @access  Private (Customer, own booking; staff with payments.manage)
+ */
+export const getBookingInvoice = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = String(req.query.format || "pdf").toLowerCase();
+    const { documentId } = req.query;
+
+    if (!isValidObjectId(id)) {
+      return fail(res, 400, "Invalid booking ID", "VALIDATION_ERROR");
+    }
+    if (!FORMATS.includes(format)) {
+      return fail(res, 400, `format must be one of: ${FORMATS.join(", ")}`, "VALIDATION_ERROR");
+    }
+    if (documentId && !isValidObjectId(documentId)) {
+      return fail(res, 400, "Invalid document ID", "VALIDATION_ERROR");
+    }
+
+    const isStaff = req.user?.role !== "Customer" && (await hasPermission(req, PERMISSIONS.PAYMENTS_MANAGE));
+    if (req.user?.role !== "Customer" && !isStaff) {
+      return fail(res, 403, "Customer/Admin access only", "FORBIDDEN");
+    }
+
+    const booking = await ServiceBooking.findOne(isStaff ? { _id: id } : { _id: id, customerId: req.user.userId })
+      .select("_id")
+      .lean();
+    if (!booking) {
+      return fail(res, 404, "Booking not found", "BOOKING_NOT_FOUND");
+    }
+
+    const invoice = await issueInvoiceForBooking(booking._id);
+    const documents = await getBookingInvoiceDocuments(booking._id);
+    const doc = documentId ? documents.find((d) => String(d._id) === String(documentId)) : invoice;
+    if (!doc) {
+      return fail(res, 404, "Invoice document not found for this booking", "INVOICE_NOT_FOUND");
+    }
+
+    if (format === "json") {
+      return ok(res, 200, "Invoice fetched", {
+        document: doc,
+        creditNotes: documents
+          .filter((d) => d.type === "credit_note")
+          .map((d) => ({ _id: d._id, number: d.number, issuedAt: d.issuedAt, grandTotal: d.totals.grandTotal, reason: d.reason })),
+      });
+    }
+
+    if (format === "html") {
+      res.set("Content-Type", "text/html; charset=utf-8");
+      return res.status(200).send(renderInvoiceHtml(doc));
+    }
+
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `attachment; filename="${fileName(doc)}"`);
+    return res.status(200).send(await renderInvoicePdf(doc));
+  } catch (err) {
+    if (err.statusCode) {
+      return fail(res, err.statusCode, err.message, err.code, err.details);
+    }
+    console.error("getBookingInvoice Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
@@ -0,0 +1,119 @@
+import mongoose from "mongoose";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import { TERMINAL_BOOKING_STATUSES } from "../Utils/bookingStateMachine.js";
+import { overrideJobCode, JOB_CODE_STAGES, JOB_CODE_MAX_ATTEMPTS } from "../Utils/jobCodes.js";
+
+/* ======================================================
+  RESPONSE HELPERS (Consistent API shape)
+====================================================== */
+
+const ok = (res, status, message, result = {}) =>
+  res.status(status).json({
+    success: true,
+    message,
+    result,
+  });
+
+const fail = (res, status, message, code, details) =>
+  res.status(status).json({
+    success: false,
+    message,
+    result: {},
+    ...(code ? { error: { code, ...(details ? { details } : {}) } } : {}),
+  });
+
+const isValidObjectId = mongoose.Types.ObjectId.isValid;
+
+// What the customer sees for one stage
+const describeStage = (entry) =>
+  entry?.issuedAt
+    ? {
+        code: entry.verifiedAt ? null : entry.code,
+        verified: Boolean(entry.verifiedAt),
+        verifiedAt: entry.verifiedAt || null,
+        locked: !entry.verifiedAt && entry.attempts >= JOB_CODE_MAX_ATTEMPTS,
+      }
+    : null;
+
+/**
+ * @desc    Start / completion codes to read out to the technician
+ * @route   GET /api/user/booking/:id/job-codes
+ * @access  Private (Customer, own booking)
+ */
+export const getMyJobCodes = async (req, res) => {
+  try {
+    if (req.user.role !== "Customer") {
+      return fail(res, 403, "Customer access only", "FORBIDDEN");
+    }
+
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return fail(res, 400, "Invalid booking ID", "VALIDATION_ERROR");
+    }
+
+    const booking = await ServiceBooking.findOne({ _id: id, customerId: req.user.userId })
+      .select("status jobCodes +jobCodes.start.code +jobCodes.completion.code")
+      .lean();
+    if (!booking) {
+      return fail(res, 404, "Booking not found", "BOOKING_NOT_FOUND");
+    }
+
+    if (TERMINAL_BOOKING_STATUSES.includes(booking.status)) {
+      return ok(res, 200, "Booking is closed", { bookingId: booking._id, status: booking.status, start: null, completion: null });
+    }
+
+    return ok(res, 200, "Share these codes with your technician only when they are with you", {
+      bookingId: booking._id,
+      status: booking.status,
+      start: describeStage(booking.jobCodes?.start),
+      completion: describeStage(booking.jobCodes?.completion),
+    });
+  } catch (err) {
+    console.error("getMyJobCodes Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Mark a job code stage verified without the customer's code
+ * @route   POST /api/user/booking/:id/job-codes/override
+ * @body    { stage: "start" | "completion", reason }
+ * @access  Private (Staff with bookings.manage)
+ */
+export const overrideBookingJobCode = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { stage, reason } = req.body || {};
+
+    if (!isValidObjectId(id)) {
+      return fail(res, 400, "Invalid booking ID", "VALIDATION_ERROR");
+    }
+    if (!JOB_CODE_STAGES.includes(stage)) {
+      return fail(res, 400, `stage must be one of: ${JOB_CODE_STAGES.join(", ")}`, "VALIDATION_ERROR");
+    }
+    if (!reason || typeof reason !== "string" || !reason.trim()) {
+      return fail(res, 400, "reason is required", "VALIDATION_ERROR");
+    }
+
+    const entry = await overrideJobCode({
+      bookingId: id,
+      stage,
+      adminId: req.user.userId,
+      reason: reason.trim().slice(0, 500),
+    });
+
+    return ok(res, 200, `The ${stage} code was overridden. The technician can continue without it.`, {
+      bookingId: id,
+      stage,
+      verifiedAt: entry.verifiedAt,
+      verifiedBy: entry.verifiedBy,
+      override: entry.override,
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return fail(res, err.statusCode, err.message, err.code, err.details);
+    }
+    console.error("overrideBookingJobCode Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
@@ -0,0 +1,62 @@
+import LoginEvent from "../Schemas/LoginEvent.js";
+
+/* ======================================================
+  RESPONSE HELPERS (Consistent API shape)
+====================================================== */
+
+const ok = (res, status, message, result = {}) =>
+  res.status(status).json({
+    success: true,
+    message,
+    result,
+  });
+
+const fail = (res, status, message, code) =>
+  res.status(status).json({
+    success: false,
+    message,
+    result: {},
+    ...(code ? { error: { code } } : {}),
+  });
+
+const EVENTS = ["login_success", "login_failed", "otp_failed", "two_factor_failed"];
+
+const MY_LOGIN_FIELDS = "event method reason deviceName platform appVersion userAgent ip city country newDevice newCity alerts createdAt";
+
+/**
+ * @desc    My login history (successes and failed attempts)
+ * @route   GET /api/user/me/login-history?event=&page=&limit=
+ * @access  Private (Authenticated)
+ */
+export const getMyLoginHistory = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const filter = { userId: req.user.userId };
+
+    if (req.query.event) {
+      if (!EVENTS.includes(req.query.event)) {
+        return fail(res, 400, `event must be one of: ${EVENTS.join(", ")}`, "VALIDATION_ERROR");
+      }
+      filter.event = req.query.event;
+    }
+
+    const [items, total] = await Promise.all([
+      LoginEvent.find(filter)
+        .select(MY_LOGIN_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      LoginEvent.countDocuments(filter),
+    ]);
+
+    return ok(res, 200, "Login history fetched", {
+      items,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    console.error("getMyLoginHistory Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
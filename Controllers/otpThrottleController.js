@@ -0,0 +1,68 @@
+import { getOtpThrottleStatus, clearOtpThrottle } from "../Utils/otpThrottle.js";
+
+/* ======================================================
+  RESPONSE HELPERS (Consistent API shape)
+====================================================== */
+
+const ok = (res, status, message, result = {}) =>
+  res.status(status).json({
+    success: true,
+    message,
+    result,
+  });
+
+const fail = (res, status, message, code) =>
+  res.status(status).json({
+    success: false,
+    message,
+    result: {},
+    ...(code ? { error: { code } } : {}),
+  });
+
+const isValidMobile = (v) => /^[0-9]{10}$/.test(String(v || "").trim());
+
+/**
+ * @desc    View OTP throttle / lock state for a mobile number
+ * @route   GET /api/user/otp-lock/:identifier
+ * @access  Private (Staff with users.view)
+ */
+export const getOtpLock = async (req, res) => {
+  try {
+    const identifier = req.params.identifier?.trim();
+    if (!isValidMobile(identifier)) {
+      return fail(res, 400, "Valid 10-digit mobile number required", "VALIDATION_ERROR");
+    }
+
+    const status = await getOtpThrottleStatus(identifier);
+    return ok(res, 200, "OTP lock status fetched", status);
+  } catch (err) {
+    console.error("getOtpLock Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Clear OTP limits and lock for a mobile number (support override)
+ * @route   DELETE /api/user/otp-lock/:identifier
+ * @access  Private (Staff with users.manage)
+ */
+export const clearOtpLock = async (req, res) => {
+  try {
+    const identifier = req.params.identifier?.trim();
+    if (!isValidMobile(identifier)) {
+      return fail(res, 400, "Valid 10-digit mobile number required", "VALIDATION_ERROR");
+    }
+
+    const cleared = await clearOtpThrottle(identifier, req.user.userId);
+    if (!cleared) {
+      return fail(res, 404, "No OTP throttle found for this number", "OTP_THROTTLE_NOT_FOUND");
+    }
+
+    console.log(`🛠️ OTP lock cleared for ${identifier} by ${req.user.userId}`);
+    const status = await getOtpThrottleStatus(identifier);
+    return ok(res, 200, "OTP lock cleared", status);
+  } catch (err) {
+    console.error("clearOtpLock Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
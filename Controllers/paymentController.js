@@ -1,5 +1,4 @@
 import crypto from "node:crypto";
-import https from "node:https";
 import mongoose from "mongoose";
 
 import Payment from "../Schemas/Payment.js";
@@ -9,6 +8,17 @@ import Service from "../Schemas/Service.js";
 import ProductBooking from "../Schemas/ProductBooking.js";
 import Product from "../Schemas/Product.js";
 import { settleBookingEarningsIfEligible } from "../Utils/settlement.js";
+import { checkReferralMilestonesForBooking } from "../Utils/referral.js";
+import { getCreditBalance, redeemCredits, resolveCreditToApply } from "../Utils/customerCredit.js";
+import { isAwaitingQuoteApproval } from "../Utils/inspectionQuote.js";
+import { getPayableAmount } from "../Utils/spareParts.js";
+import { computeBookingSplit } from "../Utils/pricing.js";
+import { issueInvoiceSafely, recordProviderRefund } from "../Utils/invoice.js";
+import { razorpayRequest } from "../Utils/razorpay.js";
+import { billCancellationFeeDues, collectBilledCancellationFeesSafely } from "../Utils/cancellationFee.js";
+import { markCancellationRefundProcessed } from "../Utils/cancellationRefund.js";
+import { hasPermission } from "../Middleware/Auth.js";
+import { PERMISSIONS } from "../Utils/permissions.js";
 
 /* ================= HELPERS ================= */
 
@@ -23,11 +33,6 @@ const fail = (res, status, message, result = {}) =>
 
 export const retryPaymentSettlement = async (req, res) => {
   try {
-    // Only Admin or Owner can force retry
-    if (!["Admin", "Owner"].includes(req.user?.role)) {
-      return fail(res, 403, "Admin/Owner access only", {});
-    }
-
     const { bookingId } = req.body;
     if (!bookingId || !mongoose.Types.ObjectId.isValid(bookingId)) {
       return fail(res, 400, "Valid bookingId is required", {});
@@ -55,68 +60,10 @@ const toMoney = (v) => {
 const round2 = (n) =>
   Math.round((Number(n) + Number.EPSILON) * 100) / 100;
 
-/* ================= RAZORPAY REQUEST ================= */
-
-const razorpayRequest = async ({ method, path, body }) => {
-  const keyId = (process.env.RAZORPAY_KEY_ID || "").trim();
-  const keySecret = (process.env.RAZORPAY_KEY_SECRET || "").trim();
-
-  // 🔍 DEBUG (TEMPORARY)
-  console.log("RAZORPAY_KEY_ID:", keyId);
-  console.log("Backend Key (Verification):", process.env.RAZORPAY_KEY_ID);
-  console.log(
-    "RAZORPAY_KEY_SECRET:",
-    keySecret ? keySecret.slice(0, 6) + "****" : undefined
-  );
-
-  if (!keyId || !keySecret) {
-    const err = new Error("Razorpay keys not configured");
-    err.statusCode = 500;
-    throw err;
-  }
-
-  const payload = body ? JSON.stringify(body) : "";
-
-  const options = {
-    hostname: "api.razorpay.com",
-    path,
-    method,
-    headers: {
-      "Content-Type": "application/json",
-      "Content-Length": Buffer.byteLength(payload),
-      Authorization:
-        "Basic " +
-        Buffer.from(`${keyId}:${keySecret}`).toString("base64"),
-    },
-  };
-
-  return new Promise((resolve, reject) => {
-    const req = https.request(options, (resp) => {
-      let data = "";
-      resp.on("data", (c) => (data += c));
-      resp.on("end", () => {
-        const json = data ? JSON.parse(data) : {};
-        if (resp.statusCode >= 200 && resp.statusCode < 300) {
-          return resolve(json);
-        }
-        const err = new Error(
-          json?.error?.description || "Razorpay request failed"
-        );
-        err.statusCode = resp.statusCode;
-        err.details = json;
-        reject(err);
-      });
-    });
-    req.on("error", reject);
-    if (payload) req.write(payload);
-    req.end();
-  });
-};
-
 /* ================= COMMISSION SPLIT ================= */
 
+// 🧮 GST comes off the top; commission is on the taxable value (Utils/pricing.js)
 const computeSplitFromBooking = ({ booking, service }) => {
-  const totalAmount = round2(toMoney(booking?.baseAmount) ?? 0);
   const bookingCommissionPercentage = toMoney(booking?.commissionPercentage);
   const serviceCommissionPercentage = toMoney(service?.commissionPercentage);
   const hasBookingCommissionPercentage =
@@ -128,24 +75,21 @@ const computeSplitFromBooking = ({ booking, service }) => {
       ? serviceCommissionPercentage
       : 0;
 
-  const commissionAmountFromBooking = toMoney(booking?.commissionAmount);
-  const hasBookingCommissionAmount =
-    commissionAmountFromBooking != null && commissionAmountFromBooking > 0;
-  let commissionAmount =
-    hasBookingCommissionAmount
-      ? round2(commissionAmountFromBooking)
-      : round2((totalAmount * commissionPercentage) / 100);
-
-  if (commissionAmount < 0) commissionAmount = 0;
-  if (commissionAmount > totalAmount) commissionAmount = totalAmount;
-
-  const technicianAmount = round2(Math.max(totalAmount - commissionAmount, 0));
+  const breakdown = computeBookingSplit(booking, { commissionPercentage });
+  // 💸 Earlier cancellation fees are collected on top, outside the service split
+  const cancellationFeeAmount = round2(toMoney(booking?.cancellationFeeDue) ?? 0);
 
   return {
     commissionPercentage,
-    totalAmount,
-    commissionAmount,
-    technicianAmount,
+    totalAmount: round2(breakdown.totalAmount + cancellationFeeAmount),
+    cancellationFeeAmount,
+    taxableAmount: breakdown.taxableValue,
+    taxAmount: breakdown.taxAmount,
+    gstRate: breakdown.gstRate,
+    hsnSac: breakdown.hsnSac,
+    commissionAmount: breakdown.commissionAmount,
+    partsCommissionAmount: breakdown.partsCommissionAmount,
+    technicianAmount: breakdown.technicianAmount,
   };
 };
 
@@ -155,7 +99,7 @@ const computeSplitFromBooking = ({ booking, service }) => {
 
 export const createPaymentOrder = async (req, res) => {
   try {
-    const isPrivileged = ["Admin", "Owner"].includes(req.user?.role);
+    const isPrivileged = await hasPermission(req, PERMISSIONS.PAYMENTS_MANAGE);
     if (req.user?.role !== "Customer" && !isPrivileged) {
       return fail(res, 403, "Customer/Admin access only");
     }
@@ -205,7 +149,9 @@ export const createPaymentOrder = async (req, res) => {
         "completed",
         "pending",
       ];
-      if (!allowed.includes(booking.status)) {
+      // 🧾 Visit charge of a booking closed by rejecting the inspection quote
+      const visitChargeDue = booking.status === "cancelled" && booking.cancelReason === "quote_rejected";
+      if (!allowed.includes(booking.status) && !visitChargeDue) {
         return fail(
           res,
           400,
@@ -220,12 +166,18 @@ export const createPaymentOrder = async (req, res) => {
     if (itemType === "service") {
       const service = await Service.findById(booking.serviceId);
       if (!service) return fail(res, 404, "Service not found");
-      payableAmount = toMoney(booking.baseAmount);
+      if (isAwaitingQuoteApproval(booking, service)) {
+        return fail(res, 400, "This service is priced after inspection. Payment opens once you approve the technician's quote.");
+      }
+      await billCancellationFeeDues(booking);
+      payableAmount = getPayableAmount(booking);
       split = computeSplitFromBooking({ booking, service });
     } else {
       payableAmount = toMoney(booking.amount);
       split = {
         totalAmount: payableAmount,
+        taxAmount: 0,
+        cancellationFeeAmount: 0,
         commissionAmount: 0, // Product commission logic could be added here
         technicianAmount: 0,
         commissionPercentage: 0,
@@ -235,6 +187,40 @@ export const createPaymentOrder = async (req, res) => {
       return fail(res, 400, "Minimum payment amount is ₹1");
     }
 
+    // 💳 Customer credit: `useCredits: true` (max) or `creditAmount: n`, on top of any applied at checkout
+    const requestedCredit = req.body.creditAmount ?? req.body.useCredits;
+    if (requestedCredit && req.user?.role === "Customer") {
+      const amountDue = round2(split.totalAmount - (booking.creditApplied || 0));
+      const balance = await getCreditBalance(booking.customerId);
+      const creditToApply = resolveCreditToApply({ requested: requestedCredit, balance, amountDue });
+
+      if (creditToApply > 0) {
+        const BookingModel = itemType === "service" ? ServiceBooking : ProductBooking;
+        const creditSession = await mongoose.startSession();
+        try {
+          await creditSession.withTransaction(async () => {
+            await redeemCredits({
+              customerId: booking.customerId,
+              amount: creditToApply,
+              bookingId: booking._id,
+              bookingType: itemType,
+              session: creditSession,
+            });
+            await BookingModel.updateOne(
+              { _id: booking._id },
+              { $inc: { creditApplied: creditToApply } },
+              { session: creditSession }
+            );
+          });
+        } finally {
+          creditSession.endSession();
+        }
+        booking.creditApplied = round2((booking.creditApplied || 0) + creditToApply);
+      }
+    }
+
+    const creditAmount = Math.min(round2(booking.creditApplied || 0), split.totalAmount);
+    const chargeAmount = round2(split.totalAmount - creditAmount);
 
     let payment = await Payment.findOne({ bookingId });
     if (!payment) {
@@ -242,8 +228,12 @@ export const createPaymentOrder = async (req, res) => {
         bookingId,
         baseAmount: split.totalAmount,
         totalAmount: split.totalAmount,
+        taxAmount: split.taxAmount,
+        cancellationFeeAmount: split.cancellationFeeAmount,
         commissionAmount: split.commissionAmount,
         technicianAmount: split.technicianAmount,
+        creditAmount,
+        chargedAmount: chargeAmount,
         provider: "razorpay",
         paymentMode: "online",
         currency: "INR",
@@ -254,8 +244,12 @@ export const createPaymentOrder = async (req, res) => {
       // generates a fresh Order ID that matches the new key immediately.
       payment.baseAmount = split.totalAmount;
       payment.totalAmount = split.totalAmount;
+      payment.taxAmount = split.taxAmount;
+      payment.cancellationFeeAmount = split.cancellationFeeAmount;
       payment.commissionAmount = split.commissionAmount;
       payment.technicianAmount = split.technicianAmount;
+      payment.creditAmount = creditAmount;
+      payment.chargedAmount = chargeAmount;
       payment.providerOrderId = null; // Force fresh order creation
       await payment.save();
     }
@@ -265,10 +259,45 @@ export const createPaymentOrder = async (req, res) => {
     booking.commissionPercentage = split.commissionPercentage;
     booking.commissionAmount = split.commissionAmount;
     booking.technicianAmount = split.technicianAmount;
+    if (itemType === "service") {
+      booking.gstRate = split.gstRate;
+      booking.hsnSac = split.hsnSac;
+      booking.taxableAmount = split.taxableAmount;
+      booking.taxAmount = split.taxAmount;
+      booking.partsCommissionAmount = split.partsCommissionAmount;
+    }
+
+    // ✅ Fully covered by credit: no Razorpay order, booking is paid now
+    if (chargeAmount <= 0) {
+      payment.provider = "credits";
+      payment.status = "success";
+      payment.verifiedAt = new Date();
+      await payment.save();
+
+      booking.paymentProvider = "credits";
+      booking.paymentStatus = "paid";
+      booking.paidAmount = split.totalAmount;
+      await booking.save();
+
+      if (itemType === "service") {
+        await settleBookingEarningsIfEligible(booking._id);
+        await checkReferralMilestonesForBooking(booking._id);
+        await issueInvoiceSafely(booking._id);
+        await collectBilledCancellationFeesSafely(booking._id);
+      }
+
+      return ok(res, 200, "Paid with credits", {
+        paidWithCredits: true,
+        amount: 0,
+        creditApplied: creditAmount,
+        totalAmount: split.totalAmount,
+        currency: payment.currency,
+      });
+    }
 
     if (!payment.providerOrderId) {
       console.log("[Razorpay Order Request] Sending payload:", {
-        amount: Math.round(split.totalAmount * 100),
+        amount: Math.round(chargeAmount * 100),
         currency: "INR",
         receipt: `booking_${bookingId}`,
       });
@@ -277,7 +306,7 @@ export const createPaymentOrder = async (req, res) => {
         method: "POST",
         path: "/v1/orders",
         body: {
-          amount: Math.round(split.totalAmount * 100),
+          amount: Math.round(chargeAmount * 100),
           currency: "INR",
           receipt: `booking_${bookingId}`,
           payment_capture: true,
@@ -302,7 +331,10 @@ export const createPaymentOrder = async (req, res) => {
     const finalResponse = {
       keyId: (process.env.RAZORPAY_KEY_ID || "").trim(),
       orderId: payment.providerOrderId,
-      amount: payment.totalAmount,
+      amount: payment.chargedAmount ?? payment.totalAmount,
+      creditApplied: payment.creditAmount || 0,
+      cancellationFeeIncluded: payment.cancellationFeeAmount || 0,
+      totalAmount: payment.totalAmount,
       currency: payment.currency,
     };
 
@@ -321,7 +353,7 @@ export const createPaymentOrder = async (req, res) => {
 
 export const verifyPayment = async (req, res) => {
   try {
-    const isPrivileged = ["Admin", "Owner"].includes(req.user?.role);
+    const isPrivileged = await hasPermission(req, PERMISSIONS.PAYMENTS_MANAGE);
     if (req.user?.role !== "Customer" && !isPrivileged) {
       return fail(res, 403, "Customer/Admin access only");
     }
@@ -393,6 +425,13 @@ export const verifyPayment = async (req, res) => {
     });
     session.endSession();
 
+    // 🤝 Completed + paid may unlock a referral reward
+    await checkReferralMilestonesForBooking(bookingId);
+    // 🧾 ... and is invoiced
+    await issueInvoiceSafely(bookingId);
+    // 💸 ... and settles the cancellation fees billed on it
+    await collectBilledCancellationFeesSafely(bookingId);
+
     console.log(`[Payment Verified] Booking: ${bookingId}, Order: ${razorpay_order_id}, Payment: ${razorpay_payment_id}`);
     return ok(res, 200, "Payment verified successfully");
   } catch (err) {
@@ -401,7 +440,7 @@ export const verifyPayment = async (req, res) => {
 };
 
 /* =====================================================
-   3️⃣ WEBHOOK (AUDIT ONLY)
+   3️⃣ WEBHOOK (AUDIT + REFUND CREDIT NOTES / CANCELLATION REFUNDS)
 ===================================================== */
 
 export const razorpayWebhook = async (req, res) => {
@@ -430,6 +469,24 @@ export const razorpayWebhook = async (req, res) => {
       payload: event,
     });
 
+    // 🧾 Refund of an invoiced booking: issue a credit note against its invoice
+    if (event.event === "refund.processed") {
+      const refund = event.payload?.refund?.entity;
+      if (refund?.id && refund.payment_id) {
+        try {
+          await markCancellationRefundProcessed(refund.id);
+          await recordProviderRefund({
+            providerPaymentId: refund.payment_id,
+            refundId: refund.id,
+            amount: (Number(refund.amount) || 0) / 100,
+            reason: refund.notes?.reason || `Refund ${refund.id}`,
+          });
+        } catch (e) {
+          console.error(`❌ Credit note for refund ${refund.id} failed:`, e.message);
+        }
+      }
+    }
+
     return ok(res, 200, "Webhook received");
   } catch (err) {
     return fail(res, 500, err.message);
@@ -479,6 +536,9 @@ export const updatePaymentStatus = async (req, res) => {
         { paymentStatus: "paid" }
       );
       await settleBookingEarningsIfEligible(payment.bookingId);
+      await checkReferralMilestonesForBooking(payment.bookingId);
+      await issueInvoiceSafely(payment.bookingId);
+      await collectBilledCancellationFeesSafely(payment.bookingId);
     }
 
     res.json({
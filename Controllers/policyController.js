@@ -0,0 +1,146 @@
+import PolicyDocument from "../Schemas/PolicyDocument.js";
+import PolicyAcceptance from "../Schemas/PolicyAcceptance.js";
+import {
+  POLICY_TYPES,
+  getCurrentPolicies,
+  invalidatePolicyCache,
+} from "../Utils/policyRegistry.js";
+
+/* ======================================================
+  RESPONSE HELPERS (Consistent API shape)
+====================================================== */
+
+const ok = (res, status, message, result = {}) =>
+  res.status(status).json({
+    success: true,
+    message,
+    result,
+  });
+
+const fail = (res, status, message, code) =>
+  res.status(status).json({
+    success: false,
+    message,
+    result: {},
+    ...(code ? { error: { code } } : {}),
+  });
+
+/**
+ * @desc    Current Terms & Privacy documents
+ * @route   GET /api/user/policies/current
+ * @access  Public
+ */
+export const getCurrentPolicyDocuments = async (req, res) => {
+  try {
+    const policies = await getCurrentPolicies();
+    return ok(res, 200, "Current policies fetched", {
+      terms: policies.terms.current,
+      privacy: policies.privacy.current,
+    });
+  } catch (err) {
+    console.error("getCurrentPolicyDocuments Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    My consent status (pending re-consent + acceptance history)
+ * @route   GET /api/user/me/policies
+ * @access  Private (Authenticated)
+ */
+export const getMyPolicyStatus = async (req, res) => {
+  try {
+    const history = await PolicyAcceptance.find({ userId: req.user.userId })
+      .select("type version acceptedAt")
+      .sort({ acceptedAt: -1 })
+      .limit(50)
+      .lean();
+
+    const pendingPolicies = req.user.pendingPolicies || [];
+    return ok(res, 200, "Policy status fetched", {
+      termsUpdateRequired: pendingPolicies.length > 0,
+      pendingPolicies,
+      history,
+    });
+  } catch (err) {
+    console.error("getMyPolicyStatus Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Publish a new Terms / Privacy version
+ * @route   POST /api/user/policies
+ * @access  Private (Staff with policies.manage)
+ */
+export const publishPolicy = async (req, res) => {
+  try {
+    const { type, title, url, summary, effectiveAt, mandatory } = req.body;
+
+    if (!POLICY_TYPES.includes(type)) {
+      return fail(res, 400, `type must be one of: ${POLICY_TYPES.join(", ")}`, "VALIDATION_ERROR");
+    }
+    if (!title || typeof title !== "string") {
+      return fail(res, 400, "title is required", "VALIDATION_ERROR");
+    }
+
+    const effectiveDate = effectiveAt ? new Date(effectiveAt) : new Date();
+    if (isNaN(effectiveDate.getTime())) {
+      return fail(res, 400, "Invalid effectiveAt date", "VALIDATION_ERROR");
+    }
+
+    const latest = await PolicyDocument.findOne({ type }).sort({ version: -1 }).select("version").lean();
+
+    const doc = await PolicyDocument.create({
+      type,
+      version: (latest?.version || 0) + 1,
+      title: title.trim(),
+      url: url || null,
+      summary: summary || null,
+      effectiveAt: effectiveDate,
+      mandatory: mandatory !== false,
+      publishedBy: req.user.userId,
+    });
+
+    invalidatePolicyCache();
+
+    return ok(res, 201, `${type === "terms" ? "Terms" : "Privacy Policy"} v${doc.version} published`, doc);
+  } catch (err) {
+    if (err?.code === 11000) {
+      return fail(res, 409, "Version already exists, please retry", "POLICY_VERSION_CONFLICT");
+    }
+    console.error("publishPolicy Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    All published versions with acceptance counts
+ * @route   GET /api/user/policies
+ * @access  Private (Staff with policies.manage)
+ */
+export const getPolicyDocuments = async (req, res) => {
+  try {
+    const filter = POLICY_TYPES.includes(req.query.type) ? { type: req.query.type } : {};
+
+    const [documents, counts] = await Promise.all([
+      PolicyDocument.find(filter).sort({ type: 1, version: -1 }).lean(),
+      PolicyAcceptance.aggregate([
+        { $match: filter },
+        { $group: { _id: { type: "$type", version: "$version", userId: "$userId" } } },
+        { $group: { _id: { type: "$_id.type", version: "$_id.version" }, acceptedCount: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const countMap = new Map(counts.map((c) => [`${c._id.type}:${c._id.version}`, c.acceptedCount]));
+    const result = documents.map((d) => ({
+      ...d,
+      acceptedCount: countMap.get(`${d.type}:${d.version}`) || 0,
+    }));
+
+    return ok(res, 200, "Policy documents fetched", result);
+  } catch (err) {
+    console.error("getPolicyDocuments Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
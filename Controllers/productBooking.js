@@ -1,6 +1,9 @@
 import mongoose from "mongoose";
 import ProductBooking from "../Schemas/ProductBooking.js";
 import Product from "../Schemas/Product.js";
+import { hasPermission } from "../Middleware/Auth.js";
+import { PERMISSIONS } from "../Utils/permissions.js";
+import { refundBookingCreditsSafely } from "../Utils/customerCredit.js";
 
 const PAYMENT_STATUSES = ["pending", "paid", "refunded", "completed"];
 const BOOKING_STATUSES = ["active", "completed", "cancelled"];
@@ -49,6 +52,15 @@ export const productBooking = async (req, res) => {
       return res.status(404).json({ success: false, message: "Product not found or inactive", result: {} });
     }
 
+    // 🧾 No client-set price: the technician quotes it as a part on the service job
+    if (product.pricingModel === "after_inspection") {
+      return res.status(400).json({
+        success: false,
+        message: "This product is priced after inspection. Your technician adds it to the job quote.",
+        result: {},
+      });
+    }
+
     const amountNum = toNumber(amount);
     const quantityNum = toNumber(quantity);
 
@@ -90,11 +102,11 @@ export const productBooking = async (req, res) => {
 
 export const getAllProductBooking = async (req, res) => {
   try {
-    const role = req.user?.role?.toLowerCase();
+    const isStaff = await hasPermission(req, PERMISSIONS.BOOKINGS_VIEW);
     const { status } = req.query;
 
     let filter = {};
-    if (role !== "admin") {
+    if (!isStaff) {
       filter.customerId = req.user.userId;
     }
 
@@ -240,6 +252,9 @@ export const productBookingCancel = async (req, res) => {
       });
     }
 
+    // 💳 Credit applied to this order goes back to the customer's ledger
+    await refundBookingCreditsSafely(cancelBooking._id, "Order cancelled");
+
     res.status(200).json({
       success: true,
       message: "Your booking has been cancelled successfully",
@@ -0,0 +1,39 @@
+import { getReferralSummary } from "../Utils/referral.js";
+
+/* ======================================================
+  RESPONSE HELPERS (Consistent API shape)
+====================================================== */
+
+const ok = (res, status, message, result = {}) =>
+  res.status(status).json({
+    success: true,
+    message,
+    result,
+  });
+
+const fail = (res, status, message, code) =>
+  res.status(status).json({
+    success: false,
+    message,
+    result: {},
+    ...(code ? { error: { code } } : {}),
+  });
+
+/**
+ * @desc    My referral code, reward terms and invited users
+ * @route   GET /api/user/me/referral
+ * @access  Private (Customer / Technician)
+ */
+export const getMyReferral = async (req, res) => {
+  try {
+    if (!["Customer", "Technician"].includes(req.user.role)) {
+      return fail(res, 403, "Referral program is available to customers and technicians only", "REFERRAL_NOT_AVAILABLE");
+    }
+
+    const summary = await getReferralSummary(req.user.userId);
+    return ok(res, 200, "Referral details fetched", summary);
+  } catch (err) {
+    console.error("getMyReferral Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
@@ -0,0 +1,110 @@
+import {
+  getSchedulingConfig,
+  getSchedulingRules,
+  updateSchedulingConfig,
+  addHoliday,
+  removeHoliday,
+} from "../Utils/schedulingConfig.js";
+import { getScheduleDays } from "../Utils/bookingSlots.js";
+
+/* ======================================================
+  RESPONSE HELPERS (Consistent API shape)
+====================================================== */
+
+const ok = (res, status, message, result = {}) =>
+  res.status(status).json({
+    success: true,
+    message,
+    result,
+  });
+
+const fail = (res, status, message, code) =>
+  res.status(status).json({
+    success: false,
+    message,
+    result: {},
+    ...(code ? { error: { code } } : {}),
+  });
+
+/**
+ * @desc    Scheduling configuration, plus the days it opens for a city / category
+ * @route   GET /api/user/scheduling/config?[city=][&categoryId=]
+ * @access  Private (Staff with scheduling.manage)
+ */
+export const getSchedulingConfiguration = async (req, res) => {
+  try {
+    const { city, categoryId } = req.query;
+    const config = await getSchedulingConfig();
+    const rules = await getSchedulingRules({ city, categoryId });
+
+    return ok(res, 200, "Scheduling configuration fetched", {
+      config,
+      preview: {
+        city: city || null,
+        categoryId: categoryId || null,
+        rules,
+        days: getScheduleDays(rules),
+      },
+    });
+  } catch (err) {
+    console.error("getSchedulingConfiguration Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Update the booking window / business hours and replace the overrides
+ * @route   PUT /api/user/scheduling/config
+ * @body    { startOffsetDays?, horizonDays?, minLeadMinutes?, openTime?, closeTime?,
+ *            slotIntervalMinutes?, closedWeekdays?, overrides? }
+ * @access  Private (Staff with scheduling.manage)
+ */
+export const updateSchedulingConfiguration = async (req, res) => {
+  try {
+    const config = await updateSchedulingConfig(req.body || {}, req.user.userId);
+    return ok(res, 200, "Scheduling configuration updated", config);
+  } catch (err) {
+    if (err.statusCode) {
+      return fail(res, err.statusCode, err.message, err.code);
+    }
+    console.error("updateSchedulingConfiguration Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Add a holiday (no scheduled bookings that day)
+ * @route   POST /api/user/scheduling/holidays
+ * @body    { date: "YYYY-MM-DD", name, cities?: [String] }
+ * @access  Private (Staff with scheduling.manage)
+ */
+export const createHoliday = async (req, res) => {
+  try {
+    const config = await addHoliday(req.body || {}, req.user.userId);
+    return ok(res, 201, "Holiday added", { holidays: config.holidays });
+  } catch (err) {
+    if (err.statusCode) {
+      return fail(res, err.statusCode, err.message, err.code);
+    }
+    console.error("createHoliday Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Remove a holiday
+ * @route   DELETE /api/user/scheduling/holidays/:holidayId
+ * @access  Private (Staff with scheduling.manage)
+ */
+export const deleteHoliday = async (req, res) => {
+  try {
+    const config = await removeHoliday(req.params.holidayId, req.user.userId);
+    return ok(res, 200, "Holiday removed", { holidays: config.holidays });
+  } catch (err) {
+    if (err.statusCode) {
+      return fail(res, err.statusCode, err.message, err.code);
+    }
+    console.error("deleteHoliday Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
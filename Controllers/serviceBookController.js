@@ -9,14 +9,32 @@ import { broadcastJobToTechnicians } from "../Utils/sendNotification.js";
 import { broadcastPendingJobsToTechnician, findEligibleTechniciansForService } from "../Utils/technicianMatching.js";
 import { findNearbyTechnicians } from "../Utils/findNearbyTechnicians.js";
 import { settleBookingEarningsIfEligible } from "../Utils/settlement.js";
+import { checkReferralMilestonesForBooking } from "../Utils/referral.js";
+import { issueInvoiceSafely } from "../Utils/invoice.js";
+import { refundBookingCreditsSafely } from "../Utils/customerCredit.js";
+import { transitionBooking, canTransition } from "../Utils/bookingStateMachine.js";
+import { verifyJobCode, JOB_CODE_STAGE_BY_STATUS } from "../Utils/jobCodes.js";
+import { getBookingBaseAmount } from "../Utils/inspectionQuote.js";
 import { matchAndBroadcastBooking } from "../Utils/technicianMatching.js";
 import { resolveUserLocation } from "../Utils/resolveUserLocation.js";
-
-const toNumber = value => {
-  const num = Number(value);
-  return Number.isNaN(num) ? NaN : num;
-};
-
+import {
+  parseScheduledSlot,
+  validateScheduledSlot,
+  getSearchExpiry,
+  getScheduleDays,
+  getTimeSlots,
+  getSlotAvailability,
+  getSlotStatus,
+  SLOT_STATUS,
+  SLOT_FULL_MESSAGE,
+} from "../Utils/bookingSlots.js";
+import { requestBookingReschedule, respondToReschedule } from "../Utils/bookingReschedule.js";
+import { getSchedulingRules } from "../Utils/schedulingConfig.js";
+import { priceServiceBooking, toBookingPricingFields } from "../Utils/pricing.js";
+import { chargeCancellationFeeSafely } from "../Utils/cancellationFee.js";
+import { refundCancelledBookingSafely } from "../Utils/cancellationRefund.js";
+import { hasPermission } from "../Middleware/Auth.js";
+import { PERMISSIONS } from "../Utils/permissions.js";
 
 const toFiniteNumber = (v) => {
   if (v === null || v === undefined) return null;
@@ -25,6 +43,39 @@ const toFiniteNumber = (v) => {
   return Number.isFinite(n) ? n : null;
 };
 
+// 📅 Location shape the slot capacity check expects
+const toCapacityAddress = (resolvedLocation) => ({
+  ...resolvedLocation.addressSnapshot,
+  latitude: resolvedLocation.latitude,
+  longitude: resolvedLocation.longitude,
+});
+
+// 📅 Window, hours and holidays for the city / category, then capacity. null when bookable
+const checkScheduledSlot = async ({ service, address, scheduledAt, excludeBookingId = null }) => {
+  const rules = await getSchedulingRules({ city: address?.city, categoryId: service.categoryId });
+  const slotCheck = validateScheduledSlot(scheduledAt, rules);
+  if (!slotCheck.success) return slotCheck;
+
+  const slotStatus = await getSlotStatus({ serviceId: service._id, address, scheduledAt, excludeBookingId });
+  if (slotStatus === SLOT_STATUS.FULL) {
+    return {
+      statusCode: 409,
+      message: SLOT_FULL_MESSAGE,
+      result: { scheduledAt, slotStatus },
+      code: "SLOT_FULL",
+    };
+  }
+  return null;
+};
+
+const sendSlotError = (res, slotError) =>
+  res.status(slotError.statusCode).json({
+    success: false,
+    message: slotError.message,
+    result: slotError.result,
+    ...(slotError.code ? { error: { code: slotError.code } } : {}),
+  });
+
 /* ================= TECHNICIAN ACTIVATION CHECK ================= */
 const checkTechnicianActivation = async (technicianProfileId) => {
   try {
@@ -105,7 +156,8 @@ export const createBooking = async (req, res) => {
     }
     const customerId = req.user.userId;
 
-    const { serviceId, baseAmount } = req.body;
+    // The price comes from the catalog; a baseAmount in the body is ignored
+    const { serviceId } = req.body;
     const radiusInput = toFiniteNumber(req.body?.radius);
     const addressId = typeof req.body?.addressId === "string" ? req.body.addressId.trim() : req.body?.addressId;
     const addressLineInput = typeof req.body?.addressLine === "string" ? req.body.addressLine.trim() : "";
@@ -137,8 +189,8 @@ export const createBooking = async (req, res) => {
       }
 
       // Combine → ISO datetime
-      const combined = new Date(`${scheduledDate}T${scheduledTime}:00`);
-      if (isNaN(combined.getTime())) {
+      const combined = parseScheduledSlot({ scheduledDate, scheduledTime });
+      if (!combined) {
         return res.status(400).json({
           success: false,
           message: "Invalid scheduledDate or scheduledTime format",
@@ -146,57 +198,14 @@ export const createBooking = async (req, res) => {
         });
       }
 
-      // Must be at least 30 minutes in the future
-      const minFuture = new Date(Date.now() + 30 * 60 * 1000);
-      if (combined <= minFuture) {
-        return res.status(400).json({
-          success: false,
-          message: "Scheduled time must be at least 30 minutes in the future",
-          result: {},
-        });
-      }
-
+      // Window, hours and holidays are checked once the city and service are known
       finalScheduledAt = combined;
     } else {
       // Instant: use provided scheduledAt OR null
       finalScheduledAt = req.body?.scheduledAt ? new Date(req.body.scheduledAt) : null;
     }
 
-    // ─── VALIDATE SCHEDULE WINDOW (TOMORROW/DAY AFTER ONLY) ──────────
-    if (bookingType === "scheduled" && finalScheduledAt) {
-      const now = new Date();
-      const minFuture = new Date(now.getTime() + 5 * 60 * 1000); // 5 mins grace
-
-      if (finalScheduledAt < minFuture) {
-        return res.status(400).json({
-          success: false,
-          message: "Selected time has passed. Please refresh the schedule and try again.",
-          result: {},
-        });
-      }
-
-      const tomorrowStart = new Date(now);
-      tomorrowStart.setDate(tomorrowStart.getDate() + 1);
-      tomorrowStart.setHours(0, 0, 0, 0);
-
-      const dayAfterEnd = new Date(now);
-      dayAfterEnd.setDate(dayAfterEnd.getDate() + 2);
-      dayAfterEnd.setHours(23, 59, 59, 999);
-
-      if (finalScheduledAt < tomorrowStart || finalScheduledAt > dayAfterEnd) {
-        return res.status(400).json({
-          success: false,
-          message: "Scheduled bookings are only allowed for Tomorrow or Day after Tomorrow. Please refresh slots.",
-          result: {
-            tomorrow: tomorrowStart.toISOString().split("T")[0],
-            dayAfter: dayAfterEnd.toISOString().split("T")[0]
-          },
-        });
-      }
-    }
-    // ─────────────────────────────────────────────────────────────────
-
-    if (!serviceId || baseAmount == null || (!req.body?.address && !addressId && !addressLineInput && !hasCoords)) {
+    if (!serviceId || (!req.body?.address && !addressId && !addressLineInput && !hasCoords)) {
       return res.status(400).json({
         success: false,
         message: "All fields required",
@@ -208,11 +217,6 @@ export const createBooking = async (req, res) => {
       return res.status(400).json({ success: false, message: "Invalid serviceId format", result: {} });
     }
 
-    const baseAmountNum = toNumber(baseAmount);
-    if (Number.isNaN(baseAmountNum) || baseAmountNum < 0) {
-      return res.status(400).json({ success: false, message: "baseAmount must be a non-negative number", result: {} });
-    }
-
     const service = await Service.findById(serviceId);
     if (!service || !service.isActive) {
       return res.status(404).json({ success: false, message: "Service not found or inactive", result: {} });
@@ -234,21 +238,24 @@ export const createBooking = async (req, res) => {
       });
     }
 
-    const commissionPct = typeof service.commissionPercentage === "number" ? service.commissionPercentage : 0;
-    const commissionAmt = Math.round((baseAmountNum * commissionPct) / 100);
-    const techAmt = baseAmountNum - commissionAmt;
+    // 📅 Open at the chosen time here, and someone free to come
+    if (bookingType === "scheduled") {
+      const slotError = await checkScheduledSlot({
+        service,
+        address: toCapacityAddress(resolvedLocation),
+        scheduledAt: finalScheduledAt,
+      });
+      if (slotError) return sendSlotError(res, slotError);
+    }
+
+    // 🧾 Priced after inspection: the visit charge until the customer approves a quote
+    // 🧮 GST, commission and technician share from the pricing module
+    const pricing = await priceServiceBooking({ service, amount: getBookingBaseAmount(service, null) });
 
     // Determine initial status (Production Atomic Flow)
+    // Scheduled: expire 5 hours after creation, Instant: 1 hour
     const now = new Date();
-    let autoCancelAt = null;
-
-    if (bookingType === "scheduled" && finalScheduledAt) {
-      // Scheduled: Expire 5 hours after creation
-      autoCancelAt = new Date(now.getTime() + 5 * 60 * 60 * 1000);
-    } else {
-      // Instant: Expire 1 hour after creation
-      autoCancelAt = new Date(now.getTime() + 1 * 60 * 60 * 1000);
-    }
+    const autoCancelAt = getSearchExpiry(bookingType === "scheduled" ? "schedule" : "instant", now);
 
     const initialStatus = "pending";
 
@@ -256,13 +263,10 @@ export const createBooking = async (req, res) => {
       customerId,
       serviceId,
       bookingType: bookingType === "scheduled" ? "schedule" : "instant", // Align with schema enum
-      baseAmount: baseAmountNum,
+      ...toBookingPricingFields(pricing),
       locationType: resolvedLocation.locationType,
       addressSnapshot: resolvedLocation.addressSnapshot,
       address: resolvedLocation.addressSnapshot.addressLine || "Pinned Location",
-      commissionPercentage: commissionPct,
-      commissionAmount: commissionAmt,
-      technicianAmount: techAmt,
       scheduledAt: finalScheduledAt,
       status: initialStatus,
       radius: radiusInput ?? 500,
@@ -336,14 +340,6 @@ export const storeBookingSchedule = async (req, res) => {
           result: {},
         });
       }
-      const minFuture = new Date(Date.now() + 30 * 60 * 1000);
-      if (combined <= minFuture) {
-        return res.status(400).json({
-          success: false,
-          message: "Scheduled time must be at least 30 minutes in the future",
-          result: {},
-        });
-      }
       finalScheduledAt = combined;
     } else if (req.body?.scheduledAt) {
       finalScheduledAt = new Date(req.body.scheduledAt);
@@ -355,39 +351,9 @@ export const storeBookingSchedule = async (req, res) => {
       });
     }
 
-    // ─── VALIDATE SCHEDULE WINDOW (TOMORROW/DAY AFTER ONLY) ──────────
-    if (bookingType === "scheduled" && finalScheduledAt) {
-      const now = new Date();
-      const minFuture = new Date(now.getTime() + 5 * 60 * 1000); // 5 mins grace
-
-      if (finalScheduledAt < minFuture) {
-        return res.status(400).json({
-          success: false,
-          message: "Selected time has passed. Please refresh the schedule and try again.",
-          result: {},
-        });
-      }
-
-      const tomorrowStart = new Date(now);
-      tomorrowStart.setDate(tomorrowStart.getDate() + 1);
-      tomorrowStart.setHours(0, 0, 0, 0);
-
-      const dayAfterEnd = new Date(now);
-      dayAfterEnd.setDate(dayAfterEnd.getDate() + 2);
-      dayAfterEnd.setHours(23, 59, 59, 999);
-
-      if (finalScheduledAt < tomorrowStart || finalScheduledAt > dayAfterEnd) {
-        return res.status(400).json({
-          success: false,
-          message: "Scheduled bookings are only allowed for Tomorrow or Day after Tomorrow. Please refresh slots.",
-          result: {
-            tomorrow: tomorrowStart.toISOString().split("T")[0],
-            dayAfter: dayAfterEnd.toISOString().split("T")[0]
-          },
-        });
-      }
+    if (isNaN(finalScheduledAt.getTime())) {
+      return res.status(400).json({ success: false, message: "Invalid scheduledAt", result: {} });
     }
-    // ─────────────────────────────────────────────────────────────────
 
     if (!serviceId) {
       return res.status(400).json({ success: false, message: "serviceId is required", result: {} });
@@ -414,10 +380,18 @@ export const storeBookingSchedule = async (req, res) => {
       });
     }
 
-    const baseAmountNum = service.serviceCost || 0;
-    const commissionPct = typeof service.commissionPercentage === "number" ? service.commissionPercentage : 0;
-    const commissionAmt = Math.round((baseAmountNum * commissionPct) / 100);
-    const techAmt = baseAmountNum - commissionAmt;
+    // 📅 Open at the chosen time here, and someone free to come
+    if (bookingType === "scheduled") {
+      const slotError = await checkScheduledSlot({
+        service,
+        address: toCapacityAddress(resolvedLocation),
+        scheduledAt: finalScheduledAt,
+      });
+      if (slotError) return sendSlotError(res, slotError);
+    }
+
+    // 🧮 Catalog price less discount (visit charge if priced after inspection), with GST and commission
+    const pricing = await priceServiceBooking({ service, amount: getBookingBaseAmount(service, null) });
 
     // Determine status (Production Atomic Flow)
     const now = new Date();
@@ -435,16 +409,13 @@ export const storeBookingSchedule = async (req, res) => {
       customerId: req.user.userId,
       serviceId,
       bookingType: bookingType === "scheduled" ? "schedule" : "instant", // Align with schema
-      baseAmount: baseAmountNum,
+      ...toBookingPricingFields(pricing),
       scheduledAt: finalScheduledAt,
       faultProblem: faultProblem || null,
       locationType: resolvedLocation.locationType,
       addressSnapshot: resolvedLocation.addressSnapshot,
       address: resolvedLocation.addressSnapshot.addressLine || "Pinned Location",
       addressId: resolvedLocation.addressId || null,
-      commissionPercentage: commissionPct,
-      commissionAmount: commissionAmt,
-      technicianAmount: techAmt,
       status: initialStatus,
       broadcastStartedAt: now,
       autoCancelAt: autoCancelAt,
@@ -490,53 +461,61 @@ export const storeBookingSchedule = async (req, res) => {
 
 
 /* ================= GET BOOKING SCHEDULE ================= */
+// GET /booking/slots?[city=][&serviceId=&latitude=&longitude=[&pincode=]]
+// Days, hours and holidays follow the scheduling configuration for the city / service category.
+// With a service and location every slot also carries status: available | limited | full
 export const getBookingSchedule = async (req, res) => {
   try {
     const now = new Date();
+    const { serviceId, pincode, city } = req.query;
 
     // 1️⃣ Calculate "Instant" Window (30 mins offset)
     const instantArrival = new Date(now.getTime() + 30 * 60000);
 
-    // 2️⃣ Generate "Tomorrow" and "Day after Tomorrow"
-    const days = [];
-    for (let i = 1; i <= 2; i++) {
-      const d = new Date();
-      d.setDate(d.getDate() + i);
-      const dayName = d.toLocaleDateString("en-US", { weekday: "short" });
-      const dateNum = d.getDate();
-      const month = d.toLocaleDateString("en-US", { month: "short" });
-      const fullDate = d.toISOString().split("T")[0];
-
-      days.push({
-        label: i === 1 ? "Tomorrow" : "Day after Tomorrow",
-        date: dateNum,
-        month: month,
-        fullDate: fullDate,
-        dayName: dayName
-      });
+    let service = null;
+    if (serviceId) {
+      if (!mongoose.Types.ObjectId.isValid(serviceId)) {
+        return res.status(400).json({ success: false, message: "Invalid serviceId format", result: {} });
+      }
+      service = await Service.findById(serviceId).select("categoryId").lean();
+      if (!service) {
+        return res.status(404).json({ success: false, message: "Service not found", result: {} });
+      }
     }
 
-    // 3️⃣ Generate Time Slots (9:00 AM to 9:00 PM)
-    const timeSlots = [];
-    const startHour = 9;
-    const endHour = 21;
-
-    for (let h = startHour; h <= endHour; h++) {
-      for (let m of [0, 30]) {
-        if (h === endHour && m === 30) break; // Stop at 9:00 PM sharp
-
-        const period = h < 12 ? "AM" : "PM";
-        const displayHour = h % 12 === 0 ? 12 : h % 12;
-        const displayMin = m === 0 ? "00" : "30";
-
-        const slotLabel = `${displayHour < 10 ? "0" + displayHour : displayHour}:${displayMin} ${period}`;
-        const militaryTime = `${h < 10 ? "0" + h : h}:${displayMin}`;
-
-        timeSlots.push({
-          label: slotLabel,
-          value: militaryTime
+    // 2️⃣ Bookable days, 3️⃣ time slots (owner-configured window and hours)
+    const rules = await getSchedulingRules({ city, categoryId: service?.categoryId });
+    let days = getScheduleDays(rules, now).map((day) => ({
+      ...day,
+      slots: day.isOpen ? getTimeSlots(rules, day.fullDate, now) : [],
+    }));
+    const timeSlots = getTimeSlots(rules);
+    let durationMinutes = null;
+
+    // 4️⃣ Capacity per slot for this service + location
+    if (serviceId) {
+      const latitude = toFiniteNumber(req.query.latitude);
+      const longitude = toFiniteNumber(req.query.longitude);
+      if ((latitude === null || longitude === null) && !pincode && !city) {
+        return res.status(400).json({
+          success: false,
+          message: "latitude and longitude (or pincode / city) are required with serviceId",
+          result: {},
         });
       }
+
+      const availability = await getSlotAvailability({
+        serviceId,
+        address: { latitude, longitude, pincode, city },
+        rules,
+        now,
+      });
+      if (!availability) {
+        return res.status(404).json({ success: false, message: "Service not found", result: {} });
+      }
+
+      days = availability.days;
+      durationMinutes = availability.durationMinutes;
     }
 
     return res.status(200).json({
@@ -550,7 +529,10 @@ export const getBookingSchedule = async (req, res) => {
         },
         schedule: {
           days,
-          timeSlots
+          timeSlots,
+          openTime: rules.openTime,
+          closeTime: rules.closeTime,
+          ...(serviceId ? { durationMinutes } : {}),
         }
       }
     });
@@ -799,11 +781,11 @@ export const getTechnicianCurrentJobs = async (req, res) => {
   try {
     const userRole = req.user?.role;
 
-    // Validate role access
-    if (userRole !== "Technician" && userRole !== "Owner") {
+    // Validate role access: technicians see their own jobs, staff need bookings.view
+    if (userRole !== "Technician" && !(await hasPermission(req, PERMISSIONS.BOOKINGS_VIEW))) {
       return res.status(403).json({
         success: false,
-        message: "Access denied. Technician or Owner access only.",
+        message: "Access denied. Technician or staff with bookings.view only.",
         result: {},
       });
     }
@@ -964,6 +946,15 @@ export const getTechnicianCurrentJobs = async (req, res) => {
 };
 
 
+// 🚦 Rejected state machine transition (invalid move, wrong actor, failed guard)
+const sendTransitionError = (res, err) =>
+  res.status(err.statusCode).json({
+    success: false,
+    message: err.message,
+    result: {},
+    error: { code: err.code, ...(err.details ? { details: err.details } : {}) },
+  });
+
 /* =====================================================
    UPDATE BOOKING STATUS (TECHNICIAN)
 ===================================================== */
@@ -972,7 +963,7 @@ export const updateBookingStatus = async (req, res) => {
     const userRole = req.user?.role;
 
     const bookingId = req.params.id;
-    const { status } = req.body;
+    const { status, code } = req.body;
 
     // 🔒 Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(bookingId)) {
@@ -1048,26 +1039,25 @@ export const updateBookingStatus = async (req, res) => {
         result: { workStatus: technician.workStatus },
       });
     }
-    if (status === "completed") {
-      const beforeImage = booking.workImages?.beforeImage || null;
-      const afterImage = booking.workImages?.afterImage || null;
-      if (!beforeImage || !afterImage) {
-        return res.status(400).json({
-          success: false,
-          message: "Before and after work images are required before completion",
-          result: {},
-        });
-      }
+    // 🔢 Customer's start / completion code (only for a move the table allows)
+    const codeStage = JOB_CODE_STAGE_BY_STATUS[status];
+    if (codeStage && canTransition(booking.status, status, "technician")) {
+      await verifyJobCode({ booking, stage: codeStage, code });
     }
 
-    booking.status = status;
-    if (status === "on_the_way") {
-      booking.autoCancelAt = null; // Disable auto-cancel once technician starts moving
-    }
-    await booking.save();
+    // 🚦 Transition table + guards (work images, job codes, ...)
+    booking = await transitionBooking({
+      booking,
+      to: status,
+      actor: { type: "technician", id: technicianProfileId },
+      // Disable auto-cancel once technician starts moving
+      set: status === "on_the_way" ? { autoCancelAt: null } : {},
+    });
     if (status === "completed") {
       // If payment is already verified, credit technician wallet (idempotent)
       await settleBookingEarningsIfEligible(booking._id);
+      await checkReferralMilestonesForBooking(booking._id);
+      await issueInvoiceSafely(booking._id);
       // Re-broadcast pending jobs to this technician only
       const busyStartTime = booking.assignedAt || booking.createdAt || null;
       await broadcastPendingJobsToTechnician(technicianProfileId, req.io, busyStartTime);
@@ -1088,6 +1078,7 @@ export const updateBookingStatus = async (req, res) => {
       result: bookingWithoutBaseAmount,
     });
   } catch (error) {
+    if (error.statusCode) return sendTransitionError(res, error);
     console.error("updateBookingStatus:", error);
     return res.status(500).json({
       success: false,
@@ -1184,14 +1175,14 @@ export const cancelBooking = async (req, res) => {
       return res.status(400).json({ success: false, message: "Invalid booking ID format" });
     }
 
-    const booking = await ServiceBooking.findById(id);
+    let booking = await ServiceBooking.findById(id);
     if (!booking) return res.status(404).json({ success: false, message: "Booking not found" });
 
     if (req.user.role !== "Customer" || booking.customerId.toString() !== req.user.userId.toString()) {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
-    if (booking.status === "cancelled" || booking.status === "completed") {
+    if (!canTransition(booking.status, "cancelled", "customer")) {
       return res.status(400).json({ success: false, message: "Booking cannot be cancelled in current status" });
     }
 
@@ -1228,26 +1219,180 @@ export const cancelBooking = async (req, res) => {
       }
     }
 
-    booking.status = "cancelled";
-    booking.cancelledBy = "customer";
-    booking.cancelReason = reason || "customer_cancel";
-    booking.cancellationFee = fee;
-    await booking.save();
+    booking = await transitionBooking({
+      booking,
+      to: "cancelled",
+      actor: { type: "customer", id: req.user.userId },
+      reason: reason || "customer_cancel",
+      set: {
+        cancelledBy: "customer",
+        cancelReason: reason || "customer_cancel",
+        cancellationFee: fee,
+      },
+    });
+
+    // 💳 Credit applied to this booking goes back to the customer's ledger
+    const creditRefunded = await refundBookingCreditsSafely(booking._id, "Booking cancelled by customer");
+
+    // 💸 Fee kept from the refund (prepaid) or due on the next booking; technician gets a share
+    const feeRecord = await chargeCancellationFeeSafely({ booking, fee });
 
-    // If there was a fee, we might need to handle payment/wallet logic here
-    // For now, we record it in the booking record.
+    // 🔁 Prepaid: the online payment comes back less the fee kept (held for the retry cron if the fee could not be recorded)
+    const refund = await refundCancelledBookingSafely({
+      booking,
+      keep: feeRecord ? feeRecord.deductedFromRefund : fee,
+      hold: fee > 0 && !feeRecord,
+    });
+
+    let message = "Booking cancelled successfully.";
+    if (fee > 0 && !feeRecord) {
+      message = `Booking cancelled. A cancellation fee of ₹${fee} applies.`;
+    } else if (feeRecord?.dueAmount > 0) {
+      message = `Booking cancelled. A cancellation fee of ₹${fee} applies; ₹${feeRecord.dueAmount} will be added to your next booking.`;
+    } else if (feeRecord) {
+      message = `Booking cancelled. A cancellation fee of ₹${fee} was deducted from your refund.`;
+    }
+    if (refund && ["pending", "processed"].includes(refund.status)) {
+      message += ` ₹${refund.amount} will be refunded to your original payment method.`;
+    }
 
     return res.status(200).json({
       success: true,
-      message: fee > 0 ? `Booking cancelled. A cancellation fee of ₹${fee} applies.` : "Booking cancelled successfully.",
-      result: { bookingId: booking._id, cancellationFee: fee, status: "cancelled" }
+      message,
+      result: {
+        bookingId: booking._id,
+        cancellationFee: fee,
+        status: "cancelled",
+        creditRefunded,
+        feeCollection: feeRecord
+          ? {
+              deductedFromRefund: feeRecord.deductedFromRefund,
+              dueOnNextBooking: feeRecord.dueAmount,
+            }
+          : null,
+        refund: refund ? { amount: refund.amount, status: refund.status } : null,
+      }
     });
   } catch (error) {
+    if (error.statusCode) return sendTransitionError(res, error);
     console.error("cancelBooking Error:", error);
     return res.status(500).json({ success: false, message: error.message });
   }
 };
 
+/* =====================================================
+   RESCHEDULE BOOKING (CUSTOMER)
+===================================================== */
+export const rescheduleBooking = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid booking ID format", result: {} });
+    }
+
+    const booking = await ServiceBooking.findById(id);
+    if (!booking) {
+      return res.status(404).json({ success: false, message: "Booking not found", result: {} });
+    }
+
+    if (req.user.role !== "Customer" || booking.customerId.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({ success: false, message: "Access denied", result: {} });
+    }
+
+    // Same slot rules as a new scheduled booking
+    const scheduledAt = parseScheduledSlot(req.body);
+    if (!scheduledAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide a valid scheduledDate (YYYY-MM-DD) + scheduledTime (HH:MM) or scheduledAt",
+        result: {},
+      });
+    }
+
+    const service = await Service.findById(booking.serviceId).select("categoryId").lean();
+    if (!service) {
+      return res.status(404).json({ success: false, message: "Service not found", result: {} });
+    }
+
+    const { addressSnapshot, location } = booking.toObject();
+    const slotError = await checkScheduledSlot({
+      service,
+      address: {
+        ...addressSnapshot,
+        latitude: location?.coordinates?.[1] ?? addressSnapshot?.latitude,
+        longitude: location?.coordinates?.[0] ?? addressSnapshot?.longitude,
+      },
+      scheduledAt,
+      excludeBookingId: booking._id,
+    });
+    if (slotError) return sendSlotError(res, slotError);
+
+    const { booking: updated, outcome, broadcastCount, confirmBy } = await requestBookingReschedule({
+      booking,
+      scheduledAt,
+      io: req.io,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: outcome === "awaiting_technician"
+        ? "Booking rescheduled. Waiting for your technician to confirm the new time."
+        : "Booking rescheduled. We are finding a technician for the new time.",
+      result: {
+        bookingId: updated._id,
+        status: updated.status,
+        scheduledAt: updated.scheduledAt,
+        outcome,
+        rescheduleCount: updated.rescheduleCount,
+        ...(confirmBy ? { technicianConfirmBy: confirmBy } : { broadcastCount }),
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) return sendTransitionError(res, error);
+    console.error("rescheduleBooking Error:", error);
+    return res.status(500).json({ success: false, message: error.message, result: {} });
+  }
+};
+
+/* =====================================================
+   CONFIRM / RELEASE A RESCHEDULED JOB (TECHNICIAN)
+===================================================== */
+export const respondToRescheduleRequest = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { action } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid booking ID format", result: {} });
+    }
+    if (!["confirm", "release"].includes(action)) {
+      return res.status(400).json({ success: false, message: "action must be confirm or release", result: {} });
+    }
+
+    const technicianProfileId = req.user?.technicianProfileId;
+    if (!technicianProfileId) {
+      return res.status(403).json({ success: false, message: "Technician profile required", result: {} });
+    }
+
+    const booking = await respondToReschedule({ bookingId: id, technicianProfileId, action, io: req.io });
+
+    return res.status(200).json({
+      success: true,
+      message: action === "confirm" ? "New time confirmed" : "Job released",
+      result: {
+        bookingId: booking._id,
+        status: booking.status,
+        scheduledAt: booking.scheduledAt,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) return sendTransitionError(res, error);
+    console.error("respondToRescheduleRequest Error:", error);
+    return res.status(500).json({ success: false, message: error.message, result: {} });
+  }
+};
+
 /* =====================================================
    TECHNICIAN CANCEL BOOKING (PENALTY ₹200)
 ===================================================== */
@@ -1270,7 +1415,7 @@ export const technicianCancelBooking = async (req, res) => {
       return res.status(403).json({ success: false, message: "Not authorized to cancel this booking" });
     }
 
-    if (["completed", "cancelled"].includes(booking.status)) {
+    if (!canTransition(booking.status, "cancelled", "technician")) {
       await session.abortTransaction();
       return res.status(400).json({ success: false, message: "Cannot cancel finished booking" });
     }
@@ -1278,11 +1423,18 @@ export const technicianCancelBooking = async (req, res) => {
     const penaltyAmount = 200;
 
     // 1. Update Booking
-    booking.status = "cancelled";
-    booking.cancelledBy = "technician";
-    booking.cancelReason = reason || "technician_cancel";
-    booking.technicianPenalty = penaltyAmount;
-    await booking.save({ session });
+    await transitionBooking({
+      booking,
+      to: "cancelled",
+      actor: { type: "technician", id: techId },
+      reason: reason || "technician_cancel",
+      set: {
+        cancelledBy: "technician",
+        cancelReason: reason || "technician_cancel",
+        technicianPenalty: penaltyAmount,
+      },
+      session,
+    });
 
     // 2. Penalty from Wallet
     const technician = await TechnicianProfile.findById(techId).session(session);
@@ -1303,6 +1455,10 @@ export const technicianCancelBooking = async (req, res) => {
 
     await session.commitTransaction();
 
+    // 💳 Customer's applied credit goes back to their ledger, and a prepaid booking's online payment in full
+    await refundBookingCreditsSafely(booking._id, "Booking cancelled by technician");
+    await refundCancelledBookingSafely({ booking, keep: 0 });
+
     // 3. Notify Customer
     if (req.io) {
       req.io.to(`customer_${booking.customerId}`).emit("booking_cancelled", {
@@ -1325,6 +1481,7 @@ export const technicianCancelBooking = async (req, res) => {
     });
   } catch (error) {
     if (session.inTransaction()) await session.abortTransaction();
+    if (error.statusCode) return sendTransitionError(res, error);
     console.error("technicianCancelBooking Error:", error);
     return res.status(500).json({ success: false, message: error.message });
   } finally {
@@ -1337,17 +1494,6 @@ export const technicianCancelBooking = async (req, res) => {
 ===================================================== */
 export const getAdminJobHistory = async (req, res) => {
   try {
-    const userRole = req.user?.role;
-
-    // Only Owner/Admin can access
-    if (userRole !== "Owner" && userRole !== "Admin") {
-      return res.status(403).json({
-        success: false,
-        message: "Access denied. Owner/Admin only.",
-        result: {},
-      });
-    }
-
     const { technicianId, status } = req.query;
 
     // Build query
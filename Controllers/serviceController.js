@@ -369,6 +369,8 @@ export const getAllServices = async (req, res) => {
           serviceDiscountPercentage,
           discountAmount,
           discountedPrice,
+          taxAmount,
+          finalPrice,
           minimumVisitCharge,
           ...service
         }) => ({
@@ -0,0 +1,144 @@
+import mongoose from "mongoose";
+import Session from "../Schemas/Session.js";
+import {
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} from "../Utils/authSession.js";
+import { disconnectUserSockets } from "../Utils/socketSessions.js";
+
+/* ======================================================
+  RESPONSE HELPERS (Consistent API shape)
+====================================================== */
+
+const ok = (res, status, message, result = {}) =>
+  res.status(status).json({
+    success: true,
+    message,
+    result,
+  });
+
+const fail = (res, status, message, code) =>
+  res.status(status).json({
+    success: false,
+    message,
+    result: {},
+    ...(code ? { error: { code } } : {}),
+  });
+
+/**
+ * @desc    Exchange a refresh token for a new access + refresh token pair
+ * @route   POST /api/user/auth/refresh-token
+ * @access  Public (refresh token required)
+ */
+export const refreshAccessToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    const tokens = await rotateRefreshToken(refreshToken, req);
+    return ok(res, 200, "Token refreshed", tokens);
+  } catch (err) {
+    if (err.code) {
+      return fail(res, err.statusCode || 401, err.message, err.code);
+    }
+    console.error("refreshAccessToken Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    List my active devices
+ * @route   GET /api/user/auth/sessions
+ * @access  Private (Authenticated)
+ */
+export const getMySessions = async (req, res) => {
+  try {
+    const { userId, sessionId } = req.user;
+
+    const sessions = await Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("deviceId deviceName platform appVersion userAgent ip lastUsedAt createdAt expiresAt")
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    const result = sessions.map((s) => ({
+      ...s,
+      isCurrent: !!sessionId && String(s._id) === String(sessionId),
+    }));
+
+    return ok(res, 200, "Active sessions fetched", result);
+  } catch (err) {
+    console.error("getMySessions Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Log out the current device
+ * @route   POST /api/user/auth/logout
+ * @access  Private (Authenticated)
+ */
+export const logout = async (req, res) => {
+  try {
+    const { userId, sessionId } = req.user;
+
+    if (!sessionId) {
+      // Legacy token without a session: nothing to revoke server-side
+      return ok(res, 200, "Logged out successfully");
+    }
+
+    await revokeSession(userId, sessionId, "logout");
+    disconnectUserSockets(req.io, { sessionId }, "logout");
+    return ok(res, 200, "Logged out successfully");
+  } catch (err) {
+    console.error("logout Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Log out one of my devices
+ * @route   DELETE /api/user/auth/sessions/:sessionId
+ * @access  Private (Authenticated)
+ */
+export const logoutSession = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return fail(res, 400, "Invalid session ID", "VALIDATION_ERROR");
+    }
+
+    const revoked = await revokeSession(userId, sessionId, "logout");
+    if (!revoked) {
+      return fail(res, 404, "Session not found or already logged out", "SESSION_NOT_FOUND");
+    }
+
+    disconnectUserSockets(req.io, { sessionId }, "logout");
+
+    return ok(res, 200, "Device logged out successfully", { sessionId });
+  } catch (err) {
+    console.error("logoutSession Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
+
+/**
+ * @desc    Log out everywhere (all devices, including this one)
+ * @route   POST /api/user/auth/logout-all
+ * @access  Private (Authenticated)
+ */
+export const logoutAllSessions = async (req, res) => {
+  try {
+    const { userId, technicianProfileId } = req.user;
+    const revokedCount = await revokeAllSessions(userId, "logout_all");
+    disconnectUserSockets(req.io, { userId, technicianProfileId }, "logout_all");
+    return ok(res, 200, "Logged out from all devices", { revokedCount });
+  } catch (err) {
+    console.error("logoutAllSessions Error:", err);
+    return fail(res, 500, "Internal server error", "SERVER_ERROR");
+  }
+};
@@ -0,0 +1,129 @@
+import mongoose from "mongoose";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import { addSparePart, removeSparePart, summarizeSpareParts } from "../Utils/spareParts.js";
+
+/* ======================================================
+  RESPONSE HELPERS (Consistent API shape)
+====================================================== */
+
+const ok = (res, status, message, result = {}) =>
+  res.status(status).json({
+    success: true,
+    message,
+    result,
+  });
+
+const fail = (res, status, message, code, details) =>
+  res.status(status).json({
+    success: false,
+    message,
+    result: {},
+    ...(code ? { error: { code, ...(details ? { details } : {}) } } : {}),
+  });
+
+const isValidObjectId = mongoose.Types.ObjectId.isValid;
+
+const sendPartsError = (res, err, label) => {
+  if (err.statusCode) {
+    return fail(res, err.statusCode, err.message, err.code, err.details);
+  }
+  console.error(`${label} Error:`, err);
+  return fail(res, 500, "Internal server error", "SERVER_ERROR");
+};
+
+/**
+ * @desc    Record a spare part fitted on the job
+ * @route   POST /api/technician/jobs/:id/parts
+ * @body    multipart: { name, brand?, quantity?, unitPrice, warrantyMonths? } + optional photo file
+ * @access  Private (Assigned technician, booking reached / in_progress, unpaid)
+ */
+export const addPart = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return fail(res, 400, "Invalid booking ID", "VALIDATION_ERROR");
+    }
+
+    const technicianProfileId = req.user?.technicianProfileId;
+    if (!technicianProfileId) {
+      return fail(res, 403, "Technician profile required", "FORBIDDEN");
+    }
+
+    const { booking, part } = await addSparePart({
+      bookingId: id,
+      technicianProfileId,
+      part: req.body || {},
+      photo: req.file?.path || null,
+    });
+
+    return ok(res, 201, "Spare part added", {
+      bookingId: booking._id,
+      part,
+      ...summarizeSpareParts(booking),
+    });
+  } catch (err) {
+    return sendPartsError(res, err, "addPart");
+  }
+};
+
+/**
+ * @desc    Remove a spare part recorded by mistake
+ * @route   DELETE /api/technician/jobs/:id/parts/:partId
+ * @access  Private (Assigned technician, booking reached / in_progress, unpaid)
+ */
+export const removePart = async (req, res) => {
+  try {
+    const { id, partId } = req.params;
+    if (!isValidObjectId(id) || !isValidObjectId(partId)) {
+      return fail(res, 400, "Invalid booking or part ID", "VALIDATION_ERROR");
+    }
+
+    const technicianProfileId = req.user?.technicianProfileId;
+    if (!technicianProfileId) {
+      return fail(res, 403, "Technician profile required", "FORBIDDEN");
+    }
+
+    const { booking } = await removeSparePart({ bookingId: id, technicianProfileId, partId });
+
+    return ok(res, 200, "Spare part removed", {
+      bookingId: booking._id,
+      ...summarizeSpareParts(booking),
+    });
+  } catch (err) {
+    return sendPartsError(res, err, "removePart");
+  }
+};
+
+/**
+ * @desc    Spare parts used on a booking, with warranty and amounts
+ * @route   GET /api/user/booking/:id/parts
+ * @access  Private (Customer, own booking)
+ */
+export const getBookingParts = async (req, res) => {
+  try {
+    if (req.user.role !== "Customer") {
+      return fail(res, 403, "Customer access only", "FORBIDDEN");
+    }
+
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return fail(res, 400, "Invalid booking ID", "VALIDATION_ERROR");
+    }
+
+    const booking = await ServiceBooking.findOne({ _id: id, customerId: req.user.userId })
+      .select("status paymentStatus baseAmount partsAmount spareParts")
+      .lean();
+    if (!booking) {
+      return fail(res, 404, "Booking not found", "BOOKING_NOT_FOUND");
+    }
+
+    return ok(res, 200, "Spare parts fetched", {
+      bookingId: booking._id,
+      status: booking.status,
+      paymentStatus: booking.paymentStatus,
+      ...summarizeSpareParts(booking),
+    });
+  } catch (err) {
+    return sendPartsError(res, err, "getBookingParts");
+  }
+};
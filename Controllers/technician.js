@@ -7,6 +7,9 @@ import ServiceBooking from "../Schemas/ServiceBooking.js";
 import JobBroadcast from "../Schemas/TechnicianBroadcast.js";
 import { broadcastPendingJobsToTechnician } from "../Utils/technicianMatching.js";
 import { handleLocationUpdate } from "../Utils/technicianLocation.js";
+import { disconnectUserSockets } from "../Utils/socketSessions.js";
+import { hasPermission } from "../Middleware/Auth.js";
+import { PERMISSIONS } from "../Utils/permissions.js";
 
 // ================= UPDATE TECHNICIAN LIVE LOCATION ================= //sk
 export const updateTechnicianLocation = async (req, res) => {
@@ -754,13 +757,6 @@ export const updateTechnicianStatus = async (req, res) => {
       });
     }
 
-    if (req.user?.role !== "Owner") {
-      return res.status(403).json({
-        success: false,
-        message: "Owner access only",
-      });
-    }
-
     const technician = await TechnicianProfile.findById(technicianId);
     if (!technician) {
       return res.status(404).json({
@@ -839,8 +835,8 @@ export const deleteTechnician = async (req, res) => {
     }
 
     const technicianProfileId = req.user?.technicianProfileId;
-    const isOwner = req.user?.role === "Owner";
-    if (!isOwner && (!technicianProfileId || technician._id.toString() !== technicianProfileId.toString())) {
+    const isStaff = await hasPermission(req, PERMISSIONS.TECHNICIANS_MANAGE);
+    if (!isStaff && (!technicianProfileId || technician._id.toString() !== technicianProfileId.toString())) {
       await session.abortTransaction();
       return res.status(403).json({
         success: false,
@@ -898,6 +894,9 @@ export const deleteTechnician = async (req, res) => {
     await session.commitTransaction();
     console.log(`🗑️ Deleted technician ${id} (Profile: Hard, User: Soft/Anonymized)`);
 
+    // 🔌 Drop any live sockets of the deleted technician
+    disconnectUserSockets(req.io, { userId, technicianProfileId: technician._id }, "deleted");
+
     return res.status(200).json({
       success: true,
       message: "Technician deleted successfully",
@@ -917,21 +916,12 @@ export const deleteTechnician = async (req, res) => {
   }
 };
 
-/* ================= UPDATE TECHNICIAN TRAINING STATUS (OWNER ONLY) ================= */
+/* ================= UPDATE TECHNICIAN TRAINING STATUS (technicians.manage) ================= */
 export const updateTechnicianTraining = async (req, res) => {
   try {
     const { technicianId } = req.params;
     const { trainingCompleted } = req.body;
 
-    // 🛡️ Owner access only
-    if (req.user?.role !== "Owner") {
-      return res.status(403).json({
-        success: false,
-        message: "Owner access only",
-        result: {},
-      });
-    }
-
     if (!isValidObjectId(technicianId)) {
       return res.status(400).json({
         success: false,
@@ -7,6 +7,7 @@ import User from "../Schemas/User.js";
 import { notifyCustomerJobAccepted, notifyJobTaken } from "../Utils/sendNotification.js";
 import { fetchTechnicianJobsInternal } from "../Utils/technicianJobFetch.js";
 import { ensureTechnician } from "../Utils/ensureTechnician.js";
+import { transitionBooking } from "../Utils/bookingStateMachine.js";
 
 /* ================= TECHNICIAN ACTIVATION CHECK ================= */
 const checkTechnicianActivation = async (technicianProfileId) => {
@@ -173,26 +174,33 @@ export const respondToJob = async (req, res) => {
       deleted: false,
     };
 
-    const booking = await ServiceBooking.findOneAndUpdate(
-      { _id: id, status: { $in: ["pending", "SEARCHING", "requested", "broadcasted"] }, technicianId: null },
-      {
-        technicianId: technicianProfileId,
-        status: "ACCEPTED",
-        assignedAt: new Date(),
-        autoCancelAt: new Date(Date.now() + 30 * 60 * 1000), // 30 min window to click "On the Way"
-        technicianSnapshot
-      },
-      { new: true, session }
-    ).populate("customerId").populate({
-      path: "serviceId",
-      populate: { path: "categoryId" }
-    });
-
-    if (!booking) {
+    // 🚦 pending / broadcasted -> accepted, only while no technician holds it
+    let booking;
+    try {
+      booking = await transitionBooking({
+        booking: id,
+        to: "accepted",
+        actor: { type: "technician", id: technicianProfileId },
+        filter: { technicianId: null },
+        set: {
+          technicianId: technicianProfileId,
+          assignedAt: new Date(),
+          autoCancelAt: new Date(Date.now() + 30 * 60 * 1000), // 30 min window to click "On the Way"
+          technicianSnapshot,
+        },
+        session,
+      });
+    } catch (err) {
+      if (!err.statusCode) throw err;
       await session.abortTransaction();
       return res.status(409).json({ success: false, message: "Too late! Booking already taken" });
     }
 
+    await booking.populate([
+      { path: "customerId" },
+      { path: "serviceId", populate: { path: "categoryId" } },
+    ]);
+
     await JobBroadcast.updateOne({ bookingId: id, technicianId: technicianProfileId }, { status: "ACCEPTED" }, { session });
 
     const otherBroadcasts = await JobBroadcast.find({
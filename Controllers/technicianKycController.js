@@ -2,12 +2,12 @@ import mongoose from "mongoose";
 import TechnicianKyc from "../Schemas/TechnicianKYC.js";
 import TechnicianProfile from "../Schemas/TechnicianProfile.js";
 import { getTechnicianJobEligibility } from "../Utils/technicianEligibility.js";
+import { hasPermission } from "../Middleware/Auth.js";
+import { PERMISSIONS } from "../Utils/permissions.js";
+import { checkTechnicianReferralMilestone } from "../Utils/referral.js";
 
 const isValidObjectId = mongoose.Types.ObjectId.isValid;
 
-const isOwnerOrAdmin = (req) =>
-  req.user?.role === "Owner" || req.user?.role === "Admin";
-
 /* ================= VALIDATION HELPERS ================= */
 const validateBankDetails = (bankDetails) => {
   if (!bankDetails) return { valid: true }; // Optional
@@ -292,14 +292,6 @@ export const uploadTechnicianKycDocuments = async (req, res) => {
 /* ================= GET ALL TECHNICIAN KYC (ADMIN ONLY) ================= */
 export const getAllTechnicianKyc = async (req, res) => {
   try {
-    if (!isOwnerOrAdmin(req)) {
-      return res.status(403).json({
-        success: false,
-        message: "Owner/Admin access only",
-        result: {},
-      });
-    }
-
     const kycDocs = await TechnicianKyc.find().lean();
 
     const technicianIds = Array.from(
@@ -411,7 +403,7 @@ export const getTechnicianKyc = async (req, res) => {
       });
     }
 
-    const isPrivileged = isOwnerOrAdmin(req);
+    const isPrivileged = await hasPermission(req, PERMISSIONS.KYC_VIEW);
     if (!isPrivileged) {
       const technicianProfileId = req.user?.technicianProfileId;
       if (!technicianProfileId || technicianProfileId.toString() !== technicianId) {
@@ -583,14 +575,6 @@ export const verifyTechnicianKyc = async (req, res) => {
   try {
     const { technicianId, status, rejectionReason } = req.body;
 
-    if (!isOwnerOrAdmin(req)) {
-      return res.status(403).json({
-        success: false,
-        message: "Owner/Admin access only",
-        result: {},
-      });
-    }
-
     if (!technicianId || !isValidObjectId(technicianId) || !status) {
       return res.status(400).json({
         success: false,
@@ -687,6 +671,11 @@ export const verifyTechnicianKyc = async (req, res) => {
         workStatus: "approved",
         approvedAt: new Date(),
       });
+
+      // 🤝 KYC approval may complete a referral milestone (never blocks approval)
+      await checkTechnicianReferralMilestone(technicianId).catch((err) =>
+        console.error("Referral milestone check failed:", err.message)
+      );
     } else {
       await TechnicianProfile.findByIdAndUpdate(technicianId, {
         workStatus: "suspended",
@@ -718,14 +707,6 @@ export const verifyBankDetails = async (req, res) => {
   try {
     const { technicianId, verified, bankRejectionReason } = req.body;
 
-    if (!isOwnerOrAdmin(req)) {
-      return res.status(403).json({
-        success: false,
-        message: "Owner/Admin access only",
-        result: {},
-      });
-    }
-
     if (!technicianId || !isValidObjectId(technicianId) || typeof verified !== "boolean") {
       return res.status(400).json({
         success: false,
@@ -794,14 +775,6 @@ export const deleteTechnicianKyc = async (req, res) => {
   try {
     const { technicianId } = req.params;
 
-    if (!isOwnerOrAdmin(req)) {
-      return res.status(403).json({
-        success: false,
-        message: "Owner/Admin access only",
-        result: {},
-      });
-    }
-
     const result = await TechnicianKyc.findOneAndDelete({ technicianId });
 
     if (!result) {
@@ -829,14 +802,6 @@ export const deleteTechnicianKyc = async (req, res) => {
 /* ================= GET ORPHANED KYC (NO MATCHING TECHNICIAN) ================= */
 export const getOrphanedKyc = async (req, res) => {
   try {
-    if (!isOwnerOrAdmin(req)) {
-      return res.status(403).json({
-        success: false,
-        message: "Owner/Admin access only",
-        result: {},
-      });
-    }
-
     const kycDocs = await TechnicianKyc.find().lean();
 
     // Manual check for orphans since we want to list exactly what is broken
@@ -872,14 +837,6 @@ export const deleteOrphanedKyc = async (req, res) => {
   try {
     const { kycId } = req.params;
 
-    if (!isOwnerOrAdmin(req)) {
-      return res.status(403).json({
-        success: false,
-        message: "Owner/Admin access only",
-        result: {},
-      });
-    }
-
     const result = await TechnicianKyc.findByIdAndDelete(kycId);
     if (!result) {
       return res.status(404).json({
@@ -906,14 +863,6 @@ export const deleteOrphanedKyc = async (req, res) => {
 /* ================= DELETE ALL ORPHANED KYC ================= */
 export const deleteAllOrphanedKyc = async (req, res) => {
   try {
-    if (!isOwnerOrAdmin(req)) {
-      return res.status(403).json({
-        success: false,
-        message: "Owner/Admin access only",
-        result: {},
-      });
-    }
-
     const kycDocs = await TechnicianKyc.find().lean();
     let deletedCount = 0;
 
@@ -23,19 +23,11 @@ const getConfig = () => {
 };
 
 
-// Add Wallet Transaction (Owner only)
+// Add Wallet Transaction (wallet.adjust)
 export const createWalletTransaction = async (req, res) => {
   try {
     const { technicianId, bookingId, amount, type, source } = req.body;
 
-    if (req.user?.role !== "Owner") {
-      return res.status(403).json({
-        success: false,
-        message: "Owner access only",
-        result: {},
-      });
-    }
-
     if (!technicianId || !isValidObjectId(technicianId)) {
       return res.status(400).json({
         success: false,
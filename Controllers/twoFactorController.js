@@ -0,0 +1,218 @@
+import User from "../Schemas/User.js";
+import { createSession } from "../Utils/authSession.js";
+import { recordLoginEvent } from "../Utils/loginActivity.js";
+import {
+  getTwoFactorStatus,
+  beginTwoFactorSetup,
+  confirmTwoFactorSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  findLoginChallengeUser,
+  clearLoginChallenge,
+  markSessionStepUp,
+  STEP_UP_TTL_SECONDS,
+} from "../Utils/twoFactor.js";
+
+/* ======================================================
+  RESPONSE HELPERS (Consistent API shape)
+====================================================== */
+
+const ok = (res, status, message, result = {}) =>
+  res.status(status).json({
+    success: true,
+    message,
+    result,
+  });
+
+const fail = (res, status, message, code) =>
+  res.status(status).json({
+    success: false,
+    message,
+    result: {},
+    ...(code ? { error: { code } } : {}),
+  });
+
+const handleTwoFactorError = (res, err, label) => {
+  if (err.statusCode) {
+    return fail(res, err.statusCode, err.message, err.code);
+  }
+  console.error(`${label} Error:`, err);
+  return fail(res, 500, "Internal server error", "SERVER_ERROR");
+};
+
+const codesFromBody = (body = {}) => ({ code: body.code, recoveryCode: body.recoveryCode });
+
+/**
+ * @desc    My two-factor status
+ * @route   GET /api/user/auth/2fa
+ * @access  Private (Owner / Admin)
+ */
+export const getMyTwoFactor = async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.userId);
+    return ok(res, 200, "Two-factor status fetched", status);
+  } catch (err) {
+    return handleTwoFactorError(res, err, "getMyTwoFactor");
+  }
+};
+
+/**
+ * @desc    Start enrolment (secret + otpauth URL to show as a QR code)
+ * @route   POST /api/user/auth/2fa/setup
+ * @access  Private (Owner / Admin)
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await beginTwoFactorSetup(req.user.userId);
+    return ok(res, 200, "Scan the QR code with your authenticator app, then confirm with a code", {
+      secret,
+      otpauthUrl,
+    });
+  } catch (err) {
+    return handleTwoFactorError(res, err, "setupTwoFactor");
+  }
+};
+
+/**
+ * @desc    Confirm enrolment with a code from the app; returns recovery codes once
+ * @route   POST /api/user/auth/2fa/enable
+ * @body    { code }
+ * @access  Private (Owner / Admin)
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return fail(res, 400, "Authentication code required", "TWO_FACTOR_CODE_REQUIRED");
+    }
+
+    const recoveryCodes = await confirmTwoFactorSetup(req.user.userId, code);
+    await markSessionStepUp(req.user.sessionId);
+
+    return ok(res, 200, "Two-factor authentication enabled. Store your recovery codes safely.", {
+      enabled: true,
+      recoveryCodes,
+    });
+  } catch (err) {
+    return handleTwoFactorError(res, err, "enableTwoFactor");
+  }
+};
+
+/**
+ * @desc    Replace recovery codes (current code required)
+ * @route   POST /api/user/auth/2fa/recovery-codes
+ * @body    { code | recoveryCode }
+ * @access  Private (Owner / Admin)
+ */
+export const regenerateTwoFactorRecoveryCodes = async (req, res) => {
+  try {
+    await verifySecondFactor({ userId: req.user.userId, ...codesFromBody(req.body) });
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.userId);
+    return ok(res, 200, "Recovery codes regenerated. Previous codes no longer work.", { recoveryCodes });
+  } catch (err) {
+    return handleTwoFactorError(res, err, "regenerateTwoFactorRecoveryCodes");
+  }
+};
+
+/**
+ * @desc    Turn two-factor off (current code required, blocked while enforced)
+ * @route   POST /api/user/auth/2fa/disable
+ * @body    { code | recoveryCode }
+ * @access  Private (Owner / Admin)
+ */
+export const disableMyTwoFactor = async (req, res) => {
+  try {
+    await verifySecondFactor({ userId: req.user.userId, ...codesFromBody(req.body) });
+    await disableTwoFactor(req.user.userId);
+    return ok(res, 200, "Two-factor authentication disabled", { enabled: false });
+  } catch (err) {
+    return handleTwoFactorError(res, err, "disableMyTwoFactor");
+  }
+};
+
+/**
+ * @desc    Step-up: verify a code so sensitive actions are allowed for a few minutes
+ * @route   POST /api/user/auth/2fa/step-up
+ * @body    { code | recoveryCode }
+ * @access  Private (Owner / Admin)
+ */
+export const stepUpTwoFactor = async (req, res) => {
+  try {
+    if (!req.user.sessionId) {
+      return fail(res, 401, "Please login again to confirm sensitive actions", "SESSION_REQUIRED");
+    }
+
+    const { method, recoveryCodesRemaining } = await verifySecondFactor({
+      userId: req.user.userId,
+      ...codesFromBody(req.body),
+    });
+    await markSessionStepUp(req.user.sessionId);
+
+    return ok(res, 200, "Verified", {
+      method,
+      recoveryCodesRemaining,
+      validForSeconds: STEP_UP_TTL_SECONDS,
+    });
+  } catch (err) {
+    return handleTwoFactorError(res, err, "stepUpTwoFactor");
+  }
+};
+
+/**
+ * @desc    Second login step: exchange the password challenge + code for tokens
+ * @route   POST /api/user/auth/2fa/verify-login
+ * @body    { challengeToken, code | recoveryCode, deviceId?, deviceName?, platform?, appVersion? }
+ * @access  Public (login challenge required)
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  let user = null;
+  try {
+    const { challengeToken } = req.body || {};
+    user = await findLoginChallengeUser(challengeToken);
+
+    if (user.status === "Blocked") {
+      return fail(res, 403, "Account is blocked. Please contact support.", "ACCOUNT_BLOCKED");
+    }
+    if (user.status === "Deleted") {
+      return fail(res, 403, "Account deleted", "ACCOUNT_DELETED");
+    }
+
+    const { method, recoveryCodesRemaining } = await verifySecondFactor({
+      userId: user._id,
+      ...codesFromBody(req.body),
+    });
+    await clearLoginChallenge(user._id);
+    await User.updateOne({ _id: user._id }, { $set: { lastLoginAt: new Date() } });
+
+    const tokens = await createSession({ user, req, twoFactorVerified: true });
+    await recordLoginEvent({
+      req,
+      user,
+      event: "login_success",
+      method: method === "totp" ? "two_factor" : "recovery_code",
+      sessionId: tokens.sessionId,
+    });
+
+    return ok(res, 200, "Login successful", {
+      ...tokens,
+      userId: user._id,
+      role: user.role,
+      pendingDeletion: user.status === "PendingDeletion"
+        ? { scheduledFor: user.deletionScheduledFor, cancelUrl: "/api/user/me/account-deletion/cancel" }
+        : null,
+      twoFactor: { enabled: true, method, recoveryCodesRemaining },
+    });
+  } catch (err) {
+    if (user && err.code === "TWO_FACTOR_INVALID_CODE") {
+      await recordLoginEvent({
+        req,
+        user,
+        event: "two_factor_failed",
+        method: req.body?.recoveryCode && !req.body?.code ? "recovery_code" : "two_factor",
+        reason: err.code,
+      });
+    }
+    return handleTwoFactorError(res, err, "verifyTwoFactorLogin");
+  }
+};
@@ -1,8 +1,19 @@
 import jwt from "jsonwebtoken";
 import User from "../Schemas/User.js";
 import TechnicianProfile from "../Schemas/TechnicianProfile.js";
-
-export const Auth = async (req, res, next) => {
+import AdminRole from "../Schemas/AdminRole.js";
+import { getTokenRejection } from "../Utils/authSession.js";
+import { ALL_PERMISSIONS } from "../Utils/permissions.js";
+import { getPendingPolicies } from "../Utils/policyRegistry.js";
+import {
+  isTwoFactorSetupRequired,
+  verifySecondFactor,
+  markSessionStepUp,
+  hasRecentStepUp,
+  STEP_UP_TTL_SECONDS,
+} from "../Utils/twoFactor.js";
+
+const authenticate = ({ allowPendingDeletion = false } = {}) => async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
@@ -20,7 +31,7 @@ export const Auth = async (req, res, next) => {
     });
 
     // 🔒 DB check: block deleted/blocked users even if token is still valid
-    const user = await User.findById(decoded.userId).select("status role").lean();
+    const user = await User.findById(decoded.userId).select("status role tokensValidAfter acceptedPolicyVersions deletionScheduledFor blockReason blockedUntil twoFactor.enabled").lean();
 
     if (!user) {
       return res.status(401).json({ success: false, message: "Account not found", result: {} });
@@ -31,7 +42,28 @@ export const Auth = async (req, res, next) => {
     }
 
     if (user.status === "Blocked") {
-      return res.status(403).json({ success: false, message: "This account has been blocked. Contact support.", result: {} });
+      return res.status(403).json({
+        success: false,
+        message: "This account has been blocked. Contact support.",
+        result: {},
+        error: { code: "ACCOUNT_BLOCKED", details: { reason: user.blockReason || null, blockedUntil: user.blockedUntil || null } },
+      });
+    }
+
+    // 🗑️ Deletion scheduled: only the restore / status / logout endpoints stay open
+    if (user.status === "PendingDeletion" && !allowPendingDeletion) {
+      return res.status(403).json({
+        success: false,
+        message: "This account is scheduled for deletion. Restore it to continue.",
+        result: {},
+        error: { code: "ACCOUNT_PENDING_DELETION", details: { scheduledFor: user.deletionScheduledFor } },
+      });
+    }
+
+    // 🔒 Session check: reject logged-out / revoked devices
+    const rejection = await getTokenRejection(decoded, user);
+    if (rejection) {
+      return res.status(401).json({ success: false, message: "Session expired. Please login again.", result: {}, error: { code: rejection } });
     }
 
     // 🔒 Extra check for technicians: also block if profile is soft-deleted
@@ -42,11 +74,21 @@ export const Auth = async (req, res, next) => {
       }
     }
 
+    // 📜 Re-consent signal: newer mandatory Terms / Privacy version published
+    const pendingPolicies = await getPendingPolicies(user);
+    if (pendingPolicies.length > 0) {
+      res.set("X-Terms-Update-Required", pendingPolicies.map((p) => p.type).join(","));
+    }
+
     req.user = {
       userId: decoded.userId,
       role: decoded.role,
       email: decoded.email,
       technicianProfileId: decoded.technicianProfileId || null,
+      sessionId: decoded.sid || null,
+      pendingPolicies,
+      pendingDeletion: user.status === "PendingDeletion",
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
     };
 
     next();
@@ -56,6 +98,25 @@ export const Auth = async (req, res, next) => {
   }
 };
 
+export const Auth = authenticate();
+
+// 🔹 Same as Auth, but also admits accounts awaiting deletion (restore, status, logout)
+export const AuthAllowPendingDeletion = authenticate({ allowPendingDeletion: true });
+
+
+// 🔹 Block until the latest mandatory Terms / Privacy Policy is accepted (Auth must run first)
+export const requireAcceptedTerms = (req, res, next) => {
+  const pending = req.user?.pendingPolicies || [];
+  if (pending.length === 0) return next();
+
+  return res.status(403).json({
+    success: false,
+    message: "Please accept the updated Terms and Privacy Policy to continue",
+    result: {},
+    error: { code: "TERMS_UPDATE_REQUIRED", details: { pending } },
+  });
+};
+
 
 // 🔹 Role-based access middleware
 export const authorizeRoles = (...allowedRoles) => {
@@ -76,3 +137,117 @@ export const authorizeRoles = (...allowedRoles) => {
     next();
   };
 };
+
+
+// 🔹 Resolve the permissions of the authenticated user (cached per request)
+export const getUserPermissions = async (req) => {
+  if (!req.user) return [];
+  if (Array.isArray(req.user.permissions)) return req.user.permissions;
+
+  let permissions = [];
+
+  if (req.user.role === "Owner") {
+    permissions = ALL_PERMISSIONS;
+  } else if (req.user.role === "Admin") {
+    const staff = await User.findById(req.user.userId).select("adminRoleIds").lean();
+    if (staff?.adminRoleIds?.length) {
+      const roles = await AdminRole.find({ _id: { $in: staff.adminRoleIds } }).select("permissions").lean();
+      permissions = [...new Set(roles.flatMap((r) => r.permissions || []))];
+    }
+  }
+
+  req.user.permissions = permissions;
+  return permissions;
+};
+
+// 🔹 Inline check for controllers that serve both staff and regular users
+export const hasPermission = async (req, permission) => {
+  const permissions = await getUserPermissions(req);
+  return permissions.includes(permission);
+};
+
+// 🔹 Permission-based access middleware (all listed permissions required)
+export const requirePermission = (...requiredPermissions) => {
+  return async (req, res, next) => {
+    try {
+      // Auth middleware MUST run before this
+      if (!req.user || !req.user.role) {
+        return res.status(401).json({ success: false, message: "Authentication required" });
+      }
+
+      // 🔑 Enforced 2FA: staff must enrol before using any admin feature
+      if (isTwoFactorSetupRequired({ role: req.user.role, twoFactor: { enabled: req.user.twoFactorEnabled } })) {
+        return res.status(403).json({
+          success: false,
+          message: "Set up two-factor authentication to continue",
+          result: {},
+          error: { code: "TWO_FACTOR_SETUP_REQUIRED" },
+        });
+      }
+
+      const permissions = await getUserPermissions(req);
+      const missing = requiredPermissions.filter((p) => !permissions.includes(p));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied: requires ${missing.join(", ")}`,
+          result: {},
+          error: { code: "PERMISSION_DENIED", details: { missing } },
+        });
+      }
+
+      next();
+    } catch (err) {
+      console.error("requirePermission Error:", err.message);
+      return res.status(500).json({ success: false, message: "Authorization check failed", result: {} });
+    }
+  };
+};
+
+// 🔹 Step-up 2FA before sensitive actions (payouts, bank / KYC verification, deletions)
+// Passes when the session verified 2FA recently, or when a code is sent in X-2FA-Code
+// (or X-2FA-Recovery-Code). Staff without 2FA enrolled pass unless enrolment is enforced.
+export const requireStepUp = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: "Authentication required" });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      if (isTwoFactorSetupRequired({ role: req.user.role, twoFactor: { enabled: false } })) {
+        return res.status(403).json({
+          success: false,
+          message: "Set up two-factor authentication to continue",
+          result: {},
+          error: { code: "TWO_FACTOR_SETUP_REQUIRED" },
+        });
+      }
+      return next();
+    }
+
+    const code = req.headers["x-2fa-code"];
+    const recoveryCode = req.headers["x-2fa-recovery-code"];
+
+    if (code || recoveryCode) {
+      await verifySecondFactor({ userId: req.user.userId, code, recoveryCode });
+      await markSessionStepUp(req.user.sessionId);
+      return next();
+    }
+
+    if (await hasRecentStepUp(req.user.sessionId)) return next();
+
+    return res.status(403).json({
+      success: false,
+      message: "Confirm this action with your authentication code",
+      result: {},
+      error: { code: "STEP_UP_REQUIRED", details: { stepUpTtlSeconds: STEP_UP_TTL_SECONDS } },
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message, result: {}, error: { code: err.code } });
+    }
+    console.error("requireStepUp Error:", err.message);
+    return res.status(500).json({ success: false, message: "Step-up check failed", result: {} });
+  }
+};
@@ -1,6 +1,9 @@
 import jwt from "jsonwebtoken";
+import User from "../Schemas/User.js";
+import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+import { getTokenRejection } from "../Utils/authSession.js";
 
-export const socketAuth = (socket, next) => {
+export const socketAuth = async (socket, next) => {
     try {
         const token =
             socket.handshake.auth?.token || socket.handshake.query?.token;
@@ -10,7 +13,35 @@ export const socketAuth = (socket, next) => {
         }
 
         // Verify JWT
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+            algorithms: ["HS256"],
+        });
+
+        // 🔒 DB check: same account status rules as the HTTP Auth middleware
+        const user = await User.findById(decoded.userId).select("status tokensValidAfter").lean();
+        if (!user || user.status === "Deleted") {
+            return next(new Error("Authentication error: Account not found"));
+        }
+        if (user.status === "Blocked") {
+            return next(new Error("Authentication error: Account blocked"));
+        }
+        if (user.status === "PendingDeletion") {
+            return next(new Error("Authentication error: Account scheduled for deletion"));
+        }
+
+        if (decoded.role === "Technician" && decoded.technicianProfileId) {
+            const techProfile = await TechnicianProfile.findById(decoded.technicianProfileId).select("workStatus").lean();
+            if (!techProfile || techProfile.workStatus === "deleted") {
+                return next(new Error("Authentication error: Account not found"));
+            }
+        }
+
+        // 🔒 Reject logged-out / revoked device sessions
+        const rejection = await getTokenRejection(decoded, user);
+        if (rejection) {
+            return next(new Error("Authentication error: Session revoked"));
+        }
+
         socket.user = decoded; // Attach user to socket
         next();
     } catch (err) {
@@ -6,6 +6,8 @@ import {
   resendOtp,
   verifyOtp,
   setPassword,
+  forgotPassword,
+  resetPassword,
   login,
   technicianLogin,
   ownerLogin,
@@ -15,13 +17,56 @@ import {
   getUserById,
   getAllUsers,
   deleteUserById,
+  updateUserStatus,
   checkUserByIdentifier,
   requestLoginOtp,
   verifyLoginOtp,
   acceptTerms,
 } from "../Controllers/User.js";
 
-import { deleteMyAccount } from "../Controllers/accountController.js";
+import {
+  deleteMyAccount,
+  getMyAccountDeletion,
+  cancelMyAccountDeletion,
+} from "../Controllers/accountController.js";
+import { exportMyData, downloadMyDataExport } from "../Controllers/dataExportController.js";
+import {
+  refreshAccessToken,
+  getMySessions,
+  logout,
+  logoutSession,
+  logoutAllSessions,
+} from "../Controllers/sessionController.js";
+import { getOtpLock, clearOtpLock } from "../Controllers/otpThrottleController.js";
+import {
+  getMyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateTwoFactorRecoveryCodes,
+  disableMyTwoFactor,
+  stepUpTwoFactor,
+  verifyTwoFactorLogin,
+} from "../Controllers/twoFactorController.js";
+import {
+  getCurrentPolicyDocuments,
+  getMyPolicyStatus,
+  publishPolicy,
+  getPolicyDocuments,
+} from "../Controllers/policyController.js";
+import {
+  getSchedulingConfiguration,
+  updateSchedulingConfiguration,
+  createHoliday,
+  deleteHoliday,
+} from "../Controllers/schedulingConfigController.js";
+import {
+  requestContactChange,
+  verifyContactChange,
+  getMyContactChange,
+  cancelContactChange,
+  getContactChangeRequests,
+  reviewContactChange,
+} from "../Controllers/contactChangeController.js";
 
 // ...existing code...
 
@@ -72,6 +117,7 @@ import {
   storeBookingSchedule,
   getCustomerBookings,
   cancelBooking,
+  rescheduleBooking,
   getCancellationReasons,
   deleteAllCustomerBookings,
   getOwnerAllBookings,
@@ -120,7 +166,16 @@ import {
   removeFromCartUnrestricted,
 } from "../Controllers/cartController.js";
 
-import { Auth } from "../Middleware/Auth.js";
+import { getMyReferral } from "../Controllers/referralController.js";
+import { getMyCredits } from "../Controllers/customerCreditController.js";
+import { getMyLoginHistory } from "../Controllers/loginHistoryController.js";
+import { getMyJobCodes, overrideBookingJobCode } from "../Controllers/jobCodeController.js";
+import { getBookingQuote, respondToQuote } from "../Controllers/inspectionQuoteController.js";
+import { getBookingParts } from "../Controllers/sparePartsController.js";
+import { getBookingInvoice } from "../Controllers/invoiceController.js";
+
+import { Auth, AuthAllowPendingDeletion, requirePermission, requireAcceptedTerms, requireStepUp } from "../Middleware/Auth.js";
+import { PERMISSIONS } from "../Utils/permissions.js";
 
 
 const router = express.Router();
@@ -131,7 +186,41 @@ const router = express.Router();
 router.post("/auth/login/request-otp", requestLoginOtp);
 router.post("/auth/login/verify-otp", verifyLoginOtp);
 router.post("/auth/accept-terms", Auth, acceptTerms);
-router.delete("/delete-my-account", Auth, deleteMyAccount);
+
+/* ================= TERMS & PRIVACY (VERSIONED) ================= */
+router.get("/policies/current", getCurrentPolicyDocuments);
+router.get("/me/policies", Auth, getMyPolicyStatus);
+router.get("/policies", Auth, requirePermission(PERMISSIONS.POLICIES_MANAGE), getPolicyDocuments);
+router.post("/policies", Auth, requirePermission(PERMISSIONS.POLICIES_MANAGE), publishPolicy);
+
+/* ================= SCHEDULING (WINDOW, HOURS, HOLIDAYS) ================= */
+router.get("/scheduling/config", Auth, requirePermission(PERMISSIONS.SCHEDULING_MANAGE), getSchedulingConfiguration);
+router.put("/scheduling/config", Auth, requirePermission(PERMISSIONS.SCHEDULING_MANAGE), updateSchedulingConfiguration);
+router.post("/scheduling/holidays", Auth, requirePermission(PERMISSIONS.SCHEDULING_MANAGE), createHoliday);
+router.delete("/scheduling/holidays/:holidayId", Auth, requirePermission(PERMISSIONS.SCHEDULING_MANAGE), deleteHoliday);
+
+/* ================= ACCOUNT DELETION (GRACE PERIOD) ================= */
+router.delete("/delete-my-account", AuthAllowPendingDeletion, deleteMyAccount);
+router.get("/me/account-deletion", AuthAllowPendingDeletion, getMyAccountDeletion);
+router.post("/me/account-deletion/cancel", AuthAllowPendingDeletion, cancelMyAccountDeletion);
+
+// 🤝 Referral program
+router.get("/me/referral", Auth, getMyReferral);
+
+// 💳 Customer credits (balance + ledger)
+router.get("/me/credits", Auth, getMyCredits);
+
+// 📦 Personal data export (async job + expiring download token)
+router.get("/me/export", AuthAllowPendingDeletion, exportMyData);
+router.get("/me/export/download", downloadMyDataExport);
+
+/* ================= SESSIONS / DEVICES ================= */
+router.post("/auth/refresh-token", refreshAccessToken);
+router.get("/auth/sessions", AuthAllowPendingDeletion, getMySessions);
+router.get("/me/login-history", AuthAllowPendingDeletion, getMyLoginHistory);
+router.delete("/auth/sessions/:sessionId", AuthAllowPendingDeletion, logoutSession);
+router.post("/auth/logout", AuthAllowPendingDeletion, logout);
+router.post("/auth/logout-all", AuthAllowPendingDeletion, logoutAllSessions);
 
 const getClientIp = (req) => {
   const xff = req.headers?.["x-forwarded-for"];
@@ -174,6 +263,15 @@ router.post("/verify-otp", authLimiter, verifyOtp);
 router.post("/set-password", authLimiter, Auth, setPassword);
 router.post("/login", authLimiter, login);
 
+/* ================= TWO-FACTOR (OWNER / ADMIN) ================= */
+router.post("/auth/2fa/verify-login", authLimiter, verifyTwoFactorLogin);
+router.get("/auth/2fa", Auth, getMyTwoFactor);
+router.post("/auth/2fa/setup", Auth, setupTwoFactor);
+router.post("/auth/2fa/enable", authLimiter, Auth, enableTwoFactor);
+router.post("/auth/2fa/step-up", authLimiter, Auth, stepUpTwoFactor);
+router.post("/auth/2fa/recovery-codes", authLimiter, Auth, regenerateTwoFactorRecoveryCodes);
+router.post("/auth/2fa/disable", authLimiter, Auth, disableMyTwoFactor);
+
 /* ================= CUSTOMER SIGNUP (TERMS REQUIRED) ================= */
 // Customer signup route - requires termsAccepted
 router.post("/signup/customer", authLimiter, async (req, res, next) => {
@@ -221,75 +319,101 @@ router.post("/owner/set-password", authLimiter, Auth, async (req, res, next) =>
 // Owner: login (role-restricted)
 router.post("/owner/login", authLimiter, ownerLogin);
 
-// 🔍 DEBUG: Check user by identifier (PROTECTED, OWNER/ADMIN ONLY)
-import { authorizeRoles } from "../Middleware/Auth.js";
-router.get("/debug/check-user/:identifier", Auth, authorizeRoles("Owner", "Admin"), checkUserByIdentifier);
+// Owner / Admin staff: forgot + reset password via RESET_PASSWORD OTP
+router.post("/owner/forgot-password", otpLimiter, forgotPassword);
+router.post("/owner/reset-password", authLimiter, resetPassword);
 
-router.get("/me", Auth, getMyProfile);
+// 🔍 DEBUG: Check user by identifier (PROTECTED, STAFF WITH users.view)
+router.get("/debug/check-user/:identifier", Auth, requirePermission(PERMISSIONS.USERS_VIEW), checkUserByIdentifier);
+
+router.get("/me", AuthAllowPendingDeletion, getMyProfile);
 router.post("/complete-profile", Auth, completeProfile);
 router.put("/me", Auth, updateMyProfile);
-router.get("/users/:role/:id", getUserById);
-router.get("/users/:role", getAllUsers);
-router.delete("/users/:id", deleteUserById);
+
+// 📇 Verified mobile / email change
+router.get("/me/contact-change", Auth, getMyContactChange);
+router.post("/me/contact-change", otpLimiter, Auth, requestContactChange);
+router.post("/me/contact-change/verify", authLimiter, Auth, verifyContactChange);
+router.delete("/me/contact-change/:requestId", Auth, cancelContactChange);
+router.get("/contact-change-requests", Auth, requirePermission(PERMISSIONS.USERS_VIEW), getContactChangeRequests);
+router.put("/contact-change-requests/:requestId/review", Auth, requirePermission(PERMISSIONS.USERS_MANAGE), reviewContactChange);
+router.get("/users/:role/:id", Auth, requirePermission(PERMISSIONS.USERS_VIEW), getUserById);
+router.get("/users/:role", Auth, requirePermission(PERMISSIONS.USERS_VIEW), getAllUsers);
+router.delete("/users/:id", Auth, requirePermission(PERMISSIONS.USERS_MANAGE), requireStepUp, deleteUserById);
+router.put("/users/:id/status", Auth, requirePermission(PERMISSIONS.USERS_MANAGE), updateUserStatus);
+
+// 🚦 OTP lockout support (view / clear per mobile number)
+router.get("/otp-lock/:identifier", Auth, requirePermission(PERMISSIONS.USERS_VIEW), getOtpLock);
+router.delete("/otp-lock/:identifier", Auth, requirePermission(PERMISSIONS.USERS_MANAGE), clearOtpLock);
 
 /* ================= CATEGORY ================= */
-router.post("/category", Auth, serviceCategory);
+router.post("/category", Auth, requirePermission(PERMISSIONS.CATALOG_EDIT), serviceCategory);
 router.post(
   "/category/upload-image",
   Auth,
+  requirePermission(PERMISSIONS.CATALOG_EDIT),
   upload.single("image"),
   uploadCategoryImage
 );
-router.delete("/category/remove-image", Auth, removeCategoryImage);
+router.delete("/category/remove-image", Auth, requirePermission(PERMISSIONS.CATALOG_EDIT), removeCategoryImage);
 router.get("/getAllcategory", getAllCategory);
 router.get("/getByIdcategory/:id", getByIdCategory);
-router.put("/updatecategory/:id", Auth, updateCategory);
-router.delete("/deletecategory/:id", Auth, deleteCategory);
+router.put("/updatecategory/:id", Auth, requirePermission(PERMISSIONS.CATALOG_EDIT), updateCategory);
+router.delete("/deletecategory/:id", Auth, requirePermission(PERMISSIONS.CATALOG_EDIT), deleteCategory);
 
 /* ================= REPORT ================= */
 router.post("/report", Auth, userReport);
-router.get("/getAllReports", getAllReports);
+router.get("/getAllReports", Auth, requirePermission(PERMISSIONS.REPORTS_VIEW), getAllReports);
 router.get("/get-my-reports", Auth, getMyReports);
 router.get("/getReportById/:id", Auth, getReportById);
-router.put("/report/resolve/:id", Auth, resolveReport);
+router.put("/report/resolve/:id", Auth, requirePermission(PERMISSIONS.REPORTS_RESOLVE), resolveReport);
 
 /* ================= SERVICE ================= */
-router.post("/service", Auth, createService);
+router.post("/service", Auth, requirePermission(PERMISSIONS.CATALOG_EDIT), createService);
 router.post(
   "/services/upload-images",
   Auth,
+  requirePermission(PERMISSIONS.CATALOG_EDIT),
   upload.array("serviceImages", 5),
   uploadServiceImages
 );
-router.delete("/services/remove-image", removeServiceImage);
+router.delete("/services/remove-image", Auth, requirePermission(PERMISSIONS.CATALOG_EDIT), removeServiceImage);
 router.put(
   "/services/replace-images",
   Auth,
+  requirePermission(PERMISSIONS.CATALOG_EDIT),
   upload.array("serviceImages", 5),
   replaceServiceImages
 );
 router.get("/getAllServices", getAllServices);
 router.get("/getServiceById/:id", getServiceById);
-router.put("/updateService/:id", Auth, updateService);
-router.delete("/services/:id", Auth, deleteService);
+router.put("/updateService/:id", Auth, requirePermission(PERMISSIONS.CATALOG_EDIT), updateService);
+router.delete("/services/:id", Auth, requirePermission(PERMISSIONS.CATALOG_EDIT), deleteService);
 
 /* ================= SERVICE BOOKING ================= */
 router.get("/service/booking", Auth, getBookings);
 router.get("/booking/slots", getBookingSchedule);
-router.post("/booking/schedule", Auth, storeBookingSchedule);
+router.post("/booking/schedule", Auth, requireAcceptedTerms, storeBookingSchedule);
 router.put("/booking/cancel/:id", Auth, cancelBooking);
+router.put("/booking/reschedule/:id", Auth, requireAcceptedTerms, rescheduleBooking);
 router.get("/booking/reasons", Auth, getCancellationReasons);
 router.get("/booking/getCustomerBookings", Auth, getCustomerBookings);
+router.get("/booking/:id/job-codes", Auth, getMyJobCodes);
+router.get("/booking/:id/quote", Auth, getBookingQuote);
+router.put("/booking/:id/quote", Auth, requireAcceptedTerms, respondToQuote);
+router.get("/booking/:id/parts", Auth, getBookingParts);
+router.get("/booking/:id/invoice", Auth, getBookingInvoice);
 router.delete("/booking/deleteAll", Auth, deleteAllCustomerBookings);
 
 /* ================= BOOK AGAIN ================= */
 router.get("/booking/completed-services", Auth, getCompletedServices);
-router.post("/booking/book-again", Auth, rebookService);
+router.post("/booking/book-again", Auth, requireAcceptedTerms, rebookService);
 
 
 /* ================= OWNER BOOKING MANAGEMENT ================= */
-router.get("/booking/getAllBookings", getOwnerAllBookings);
-router.get("/booking/getBookingById/:id", getOwnerBookingById);
+router.get("/booking/getAllBookings", Auth, requirePermission(PERMISSIONS.BOOKINGS_VIEW), getOwnerAllBookings);
+router.get("/booking/getBookingById/:id", Auth, requirePermission(PERMISSIONS.BOOKINGS_VIEW), getOwnerBookingById);
+router.post("/booking/:id/job-codes/override", Auth, requirePermission(PERMISSIONS.BOOKINGS_MANAGE), overrideBookingJobCode);
 
 /* ================= RATING ================= */
 router.post("/rating", Auth, userRating);
@@ -300,17 +424,19 @@ router.delete("/deleteRating/:id", Auth, deleteRating);
 router.get("/get-my-ratings", Auth, getMyRatings);
 
 /* ================= PRODUCT ================= */
-router.post("/product", Auth, createProduct);
+router.post("/product", Auth, requirePermission(PERMISSIONS.CATALOG_EDIT), createProduct);
 router.post(
   "/product/upload-images",
   Auth,
+  requirePermission(PERMISSIONS.CATALOG_EDIT),
   upload.array("productImages", 5),
   uploadProductImages
 );
-router.delete("/product/remove-image", Auth, removeProductImage);
+router.delete("/product/remove-image", Auth, requirePermission(PERMISSIONS.CATALOG_EDIT), removeProductImage);
 router.put(
   "/product/replace-images",
   Auth,
+  requirePermission(PERMISSIONS.CATALOG_EDIT),
   upload.array("productImages", 5),
   replaceProductImages
 );
@@ -319,10 +445,11 @@ router.get("/getOneProduct/:id", getOneProduct);
 router.put(
   "/updateProduct/:id",
   Auth,
+  requirePermission(PERMISSIONS.CATALOG_EDIT),
   upload.array("productImages", 5),
   updateProduct
 );
-router.delete("/deleteProduct/:id", Auth, deleteProduct);
+router.delete("/deleteProduct/:id", Auth, requirePermission(PERMISSIONS.CATALOG_EDIT), deleteProduct);
 
 /* ================= PRODUCT BOOKING ================= */
 router.get("/getAllProductBooking", Auth, getAllProductBooking);
@@ -330,13 +457,13 @@ router.put("/productBookingUpdate/:id", Auth, productBookingUpdate);
 router.put("/productBookingCancel/:id", Auth, productBookingCancel);
 
 /* ================= PAYMENT ================= */
-router.post("/payment/order", Auth, createPaymentOrder);
+router.post("/payment/order", Auth, requireAcceptedTerms, createPaymentOrder);
 router.post("/payment/verify", Auth, verifyPayment);
 router.post("/payment/webhook/razorpay", razorpayWebhook);
-router.put("/payment/:id/status", Auth, updatePaymentStatus);
+router.put("/payment/:id/status", Auth, requirePermission(PERMISSIONS.PAYMENTS_MANAGE), updatePaymentStatus);
 
-// ✅ New: Manual retry for stuck settlements (Admin/Owner)
-router.post("/payment/retry-settlement", Auth, retryPaymentSettlement);
+// ✅ New: Manual retry for stuck settlements (staff with payments.manage)
+router.post("/payment/retry-settlement", Auth, requirePermission(PERMISSIONS.PAYMENTS_MANAGE), retryPaymentSettlement);
 
 /* ================= CART ================= */
 router.post("/cart/add", Auth, addToCart);
@@ -347,10 +474,10 @@ router.put("/cart/:id", Auth, updateCartById);
 router.post("/cart/set-schedule", Auth, setCartItemSchedule);
 router.delete("/cart/remove/:id", Auth, removeFromCart);
 
-router.get("/carts/:id", getCartByIdUnrestricted);
-router.delete("/cart/removed/:id", removeFromCartUnrestricted);
+router.get("/carts/:id", Auth, requirePermission(PERMISSIONS.BOOKINGS_VIEW), getCartByIdUnrestricted);
+router.delete("/cart/removed/:id", Auth, requirePermission(PERMISSIONS.BOOKINGS_MANAGE), removeFromCartUnrestricted);
 
 /* ================= CHECKOUT ================= */
-router.post("/checkout", Auth, checkout);
+router.post("/checkout", Auth, requireAcceptedTerms, checkout);
 
 export default router;
\ No newline at end of file
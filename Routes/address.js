@@ -1,5 +1,6 @@
 import express from "express";
-import { Auth, authorizeRoles } from "../Middleware/Auth.js";
+import { Auth, requirePermission } from "../Middleware/Auth.js";
+import { PERMISSIONS } from "../Utils/permissions.js";
 import {
   createAddress,
   getMyAddresses,
@@ -16,8 +17,8 @@ import {
 const router = express.Router();
 
 /* ================= ADMIN ONLY ================= */
-router.get("/admin/all", Auth, authorizeRoles("Admin", "Owner"), adminGetAllAddresses);
-router.get("/admin/:id", Auth, authorizeRoles("Admin", "Owner"), adminGetAddressById);
+router.get("/admin/all", Auth, requirePermission(PERMISSIONS.USERS_VIEW), adminGetAllAddresses);
+router.get("/admin/:id", Auth, requirePermission(PERMISSIONS.USERS_VIEW), adminGetAddressById);
 
 // Search address (LocationIQ)
 router.get("/search", Auth, searchAddress);
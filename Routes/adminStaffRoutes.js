@@ -0,0 +1,38 @@
+import express from "express";
+import { Auth, requirePermission } from "../Middleware/Auth.js";
+import { PERMISSIONS } from "../Utils/permissions.js";
+
+import {
+  getPermissionCatalogue,
+  getMyPermissions,
+  getAdminRoles,
+  createAdminRole,
+  updateAdminRole,
+  deleteAdminRole,
+  getAdminStaff,
+  createAdminStaff,
+  assignStaffRoles,
+} from "../Controllers/adminStaffController.js";
+
+const router = express.Router();
+
+/* ================= ADMIN STAFF & ROLES (OWNER) ================= */
+
+// My effective permissions (any staff member)
+router.get("/me/permissions", Auth, getMyPermissions);
+
+// Permission catalogue
+router.get("/permissions", Auth, requirePermission(PERMISSIONS.STAFF_MANAGE), getPermissionCatalogue);
+
+// Roles (permission bundles)
+router.get("/roles", Auth, requirePermission(PERMISSIONS.STAFF_MANAGE), getAdminRoles);
+router.post("/roles", Auth, requirePermission(PERMISSIONS.STAFF_MANAGE), createAdminRole);
+router.put("/roles/:id", Auth, requirePermission(PERMISSIONS.STAFF_MANAGE), updateAdminRole);
+router.delete("/roles/:id", Auth, requirePermission(PERMISSIONS.STAFF_MANAGE), deleteAdminRole);
+
+// Staff accounts
+router.get("/staff", Auth, requirePermission(PERMISSIONS.STAFF_MANAGE), getAdminStaff);
+router.post("/staff", Auth, requirePermission(PERMISSIONS.STAFF_MANAGE), createAdminStaff);
+router.put("/staff/:id/roles", Auth, requirePermission(PERMISSIONS.STAFF_MANAGE), assignStaffRoles);
+
+export default router;
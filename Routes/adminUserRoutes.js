@@ -0,0 +1,25 @@
+import express from "express";
+import { Auth, requirePermission } from "../Middleware/Auth.js";
+import { PERMISSIONS } from "../Utils/permissions.js";
+
+import {
+  searchUsers,
+  getUserDetail,
+  blockUser,
+  unblockUser,
+  getUserStatusHistory,
+  getUserLoginHistory,
+} from "../Controllers/adminUserController.js";
+
+const router = express.Router();
+
+/* ================= USER MANAGEMENT CONSOLE ================= */
+
+router.get("/users", Auth, requirePermission(PERMISSIONS.USERS_VIEW), searchUsers);
+router.get("/users/:id", Auth, requirePermission(PERMISSIONS.USERS_VIEW), getUserDetail);
+router.get("/users/:id/status-history", Auth, requirePermission(PERMISSIONS.USERS_VIEW), getUserStatusHistory);
+router.get("/users/:id/login-history", Auth, requirePermission(PERMISSIONS.USERS_VIEW), getUserLoginHistory);
+router.put("/users/:id/block", Auth, requirePermission(PERMISSIONS.USERS_MANAGE), blockUser);
+router.put("/users/:id/unblock", Auth, requirePermission(PERMISSIONS.USERS_MANAGE), unblockUser);
+
+export default router;
@@ -1,5 +1,6 @@
 import express from "express";
-import { Auth } from "../Middleware/Auth.js";
+import { Auth, requirePermission, requireStepUp } from "../Middleware/Auth.js";
+import { PERMISSIONS } from "../Utils/permissions.js";
 
 import {
   getAdminWalletSummary,
@@ -8,6 +9,7 @@ import {
   rejectWithdrawal,
   payWithdrawal,
 } from "../Controllers/adminWalletController.js";
+import { getCustomerCredits, grantCredit } from "../Controllers/customerCreditController.js";
 
 const router = express.Router();
 
@@ -15,17 +17,21 @@ const router = express.Router();
 
 
 // Summary
-router.get("/wallet", Auth, getAdminWalletSummary);
+router.get("/wallet", Auth, requirePermission(PERMISSIONS.WALLET_VIEW), getAdminWalletSummary);
 
 // All withdrawal requests
-router.get("/wallet/withdrawalhistory", Auth, getAllWithdrawalRequests);
+router.get("/wallet/withdrawalhistory", Auth, requirePermission(PERMISSIONS.WALLET_VIEW), getAllWithdrawalRequests);
 
 // Decide withdrawal
-router.put("/wallet/withdrawal/:id/approve", Auth, approveWithdrawal);
-router.put("/wallet/withdrawal/:id/reject", Auth, rejectWithdrawal);
+router.put("/wallet/withdrawal/:id/approve", Auth, requirePermission(PERMISSIONS.PAYOUT_APPROVE), approveWithdrawal);
+router.put("/wallet/withdrawal/:id/reject", Auth, requirePermission(PERMISSIONS.PAYOUT_APPROVE), rejectWithdrawal);
 
 // ✅ Razorpay X – trigger actual bank/UPI payout to technician
-router.put("/wallet/withdrawal/:id/pay", Auth, payWithdrawal);
+router.put("/wallet/withdrawal/:id/pay", Auth, requirePermission(PERMISSIONS.PAYOUT_EXECUTE), requireStepUp, payWithdrawal);
+
+/* ================= CUSTOMER CREDITS ================= */
+router.get("/credits/:customerId", Auth, requirePermission(PERMISSIONS.WALLET_VIEW), getCustomerCredits);
+router.post("/credits/:customerId", Auth, requirePermission(PERMISSIONS.WALLET_ADJUST), grantCredit);
 
 export default router;
 
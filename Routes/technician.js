@@ -1,5 +1,6 @@
 import express from "express";
-import { Auth } from "../Middleware/Auth.js";
+import { Auth, requirePermission, requireAcceptedTerms, requireStepUp } from "../Middleware/Auth.js";
+import { PERMISSIONS } from "../Utils/permissions.js";
 import isTechnician from "../Middleware/isTechnician.js";
 import { upload } from "../Utils/cloudinaryUpload.js";
 import {
@@ -32,8 +33,10 @@ import {
   deleteOrphanedKyc,
   deleteAllOrphanedKyc,
 } from "../Controllers/technicianKycController.js";
-import { updateBookingStatus, getTechnicianJobHistory, getTechnicianCurrentJobs, uploadWorkImages, getAdminJobHistory, technicianCancelBooking } from "../Controllers/serviceBookController.js";
+import { updateBookingStatus, getTechnicianJobHistory, getTechnicianCurrentJobs, uploadWorkImages, getAdminJobHistory, technicianCancelBooking, respondToRescheduleRequest } from "../Controllers/serviceBookController.js";
 import { createWalletTransaction, getWalletTransactions, requestWithdrawal, getMyWithdrawalRequests, cancelMyWithdrawal } from "../Controllers/technicianWalletController.js";
+import { submitQuote } from "../Controllers/inspectionQuoteController.js";
+import { addPart, removePart } from "../Controllers/sparePartsController.js";
 
 
 
@@ -71,14 +74,14 @@ router.post("/login/technician", technicianLogin);
 router.post("/login/technician/verify-otp", verifyTechnicianOtp);
 router.put("/location", Auth, isTechnician, updateTechnicianLocation);
 router.post("/technicianData", Auth, createTechnician);
-router.get("/technicianAll", Auth, getAllTechnicians);
+router.get("/technicianAll", Auth, requirePermission(PERMISSIONS.TECHNICIANS_VIEW), getAllTechnicians);
 router.get("/technicianById/:id", getTechnicianById);
 router.get("/technician/me", Auth, getMyTechnician);
 router.put("/updateTechnician", Auth, updateTechnician);
 router.put("/technician/skills/add", Auth, isTechnician, addTechnicianSkills);
 router.put("/technician/skills/remove", Auth, isTechnician, removeTechnicianSkills);
-router.put("/technician/status", Auth, updateTechnicianStatus);
-router.put("/:technicianId/training", Auth, updateTechnicianTraining);
+router.put("/technician/status", Auth, requirePermission(PERMISSIONS.TECHNICIANS_MANAGE), updateTechnicianStatus);
+router.put("/:technicianId/training", Auth, requirePermission(PERMISSIONS.TECHNICIANS_MANAGE), updateTechnicianTraining);
 router.post("/technician/profile-image", Auth, isTechnician, upload.single("profileImage"), uploadProfileImage);
 router.delete("/technicianDelete/:id", Auth, deleteTechnician);
 
@@ -101,20 +104,20 @@ router.post(
 
 // IMPORTANT: define '/me' BEFORE '/:technicianId' so 'me' doesn't get treated as an id.
 router.get("/technician/kyc/me", Auth, isTechnician, getMyTechnicianKyc);
-router.get("/technician/kyc", Auth, getAllTechnicianKyc);
-router.get("/technician/kyc/:technicianId", Auth, getTechnicianKyc);
-router.put("/technician/kyc/verify", Auth, verifyTechnicianKyc);
-router.put("/technician/kyc/bank/verify", Auth, verifyBankDetails);
-router.delete("/technician/deletekyc/:technicianId", Auth, deleteTechnicianKyc);
-router.get("/technician/kyc/orphaned/list", Auth, getOrphanedKyc);
-router.delete("/technician/kyc/orphaned/:kycId", Auth, deleteOrphanedKyc);
-router.delete("/technician/kyc/orphaned/cleanup/all", Auth, deleteAllOrphanedKyc);
+router.get("/technician/kyc", Auth, requirePermission(PERMISSIONS.KYC_VIEW), getAllTechnicianKyc);
+router.get("/technician/kyc/:technicianId", Auth, getTechnicianKyc); // Self or kyc.view
+router.put("/technician/kyc/verify", Auth, requirePermission(PERMISSIONS.KYC_VERIFY), requireStepUp, verifyTechnicianKyc);
+router.put("/technician/kyc/bank/verify", Auth, requirePermission(PERMISSIONS.BANK_VERIFY), requireStepUp, verifyBankDetails);
+router.delete("/technician/deletekyc/:technicianId", Auth, requirePermission(PERMISSIONS.KYC_VERIFY), deleteTechnicianKyc);
+router.get("/technician/kyc/orphaned/list", Auth, requirePermission(PERMISSIONS.KYC_VIEW), getOrphanedKyc);
+router.delete("/technician/kyc/orphaned/:kycId", Auth, requirePermission(PERMISSIONS.KYC_VERIFY), deleteOrphanedKyc);
+router.delete("/technician/kyc/orphaned/cleanup/all", Auth, requirePermission(PERMISSIONS.KYC_VERIFY), deleteAllOrphanedKyc);
 
 /* ================= JOB BROADCAST ================= */
 
 router.get("/job-broadcast/my-jobs", Auth, isTechnician, getMyJobs);
 
-router.put("/job-broadcast/respond/:id", Auth, respondToJob);
+router.put("/job-broadcast/respond/:id", Auth, requireAcceptedTerms, respondToJob);
 router.put("/booking/technician/cancel/:id", Auth, isTechnician, technicianCancelBooking);
 
 /* ================= JOB UPDATE ================= */
@@ -122,6 +125,10 @@ router.put("/booking/technician/cancel/:id", Auth, isTechnician, technicianCance
 // Technician updates job status
 
 router.put("/status/:id", Auth, isTechnician, updateBookingStatus);
+router.put("/jobs/:id/reschedule", Auth, isTechnician, respondToRescheduleRequest);
+router.post("/jobs/:id/quote", Auth, isTechnician, submitQuote);
+router.post("/jobs/:id/parts", Auth, isTechnician, upload.single("photo"), addPart);
+router.delete("/jobs/:id/parts/:partId", Auth, isTechnician, removePart);
 router.post(
   "/jobs/:id/work-images",
   Auth,
@@ -132,19 +139,19 @@ router.post(
   ]),
   uploadWorkImages
 );
-router.get("/jobs/current", Auth, getTechnicianCurrentJobs); // Supports both Technician and Owner roles
+router.get("/jobs/current", Auth, getTechnicianCurrentJobs); // Technician (own jobs) or staff with bookings.view
 router.get("/jobs/history", Auth, isTechnician, getTechnicianJobHistory);
 
 /* ================= ADMIN JOB HISTORY (WITH DELETED TECHNICIAN SUPPORT) ================= */
-router.get("/admin/jobs/history", Auth, getAdminJobHistory); // Owner/Admin only
+router.get("/admin/jobs/history", Auth, requirePermission(PERMISSIONS.BOOKINGS_VIEW), getAdminJobHistory);
 
 /* ================= TECHNICIAN WALLET ================= */
 
-router.post("/wallet/transaction", Auth, createWalletTransaction);
+router.post("/wallet/transaction", Auth, requirePermission(PERMISSIONS.WALLET_ADJUST), createWalletTransaction);
 router.get("/wallet/history", Auth, isTechnician, getWalletTransactions);
 
 // Technician withdrawal requests
-router.post("/wallet/withdrawal/request", Auth, isTechnician, requestWithdrawal);
+router.post("/wallet/withdrawal/request", Auth, isTechnician, requireAcceptedTerms, requestWithdrawal);
 router.get("/wallet/withdrawalhistory/me", Auth, isTechnician, getMyWithdrawalRequests);
 router.put("/wallet/withdrawal/:id/cancel", Auth, isTechnician, cancelMyWithdrawal);
 
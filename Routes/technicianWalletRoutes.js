@@ -1,5 +1,5 @@
 import express from "express";
-import { Auth } from "../Middleware/Auth.js";
+import { Auth, requireAcceptedTerms } from "../Middleware/Auth.js";
 import isTechnician from "../Middleware/isTechnician.js";
 
 import {
@@ -21,7 +21,7 @@ router.get("/wallet", Auth, isTechnician, getTechnicianWallet);
 router.get("/wallet/transactions", Auth, isTechnician, getWalletTransactions);
 
 // Withdraw request
-router.post("/wallet/withdrawal", Auth, isTechnician, requestWithdrawal);
+router.post("/wallet/withdrawal", Auth, isTechnician, requireAcceptedTerms, requestWithdrawal);
 
 // My withdrawal history
 router.get("/wallet/withdrawalhistory", Auth, isTechnician, getMyWithdrawalRequests);
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+import { ASSIGNABLE_PERMISSIONS } from "../Utils/permissions.js";
+
+// 🧑‍💼 Named bundle of permissions assignable to Admin staff
+const adminRoleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    permissions: {
+      type: [{ type: String, enum: ASSIGNABLE_PERMISSIONS }],
+      default: [],
+    },
+
+    // Built-in roles are managed in code (Utils/permissions.js) and cannot be edited
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.AdminRole || mongoose.model("AdminRole", adminRoleSchema);
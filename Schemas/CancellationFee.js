@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+
+// 💸 Fee charged when a customer cancels a booking, and where its money went
+const cancellationFeeSchema = new mongoose.Schema(
+  {
+    // The cancelled booking
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ServiceBooking",
+      required: true,
+      unique: true,
+    },
+
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // Technician who was assigned (gets technicianShare)
+    technicianId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TechnicianProfile",
+      default: null,
+    },
+
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // due = waiting for the customer's next booking, billed = on an unpaid booking, collected = fully paid
+    status: {
+      type: String,
+      enum: ["due", "billed", "collected"],
+      required: true,
+      index: true,
+    },
+
+    // 🔁 Prepaid booking: the fee is kept from the refund (tracked on the Payment)
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      default: null,
+    },
+    deductedFromRefund: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // 🧾 Rest of the fee, added to what the customer pays on a later booking
+    dueAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    dueBookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ServiceBooking",
+      default: null,
+      index: true,
+    },
+    collectedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // 👷 Split of the fee (credited to the technician once collected)
+    technicianSharePercent: {
+      type: Number,
+      default: 0,
+    },
+    technicianShare: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    platformShare: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    technicianCreditedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+cancellationFeeSchema.index({ customerId: 1, status: 1, createdAt: 1 });
+
+export default mongoose.models.CancellationFee || mongoose.model("CancellationFee", cancellationFeeSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { GST_RATES } from "../Utils/constants.js";
 
 const categorySchema = new mongoose.Schema({
   category: {
@@ -40,6 +41,26 @@ const categorySchema = new mongoose.Schema({
     default: null, // 👈 image uploaded later
   },
 
+  // 🧮 GST, opt-in per category (null rate = no GST; other nulls = PRICING_POLICY default, see Utils/pricing.js)
+  hsnSac: {
+    type: String,
+    trim: true,
+    match: [/^\d{4,8}$/, "HSN/SAC code must be 4 to 8 digits"],
+    default: null,
+  },
+
+  gstRate: {
+    type: Number,
+    enum: [...GST_RATES, null],
+    default: null,
+  },
+
+  // Do catalog prices in this category already include GST?
+  taxInclusive: {
+    type: Boolean,
+    default: null,
+  },
+
   isActive: {
     type: Boolean,
     default: true,
@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+
+// 📇 Verified change of the mobile number (account key) or email
+const contactChangeRequestSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    role: {
+      type: String,
+      enum: ["Customer", "Technician", "Owner", "Admin"],
+      required: true,
+    },
+
+    type: {
+      type: String,
+      enum: ["mobile", "email"],
+      required: true,
+    },
+
+    oldValue: {
+      type: String,
+      default: null,
+    },
+
+    newValue: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // 🔐 VERIFICATION (OTPs live in the Otp collection, purpose CHANGE_CONTACT)
+    oldVerified: {
+      type: Boolean,
+      default: false,
+    },
+
+    newVerified: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Escape hatch: user no longer has the old number -> admin approval instead of old OTP
+    oldContactLost: {
+      type: Boolean,
+      default: false,
+    },
+
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: ["PendingOtp", "PendingApproval", "Completed", "Rejected", "Cancelled"],
+      default: "PendingOtp",
+      index: true,
+    },
+
+    // 🛠️ ADMIN REVIEW (escape hatch only)
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+contactChangeRequestSchema.index({ userId: 1, status: 1 });
+
+export default mongoose.models.ContactChangeRequest ||
+  mongoose.model("ContactChangeRequest", contactChangeRequestSchema);
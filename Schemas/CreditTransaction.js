@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+
+// 💳 Customer credit ledger
+// Every `credit` row is a bucket with its own expiry; `remaining` is what is left of it.
+// `debit` rows (redemption / expiry) record which buckets they drew from.
+const creditTransactionSchema = new mongoose.Schema(
+  {
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    type: {
+      type: String,
+      enum: ["credit", "debit"],
+      required: true,
+    },
+
+    source: {
+      type: String,
+      enum: ["referral", "goodwill", "refund", "adjustment", "redemption", "expiry"],
+      required: true,
+    },
+
+    // 🪣 BUCKET (credit rows only)
+    remaining: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    // 🧾 BOOKING LINK (redemption / refund rows)
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      index: true,
+    },
+
+    bookingType: {
+      type: String,
+      enum: ["service", "product", null],
+      default: null,
+    },
+
+    // Buckets a debit drew from
+    allocations: [
+      {
+        _id: false,
+        creditId: { type: mongoose.Schema.Types.ObjectId, ref: "CreditTransaction" },
+        amount: Number,
+      },
+    ],
+
+    // Part of a redemption already given back (cancellation)
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    referralId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Referral",
+      default: null,
+    },
+
+    note: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    // Staff member for goodwill / adjustment credits
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+creditTransactionSchema.index({ customerId: 1, createdAt: -1 });
+creditTransactionSchema.index({ customerId: 1, type: 1, remaining: 1, expiresAt: 1 });
+
+export default mongoose.models.CreditTransaction ||
+  mongoose.model("CreditTransaction", creditTransactionSchema);
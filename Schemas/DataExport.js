@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+// 📦 Personal data export job (bundle stored gzipped, purged after expiry)
+const dataExportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    role: {
+      type: String,
+      enum: ["Customer", "Technician", "Owner", "Admin"],
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["queued", "processing", "ready", "failed"],
+      default: "queued",
+      index: true,
+    },
+
+    // gzipped JSON bundle (never returned by default queries)
+    bundle: {
+      type: Buffer,
+      select: false,
+    },
+
+    fileName: {
+      type: String,
+      default: null,
+    },
+
+    sizeBytes: {
+      type: Number,
+      default: 0,
+    },
+
+    // 🔑 DOWNLOAD TOKEN (sha256 only; a fresh token is issued on every status check)
+    downloadTokenHash: {
+      type: String,
+      default: null,
+      index: true,
+    },
+
+    downloadTokenExpiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    downloadCount: {
+      type: Number,
+      default: 0,
+    },
+
+    lastDownloadedAt: {
+      type: Date,
+      default: null,
+    },
+
+    error: {
+      type: String,
+      default: null,
+    },
+
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Job + bundle are deleted after this
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+dataExportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.DataExport || mongoose.model("DataExport", dataExportSchema);
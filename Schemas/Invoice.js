@@ -0,0 +1,207 @@
+import mongoose from "mongoose";
+
+// 🧾 One billed line; amounts are tax-inclusive, negative for a discount
+const invoiceLineSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["service", "labour", "part", "visit_charge", "discount"],
+      required: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 250,
+      required: true,
+    },
+    // SAC for services, HSN for goods
+    hsnSac: {
+      type: String,
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    taxableValue: {
+      type: Number,
+      required: true,
+    },
+    gstRate: {
+      type: Number,
+      min: 0,
+      max: 28,
+      default: 0,
+    },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const partySchema = new mongoose.Schema(
+  {
+    name: { type: String, default: null },
+    gstin: { type: String, default: null },
+    address: { type: String, default: null },
+    state: { type: String, default: null },
+    stateCode: { type: String, default: null },
+    phone: { type: String, default: null },
+    email: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// 🧾 GST tax invoice of a completed + paid booking, or a credit note against one
+const invoiceSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["invoice", "credit_note"],
+      required: true,
+    },
+
+    // e.g. RT/2026-27/000042 or RT/CN/2026-27/000003
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Indian financial year (April - March), e.g. "2026-27"
+    financialYear: {
+      type: String,
+      required: true,
+    },
+
+    sequence: {
+      type: Number,
+      required: true,
+    },
+
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ServiceBooking",
+      required: true,
+      index: true,
+    },
+
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    technicianId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TechnicianProfile",
+      default: null,
+    },
+
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      default: null,
+    },
+
+    // 🔁 Credit notes: the invoice they reverse and the refund behind them
+    originalInvoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      default: null,
+    },
+    originalInvoiceNumber: {
+      type: String,
+      default: null,
+    },
+    refundId: {
+      type: String,
+      default: null,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+      default: null,
+    },
+
+    seller: partySchema,
+    buyer: partySchema,
+
+    technician: {
+      name: { type: String, default: null },
+      mobile: { type: String, default: null },
+    },
+
+    serviceName: {
+      type: String,
+      default: null,
+    },
+
+    // intra_state = CGST + SGST, inter_state = IGST
+    supplyType: {
+      type: String,
+      enum: ["intra_state", "inter_state"],
+      required: true,
+    },
+    placeOfSupply: {
+      type: String,
+      default: null,
+    },
+
+    items: {
+      type: [invoiceLineSchema],
+      default: [],
+    },
+
+    totals: {
+      grossAmount: { type: Number, default: 0 },
+      discount: { type: Number, default: 0 },
+      taxableValue: { type: Number, default: 0 },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      totalTax: { type: Number, default: 0 },
+      grandTotal: { type: Number, default: 0 },
+      // How the grand total was paid (invoices only)
+      creditApplied: { type: Number, default: 0 },
+      paidOnline: { type: Number, default: 0 },
+    },
+
+    currency: {
+      type: String,
+      default: "INR",
+    },
+  },
+  { timestamps: true }
+);
+
+// Numbers run per series and financial year without gaps (Utils/invoice.js createNumbered)
+invoiceSchema.index({ type: 1, financialYear: 1, sequence: -1 }, { unique: true });
+
+// One tax invoice per booking; one credit note per provider refund
+invoiceSchema.index(
+  { bookingId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: "invoice" } }
+);
+invoiceSchema.index(
+  { refundId: 1 },
+  { unique: true, partialFilterExpression: { refundId: { $type: "string" } } }
+);
+
+export default mongoose.models.Invoice || mongoose.model("Invoice", invoiceSchema);
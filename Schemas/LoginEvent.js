@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+
+const LOGIN_HISTORY_RETENTION_DAYS = Number(process.env.LOGIN_HISTORY_RETENTION_DAYS) || 180;
+
+// 🕵️ One document per login attempt (success or failure)
+const loginEventSchema = new mongoose.Schema(
+  {
+    // null when the identifier matched no account
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+
+    identifier: {
+      type: String,
+      trim: true,
+      default: null,
+      index: true,
+    },
+
+    role: {
+      type: String,
+      enum: ["Customer", "Technician", "Owner", "Admin", null],
+      default: null,
+    },
+
+    event: {
+      type: String,
+      enum: ["login_success", "login_failed", "otp_failed", "two_factor_failed"],
+      required: true,
+    },
+
+    method: {
+      type: String,
+      enum: ["password", "otp", "signup", "two_factor", "recovery_code"],
+      required: true,
+    },
+
+    // Failure code (INVALID_CREDENTIALS, OTP_INVALID, ...)
+    reason: {
+      type: String,
+      default: null,
+    },
+
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      default: null,
+    },
+
+    // 📱 DEVICE / NETWORK
+    deviceId: { type: String, default: null },
+    deviceName: { type: String, default: null },
+    platform: { type: String, default: null },
+    appVersion: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    ip: { type: String, default: null },
+    city: { type: String, default: null },
+    country: { type: String, default: null },
+
+    // 🚨 ANOMALY FLAGS (successful logins only)
+    newDevice: {
+      type: Boolean,
+      default: false,
+    },
+    newCity: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Alert rules this attempt triggered
+    alerts: {
+      type: [String],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+loginEventSchema.index({ userId: 1, createdAt: -1 });
+loginEventSchema.index({ userId: 1, event: 1, createdAt: -1 });
+
+// Old events are purged automatically
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.models.LoginEvent || mongoose.model("LoginEvent", loginEventSchema);
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// 🗂 One-off data migrations that have run (Utils/adminRoles.js and the like)
+const migrationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // What the migration did, e.g. { adminsUpdated: 3 }
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.Migration || mongoose.model("Migration", migrationSchema);
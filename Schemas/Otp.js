@@ -32,9 +32,51 @@ const otpSchema = new mongoose.Schema(
     },
     purpose: {
       type: String,
-      enum: ["SIGNUP", "RESET_PASSWORD", "LOGIN"],
+      enum: ["SIGNUP", "RESET_PASSWORD", "LOGIN", "CHANGE_CONTACT"],
       required: true,
     },
+
+    // CHANGE_CONTACT only: the ContactChangeRequest this OTP belongs to
+    changeRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ContactChangeRequest",
+      default: null,
+    },
+
+    // 📤 DELIVERY LOG (one entry per channel tried, in order)
+    deliveryAttempts: [
+      {
+        channel: {
+          type: String,
+          enum: ["sms", "whatsapp", "email"],
+          required: true,
+        },
+        provider: {
+          type: String,
+          trim: true,
+        },
+        status: {
+          type: String,
+          enum: ["sent", "failed", "skipped"],
+          required: true,
+        },
+        error: {
+          type: String,
+          default: null,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+        _id: false,
+      },
+    ],
+
+    deliveredVia: {
+      type: String,
+      enum: ["sms", "whatsapp", "email", null],
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+// 🚦 Persistent OTP throttle, one document per mobile number (survives OTP resends)
+const otpThrottleSchema = new mongoose.Schema(
+  {
+    identifier: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+
+    // Recent events (newest last, capped) used for hourly / daily windows
+    sendTimestamps: {
+      type: [Date],
+      default: [],
+    },
+
+    failedVerifyTimestamps: {
+      type: [Date],
+      default: [],
+    },
+
+    // 🔒 LOCKOUT
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    // Number of consecutive lockouts (drives the exponential lock duration)
+    lockLevel: {
+      type: Number,
+      default: 0,
+    },
+
+    lastLockedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lockReason: {
+      type: String,
+      enum: ["VERIFY_HOURLY_LIMIT", "VERIFY_DAILY_LIMIT", null],
+      default: null,
+    },
+
+    // 🛠️ SUPPORT OVERRIDE
+    clearedAt: {
+      type: Date,
+      default: null,
+    },
+
+    clearedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Idle throttles are purged automatically
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+otpThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.OtpThrottle || mongoose.model("OtpThrottle", otpThrottleSchema);
@@ -29,6 +29,61 @@ const paymentSchema = new mongoose.Schema(
     commissionAmount: Number,
     technicianAmount: Number,
 
+    // 🧮 GST inside totalAmount; TDS / TCS withheld from technicianAmount at settlement
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+    tdsAmount: {
+      type: Number,
+      default: 0,
+    },
+    tcsAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // 💸 Earlier cancellation fees collected with this payment (inside totalAmount)
+    cancellationFeeAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // 💳 Part of totalAmount covered by customer credit; the rest is charged online
+    creditAmount: {
+      type: Number,
+      default: 0,
+    },
+    chargedAmount: Number,
+
+    // 🔁 Online amount given back after a cancellation or expiry (Utils/cancellationRefund.js);
+    // held = waiting for the cancellation fee to be recorded, failed = the provider refused (both retried)
+    refundAmount: {
+      type: Number,
+      default: 0,
+    },
+    refundId: {
+      type: String,
+      default: null,
+    },
+    refundStatus: {
+      type: String,
+      enum: ["none", "held", "pending", "processed", "failed"],
+      default: "none",
+    },
+    refundError: {
+      type: String,
+      default: null,
+    },
+    refundRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    refundAttempts: {
+      type: Number,
+      default: 0,
+    },
+
     status: {
       type: String,
       enum: ["pending", "success", "failed"],
@@ -51,4 +106,9 @@ paymentSchema.index(
   { unique: true, partialFilterExpression: { providerPaymentId: { $type: "string" } } }
 );
 
+paymentSchema.index(
+  { refundId: 1 },
+  { partialFilterExpression: { refundId: { $type: "string" } } }
+);
+
 export default mongoose.models.Payment || mongoose.model("Payment", paymentSchema);
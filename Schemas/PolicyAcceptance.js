@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// ✅ One row per user per accepted policy version (consent history)
+const policyAcceptanceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    type: {
+      type: String,
+      enum: ["terms", "privacy"],
+      required: true,
+    },
+
+    // 0 = accepted before any version was published in the registry
+    version: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PolicyDocument",
+      default: null,
+    },
+
+    acceptedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    ip: {
+      type: String,
+      default: null,
+    },
+
+    userAgent: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+policyAcceptanceSchema.index({ userId: 1, type: 1, version: -1 });
+
+export default mongoose.models.PolicyAcceptance ||
+  mongoose.model("PolicyAcceptance", policyAcceptanceSchema);
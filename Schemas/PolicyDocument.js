@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// 📜 Published Terms / Privacy Policy versions (append-only registry)
+const policyDocumentSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["terms", "privacy"],
+      required: true,
+    },
+
+    // Increments per type: 1, 2, 3...
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    title: {
+      type: String,
+      trim: true,
+      required: true,
+    },
+
+    // Where the apps render the full document
+    url: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    // Short "what changed" note shown in the re-consent prompt
+    summary: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: null,
+    },
+
+    effectiveAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+
+    // Mandatory versions force every user who accepted an older one to re-consent
+    mandatory: {
+      type: Boolean,
+      default: true,
+    },
+
+    publishedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+policyDocumentSchema.index({ type: 1, version: 1 }, { unique: true });
+
+export default mongoose.models.PolicyDocument ||
+  mongoose.model("PolicyDocument", policyDocumentSchema);
@@ -63,6 +63,13 @@ const ProductBookingSchema = new mongoose.Schema(
       default: "pending",
     },
 
+    // 💳 Customer credit applied (online payment covers amount - creditApplied)
+    creditApplied: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
     status: {
       type: String,
       enum: ["active", "completed", "cancelled"],
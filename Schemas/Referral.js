@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+
+// 🤝 Referral: one per referred account, rewarded once the referee hits the milestone
+const referralSchema = new mongoose.Schema(
+  {
+    referrerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    referrerRole: {
+      type: String,
+      enum: ["Customer", "Technician"],
+      required: true,
+    },
+
+    refereeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+
+    refereeRole: {
+      type: String,
+      enum: ["Customer", "Technician"],
+      required: true,
+    },
+
+    code: {
+      type: String,
+      required: true,
+    },
+
+    // Device the referee signed up on (one referral per device)
+    deviceId: {
+      type: String,
+      required: true,
+    },
+
+    signupIp: {
+      type: String,
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "rewarded", "void"],
+      default: "pending",
+      index: true,
+    },
+
+    // 🎁 REWARD (to the referrer: wallet bonus for technicians, credit for customers)
+    rewardAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    rewardedAt: {
+      type: Date,
+      default: null,
+    },
+
+    walletTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WalletTransaction",
+      default: null,
+    },
+
+    creditTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CreditTransaction",
+      default: null,
+    },
+
+    voidReason: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+referralSchema.index({ deviceId: 1 }, { unique: true });
+
+export default mongoose.models.Referral || mongoose.model("Referral", referralSchema);
@@ -0,0 +1,160 @@
+import mongoose from "mongoose";
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// 🏙 Hours / horizon for a city, a category, or a category in a city (null fields inherit)
+const schedulingOverrideSchema = new mongoose.Schema(
+  {
+    // Lowercase city name as stored on addresses; null = every city
+    city: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+
+    // null = every category
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+
+    openTime: {
+      type: String,
+      match: TIME_OF_DAY,
+      default: null,
+    },
+
+    closeTime: {
+      type: String,
+      match: TIME_OF_DAY,
+      default: null,
+    },
+
+    horizonDays: {
+      type: Number,
+      min: 1,
+      max: 14,
+      default: null,
+    },
+
+    // 0 = Sunday ... 6 = Saturday; null = inherit
+    closedWeekdays: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: undefined,
+    },
+
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: null,
+    },
+  },
+  { _id: true }
+);
+
+// 🎉 Day with no scheduled bookings (public holiday, festival)
+const holidaySchema = new mongoose.Schema(
+  {
+    // YYYY-MM-DD, local calendar day
+    date: {
+      type: String,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+      required: true,
+    },
+
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      required: true,
+    },
+
+    // Lowercase city names; empty = everywhere
+    cities: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      default: [],
+    },
+  },
+  { _id: true }
+);
+
+// 📅 Booking window, business hours and holidays (single document, key "default")
+const schedulingConfigSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+
+    // First bookable day: 0 = today, 1 = tomorrow
+    startOffsetDays: {
+      type: Number,
+      min: 0,
+      max: 7,
+      default: 1,
+    },
+
+    // Last bookable day, counted from today
+    horizonDays: {
+      type: Number,
+      min: 1,
+      max: 14,
+      default: 2,
+    },
+
+    minLeadMinutes: {
+      type: Number,
+      min: 0,
+      max: 24 * 60,
+      default: 30,
+    },
+
+    // First and last slot start of the day
+    openTime: {
+      type: String,
+      match: TIME_OF_DAY,
+      default: "09:00",
+    },
+
+    closeTime: {
+      type: String,
+      match: TIME_OF_DAY,
+      default: "21:00",
+    },
+
+    slotIntervalMinutes: {
+      type: Number,
+      enum: [15, 30, 60],
+      default: 30,
+    },
+
+    closedWeekdays: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [],
+    },
+
+    overrides: {
+      type: [schedulingOverrideSchema],
+      default: [],
+    },
+
+    holidays: {
+      type: [holidaySchema],
+      default: [],
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.SchedulingConfig ||
+  mongoose.model("SchedulingConfig", schedulingConfigSchema);
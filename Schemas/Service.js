@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { priceServiceBooking } from "../Utils/pricing.js";
 
 const serviceSchema = new mongoose.Schema(
   {
@@ -78,6 +79,18 @@ const serviceSchema = new mongoose.Schema(
       default: 0,
     },
 
+    // ================= TAX (from the category) =================
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // What the customer pays, GST included
+    finalPrice: {
+      type: Number,
+      default: 0,
+    },
+
     // ================= CONTENT FOR FRONTEND =================
     whatIncluded: {
       type: [String],
@@ -187,22 +200,16 @@ const serviceSchema = new mongoose.Schema(
 );
 
 // ================= AUTO CALCULATIONS =================
-serviceSchema.pre("save", function (next) {
-  // Discount
-  const discountAmount =
-    (this.serviceCost * this.serviceDiscountPercentage) / 100;
-
-  this.discountAmount = discountAmount;
-  this.discountedPrice = this.serviceCost - discountAmount;
-
-  // Commission
-  this.commissionAmount =
-    (this.discountedPrice * this.commissionPercentage) / 100;
-
-  this.technicianAmount =
-    this.discountedPrice - this.commissionAmount;
-
-  next();
+// Discount, GST, commission and technician share (Utils/pricing.js)
+serviceSchema.pre("save", async function () {
+  const pricing = await priceServiceBooking({ service: this });
+
+  this.discountAmount = pricing.discountAmount;
+  this.discountedPrice = pricing.price;
+  this.taxAmount = pricing.taxAmount;
+  this.finalPrice = pricing.baseAmount;
+  this.commissionAmount = pricing.commissionAmount;
+  this.technicianAmount = pricing.technicianAmount;
 });
 
 export default mongoose.models.Service || mongoose.model("Service", serviceSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import crypto from "crypto";
 
 const geoPointSchema = new mongoose.Schema(
   {
@@ -29,6 +30,207 @@ const geoPointSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// 🔢 Code the customer reads out to the technician (start / completion)
+const jobCodeSchema = new mongoose.Schema(
+  {
+    // Never sent to technicians: select explicitly for the customer view
+    code: {
+      type: String,
+      select: false,
+    },
+    issuedAt: {
+      type: Date,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    verifiedAt: {
+      type: Date,
+      default: null,
+    },
+    verifiedBy: {
+      type: String,
+      enum: ["customer_code", "admin_override", null],
+      default: null,
+    },
+    override: {
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      reason: {
+        type: String,
+        default: null,
+      },
+      at: {
+        type: Date,
+        default: null,
+      },
+    },
+  },
+  { _id: false }
+);
+
+const generateJobCode = () => crypto.randomInt(0, 10000).toString().padStart(4, "0");
+
+// 🧾 One line of an inspection quote (labour or a part)
+const quoteItemSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["labour", "part"],
+      required: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      required: true,
+    },
+    // Catalog product used as the part, if any
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    unitPrice: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// 🧾 Price the technician proposes after inspecting (checked by Utils/inspectionQuote.js)
+const inspectionQuoteSchema = new mongoose.Schema(
+  {
+    items: {
+      type: [quoteItemSchema],
+      default: [],
+    },
+    labourTotal: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    partsTotal: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+    // superseded = replaced by a newer quote before the customer answered
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "superseded"],
+      default: "pending",
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TechnicianProfile",
+      required: true,
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+  },
+  { _id: true }
+);
+
+// 🔩 Spare part fitted by the technician (checked by Utils/spareParts.js)
+const sparePartSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 120,
+      required: true,
+    },
+    brand: {
+      type: String,
+      trim: true,
+      maxlength: 80,
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    unitPrice: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    // 0 = no warranty
+    warrantyMonths: {
+      type: Number,
+      min: 0,
+      max: 120,
+      default: 0,
+    },
+    photo: {
+      type: String,
+      default: null,
+    },
+    // false = already priced in the approved inspection quote
+    billable: {
+      type: Boolean,
+      default: true,
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TechnicianProfile",
+      required: true,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
 const serviceBookingSchema = new mongoose.Schema(
   {
 
@@ -79,6 +281,55 @@ const serviceBookingSchema = new mongoose.Schema(
       min: 0,
     },
 
+    // 🧾 INSPECTION QUOTES (after_inspection services; the last one is current)
+    quotes: {
+      type: [inspectionQuoteSchema],
+      default: [],
+    },
+
+    // 🔩 SPARE PARTS (payable = baseAmount + partsAmount)
+    spareParts: {
+      type: [sparePartSchema],
+      default: [],
+    },
+
+    // Sum of billable parts
+    partsAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Platform share of partsAmount (included in commissionAmount)
+    partsCommissionAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // 🧮 GST inside baseAmount; parts carry none (Utils/pricing.js; null rate = no GST)
+    gstRate: {
+      type: Number,
+      default: null,
+    },
+
+    hsnSac: {
+      type: String,
+      default: null,
+    },
+
+    taxableAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
     // 📍 ADDRESS SNAPSHOT
     locationType: {
       type: String,
@@ -118,6 +369,52 @@ const serviceBookingSchema = new mongoose.Schema(
       index: true,
     },
 
+    // 🔁 RESCHEDULE (Utils/bookingReschedule.js)
+    rescheduleCount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Set while the assigned technician has not confirmed the new time
+    rescheduleConfirmBy: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+
+    rescheduleHistory: [
+      {
+        _id: false,
+        fromScheduledAt: {
+          type: Date,
+          default: null,
+        },
+        toScheduledAt: {
+          type: Date,
+          required: true,
+        },
+        requestedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        // Technician holding the job when the customer rescheduled
+        technicianId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "TechnicianProfile",
+          default: null,
+        },
+        outcome: {
+          type: String,
+          enum: ["rebroadcast", "awaiting_technician", "confirmed", "released", "timed_out"],
+          required: true,
+        },
+        resolvedAt: {
+          type: Date,
+          default: null,
+        },
+      },
+    ],
+
     // 💳 PAYMENT
     paymentStatus: {
       type: String,
@@ -128,7 +425,7 @@ const serviceBookingSchema = new mongoose.Schema(
 
     paymentProvider: {
       type: String,
-      enum: ["razorpay"],
+      enum: ["razorpay", "credits"],
       default: "razorpay",
     },
 
@@ -150,6 +447,13 @@ const serviceBookingSchema = new mongoose.Schema(
       min: 0,
     },
 
+    // 💳 Customer credit applied (online payment covers baseAmount + partsAmount - creditApplied)
+    creditApplied: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
     commissionPercentage: {
       type: Number,
       default: 0,
@@ -169,6 +473,19 @@ const serviceBookingSchema = new mongoose.Schema(
       min: 0,
     },
 
+    // 🧾 Withheld from the technician payout at settlement
+    tdsAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    tcsAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
     paymentId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Payment",
@@ -216,6 +533,51 @@ const serviceBookingSchema = new mongoose.Schema(
       index: true,
     },
 
+    // 🔢 START / COMPLETION CODES (checked by Utils/jobCodes.js)
+    jobCodes: {
+      start: {
+        type: jobCodeSchema,
+        default: undefined,
+      },
+      completion: {
+        type: jobCodeSchema,
+        default: undefined,
+      },
+    },
+
+    // 🧾 Every status change (written by Utils/bookingStateMachine.js)
+    statusHistory: [
+      {
+        _id: false,
+        from: {
+          type: String,
+          default: null,
+        },
+        to: {
+          type: String,
+          required: true,
+        },
+        actor: {
+          type: String,
+          enum: ["customer", "technician", "admin", "system"],
+          required: true,
+        },
+        // User ID (customer / admin) or TechnicianProfile ID (technician)
+        actorId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        reason: {
+          type: String,
+          default: null,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
     cancelReason: {
       type: String,
       enum: [
@@ -233,6 +595,7 @@ const serviceBookingSchema = new mongoose.Schema(
         "personal_emergency",
         "wrong_service_selected",
         "parts_unavailable",
+        "quote_rejected",
         "other"
       ],
       default: null,
@@ -249,6 +612,13 @@ const serviceBookingSchema = new mongoose.Schema(
       default: 0,
     },
 
+    // 💸 Fees of earlier cancellations billed on this booking (Utils/cancellationFee.js)
+    cancellationFeeDue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
     technicianPenalty: {
       type: Number,
       default: 0,
@@ -344,6 +714,43 @@ const serviceBookingSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// 🧾 First history entry: the customer created the booking
+serviceBookingSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, actor: "customer", actorId: this.customerId });
+  }
+  next();
+});
+
+// 🔢 Issue start and completion codes for new bookings
+serviceBookingSchema.pre("save", function (next) {
+  if (this.isNew && !this.jobCodes?.start?.issuedAt) {
+    const start = generateJobCode();
+    let completion = generateJobCode();
+    while (completion === start) completion = generateJobCode();
+
+    const issuedAt = new Date();
+    this.set("jobCodes", {
+      start: { code: start, issuedAt },
+      completion: { code: completion, issuedAt },
+    });
+  }
+  next();
+});
+
+// 🔒 Codes never leave the server inside a serialized booking (API / socket payloads)
+serviceBookingSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    if (ret.jobCodes?.start) delete ret.jobCodes.start.code;
+    if (ret.jobCodes?.completion) delete ret.jobCodes.completion.code;
+    // 💰 What the customer owes in total (service + spare parts + earlier cancellation fees)
+    if (ret.baseAmount !== undefined) {
+      ret.payableAmount = Math.round(((ret.baseAmount || 0) + (ret.partsAmount || 0) + (ret.cancellationFeeDue || 0)) * 100) / 100;
+    }
+    return ret;
+  },
+});
+
 // Helpful index for technician dashboard
 serviceBookingSchema.index({ technicianId: 1, status: 1 });
 
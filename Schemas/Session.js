@@ -0,0 +1,113 @@
+import mongoose from "mongoose";
+
+// 📱 One document per logged-in device (refresh token family)
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    role: {
+      type: String,
+      enum: ["Customer", "Technician", "Owner", "Admin"],
+      required: true,
+    },
+
+    technicianProfileId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TechnicianProfile",
+      default: null,
+    },
+
+    // sha256 of the current refresh token (raw token is never stored)
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // sha256 of the token that was rotated out (used for reuse detection)
+    previousRefreshTokenHash: {
+      type: String,
+      default: null,
+      index: true,
+    },
+
+    // 📱 DEVICE INFO
+    deviceId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    deviceName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    platform: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    appVersion: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    userAgent: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    ip: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // 🔑 Last 2FA verification on this device (step-up for sensitive actions)
+    stepUpAt: {
+      type: Date,
+      default: null,
+    },
+
+    // 🔒 REVOCATION
+    revokedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+
+    revokedReason: {
+      type: String,
+      enum: ["logout", "logout_all", "admin", "token_reuse", "password_reset", null],
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Expired sessions are purged automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.Session || mongoose.model("Session", sessionSchema);
@@ -34,6 +34,20 @@ const tempUserSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // 🤝 Referral captured at signup (applied when the account is created)
+    referralCode: {
+      type: String,
+      default: null,
+    },
+    referrerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    deviceId: {
+      type: String,
+      default: null,
+    },
   },
   { timestamps: true }
 );
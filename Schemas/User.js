@@ -62,10 +62,56 @@ const userSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["Active", "Inactive", "Blocked", "Deleted"],
+      enum: ["Active", "Inactive", "Blocked", "PendingDeletion", "Deleted"],
       default: "Active",
     },
 
+    // 🚫 Block details (full trail in UserStatusHistory)
+    blockReason: {
+      type: String,
+      default: null,
+    },
+    blockedAt: {
+      type: Date,
+      default: null,
+    },
+    // Temporary suspension end (null = until unblocked)
+    blockedUntil: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    // Status to restore on unblock (e.g. a PendingDeletion account stays scheduled)
+    statusBeforeBlock: {
+      type: String,
+      enum: ["Active", "Inactive", "PendingDeletion", null],
+      default: null,
+    },
+
+    // 🗑️ Self-service deletion grace period (purged by cron after deletionScheduledFor)
+    deletionRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    // Purge was blocked (open payout, failure): the cron retries after this
+    deletionDeferredUntil: {
+      type: Date,
+      default: null,
+    },
+
+    // 🧑‍💼 Admin staff only: AdminRoles granting permissions
+    adminRoleIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AdminRole",
+      },
+    ],
+
     profileComplete: {
       type: Boolean,
       default: false,
@@ -73,6 +119,64 @@ const userSchema = new mongoose.Schema(
 
     lastLoginAt: Date,
 
+    // 🤝 Referral program (code generated on signup / first use)
+    referralCode: {
+      type: String,
+      unique: true,
+      sparse: true,
+      uppercase: true,
+      trim: true,
+    },
+    referredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // 🔑 TOTP two-factor (Owner / Admin staff only)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: Date,
+      // AES-256-GCM encrypted base32 secrets
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // sha256 of unused one-time recovery codes
+      recoveryCodeHashes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted TOTP time step (replay protection)
+      lastUsedStep: Number,
+      failedAttempts: {
+        type: Number,
+        default: 0,
+      },
+      lockedUntil: Date,
+      // Second login step (sha256 of the challenge token)
+      challengeHash: {
+        type: String,
+        select: false,
+        index: true,
+        sparse: true,
+      },
+      challengeExpiresAt: Date,
+    },
+
+    // Tokens issued before this instant are rejected ("logout everywhere")
+    tokensValidAfter: {
+      type: Date,
+      default: null,
+    },
+
     // Terms and Conditions
     termsAndServices: {
       type: Boolean,
@@ -91,6 +195,18 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+
+    // 📜 Latest accepted PolicyDocument version per type (0 = none / pre-registry)
+    acceptedPolicyVersions: {
+      terms: {
+        type: Number,
+        default: 0,
+      },
+      privacy: {
+        type: Number,
+        default: 0,
+      },
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+// 🧾 Audit trail of every User.status change (admin, self-service or system)
+const userStatusHistorySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    role: {
+      type: String,
+      enum: ["Customer", "Technician", "Owner", "Admin"],
+      required: true,
+    },
+
+    fromStatus: {
+      type: String,
+      default: null,
+    },
+
+    toStatus: {
+      type: String,
+      required: true,
+    },
+
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+
+    // Temporary suspension: block lifts automatically after this instant
+    blockedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    source: {
+      type: String,
+      enum: ["admin", "self", "system"],
+      required: true,
+    },
+
+    // Staff member who made the change (null for self / system)
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+userStatusHistorySchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.models.UserStatusHistory ||
+  mongoose.model("UserStatusHistory", userStatusHistorySchema);
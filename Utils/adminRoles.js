@@ -0,0 +1,82 @@
+import User from "../Schemas/User.js";
+import AdminRole from "../Schemas/AdminRole.js";
+import Migration from "../Schemas/Migration.js";
+import { SYSTEM_ROLES } from "./permissions.js";
+
+/**
+ * 🧑‍💼 ADMIN ROLES
+ * The built-in role bundles (SYSTEM_ROLES, Utils/permissions.js) are upserted on start.
+ * Admins created before roles existed have no adminRoleIds and so no permissions: a
+ * one-off migration gives each of them the role named by LEGACY_ADMIN_ROLE (default
+ * "Super Admin", the access they had before). It is recorded in the Migration collection
+ * and never runs again, so roles the Owner later removes stay removed.
+ */
+
+const LEGACY_ADMIN_MIGRATION = "assign-legacy-admin-roles";
+
+/**
+ * Upsert the built-in role bundles so they always match the code
+ */
+export const ensureSystemRoles = async () => {
+  await Promise.all(
+    SYSTEM_ROLES.map((role) =>
+      AdminRole.updateOne(
+        { name: role.name },
+        {
+          $set: {
+            description: role.description,
+            permissions: role.permissions,
+            isSystem: true,
+          },
+        },
+        { upsert: true }
+      )
+    )
+  );
+};
+
+/**
+ * Give Admins without any role the legacy role (once per database)
+ * @returns {Number} Admins updated
+ */
+export const assignLegacyAdminRoles = async () => {
+  if (await Migration.exists({ name: LEGACY_ADMIN_MIGRATION })) return 0;
+
+  const roleName = process.env.LEGACY_ADMIN_ROLE || "Super Admin";
+  const role = await AdminRole.findOne({ name: roleName }).select("_id").lean();
+  if (!role) {
+    console.error(`❌ Legacy admin migration skipped: role "${roleName}" not found`);
+    return 0;
+  }
+
+  const result = await User.updateMany(
+    {
+      role: "Admin",
+      status: { $ne: "Deleted" },
+      $or: [{ adminRoleIds: { $exists: false } }, { adminRoleIds: { $size: 0 } }],
+    },
+    { $set: { adminRoleIds: [role._id] } }
+  );
+
+  await Migration.updateOne(
+    { name: LEGACY_ADMIN_MIGRATION },
+    { $setOnInsert: { details: { role: roleName, adminsUpdated: result.modifiedCount } } },
+    { upsert: true }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`🧑‍💼 Gave ${result.modifiedCount} existing admin(s) the "${roleName}" role`);
+  }
+  return result.modifiedCount;
+};
+
+/**
+ * Startup step: system roles, then the legacy admin migration (never throws)
+ */
+export const initAdminRoles = async () => {
+  try {
+    await ensureSystemRoles();
+    await assignLegacyAdminRoles();
+  } catch (err) {
+    console.error("Admin roles startup error:", err.message);
+  }
+};
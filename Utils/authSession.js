@@ -0,0 +1,243 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session from "../Schemas/Session.js";
+import User from "../Schemas/User.js";
+
+/**
+ * 🔐 AUTH SESSION UTILITY
+ * Short-lived access tokens (JWT) + rotating refresh tokens stored per device.
+ * Every access token carries the session id (`sid`) so a single device can be revoked.
+ */
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const sessionError = (message, code, statusCode = 401) => {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  return err;
+};
+
+const getClientIp = (req) => {
+  const xff = req?.headers?.["x-forwarded-for"];
+  if (typeof xff === "string" && xff.trim()) return xff.split(",")[0].trim();
+  return req?.ip || req?.socket?.remoteAddress || null;
+};
+
+/**
+ * Extract device details from the login request (body first, then headers)
+ * @param {Object} req - Express request
+ */
+export const getDeviceInfo = (req) => {
+  const body = req?.body || {};
+  const headers = req?.headers || {};
+  const clip = (v) => (v === undefined || v === null ? null : String(v).trim().slice(0, 200) || null);
+
+  return {
+    deviceId: clip(body.deviceId || headers["x-device-id"]),
+    deviceName: clip(body.deviceName || headers["x-device-name"]),
+    platform: clip(body.platform || headers["x-platform"]),
+    appVersion: clip(body.appVersion || headers["x-app-version"]),
+    userAgent: clip(headers["user-agent"]),
+    ip: clip(getClientIp(req)),
+  };
+};
+
+const signAccessToken = (session) =>
+  jwt.sign(
+    {
+      userId: session.userId,
+      role: session.role,
+      ...(session.technicianProfileId ? { technicianProfileId: session.technicianProfileId } : {}),
+      sid: session._id,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+const buildTokenResult = (session, refreshToken) => {
+  const token = signAccessToken(session);
+  const { exp } = jwt.decode(token) || {};
+  return {
+    token,
+    refreshToken,
+    sessionId: session._id,
+    accessTokenExpiresAt: exp ? new Date(exp * 1000) : null,
+    refreshTokenExpiresAt: session.expiresAt,
+  };
+};
+
+/**
+ * Create a new device session and issue its first token pair
+ * @param {Object} params
+ * @param {Object} params.user - User document (needs _id and role)
+ * @param {String} [params.technicianProfileId] - Technician profile ID (technicians only)
+ * @param {Object} [params.req] - Express request (device info)
+ * @param {Object} [params.session] - Mongoose transaction session
+ * @param {Boolean} [params.twoFactorVerified] - Login passed 2FA (counts as a step-up)
+ */
+export const createSession = async ({ user, technicianProfileId = null, req = null, session = null, twoFactorVerified = false }) => {
+  const refreshToken = generateRefreshToken();
+
+  const [doc] = await Session.create(
+    [
+      {
+        userId: user._id,
+        role: user.role,
+        technicianProfileId: technicianProfileId || null,
+        refreshTokenHash: hashToken(refreshToken),
+        ...getDeviceInfo(req),
+        lastUsedAt: new Date(),
+        stepUpAt: twoFactorVerified ? new Date() : null,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      },
+    ],
+    session ? { session } : {}
+  );
+
+  return buildTokenResult(doc, refreshToken);
+};
+
+// 🚨 A rotated-out token was presented again: revoke the session it belonged to
+const revokeOnReuse = async (tokenHash) => {
+  const reused = await Session.findOneAndUpdate(
+    { previousRefreshTokenHash: tokenHash, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: "token_reuse" } },
+    { new: true }
+  );
+  if (reused) {
+    console.warn(`🚨 Refresh token reuse detected, session ${reused._id} revoked`);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * Re-using an already rotated token revokes the whole session.
+ * @param {String} refreshToken - Raw refresh token from the client
+ * @param {Object} [req] - Express request (device info refresh)
+ */
+export const rotateRefreshToken = async (refreshToken, req = null) => {
+  if (!refreshToken || typeof refreshToken !== "string") {
+    throw sessionError("Refresh token required", "REFRESH_TOKEN_REQUIRED", 400);
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    await revokeOnReuse(tokenHash);
+    throw sessionError("Invalid refresh token", "REFRESH_TOKEN_INVALID");
+  }
+
+  if (session.revokedAt) {
+    throw sessionError("Session has been logged out", "SESSION_REVOKED");
+  }
+
+  if (session.expiresAt <= new Date()) {
+    throw sessionError("Session expired. Please login again.", "SESSION_EXPIRED");
+  }
+
+  const user = await User.findById(session.userId).select("status role").lean();
+  if (!user || user.status === "Deleted") {
+    throw sessionError("Account not found", "ACCOUNT_NOT_FOUND");
+  }
+  if (user.status === "Blocked") {
+    throw sessionError("This account has been blocked. Contact support.", "ACCOUNT_BLOCKED", 403);
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+  const device = getDeviceInfo(req);
+
+  // Conditional on the token we read: of two concurrent refreshes only one rotates
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        previousRefreshTokenHash: tokenHash,
+        refreshTokenHash: hashToken(nextRefreshToken),
+        lastUsedAt: new Date(),
+        ...(device.ip ? { ip: device.ip } : {}),
+        ...(device.appVersion ? { appVersion: device.appVersion } : {}),
+        ...(device.userAgent ? { userAgent: device.userAgent } : {}),
+      },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // The same token was rotated in between: that is reuse
+    await revokeOnReuse(tokenHash);
+    throw sessionError("Invalid refresh token", "REFRESH_TOKEN_INVALID");
+  }
+
+  return buildTokenResult(rotated, nextRefreshToken);
+};
+
+/**
+ * Revoke a single session owned by the user
+ * @returns {Boolean} true if a live session was revoked
+ */
+export const revokeSession = async (userId, sessionId, reason = "logout") => {
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every session of a user (optionally keeping one)
+ * Also bumps User.tokensValidAfter so legacy tokens without a session die too.
+ * @returns {Number} Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, reason = "logout_all", { exceptSessionId = null, session = null } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const opts = session ? { session } : {};
+  const result = await Session.updateMany(
+    filter,
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    opts
+  );
+
+  if (!exceptSessionId) {
+    await User.updateOne({ _id: userId }, { $set: { tokensValidAfter: new Date() } }, opts);
+  }
+
+  return result.modifiedCount;
+};
+
+/**
+ * Validate the session behind a decoded access token
+ * Shared by the HTTP Auth middleware and the socket handshake.
+ * @param {Object} decoded - Verified JWT payload
+ * @param {Object} [user] - User doc with tokensValidAfter (avoids a second lookup)
+ * @returns {String|null} Rejection code, or null when the token is still valid
+ */
+export const getTokenRejection = async (decoded, user = null) => {
+  if (decoded.sid) {
+    const session = await Session.findById(decoded.sid).select("userId revokedAt expiresAt").lean();
+    if (!session || String(session.userId) !== String(decoded.userId)) return "SESSION_NOT_FOUND";
+    if (session.revokedAt) return "SESSION_REVOKED";
+    if (session.expiresAt <= new Date()) return "SESSION_EXPIRED";
+    return null;
+  }
+
+  // Legacy token (issued before sessions): honour "logout everywhere"
+  const tokensValidAfter = user
+    ? user.tokensValidAfter
+    : (await User.findById(decoded.userId).select("tokensValidAfter").lean())?.tokensValidAfter;
+
+  if (tokensValidAfter && decoded.iat && decoded.iat * 1000 < new Date(tokensValidAfter).getTime()) {
+    return "SESSION_REVOKED";
+  }
+
+  return null;
+};
@@ -6,6 +6,11 @@ import { matchAndBroadcastBooking } from "./technicianMatching.js";
 import User from "../Schemas/User.js";
 import sendSms from "./sendSMS.js";
 import { notifyTechnicianWithFallback } from "./sendNotification.js";
+import { refundBookingCreditsSafely } from "./customerCredit.js";
+import { releaseBilledCancellationFees } from "./cancellationFee.js";
+import { refundCancelledBookingSafely } from "./cancellationRefund.js";
+import { transitionBooking, OPEN_BOOKING_STATUSES } from "./bookingStateMachine.js";
+import { releaseRescheduledBooking } from "./bookingReschedule.js";
 
 /**
  * Helper to notify customer via Socket/Push (Avoid SMS to prevent OTP mangling)
@@ -48,18 +53,35 @@ export const initBookingCrons = (io) => {
         try {
             const now = new Date();
             const expiredJobs = await ServiceBooking.find({
-                status: { $in: ["pending", "SEARCHING", "broadcasted", "requested"] },
+                status: { $in: OPEN_BOOKING_STATUSES },
                 autoCancelAt: { $lte: now },
                 technicianId: null
             });
 
-            for (const booking of expiredJobs) {
-                booking.status = "expired";
-                booking.cancelReason = "no_technician_accept";
-                booking.cancelledBy = "system";
-                await booking.save();
+            for (const expiring of expiredJobs) {
+                let booking;
+                try {
+                    booking = await transitionBooking({
+                        booking: expiring,
+                        to: "expired",
+                        actor: { type: "system" },
+                        reason: "no_technician_accept",
+                        filter: { technicianId: null },
+                        set: { cancelReason: "no_technician_accept", cancelledBy: "system" },
+                    });
+                } catch (err) {
+                    // Accepted or cancelled since the query ran
+                    console.warn(`[Cron:Expiry] Skipped ${expiring._id}: ${err.code || err.message}`);
+                    continue;
+                }
 
                 await JobBroadcast.updateMany({ bookingId: booking._id }, { status: "expired" });
+                await refundBookingCreditsSafely(booking._id, "Booking expired");
+                // Fees billed on it are due again; a prepaid booking's payment goes back in full
+                await releaseBilledCancellationFees(booking._id).catch((err) =>
+                    console.error(`[Cron:Expiry] Releasing fees on ${booking._id} failed:`, err.message)
+                );
+                await refundCancelledBookingSafely({ booking, keep: 0 });
 
                 const message = booking.bookingType === "instant"
                     ? "We couldn't find a technician for your immediate booking. It has expired. Please try again later."
@@ -90,7 +112,7 @@ export const initBookingCrons = (io) => {
         try {
             const now = new Date();
             const jobsToBroadcast = await ServiceBooking.find({
-                status: { $in: ["pending", "SEARCHING", "broadcasted", "requested"] },
+                status: { $in: OPEN_BOOKING_STATUSES },
                 technicianId: null,
                 autoCancelAt: { $gt: now }
             }).select("_id");
@@ -156,5 +178,36 @@ export const initBookingCrons = (io) => {
         }
     });
 
+    /**
+     * ─── CRON 4: UNANSWERED RESCHEDULES (Every 1 min) ──────────────────────
+     * Assigned technician did not confirm a customer's new time in time:
+     * the job goes back to matching.
+     * ──────────────────────────────────────────────────────────────────────
+     */
+    cron.schedule("* * * * *", async () => {
+        try {
+            const unanswered = await ServiceBooking.find({
+                status: { $in: ["accepted", "ACCEPTED"] },
+                rescheduleConfirmBy: { $ne: null, $lte: new Date() }
+            });
+
+            for (const booking of unanswered) {
+                try {
+                    await releaseRescheduledBooking({
+                        booking,
+                        actor: { type: "system" },
+                        outcome: "timed_out",
+                        io
+                    });
+                } catch (err) {
+                    // Confirmed / released since the query ran
+                    console.warn(`[Cron:Reschedule] Skipped ${booking._id}: ${err.code || err.message}`);
+                }
+            }
+        } catch (err) {
+            console.error("[Cron:Reschedule Error]", err);
+        }
+    });
+
     console.log("✅ Consolidated booking crons are active.");
 };
\ No newline at end of file
@@ -0,0 +1,277 @@
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import JobBroadcast from "../Schemas/TechnicianBroadcast.js";
+import { transitionBooking, normalizeBookingStatus, OPEN_BOOKING_STATUSES } from "./bookingStateMachine.js";
+import { matchAndBroadcastBooking } from "./technicianMatching.js";
+import { notifyTechnicianWithFallback } from "./sendNotification.js";
+import { getSearchExpiry } from "./bookingSlots.js";
+import { SOCKET_EVENTS, SOCKET_ROOMS } from "./socketConstants.js";
+
+/**
+ * 🔁 CUSTOMER RESCHEDULE
+ * A scheduled booking can be moved to a new slot (validated like a new booking):
+ *   - no technician yet: the new time is saved and the job is re-broadcast
+ *   - technician assigned: they have RESCHEDULE_POLICY.confirmMinutes to confirm
+ *     the new time or release the job; releasing (or not answering) puts it back
+ *     to pending and re-broadcasts it
+ * Reminder flags are reset so the crons fire again for the new time.
+ */
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+export const RESCHEDULE_POLICY = {
+  // Reschedules allowed per booking
+  maxReschedules: envNumber("BOOKING_RESCHEDULE_MAX", 2),
+  // No reschedule closer than this to the current slot
+  cutoffHours: envNumber("BOOKING_RESCHEDULE_CUTOFF_HOURS", 2),
+  // Time the assigned technician has to confirm the new slot
+  confirmMinutes: envNumber("BOOKING_RESCHEDULE_CONFIRM_MINUTES", 30),
+};
+
+const RESET_REMINDERS = { h24: false, h1: false, min15: false, enforceOTW: false };
+
+const rescheduleError = (message, code, statusCode = 400, details) => {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  if (details !== undefined) err.details = details;
+  return err;
+};
+
+const formatSlot = (date) =>
+  new Date(date).toLocaleString("en-IN", {
+    day: "2-digit", month: "short", hour: "2-digit", minute: "2-digit", hour12: true,
+  });
+
+const notifyCustomerRescheduled = (io, booking, outcome) => {
+  io?.to(SOCKET_ROOMS.CUSTOMER(booking.customerId)).emit(SOCKET_EVENTS.BOOKING_RESCHEDULED, {
+    bookingId: booking._id,
+    outcome,
+    scheduledAt: booking.scheduledAt,
+    status: booking.status,
+    timestamp: new Date(),
+  });
+};
+
+/**
+ * Move a scheduled booking to a new (already validated) slot
+ * @param {Object} params
+ * @param {Object} params.booking - ServiceBooking doc owned by the customer
+ * @param {Date} params.scheduledAt - New slot
+ * @param {Object} [params.io] - Socket.io instance
+ * @returns {Object} { booking, outcome: "rebroadcast" | "awaiting_technician", broadcastCount?, confirmBy? }
+ */
+export const requestBookingReschedule = async ({ booking, scheduledAt, io }) => {
+  const now = new Date();
+  const status = normalizeBookingStatus(booking.status);
+
+  if (booking.bookingType !== "schedule") {
+    throw rescheduleError("Only scheduled bookings can be rescheduled", "RESCHEDULE_NOT_ALLOWED", 400);
+  }
+
+  const isOpen = OPEN_BOOKING_STATUSES.includes(booking.status) && !booking.technicianId;
+  const isAssigned = status === "accepted" && Boolean(booking.technicianId);
+  if (!isOpen && !isAssigned) {
+    throw rescheduleError(`Booking cannot be rescheduled once it is ${status}`, "RESCHEDULE_NOT_ALLOWED", 409, { status });
+  }
+
+  if (booking.rescheduleConfirmBy) {
+    throw rescheduleError(
+      "Your technician has not answered the last reschedule yet",
+      "RESCHEDULE_PENDING",
+      409,
+      { confirmBy: booking.rescheduleConfirmBy }
+    );
+  }
+
+  if ((booking.rescheduleCount || 0) >= RESCHEDULE_POLICY.maxReschedules) {
+    throw rescheduleError(
+      `A booking can be rescheduled at most ${RESCHEDULE_POLICY.maxReschedules} time(s)`,
+      "RESCHEDULE_LIMIT_REACHED",
+      409,
+      { maxReschedules: RESCHEDULE_POLICY.maxReschedules }
+    );
+  }
+
+  if (booking.scheduledAt && booking.scheduledAt - now < RESCHEDULE_POLICY.cutoffHours * 60 * 60 * 1000) {
+    throw rescheduleError(
+      `Bookings can only be rescheduled up to ${RESCHEDULE_POLICY.cutoffHours} hour(s) before the slot`,
+      "RESCHEDULE_TOO_LATE",
+      409,
+      { cutoffHours: RESCHEDULE_POLICY.cutoffHours }
+    );
+  }
+
+  if (booking.scheduledAt && booking.scheduledAt.getTime() === scheduledAt.getTime()) {
+    throw rescheduleError("The booking is already scheduled for this time", "RESCHEDULE_SAME_TIME", 400);
+  }
+
+  const entry = {
+    fromScheduledAt: booking.scheduledAt || null,
+    toScheduledAt: scheduledAt,
+    requestedAt: now,
+    technicianId: booking.technicianId || null,
+  };
+  const common = {
+    scheduledAt,
+    remindersSent: RESET_REMINDERS,
+    enforcementAlertAt: null,
+    noShowAt: null,
+  };
+  // Conditional on what we validated: a concurrent accept / reschedule loses
+  const filter = {
+    _id: booking._id,
+    status: booking.status,
+    technicianId: booking.technicianId || null,
+    rescheduleConfirmBy: null,
+    rescheduleCount: booking.rescheduleCount || 0,
+  };
+
+  if (isOpen) {
+    const updated = await ServiceBooking.findOneAndUpdate(
+      filter,
+      {
+        $set: { ...common, autoCancelAt: getSearchExpiry("schedule", now), broadcastStartedAt: now },
+        $inc: { rescheduleCount: 1 },
+        $push: { rescheduleHistory: { ...entry, outcome: "rebroadcast", resolvedAt: now } },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw rescheduleError("Booking changed. Please refresh and try again.", "BOOKING_STATUS_CHANGED", 409);
+    }
+
+    // Offers made for the old time are withdrawn before matching again
+    await JobBroadcast.updateMany({ bookingId: booking._id, status: "sent" }, { status: "expired" });
+    const broadcast = await matchAndBroadcastBooking(booking._id, io);
+
+    return { booking: updated, outcome: "rebroadcast", broadcastCount: broadcast.count ?? 0 };
+  }
+
+  const confirmBy = new Date(now.getTime() + RESCHEDULE_POLICY.confirmMinutes * 60 * 1000);
+  const updated = await ServiceBooking.findOneAndUpdate(
+    filter,
+    {
+      $set: { ...common, rescheduleConfirmBy: confirmBy, autoCancelAt: confirmBy },
+      $inc: { rescheduleCount: 1 },
+      $push: { rescheduleHistory: { ...entry, outcome: "awaiting_technician" } },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw rescheduleError("Booking changed. Please refresh and try again.", "BOOKING_STATUS_CHANGED", 409);
+  }
+
+  const message = `The customer moved this job to ${formatSlot(scheduledAt)}. Confirm the new time or release the job.`;
+  // Not awaited: the socket ACK can take up to 10s before falling back to push
+  notifyTechnicianWithFallback(io, updated.technicianId.toString(), {
+    event: SOCKET_EVENTS.BOOKING_RESCHEDULE_REQUEST,
+    data: {
+      bookingId: updated._id,
+      previousScheduledAt: entry.fromScheduledAt,
+      scheduledAt,
+      confirmBy,
+      message,
+      type: "RESCHEDULE_CONFIRM",
+    },
+    pushTitle: "📅 Job rescheduled",
+    pushBody: message,
+  }, true);
+
+  return { booking: updated, outcome: "awaiting_technician", confirmBy };
+};
+
+/**
+ * Put a rescheduled job back to matching (technician released it or did not answer)
+ * @param {Object} params
+ * @param {Object} params.booking - ServiceBooking doc with a pending reschedule
+ * @param {Object} params.actor - { type: "technician" | "system", id? }
+ * @param {String} params.outcome - "released" | "timed_out"
+ * @param {Object} [params.io]
+ * @returns {Object} Updated ServiceBooking doc
+ */
+export const releaseRescheduledBooking = async ({ booking, actor, outcome, io }) => {
+  const now = new Date();
+  const lastIndex = booking.rescheduleHistory.length - 1;
+  const releasedTechnicianId = booking.technicianId;
+
+  const released = await transitionBooking({
+    booking,
+    to: "pending",
+    actor,
+    reason: outcome === "timed_out" ? "reschedule_confirmation_timeout" : "reschedule_released",
+    filter: { technicianId: releasedTechnicianId, rescheduleConfirmBy: { $ne: null } },
+    set: {
+      technicianId: null,
+      assignedAt: null,
+      technicianSnapshot: { name: null, mobile: null, deleted: false },
+      rescheduleConfirmBy: null,
+      autoCancelAt: getSearchExpiry("schedule", now),
+      broadcastStartedAt: now,
+      [`rescheduleHistory.${lastIndex}.outcome`]: outcome,
+      [`rescheduleHistory.${lastIndex}.resolvedAt`]: now,
+    },
+  });
+
+  await JobBroadcast.updateOne({ bookingId: booking._id, technicianId: releasedTechnicianId }, { status: "rejected" });
+
+  const broadcast = await matchAndBroadcastBooking(released._id, io);
+  notifyCustomerRescheduled(io, released, outcome);
+
+  console.log(`🔁 Rescheduled job ${released._id} ${outcome} by ${actor.type}, re-broadcast to ${broadcast.count ?? 0} techs`);
+  return released;
+};
+
+/**
+ * Assigned technician answers a reschedule
+ * @param {Object} params
+ * @param {String} params.bookingId
+ * @param {String} params.technicianProfileId
+ * @param {String} params.action - "confirm" | "release"
+ * @param {Object} [params.io]
+ * @returns {Object} Updated ServiceBooking doc
+ */
+export const respondToReschedule = async ({ bookingId, technicianProfileId, action, io }) => {
+  const booking = await ServiceBooking.findById(bookingId);
+  if (!booking) {
+    throw rescheduleError("Booking not found", "BOOKING_NOT_FOUND", 404);
+  }
+  if (!booking.technicianId || booking.technicianId.toString() !== technicianProfileId.toString()) {
+    throw rescheduleError("Access denied for this booking", "ACCESS_DENIED", 403);
+  }
+  if (!booking.rescheduleConfirmBy) {
+    throw rescheduleError("There is no reschedule waiting for your answer", "NO_PENDING_RESCHEDULE", 409);
+  }
+
+  if (action === "release") {
+    return releaseRescheduledBooking({
+      booking,
+      actor: { type: "technician", id: technicianProfileId },
+      outcome: "released",
+      io,
+    });
+  }
+
+  const now = new Date();
+  const lastIndex = booking.rescheduleHistory.length - 1;
+  const confirmed = await ServiceBooking.findOneAndUpdate(
+    { _id: booking._id, technicianId: booking.technicianId, rescheduleConfirmBy: { $ne: null } },
+    {
+      $set: {
+        rescheduleConfirmBy: null,
+        autoCancelAt: null,
+        [`rescheduleHistory.${lastIndex}.outcome`]: "confirmed",
+        [`rescheduleHistory.${lastIndex}.resolvedAt`]: now,
+      },
+    },
+    { new: true }
+  );
+  if (!confirmed) {
+    throw rescheduleError("The reschedule was already resolved", "NO_PENDING_RESCHEDULE", 409);
+  }
+
+  notifyCustomerRescheduled(io, confirmed, "confirmed");
+  return confirmed;
+};
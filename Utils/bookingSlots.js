@@ -0,0 +1,337 @@
+import Service from "../Schemas/Service.js";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import { findEligibleTechniciansForService } from "./technicianMatching.js";
+import { ACTIVE_BOOKING_STATUSES } from "./bookingStateMachine.js";
+
+/**
+ * ⏰ SCHEDULED BOOKING SLOTS
+ * Rules a scheduled time must meet, shared by every path that books or moves a job.
+ * The window, hours and holidays come from the owner's scheduling configuration
+ * (see getSchedulingRules in schedulingConfig.js):
+ *   - at least rules.minLeadMinutes in the future
+ *   - between rules.startOffsetDays and rules.horizonDays from today, on an open day
+ *   - between rules.openTime and rules.closeTime
+ *   - not full: some approved technician with the skill in range is free for
+ *     the service's duration (plus travel buffer) around their accepted jobs
+ */
+
+// Gap kept free after each job to reach the next customer
+export const SLOT_TRAVEL_BUFFER_MINUTES = 30;
+
+// A slot with this many free technicians or fewer is "limited"
+export const SLOT_LIMITED_MAX_TECHNICIANS = Number(process.env.SLOT_LIMITED_MAX_TECHNICIANS) || 2;
+
+export const DEFAULT_SERVICE_DURATION_MINUTES = 60;
+
+export const SLOT_STATUS = {
+  AVAILABLE: "available",
+  LIMITED: "limited",
+  FULL: "full",
+};
+
+export const SLOT_FULL_MESSAGE = "This slot is fully booked. Please pick another time.";
+
+// Unaccepted jobs expire this long after they are (re)opened
+export const SCHEDULED_SEARCH_WINDOW_MS = 5 * 60 * 60 * 1000;
+export const INSTANT_SEARCH_WINDOW_MS = 1 * 60 * 60 * 1000;
+
+const DAY_LABELS = ["Today", "Tomorrow", "Day after Tomorrow"];
+
+// Local calendar day, as holidays are stored
+export const toDateKey = (date) => {
+  const pad = (n) => (n < 10 ? `0${n}` : `${n}`);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const timeToMinutes = (time) => {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+};
+
+const startOfDay = (date, addDays = 0) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + addDays);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+// Holiday name, "Closed on <weekday>", or null when the day is open
+const closedReasonFor = (date, rules) => {
+  const holiday = rules.holidays?.[toDateKey(date)];
+  if (holiday) return holiday;
+  if (rules.closedWeekdays?.includes(date.getDay())) {
+    return `Closed on ${date.toLocaleDateString("en-US", { weekday: "long" })}s`;
+  }
+  return null;
+};
+
+/**
+ * Read the requested time from a request body
+ * Accepts scheduledDate (YYYY-MM-DD) + scheduledTime (HH:MM), or scheduledAt (ISO).
+ * @param {Object} body
+ * @returns {Date|null} null when missing or unparseable
+ */
+export const parseScheduledSlot = ({ scheduledDate, scheduledTime, scheduledAt } = {}) => {
+  let slot = null;
+  if (scheduledDate && scheduledTime) {
+    slot = new Date(`${scheduledDate}T${scheduledTime}:00`);
+  } else if (scheduledAt) {
+    slot = new Date(scheduledAt);
+  }
+  return slot && !isNaN(slot.getTime()) ? slot : null;
+};
+
+/**
+ * Check a scheduled time against the booking window, hours and holidays
+ * @param {Date} scheduledAt
+ * @param {Object} rules - From getSchedulingRules()
+ * @param {Date} [now]
+ * @returns {Object} { success: true } | { success: false, statusCode, message, result }
+ */
+export const validateScheduledSlot = (scheduledAt, rules, now = new Date()) => {
+  const minFuture = new Date(now.getTime() + rules.minLeadMinutes * 60 * 1000);
+  if (scheduledAt <= minFuture) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Scheduled time must be at least ${rules.minLeadMinutes} minutes in the future`,
+      result: {},
+    };
+  }
+
+  const windowStart = startOfDay(now, rules.startOffsetDays);
+  const windowEnd = startOfDay(now, rules.horizonDays + 1);
+  if (scheduledAt < windowStart || scheduledAt >= windowEnd) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Scheduled bookings are only allowed from ${toDateKey(windowStart)} to ${toDateKey(new Date(windowEnd - 1))}. Please refresh slots.`,
+      result: {
+        firstDate: toDateKey(windowStart),
+        lastDate: toDateKey(new Date(windowEnd - 1)),
+      },
+    };
+  }
+
+  const closedReason = closedReasonFor(scheduledAt, rules);
+  if (closedReason) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Bookings are closed on ${toDateKey(scheduledAt)} (${closedReason}). Please pick another day.`,
+      result: { date: toDateKey(scheduledAt), closedReason },
+    };
+  }
+
+  const minuteOfDay = scheduledAt.getHours() * 60 + scheduledAt.getMinutes();
+  if (minuteOfDay < timeToMinutes(rules.openTime) || minuteOfDay > timeToMinutes(rules.closeTime)) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Scheduled bookings are only allowed between ${rules.openTime} and ${rules.closeTime}`,
+      result: { openTime: rules.openTime, closeTime: rules.closeTime },
+    };
+  }
+
+  return { success: true };
+};
+
+/**
+ * When an unaccepted booking (re)opened now should expire
+ * @param {String} bookingType - "schedule" | "instant"
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const getSearchExpiry = (bookingType, now = new Date()) =>
+  new Date(now.getTime() + (bookingType === "schedule" ? SCHEDULED_SEARCH_WINDOW_MS : INSTANT_SEARCH_WINDOW_MS));
+
+/* ================= SLOT LIST ================= */
+
+/**
+ * Days of the booking window, open or not
+ * @param {Object} rules - From getSchedulingRules()
+ * @param {Date} [now]
+ * @returns {Object[]} { label, date, month, fullDate, dayName, isOpen, closedReason }
+ */
+export const getScheduleDays = (rules, now = new Date()) => {
+  const days = [];
+  for (let i = rules.startOffsetDays; i <= rules.horizonDays; i++) {
+    const d = startOfDay(now, i);
+    const closedReason = closedReasonFor(d, rules);
+
+    days.push({
+      label: DAY_LABELS[i] || d.toLocaleDateString("en-US", { weekday: "long" }),
+      date: d.getDate(),
+      month: d.toLocaleDateString("en-US", { month: "short" }),
+      fullDate: toDateKey(d),
+      dayName: d.toLocaleDateString("en-US", { weekday: "short" }),
+      isOpen: !closedReason,
+      closedReason,
+    });
+  }
+  return days;
+};
+
+/**
+ * Time slots of a day, from opening to closing time
+ * @param {Object} rules - From getSchedulingRules()
+ * @param {String} [fullDate] - Day the slots are for; drops slots inside the lead time
+ * @param {Date} [now]
+ * @returns {Object[]} { label: "09:30 AM", value: "09:30" }
+ */
+export const getTimeSlots = (rules, fullDate = null, now = new Date()) => {
+  const minFuture = now.getTime() + rules.minLeadMinutes * 60 * 1000;
+  const timeSlots = [];
+  for (
+    let minutes = timeToMinutes(rules.openTime);
+    minutes <= timeToMinutes(rules.closeTime);
+    minutes += rules.slotIntervalMinutes
+  ) {
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+
+    const period = h < 12 ? "AM" : "PM";
+    const displayHour = h % 12 === 0 ? 12 : h % 12;
+    const displayMin = m < 10 ? `0${m}` : `${m}`;
+    const value = `${h < 10 ? "0" + h : h}:${displayMin}`;
+
+    if (fullDate && new Date(`${fullDate}T${value}:00`).getTime() <= minFuture) continue;
+
+    timeSlots.push({
+      label: `${displayHour < 10 ? "0" + displayHour : displayHour}:${displayMin} ${period}`,
+      value,
+    });
+  }
+  return timeSlots;
+};
+
+/* ================= CAPACITY ================= */
+
+/**
+ * Minutes a job takes, from the free-text Service.duration ("60–90 mins", "1-2 hrs", "45 min")
+ * The upper end of a range is used.
+ * @param {String|Number} duration
+ * @returns {Number}
+ */
+export const parseServiceDurationMinutes = (duration) => {
+  if (typeof duration === "number") {
+    return duration > 0 ? duration : DEFAULT_SERVICE_DURATION_MINUTES;
+  }
+  if (!duration || typeof duration !== "string") return DEFAULT_SERVICE_DURATION_MINUTES;
+
+  const hourPart = duration.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)\b/i);
+  const minutePart = duration.match(/(\d+)\s*(?:m|min|mins|minute|minutes)\b/i);
+  const numbers = (duration.match(/\d+(?:\.\d+)?/g) || []).map(Number);
+  if (numbers.length === 0) return DEFAULT_SERVICE_DURATION_MINUTES;
+
+  let minutes;
+  if (hourPart && minutePart) {
+    minutes = Number(hourPart[1]) * 60 + Number(minutePart[1]); // "1 hr 30 mins"
+  } else if (hourPart) {
+    minutes = Math.max(...numbers) * 60; // "1-2 hrs"
+  } else {
+    minutes = Math.max(...numbers); // "60–90 mins"
+  }
+  return minutes > 0 ? Math.round(minutes) : DEFAULT_SERVICE_DURATION_MINUTES;
+};
+
+// Technicians who could take the service here, and when they are already booked
+const loadCapacity = async ({ serviceId, address, from, to, excludeBookingId = null }) => {
+  const service = await Service.findById(serviceId).select("duration").lean();
+  if (!service) return null;
+
+  const technicians = await findEligibleTechniciansForService({
+    serviceId,
+    address,
+    requireOnline: false,
+    excludeBusy: false,
+    limit: 100,
+  });
+  const technicianIds = technicians.map((t) => t._id);
+  const durationMinutes = parseServiceDurationMinutes(service.duration);
+  // A job starting before the new one ends (duration + travel) is a conflict too
+  const until = new Date(to.getTime() + (durationMinutes + SLOT_TRAVEL_BUFFER_MINUTES) * 60 * 1000);
+
+  const jobs = technicianIds.length
+    ? await ServiceBooking.find({
+        technicianId: { $in: technicianIds },
+        status: { $in: ACTIVE_BOOKING_STATUSES },
+        // Jobs that started the day before can still run into the window
+        scheduledAt: { $gte: new Date(from.getTime() - 24 * 60 * 60 * 1000), $lt: until },
+        ...(excludeBookingId ? { _id: { $ne: excludeBookingId } } : {}),
+      })
+        .select("technicianId scheduledAt serviceId")
+        .populate("serviceId", "duration")
+        .lean()
+    : [];
+
+  return {
+    durationMinutes,
+    technicianCount: technicianIds.length,
+    busy: jobs.map((job) => {
+      const start = new Date(job.scheduledAt).getTime();
+      const minutes = parseServiceDurationMinutes(job.serviceId?.duration) + SLOT_TRAVEL_BUFFER_MINUTES;
+      return { technicianId: String(job.technicianId), start, end: start + minutes * 60 * 1000 };
+    }),
+  };
+};
+
+const statusAt = (capacity, scheduledAt) => {
+  const start = scheduledAt.getTime();
+  const end = start + (capacity.durationMinutes + SLOT_TRAVEL_BUFFER_MINUTES) * 60 * 1000;
+
+  const busyTechnicians = new Set(
+    capacity.busy.filter((job) => job.start < end && start < job.end).map((job) => job.technicianId)
+  );
+  const free = capacity.technicianCount - busyTechnicians.size;
+
+  if (free <= 0) return SLOT_STATUS.FULL;
+  if (free <= SLOT_LIMITED_MAX_TECHNICIANS) return SLOT_STATUS.LIMITED;
+  return SLOT_STATUS.AVAILABLE;
+};
+
+/**
+ * Every schedulable slot for a service at a location, with its availability
+ * @param {Object} params
+ * @param {String} params.serviceId
+ * @param {Object} params.address - { latitude, longitude, pincode?, city?, state? }
+ * @param {Object} params.rules - From getSchedulingRules()
+ * @param {Date} [params.now]
+ * @returns {Object|null} { durationMinutes, days: [{ ...day, slots: [{ label, value, status }] }] }, null if the service is unknown
+ */
+export const getSlotAvailability = async ({ serviceId, address, rules, now = new Date() }) => {
+  const days = getScheduleDays(rules, now);
+  if (days.length === 0) return { durationMinutes: null, days: [] };
+
+  const from = new Date(`${days[0].fullDate}T00:00:00`);
+  const to = new Date(`${days[days.length - 1].fullDate}T23:59:59`);
+  const capacity = await loadCapacity({ serviceId, address, from, to });
+  if (!capacity) return null;
+
+  return {
+    durationMinutes: capacity.durationMinutes,
+    days: days.map((day) => ({
+      ...day,
+      slots: day.isOpen
+        ? getTimeSlots(rules, day.fullDate, now).map((slot) => ({
+            ...slot,
+            status: statusAt(capacity, new Date(`${day.fullDate}T${slot.value}:00`)),
+          }))
+        : [],
+    })),
+  };
+};
+
+/**
+ * Availability of one requested time
+ * @param {Object} params
+ * @param {String} params.serviceId
+ * @param {Object} params.address - { latitude, longitude, pincode?, city?, state? }
+ * @param {Date} params.scheduledAt
+ * @param {String} [params.excludeBookingId] - Booking being rescheduled (its own job is not a conflict)
+ * @returns {String|null} "available" | "limited" | "full", null if the service is unknown
+ */
+export const getSlotStatus = async ({ serviceId, address, scheduledAt, excludeBookingId = null }) => {
+  const capacity = await loadCapacity({ serviceId, address, from: scheduledAt, to: scheduledAt, excludeBookingId });
+  return capacity ? statusAt(capacity, scheduledAt) : null;
+};
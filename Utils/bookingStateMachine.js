@@ -0,0 +1,225 @@
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+
+/**
+ * 🚦 SERVICE BOOKING STATE MACHINE
+ * Every ServiceBooking status change goes through transitionBooking():
+ *   1. the move must be in TRANSITIONS and allowed for the actor
+ *   2. guard hooks for the target status must pass (work images, payment, ...)
+ *   3. the write is conditional on the status it was read with, and appends
+ *      a statusHistory entry (from, to, actor, reason, at)
+ * Legacy values ("SEARCHING", "requested", "ACCEPTED") are read as their current
+ * equivalents and are never written any more.
+ */
+
+export const BOOKING_STATUS = {
+  PENDING: "pending",
+  BROADCASTED: "broadcasted",
+  ACCEPTED: "accepted",
+  ON_THE_WAY: "on_the_way",
+  REACHED: "reached",
+  IN_PROGRESS: "in_progress",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+  EXPIRED: "expired",
+};
+
+export const BOOKING_ACTORS = ["customer", "technician", "admin", "system"];
+
+const LEGACY_STATUS_MAP = {
+  SEARCHING: BOOKING_STATUS.PENDING,
+  requested: BOOKING_STATUS.BROADCASTED,
+  ACCEPTED: BOOKING_STATUS.ACCEPTED,
+};
+
+const S = BOOKING_STATUS;
+
+// from -> { to: [actors allowed] }
+const TRANSITIONS = {
+  [S.PENDING]: {
+    [S.BROADCASTED]: ["system"],
+    [S.ACCEPTED]: ["technician"],
+    [S.CANCELLED]: ["customer", "admin", "system"],
+    [S.EXPIRED]: ["system"],
+  },
+  [S.BROADCASTED]: {
+    [S.ACCEPTED]: ["technician"],
+    [S.CANCELLED]: ["customer", "admin", "system"],
+    [S.EXPIRED]: ["system"],
+  },
+  [S.ACCEPTED]: {
+    // Released back to matching after a customer reschedule (see guard below)
+    [S.PENDING]: ["technician", "system"],
+    [S.ON_THE_WAY]: ["technician"],
+    [S.CANCELLED]: ["customer", "technician", "admin", "system"],
+  },
+  [S.ON_THE_WAY]: {
+    [S.REACHED]: ["technician"],
+    [S.CANCELLED]: ["customer", "technician", "admin"],
+  },
+  [S.REACHED]: {
+    [S.IN_PROGRESS]: ["technician"],
+    [S.CANCELLED]: ["customer", "technician", "admin"],
+  },
+  [S.IN_PROGRESS]: {
+    [S.COMPLETED]: ["technician", "admin"],
+    // Customers only by rejecting the inspection quote (see Utils/inspectionQuote.js)
+    [S.CANCELLED]: ["customer", "technician", "admin"],
+  },
+  [S.COMPLETED]: {},
+  [S.CANCELLED]: {},
+  [S.EXPIRED]: {},
+};
+
+// Statuses a booking can still be picked up in (no technician yet)
+export const OPEN_BOOKING_STATUSES = [S.PENDING, S.BROADCASTED, "SEARCHING", "requested"];
+
+// Statuses with a technician assigned and the job not finished
+export const ACTIVE_BOOKING_STATUSES = [S.ACCEPTED, "ACCEPTED", S.ON_THE_WAY, S.REACHED, S.IN_PROGRESS];
+
+export const TERMINAL_BOOKING_STATUSES = [S.COMPLETED, S.CANCELLED, S.EXPIRED];
+
+const transitionError = (message, code, statusCode = 400, details) => {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  if (details !== undefined) err.details = details;
+  return err;
+};
+
+/**
+ * Map a stored status (including legacy values) to the current vocabulary
+ * @param {String} status
+ * @returns {String}
+ */
+export const normalizeBookingStatus = (status) => LEGACY_STATUS_MAP[status] || status;
+
+/* ================= GUARDS ================= */
+
+// to-status -> [{ name, check(booking, ctx) -> error message | null }]
+const guards = {};
+
+/**
+ * Add a guard that must pass before a booking enters `to`
+ * @param {String} to - Target status
+ * @param {String} name - Error code returned when the guard fails
+ * @param {Function} check - (booking, { from, to, actor, reason }) => message | null (may be async)
+ */
+export const registerBookingGuard = (to, name, check) => {
+  (guards[to] ||= []).push({ name, check });
+};
+
+registerBookingGuard(S.COMPLETED, "WORK_IMAGES_REQUIRED", (booking) =>
+  booking.workImages?.beforeImage && booking.workImages?.afterImage
+    ? null
+    : "Before and after work images are required before completion"
+);
+
+registerBookingGuard(S.PENDING, "RESCHEDULE_RELEASE_ONLY", (booking) =>
+  booking.rescheduleConfirmBy ? null : "Only a rescheduled booking awaiting confirmation can be released"
+);
+
+registerBookingGuard(S.ON_THE_WAY, "RESCHEDULE_CONFIRMATION_PENDING", (booking) =>
+  booking.rescheduleConfirmBy ? "Confirm or release the rescheduled time first" : null
+);
+
+registerBookingGuard(S.IN_PROGRESS, "PAYMENT_REFUNDED", (booking) =>
+  booking.paymentStatus === "refunded" ? "Payment for this booking was refunded" : null
+);
+
+registerBookingGuard(S.COMPLETED, "PAYMENT_REFUNDED", (booking) =>
+  booking.paymentStatus === "refunded" ? "Payment for this booking was refunded" : null
+);
+
+/* ================= QUERIES ================= */
+
+/**
+ * Can `actor` move a booking from `from` to `to`?
+ * @returns {Boolean}
+ */
+export const canTransition = (from, to, actor) =>
+  Boolean(TRANSITIONS[normalizeBookingStatus(from)]?.[to]?.includes(actor));
+
+/**
+ * Statuses `actor` may move this booking to next (guards not evaluated)
+ * @param {Object} booking - { status }
+ * @param {String} actor
+ * @returns {String[]}
+ */
+export const getAllowedTransitions = (booking, actor) =>
+  Object.entries(TRANSITIONS[normalizeBookingStatus(booking.status)] || {})
+    .filter(([, actors]) => actors.includes(actor))
+    .map(([to]) => to);
+
+/* ================= TRANSITION ================= */
+
+/**
+ * Move a booking to a new status
+ * @param {Object} params
+ * @param {Object|String} params.booking - ServiceBooking doc or ID
+ * @param {String} params.to - Target status
+ * @param {Object} params.actor - { type: "customer" | "technician" | "admin" | "system", id? }
+ * @param {String} [params.reason] - Stored on the history entry
+ * @param {Object} [params.set] - Extra fields written with the status (cancelReason, assignedAt, ...)
+ * @param {Object} [params.filter] - Extra conditions for the write (e.g. { technicianId: null })
+ * @param {Object} [params.session] - Mongoose transaction session
+ * @returns {Object} Updated ServiceBooking doc
+ */
+export const transitionBooking = async ({ booking, to, actor, reason = null, set = {}, filter = {}, session = null }) => {
+  if (!BOOKING_ACTORS.includes(actor?.type)) {
+    throw new Error(`Unknown booking actor: ${actor?.type}`);
+  }
+
+  const current = typeof booking === "object" && booking?.status
+    ? booking
+    : await ServiceBooking.findById(booking).session(session);
+  if (!current) {
+    throw transitionError("Booking not found", "BOOKING_NOT_FOUND", 404);
+  }
+
+  const storedStatus = current.status;
+  const from = normalizeBookingStatus(storedStatus);
+  const allowedActors = TRANSITIONS[from]?.[to];
+
+  if (!allowedActors) {
+    throw transitionError(`Booking cannot move from ${from} to ${to}`, "INVALID_STATUS_TRANSITION", 409, {
+      from,
+      to,
+      allowed: getAllowedTransitions(current, actor.type),
+    });
+  }
+  if (!allowedActors.includes(actor.type)) {
+    throw transitionError(`A ${actor.type} cannot move this booking to ${to}`, "STATUS_TRANSITION_NOT_ALLOWED", 403, {
+      from,
+      to,
+    });
+  }
+
+  for (const guard of guards[to] || []) {
+    const message = await guard.check(current, { from, to, actor, reason });
+    if (message) {
+      throw transitionError(message, guard.name, 400, { from, to });
+    }
+  }
+
+  const entry = {
+    from,
+    to,
+    actor: actor.type,
+    actorId: actor.id || null,
+    reason: reason || null,
+    at: new Date(),
+  };
+
+  // Conditional on the status we validated against: a concurrent change loses
+  const updated = await ServiceBooking.findOneAndUpdate(
+    { ...filter, _id: current._id, status: storedStatus },
+    { $set: { ...set, status: to }, $push: { statusHistory: entry } },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw transitionError("Booking status changed. Please refresh and try again.", "BOOKING_STATUS_CHANGED", 409);
+  }
+
+  return updated;
+};
@@ -0,0 +1,237 @@
+import CancellationFee from "../Schemas/CancellationFee.js";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import Payment from "../Schemas/Payment.js";
+import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+import WalletTransaction from "../Schemas/WalletTransaction.js";
+import { roundMoney } from "./pricing.js";
+
+/**
+ * 💸 CANCELLATION FEES
+ * The fee set by cancelBooking becomes a CancellationFee record:
+ *   prepaid booking -> kept from the online refund of the payment (Utils/cancellationRefund.js)
+ *   otherwise (or whatever the refund could not cover) -> due, billed on the
+ *   customer's next payment order (ServiceBooking.cancellationFeeDue) and
+ *   collected when that booking is paid
+ * Once collected, CANCELLATION_FEE_POLICY.technicianSharePercent of the fee is
+ * credited to the assigned technician's wallet (WalletTransaction source "adjustment").
+ */
+
+const envPercent = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 && value <= 100 ? value : fallback;
+};
+
+export const CANCELLATION_FEE_POLICY = {
+  // Share of a collected fee paid to the technician who was assigned
+  technicianSharePercent: envPercent("CANCELLATION_FEE_TECHNICIAN_SHARE_PERCENT", 50),
+};
+
+/**
+ * Online part of a payment that a cancellation can give back
+ * (credits go back separately; earlier fees collected with the payment stay collected)
+ * @param {Object} payment - Payment (status success)
+ * @returns {Number}
+ */
+export const getRefundableOnline = (payment) => {
+  if (!payment?.providerPaymentId) return 0;
+  const charged = payment.chargedAmount ?? payment.totalAmount ?? 0;
+  return roundMoney(Math.max(Math.min(charged, (payment.totalAmount || 0) - (payment.cancellationFeeAmount || 0)), 0));
+};
+
+// Idempotent: the claim on technicianCreditedAt lets only one caller credit
+const creditTechnicianShare = async (feeId) => {
+  const fee = await CancellationFee.findOneAndUpdate(
+    { _id: feeId, status: "collected", technicianCreditedAt: null, technicianId: { $ne: null }, technicianShare: { $gt: 0 } },
+    { $set: { technicianCreditedAt: new Date() } },
+    { new: true }
+  );
+  if (!fee) return 0;
+
+  await WalletTransaction.create({
+    technicianId: fee.technicianId,
+    bookingId: fee.bookingId,
+    amount: fee.technicianShare,
+    type: "credit",
+    source: "adjustment",
+    note: `Cancellation fee share (${fee.technicianSharePercent}% of ₹${fee.amount})`,
+  });
+  await TechnicianProfile.updateOne({ _id: fee.technicianId }, { $inc: { walletBalance: fee.technicianShare } });
+
+  return fee.technicianShare;
+};
+
+/**
+ * Put fees billed on an unpaid booking back to due (that booking was cancelled)
+ * @param {String} bookingId
+ * @returns {Number} Amount released
+ */
+export const releaseBilledCancellationFees = async (bookingId) => {
+  const fees = await CancellationFee.find({ dueBookingId: bookingId, status: "billed" }).select("dueAmount").lean();
+  if (!fees.length) return 0;
+
+  await CancellationFee.updateMany(
+    { _id: { $in: fees.map((f) => f._id) }, status: "billed" },
+    { $set: { status: "due", dueBookingId: null } }
+  );
+  await ServiceBooking.updateOne({ _id: bookingId, paymentStatus: { $ne: "paid" } }, { $set: { cancellationFeeDue: 0 } });
+
+  return roundMoney(fees.reduce((sum, f) => sum + f.dueAmount, 0));
+};
+
+/**
+ * Turn the fee of a customer cancellation into money movements (idempotent per booking);
+ * the refund of a prepaid booking is refundCancelledBooking's (Utils/cancellationRefund.js)
+ * @param {Object} params
+ * @param {Object} params.booking - The cancelled ServiceBooking
+ * @param {Number} params.fee - Fee from the cancellation rules
+ * @returns {Object|null} CancellationFee (lean), null when there is no fee
+ */
+export const chargeCancellationFee = async ({ booking, fee }) => {
+  // Dues from earlier cancellations that were waiting on this booking move on
+  await releaseBilledCancellationFees(booking._id);
+
+  const amount = roundMoney(fee);
+  if (!(amount > 0)) return null;
+
+  const existing = await CancellationFee.findOne({ bookingId: booking._id }).lean();
+  if (existing) return existing;
+
+  const payment =
+    booking.paymentStatus === "paid" ? await Payment.findOne({ bookingId: booking._id, status: "success" }).lean() : null;
+
+  const deductedFromRefund = Math.min(amount, getRefundableOnline(payment));
+  const dueAmount = roundMoney(amount - deductedFromRefund);
+  const technicianSharePercent = booking.technicianId ? CANCELLATION_FEE_POLICY.technicianSharePercent : 0;
+  const technicianShare = roundMoney((amount * technicianSharePercent) / 100);
+
+  let record;
+  try {
+    record = await CancellationFee.create({
+      bookingId: booking._id,
+      customerId: booking.customerId,
+      technicianId: booking.technicianId || null,
+      amount,
+      status: dueAmount > 0 ? "due" : "collected",
+      collectedAt: dueAmount > 0 ? null : new Date(),
+      paymentId: payment?._id || null,
+      deductedFromRefund,
+      dueAmount,
+      technicianSharePercent,
+      technicianShare,
+      platformShare: roundMoney(amount - technicianShare),
+    });
+  } catch (err) {
+    // Recorded by a concurrent call
+    if (err?.code === 11000) return CancellationFee.findOne({ bookingId: booking._id }).lean();
+    throw err;
+  }
+
+  if (record.status === "collected") await creditTechnicianShare(record._id);
+
+  return CancellationFee.findById(record._id).lean();
+};
+
+/**
+ * Charge the cancellation fee without failing the cancellation
+ * @param {Object} params - { booking, fee }
+ */
+export const chargeCancellationFeeSafely = async (params) => {
+  try {
+    return await chargeCancellationFee(params);
+  } catch (err) {
+    console.error(`❌ Cancellation fee for booking ${params.booking?._id} failed:`, err.message);
+    return null;
+  }
+};
+
+// Fees billed on bookings that were cancelled or expired unpaid are due again
+const releaseStaleBilledFees = async (customerId, bookingId) => {
+  const billed = await CancellationFee.find({ customerId, status: "billed", dueBookingId: { $ne: bookingId } })
+    .select("dueBookingId")
+    .lean();
+  if (!billed.length) return;
+
+  const stale = await ServiceBooking.find({
+    _id: { $in: billed.map((f) => f.dueBookingId) },
+    status: { $in: ["cancelled", "CANCELLED", "expired"] },
+    // A rejected quote still leaves the visit charge (and the fees billed with it) to pay
+    cancelReason: { $ne: "quote_rejected" },
+    paymentStatus: { $ne: "paid" },
+  })
+    .select("_id")
+    .lean();
+  for (const b of stale) await releaseBilledCancellationFees(b._id);
+};
+
+/**
+ * Add the customer's due cancellation fees to an unpaid booking they are about to pay
+ * @param {Object} booking - ServiceBooking doc (cancellationFeeDue is updated in place)
+ * @returns {Number} Cancellation fees now payable on the booking
+ */
+export const billCancellationFeeDues = async (booking) => {
+  if (booking.paymentStatus === "paid") return booking.cancellationFeeDue || 0;
+
+  await releaseStaleBilledFees(booking.customerId, booking._id);
+
+  const fees = await CancellationFee.find({ customerId: booking.customerId, status: "due", bookingId: { $ne: booking._id } })
+    .sort({ createdAt: 1 })
+    .select("dueAmount")
+    .lean();
+
+  let added = 0;
+  for (const fee of fees) {
+    const claimed = await CancellationFee.updateOne(
+      { _id: fee._id, status: "due" },
+      { $set: { status: "billed", dueBookingId: booking._id } }
+    );
+    if (claimed.modifiedCount) added = roundMoney(added + fee.dueAmount);
+  }
+
+  if (added > 0) {
+    await ServiceBooking.updateOne({ _id: booking._id }, { $inc: { cancellationFeeDue: added } });
+    booking.cancellationFeeDue = roundMoney((booking.cancellationFeeDue || 0) + added);
+  }
+
+  return booking.cancellationFeeDue || 0;
+};
+
+/**
+ * Mark the fees billed on a booking collected once it is paid, and pay the technicians' share
+ * @param {String} bookingId
+ */
+export const collectBilledCancellationFeesSafely = async (bookingId) => {
+  try {
+    const fees = await CancellationFee.find({ dueBookingId: bookingId, status: "billed" }).select("_id").lean();
+    for (const fee of fees) {
+      const collected = await CancellationFee.updateOne(
+        { _id: fee._id, status: "billed" },
+        { $set: { status: "collected", collectedAt: new Date() } }
+      );
+      if (collected.modifiedCount) await creditTechnicianShare(fee._id);
+    }
+  } catch (err) {
+    console.error(`❌ Collecting cancellation fees on booking ${bookingId} failed:`, err.message);
+  }
+};
+
+/**
+ * Fee movements of cancellations created in a date range (admin wallet summary)
+ * @param {Object} [range] - { start, end }
+ * @returns {Object}
+ */
+export const summarizeCancellationFees = async (range = null) => {
+  const fees = await CancellationFee.find(range ? { createdAt: { $gte: range.start, $lte: range.end } } : {}).lean();
+  const sum = (pick, filter = () => true) => roundMoney(fees.filter(filter).reduce((acc, f) => acc + (pick(f) || 0), 0));
+  const collected = (f) => f.status === "collected";
+
+  return {
+    count: fees.length,
+    charged: sum((f) => f.amount),
+    collected: sum((f) => f.amount, collected),
+    deductedFromRefunds: sum((f) => f.deductedFromRefund),
+    collectedOnLaterBookings: sum((f) => f.dueAmount, collected),
+    outstanding: sum((f) => f.dueAmount, (f) => !collected(f)),
+    technicianShareCredited: sum((f) => f.technicianShare, (f) => f.technicianCreditedAt),
+    platformShare: sum((f) => f.platformShare, collected),
+  };
+};
@@ -0,0 +1,182 @@
+import cron from "node-cron";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import Payment from "../Schemas/Payment.js";
+import { createRefund } from "./razorpay.js";
+import { roundMoney } from "./pricing.js";
+import { chargeCancellationFee, getRefundableOnline } from "./cancellationFee.js";
+
+/**
+ * 🔁 CANCELLATION REFUNDS
+ * A prepaid booking that is cancelled (by the customer or technician) or expires gets
+ * the online part of the payment back, less any cancellation fee kept from it
+ * (Utils/cancellationFee.js; only customer cancellations carry a fee):
+ *   refund = paid online − fee kept
+ * Credits go back separately (Utils/customerCredit.js). The refund is tracked on the
+ * Payment and claimed once, so a retried cancellation never refunds twice; the provider
+ * webhook marks it processed. A refund the provider refused ("failed"), or one held
+ * because the fee could not be recorded ("held"), is retried by an hourly cron.
+ */
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+export const CANCELLATION_REFUND_POLICY = {
+  // Automatic tries before a failed refund is left for the team
+  maxAttempts: envNumber("CANCELLATION_REFUND_MAX_ATTEMPTS", 5),
+};
+
+const CLAIMABLE = ["none", null, "held", "failed"];
+
+const toRefundSummary = (payment) => ({
+  amount: payment.refundAmount || 0,
+  refundId: payment.refundId || null,
+  status: payment.refundStatus,
+});
+
+/**
+ * Refund a cancelled or expired prepaid booking (idempotent per payment)
+ * @param {Object} params
+ * @param {Object} params.booking - The cancelled / expired ServiceBooking
+ * @param {Number} [params.keep=0] - Cancellation fee kept from the online payment
+ * @param {Boolean} [params.hold=false] - Record the refund as held (the fee is not recorded yet)
+ * @returns {Object|null} { amount, refundId, status }, null when nothing is refundable
+ */
+export const refundCancelledBooking = async ({ booking, keep = 0, hold = false }) => {
+  if (booking.paymentStatus !== "paid") return null;
+
+  const payment = await Payment.findOne({ bookingId: booking._id, status: "success" }).lean();
+  const paidOnline = getRefundableOnline(payment);
+  const kept = roundMoney(Math.min(Math.max(Number(keep) || 0, 0), paidOnline));
+  const amount = roundMoney(paidOnline - kept);
+  if (!(amount > 0)) return null;
+
+  // Only the call that claims the payment refunds it
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, refundStatus: { $in: CLAIMABLE } },
+    {
+      $set: {
+        refundStatus: hold ? "held" : "pending",
+        refundAmount: amount,
+        refundError: hold ? "Cancellation fee not recorded yet" : null,
+        refundRequestedAt: payment.refundRequestedAt || new Date(),
+      },
+      ...(hold ? {} : { $inc: { refundAttempts: 1 } }),
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    const current = await Payment.findById(payment._id).select("refundAmount refundId refundStatus").lean();
+    return toRefundSummary(current);
+  }
+  if (hold) return toRefundSummary(claimed);
+
+  try {
+    const refund = await createRefund({
+      providerPaymentId: payment.providerPaymentId,
+      amount,
+      notes: {
+        bookingId: String(booking._id),
+        reason: kept > 0 ? `Booking cancelled (cancellation fee ₹${kept} kept)` : "Booking cancelled",
+      },
+    });
+    claimed.refundId = refund.id;
+    claimed.refundStatus = refund.status === "processed" ? "processed" : "pending";
+    await ServiceBooking.updateOne({ _id: booking._id }, { $set: { paymentStatus: "refunded" } });
+  } catch (err) {
+    console.error(`❌ Refund for cancelled booking ${booking._id} failed:`, err.message);
+    claimed.refundStatus = "failed";
+    claimed.refundError = String(err.message || "Refund failed").slice(0, 300);
+  }
+  await claimed.save();
+
+  return toRefundSummary(claimed);
+};
+
+/**
+ * Refund a cancelled booking without failing the cancellation
+ * @param {Object} params - { booking, keep, hold }
+ */
+export const refundCancelledBookingSafely = async (params) => {
+  try {
+    return await refundCancelledBooking(params);
+  } catch (err) {
+    console.error(`❌ Refund for cancelled booking ${params.booking?._id} failed:`, err.message);
+    return null;
+  }
+};
+
+/**
+ * Retry held and failed cancellation refunds
+ * @returns {Number} Refunds sent to the provider
+ */
+export const retryCancellationRefunds = async () => {
+  const payments = await Payment.find({
+    refundStatus: { $in: ["held", "failed"] },
+    refundAttempts: { $lt: CANCELLATION_REFUND_POLICY.maxAttempts },
+  })
+    .select("bookingId")
+    .lean();
+
+  let sent = 0;
+  for (const payment of payments) {
+    try {
+      const booking = await ServiceBooking.findById(payment.bookingId);
+      if (!booking) continue;
+
+      // Record the fee a customer cancellation left pending, then refund the rest
+      const feeRecord = booking.cancellationFee > 0 ? await chargeCancellationFee({ booking, fee: booking.cancellationFee }) : null;
+      const refund = await refundCancelledBooking({ booking, keep: feeRecord?.deductedFromRefund || 0 });
+      if (refund && refund.status !== "failed") sent += 1;
+    } catch (err) {
+      console.error(`❌ Refund retry for payment ${payment._id} failed:`, err.message);
+    }
+  }
+
+  if (sent > 0) console.log(`🔁 Retried ${sent} cancellation refund(s)`);
+  return sent;
+};
+
+/**
+ * Provider confirmed a cancellation refund
+ * @param {String} refundId
+ */
+export const markCancellationRefundProcessed = (refundId) =>
+  Payment.updateOne({ refundId }, { $set: { refundStatus: "processed", refundError: null } });
+
+/**
+ * Cancellation refunds requested in a date range (admin wallet summary)
+ * @param {Object} [range] - { start, end }
+ * @returns {Object}
+ */
+export const summarizeCancellationRefunds = async (range = null) => {
+  const payments = await Payment.find({
+    refundStatus: { $in: ["held", "pending", "processed", "failed"] },
+    ...(range ? { refundRequestedAt: { $gte: range.start, $lte: range.end } } : {}),
+  })
+    .select("refundAmount refundStatus")
+    .lean();
+  const sum = (filter) => roundMoney(payments.filter(filter).reduce((acc, p) => acc + (p.refundAmount || 0), 0));
+
+  return {
+    count: payments.length,
+    refunded: sum((p) => ["pending", "processed"].includes(p.refundStatus)),
+    pending: sum((p) => p.refundStatus === "pending"),
+    held: sum((p) => p.refundStatus === "held"),
+    failed: sum((p) => p.refundStatus === "failed"),
+  };
+};
+
+/**
+ * ⏰ Retry held and failed cancellation refunds every hour
+ */
+export const initCancellationRefundCron = () => {
+  cron.schedule("45 * * * *", async () => {
+    try {
+      await retryCancellationRefunds();
+    } catch (err) {
+      console.error("Cancellation refund cron error:", err.message);
+    }
+  });
+};
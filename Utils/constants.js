@@ -56,3 +56,6 @@ export const USER_ROLE = {
   ADMIN: "Admin",
   OWNER: "Owner",
 };
+
+// GST slabs a category can use (Utils/pricing.js)
+export const GST_RATES = [0, 5, 12, 18, 28];
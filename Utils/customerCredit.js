@@ -0,0 +1,314 @@
+import cron from "node-cron";
+import mongoose from "mongoose";
+import CreditTransaction from "../Schemas/CreditTransaction.js";
+
+/**
+ * 💳 CUSTOMER CREDIT
+ * Credits (referral rewards, goodwill, refunds) are stored as expiring buckets.
+ * Redemption draws from the bucket that expires first; cancelling a booking gives
+ * the redeemed amount back as a new refund bucket. A daily cron expires buckets.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const CREDIT_EXPIRY_DAYS = Number(process.env.CREDIT_EXPIRY_DAYS) || 180;
+const REFUND_MIN_VALIDITY_DAYS = Number(process.env.CREDIT_REFUND_MIN_DAYS) || 30;
+
+// Razorpay cannot take an order below ₹1: the amount left to pay is 0 or at least this
+export const MIN_ONLINE_PAYMENT = 1;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const creditError = (message, code, statusCode = 400) => {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  return err;
+};
+
+const activeBucketFilter = (customerId, now = new Date()) => ({
+  customerId,
+  type: "credit",
+  remaining: { $gt: 0 },
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+});
+
+// Soonest expiry first, never-expiring buckets last
+const byExpiry = (a, b) => {
+  if (!a.expiresAt && !b.expiresAt) return a.createdAt - b.createdAt;
+  if (!a.expiresAt) return 1;
+  if (!b.expiresAt) return -1;
+  return a.expiresAt - b.expiresAt;
+};
+
+/**
+ * Current usable credit balance of a customer
+ * @param {String} customerId - User ID
+ * @param {Object} [session] - Mongoose transaction session
+ * @returns {Number} Balance
+ */
+export const getCreditBalance = async (customerId, session = null) => {
+  const [row] = await CreditTransaction.aggregate([
+    { $match: activeBucketFilter(new mongoose.Types.ObjectId(String(customerId))) },
+    { $group: { _id: null, balance: { $sum: "$remaining" } } },
+  ]).session(session);
+  return round2(row?.balance || 0);
+};
+
+/**
+ * Add a credit bucket to a customer's ledger
+ * @param {Object} params
+ * @param {String} params.customerId - User ID
+ * @param {Number} params.amount - Positive amount
+ * @param {String} params.source - "referral" | "goodwill" | "refund" | "adjustment"
+ * @param {Date|null} [params.expiresAt] - Defaults to CREDIT_EXPIRY_DAYS from now (null = never)
+ * @param {String} [params.referralId]
+ * @param {String} [params.bookingId]
+ * @param {String} [params.bookingType]
+ * @param {String} [params.note]
+ * @param {String} [params.createdBy] - Staff user ID
+ * @param {Object} [params.session] - Mongoose transaction session
+ * @returns {Object} CreditTransaction
+ */
+export const grantCustomerCredit = async ({
+  customerId,
+  amount,
+  source,
+  expiresAt,
+  referralId = null,
+  bookingId = null,
+  bookingType = null,
+  note = null,
+  createdBy = null,
+  session = null,
+}) => {
+  const value = round2(amount);
+  if (!(value > 0)) {
+    throw creditError("Credit amount must be greater than 0", "INVALID_CREDIT_AMOUNT");
+  }
+
+  const [entry] = await CreditTransaction.create(
+    [
+      {
+        customerId,
+        amount: value,
+        remaining: value,
+        type: "credit",
+        source,
+        expiresAt: expiresAt === undefined ? new Date(Date.now() + CREDIT_EXPIRY_DAYS * DAY_MS) : expiresAt,
+        referralId,
+        bookingId,
+        bookingType,
+        note,
+        createdBy,
+      },
+    ],
+    session ? { session } : {}
+  );
+  return entry;
+};
+
+/**
+ * How much credit to put on a booking
+ * Never more than the balance or the amount due, and never leaves 0 < due < ₹1.
+ * @param {Object} params
+ * @param {Boolean|Number} params.requested - true = as much as possible, number = up to that amount
+ * @param {Number} params.balance - Usable credit balance
+ * @param {Number} params.amountDue - Amount still to pay on the booking
+ * @returns {Number} Amount to apply
+ */
+export const resolveCreditToApply = ({ requested, balance, amountDue }) => {
+  if (!requested || balance <= 0 || amountDue <= 0) return 0;
+
+  const cap = requested === true ? Infinity : Number(requested);
+  if (!Number.isFinite(cap) && cap !== Infinity) return 0;
+
+  let apply = round2(Math.min(cap, balance, amountDue));
+  const left = round2(amountDue - apply);
+  if (left > 0 && left < MIN_ONLINE_PAYMENT) {
+    apply = round2(Math.max(amountDue - MIN_ONLINE_PAYMENT, 0));
+  }
+  return apply > 0 ? apply : 0;
+};
+
+/**
+ * Spend credit on a booking (soonest-expiring buckets first)
+ * Must run inside a transaction so a partial draw is rolled back on failure.
+ * @param {Object} params
+ * @param {String} params.customerId - User ID
+ * @param {Number} params.amount - Amount to redeem
+ * @param {String} params.bookingId
+ * @param {String} params.bookingType - "service" | "product"
+ * @param {Object} params.session - Mongoose transaction session
+ * @returns {Object} Redemption CreditTransaction
+ */
+export const redeemCredits = async ({ customerId, amount, bookingId, bookingType, session }) => {
+  const target = round2(amount);
+  if (!(target > 0)) {
+    throw creditError("Redeem amount must be greater than 0", "INVALID_CREDIT_AMOUNT");
+  }
+
+  const buckets = (await CreditTransaction.find(activeBucketFilter(customerId))
+    .select("remaining expiresAt createdAt")
+    .session(session)
+    .lean()).sort(byExpiry);
+
+  const allocations = [];
+  let left = target;
+
+  for (const bucket of buckets) {
+    if (left <= 0) break;
+    const take = round2(Math.min(bucket.remaining, left));
+
+    const updated = await CreditTransaction.updateOne(
+      { _id: bucket._id, remaining: { $gte: take } },
+      { $inc: { remaining: -take } },
+      { session }
+    );
+    if (updated.modifiedCount === 0) continue; // drawn concurrently
+
+    allocations.push({ creditId: bucket._id, amount: take });
+    left = round2(left - take);
+  }
+
+  if (left > 0) {
+    throw creditError("Insufficient credit balance", "INSUFFICIENT_CREDITS", 409);
+  }
+
+  const [entry] = await CreditTransaction.create(
+    [
+      {
+        customerId,
+        amount: target,
+        type: "debit",
+        source: "redemption",
+        bookingId,
+        bookingType,
+        allocations,
+        note: `Applied to ${bookingType} booking`,
+      },
+    ],
+    { session }
+  );
+  return entry;
+};
+
+/**
+ * Give back the credit redeemed on a cancelled booking (idempotent)
+ * The refund bucket keeps the latest expiry of the buckets it came from,
+ * but stays valid for at least CREDIT_REFUND_MIN_DAYS.
+ * @param {Object} params
+ * @param {String} params.bookingId
+ * @param {String} [params.reason] - Shown on the ledger entry
+ * @param {Object} [params.session] - Mongoose transaction session
+ * @returns {Number} Amount refunded
+ */
+export const refundBookingCredits = async ({ bookingId, reason = "Booking cancelled", session = null }) => {
+  const redemptions = await CreditTransaction.find({
+    bookingId,
+    type: "debit",
+    source: "redemption",
+    $expr: { $lt: ["$refundedAmount", "$amount"] },
+  }).session(session);
+
+  let refunded = 0;
+  for (const redemption of redemptions) {
+    const amount = round2(redemption.amount - redemption.refundedAmount);
+
+    // Claim first so two cancellations cannot refund twice
+    const claimed = await CreditTransaction.updateOne(
+      { _id: redemption._id, refundedAmount: redemption.refundedAmount },
+      { $set: { refundedAmount: redemption.amount } },
+      session ? { session } : {}
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    const sources = await CreditTransaction.find({ _id: { $in: redemption.allocations.map((a) => a.creditId) } })
+      .select("expiresAt")
+      .session(session)
+      .lean();
+
+    const minExpiry = Date.now() + REFUND_MIN_VALIDITY_DAYS * DAY_MS;
+    const expiresAt = sources.some((s) => !s.expiresAt)
+      ? null
+      : new Date(Math.max(minExpiry, ...sources.map((s) => s.expiresAt.getTime())));
+
+    await grantCustomerCredit({
+      customerId: redemption.customerId,
+      amount,
+      source: "refund",
+      expiresAt,
+      bookingId: redemption.bookingId,
+      bookingType: redemption.bookingType,
+      note: reason,
+      session,
+    });
+    refunded = round2(refunded + amount);
+  }
+
+  return refunded;
+};
+
+/**
+ * Refund credits of a cancelled booking without failing the cancellation
+ * @param {String} bookingId
+ * @param {String} [reason]
+ */
+export const refundBookingCreditsSafely = async (bookingId, reason) => {
+  try {
+    return await refundBookingCredits({ bookingId, reason });
+  } catch (err) {
+    console.error(`❌ Credit refund failed for booking ${bookingId}:`, err.message);
+    return 0;
+  }
+};
+
+/**
+ * Zero out expired buckets and write an `expiry` debit per bucket
+ * @returns {Number} Buckets expired
+ */
+export const expireCreditBuckets = async () => {
+  const expired = await CreditTransaction.find({
+    type: "credit",
+    remaining: { $gt: 0 },
+    expiresAt: { $ne: null, $lte: new Date() },
+  })
+    .select("customerId remaining")
+    .limit(500)
+    .lean();
+
+  let count = 0;
+  for (const bucket of expired) {
+    const claimed = await CreditTransaction.updateOne(
+      { _id: bucket._id, remaining: bucket.remaining },
+      { $set: { remaining: 0 } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    await CreditTransaction.create({
+      customerId: bucket.customerId,
+      amount: bucket.remaining,
+      type: "debit",
+      source: "expiry",
+      allocations: [{ creditId: bucket._id, amount: bucket.remaining }],
+      note: "Credit expired",
+    });
+    count += 1;
+  }
+
+  if (count > 0) console.log(`⌛ Expired ${count} credit bucket(s)`);
+  return count;
+};
+
+/**
+ * ⏰ Expire credit buckets daily at 00:30
+ */
+export const initCustomerCreditCron = () => {
+  cron.schedule("30 0 * * *", async () => {
+    try {
+      await expireCreditBuckets();
+    } catch (err) {
+      console.error("Credit expiry cron error:", err.message);
+    }
+  });
+};
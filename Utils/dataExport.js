@@ -0,0 +1,298 @@
+import crypto from "crypto";
+import zlib from "zlib";
+import { promisify } from "util";
+
+import DataExport from "../Schemas/DataExport.js";
+import User from "../Schemas/User.js";
+import Address from "../Schemas/Address.js";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import ProductBooking from "../Schemas/ProductBooking.js";
+import Rating from "../Schemas/Rating.js";
+import Report from "../Schemas/Report.js";
+import Cart from "../Schemas/Cart.js";
+import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+import TechnicianKyc from "../Schemas/TechnicianKYC.js";
+import WalletTransaction from "../Schemas/WalletTransaction.js";
+import WithdrawalRequest from "../Schemas/WithdrawalRequest.js";
+import Session from "../Schemas/Session.js";
+import PolicyAcceptance from "../Schemas/PolicyAcceptance.js";
+import Referral from "../Schemas/Referral.js";
+import CreditTransaction from "../Schemas/CreditTransaction.js";
+import LoginEvent from "../Schemas/LoginEvent.js";
+
+/**
+ * 📦 PERSONAL DATA EXPORT
+ * Builds a JSON bundle of everything tied to a user, gzips it and stores it on a
+ * DataExport job. Jobs run in-process (setImmediate) so the request returns at once.
+ * Downloads use short-lived tokens; the bundle itself expires after EXPORT_TTL_HOURS.
+ */
+
+const gzip = promisify(zlib.gzip);
+
+const EXPORT_TTL_HOURS = Number(process.env.DATA_EXPORT_TTL_HOURS) || 24;
+const DOWNLOAD_TOKEN_TTL_MINUTES = Number(process.env.DATA_EXPORT_TOKEN_TTL_MINUTES) || 15;
+const STALE_JOB_MS = 15 * 60 * 1000;
+const MAX_BUNDLE_BYTES = 15 * 1024 * 1024; // stays below the 16MB document limit
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/* ================= MASKING ================= */
+
+const maskTail = (value, visible = 4) => {
+  if (!value) return value ?? null;
+  const str = String(value);
+  return str.length <= visible ? "*".repeat(str.length) : `${"*".repeat(str.length - visible)}${str.slice(-visible)}`;
+};
+
+const maskUpi = (upi) => {
+  if (!upi) return upi ?? null;
+  const [name, handle] = String(upi).split("@");
+  return `${name.slice(0, 2)}***@${handle || ""}`;
+};
+
+// KYC: identity numbers + bank account masked, document images not exported
+const maskKyc = (kyc) => {
+  if (!kyc) return null;
+  const { documents, ...rest } = kyc;
+  return {
+    ...rest,
+    aadhaarNumber: maskTail(kyc.aadhaarNumber),
+    panNumber: maskTail(kyc.panNumber),
+    drivingLicenseNumber: maskTail(kyc.drivingLicenseNumber),
+    documentsOnFile: {
+      aadhaar: documents?.aadhaarUrl?.length || 0,
+      pan: documents?.panUrl?.length || 0,
+      drivingLicense: documents?.dlUrl?.length || 0,
+    },
+    bankDetails: kyc.bankDetails
+      ? {
+          ...kyc.bankDetails,
+          accountNumber: maskTail(kyc.bankDetails.accountNumber),
+          upiId: maskUpi(kyc.bankDetails.upiId),
+        }
+      : null,
+  };
+};
+
+const maskProfileBank = (profile) =>
+  profile
+    ? {
+        ...profile,
+        bankDetails: profile.bankDetails
+          ? {
+              ...profile.bankDetails,
+              accountNumber: maskTail(profile.bankDetails.accountNumber),
+              upiId: maskUpi(profile.bankDetails.upiId),
+            }
+          : null,
+      }
+    : null;
+
+/* ================= BUNDLE ================= */
+
+/**
+ * Assemble all personal data tied to a user
+ * @param {String} userId - User ID
+ * @returns {Object} Export bundle
+ */
+export const buildPersonalDataBundle = async (userId) => {
+  const user = await User.findById(userId)
+    .select("-password -tokensValidAfter -adminRoleIds")
+    .lean();
+  if (!user) throw new Error("User not found");
+
+  const [
+    addresses,
+    serviceBookings,
+    productBookings,
+    ratingsGiven,
+    reportsFiled,
+    cart,
+    sessions,
+    policyAcceptances,
+    referralsMade,
+    creditTransactions,
+    loginHistory,
+  ] = await Promise.all([
+    Address.find({ customerId: userId }).lean(),
+    ServiceBooking.find({ customerId: userId }).sort({ createdAt: -1 }).lean(),
+    ProductBooking.find({ customerId: userId }).sort({ createdAt: -1 }).lean(),
+    Rating.find({ userId }).lean(),
+    Report.find({ customerId: userId }).lean(),
+    Cart.find({ customerId: userId }).lean(),
+    Session.find({ userId })
+      .select("deviceName platform appVersion userAgent ip lastUsedAt createdAt revokedAt revokedReason")
+      .lean(),
+    PolicyAcceptance.find({ userId }).select("type version acceptedAt ip userAgent").lean(),
+    // Referees are other people: only status / reward of each referral
+    Referral.find({ referrerId: userId }).select("refereeRole status rewardAmount rewardedAt createdAt").lean(),
+    CreditTransaction.find({ customerId: userId }).sort({ createdAt: -1 }).lean(),
+    LoginEvent.find({ userId })
+      .select("event method reason deviceName platform appVersion userAgent ip city country createdAt")
+      .sort({ createdAt: -1 })
+      .lean(),
+  ]);
+
+  const bundle = {
+    exportedAt: new Date(),
+    format: "righttouch-personal-data/v1",
+    user,
+    addresses,
+    serviceBookings,
+    productBookings,
+    ratings: { given: ratingsGiven },
+    reports: { filed: reportsFiled },
+    cart,
+    sessions,
+    policyAcceptances,
+    referrals: referralsMade,
+    creditTransactions,
+    loginHistory,
+  };
+
+  if (user.role === "Technician") {
+    const profile = await TechnicianProfile.findOne({ userId }).lean();
+
+    if (profile) {
+      const technicianId = profile._id;
+      const [kyc, jobs, ratingsReceived, reportsReceived, walletTransactions, withdrawalRequests] = await Promise.all([
+        TechnicianKyc.findOne({ technicianId }).lean(),
+        // Customer PII on served jobs is not the technician's data
+        ServiceBooking.find({ technicianId })
+          .select("-customerId -addressSnapshot -address -addressId -location")
+          .sort({ createdAt: -1 })
+          .lean(),
+        Rating.find({ technicianId }).select("-userId").lean(),
+        Report.find({ technicianId }).select("-customerId -image").lean(),
+        WalletTransaction.find({ technicianId }).sort({ createdAt: -1 }).lean(),
+        WithdrawalRequest.find({ technicianId }).sort({ createdAt: -1 }).lean(),
+      ]);
+
+      bundle.technician = {
+        profile: maskProfileBank(profile),
+        kyc: maskKyc(kyc),
+        jobs,
+        walletTransactions,
+        withdrawalRequests,
+      };
+      bundle.ratings.received = ratingsReceived;
+      bundle.reports.received = reportsReceived;
+    }
+  }
+
+  return bundle;
+};
+
+/* ================= JOBS ================= */
+
+/**
+ * Build + store the bundle for a queued job
+ * @param {String} exportId - DataExport ID
+ */
+export const runDataExport = async (exportId) => {
+  const job = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: "queued" },
+    { $set: { status: "processing", startedAt: new Date() } },
+    { new: true }
+  );
+  if (!job) return;
+
+  try {
+    const bundle = await buildPersonalDataBundle(job.userId);
+    const compressed = await gzip(Buffer.from(JSON.stringify(bundle, null, 2)));
+
+    if (compressed.length > MAX_BUNDLE_BYTES) {
+      throw new Error("Export too large for automatic delivery. Please contact support.");
+    }
+
+    job.bundle = compressed;
+    job.sizeBytes = compressed.length;
+    job.fileName = `righttouch-data-${job.userId}-${new Date().toISOString().slice(0, 10)}.json.gz`;
+    job.status = "ready";
+    job.completedAt = new Date();
+    await job.save();
+    console.log(`📦 Data export ${job._id} ready (${compressed.length} bytes)`);
+  } catch (err) {
+    console.error(`❌ Data export ${job._id} failed:`, err.message);
+    await DataExport.updateOne(
+      { _id: job._id },
+      { $set: { status: "failed", error: err.message, completedAt: new Date() } }
+    );
+  }
+};
+
+/**
+ * Latest usable export for a user (queued / processing / ready and not expired)
+ * Jobs stuck in processing (e.g. server restart) are marked failed.
+ * @param {String} userId - User ID
+ */
+export const getActiveDataExport = async (userId) => {
+  await DataExport.updateMany(
+    {
+      userId,
+      status: { $in: ["queued", "processing"] },
+      createdAt: { $lt: new Date(Date.now() - STALE_JOB_MS) },
+    },
+    { $set: { status: "failed", error: "Export interrupted. Please request again." } }
+  );
+
+  return DataExport.findOne({
+    userId,
+    status: { $in: ["queued", "processing", "ready"] },
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+};
+
+/**
+ * Queue a new export and start it in the background
+ * @param {Object} user - { userId, role }
+ */
+export const startDataExport = async ({ userId, role }) => {
+  const job = await DataExport.create({
+    userId,
+    role,
+    expiresAt: new Date(Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000),
+  });
+
+  setImmediate(() => {
+    runDataExport(job._id).catch((err) => console.error("runDataExport Error:", err.message));
+  });
+
+  return job;
+};
+
+/**
+ * Issue a fresh download token for a ready export (previous token stops working)
+ * @param {Object} job - DataExport document
+ * @returns {Object} { downloadToken, downloadTokenExpiresAt }
+ */
+export const issueDownloadToken = async (job) => {
+  const downloadToken = crypto.randomBytes(32).toString("hex");
+  const downloadTokenExpiresAt = new Date(
+    Math.min(Date.now() + DOWNLOAD_TOKEN_TTL_MINUTES * 60 * 1000, job.expiresAt.getTime())
+  );
+
+  await DataExport.updateOne(
+    { _id: job._id },
+    { $set: { downloadTokenHash: hashToken(downloadToken), downloadTokenExpiresAt } }
+  );
+
+  return { downloadToken, downloadTokenExpiresAt };
+};
+
+/**
+ * Resolve a download token to its ready export (with bundle)
+ * @param {String} token - Raw download token
+ * @returns {Object|null} DataExport document or null when invalid / expired
+ */
+export const findExportByDownloadToken = async (token) => {
+  if (!token || typeof token !== "string") return null;
+
+  const now = new Date();
+  return DataExport.findOne({
+    downloadTokenHash: hashToken(token),
+    downloadTokenExpiresAt: { $gt: now },
+    expiresAt: { $gt: now },
+    status: "ready",
+  }).select("+bundle");
+};
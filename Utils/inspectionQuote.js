@@ -0,0 +1,361 @@
+import mongoose from "mongoose";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import Service from "../Schemas/Service.js";
+import Product from "../Schemas/Product.js";
+import Payment from "../Schemas/Payment.js";
+import { registerBookingGuard, transitionBooking, normalizeBookingStatus } from "./bookingStateMachine.js";
+import { refundBookingCreditsSafely } from "./customerCredit.js";
+import { notifyTechnicianWithFallback } from "./sendNotification.js";
+import { SOCKET_EVENTS, SOCKET_ROOMS } from "./socketConstants.js";
+import { computeBookingSplit, priceServiceBooking, toBookingPricingFields } from "./pricing.js";
+
+/**
+ * 🧾 INSPECTION QUOTES
+ * Services priced "after_inspection" are booked for their minimumVisitCharge.
+ * Once at the door (reached / in_progress) the technician quotes labour and parts;
+ * the customer then:
+ *   - approves: baseAmount, the commission split and any unpaid Payment are
+ *     recomputed from the quote total
+ *   - rejects: the booking is cancelled and only minimumVisitCharge is due
+ * A new quote replaces a pending one. Completion needs an approved quote.
+ */
+
+export const QUOTE_STATUSES = ["reached", "in_progress"];
+export const QUOTE_MAX_ITEMS = 30;
+export const QUOTE_ITEM_TYPES = ["labour", "part"];
+
+const quoteError = (message, code, statusCode = 400, details) => {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  if (details !== undefined) err.details = details;
+  return err;
+};
+
+const round2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Is the service priced by the technician on site?
+ * @param {Object} service - { pricingType }
+ * @returns {Boolean}
+ */
+export const isInspectionPriced = (service) => service?.pricingType === "after_inspection";
+
+/**
+ * Amount a new booking is created with: the visit charge for inspection-priced
+ * services (the client cannot set it), otherwise `amount`
+ * @param {Object} service - Service doc
+ * @param {Number} amount - Amount the caller would otherwise use
+ * @returns {Number}
+ */
+export const getBookingBaseAmount = (service, amount) =>
+  isInspectionPriced(service) ? service.minimumVisitCharge || 0 : amount;
+
+/**
+ * Current (last) quote of a booking
+ * @param {Object} booking
+ * @returns {Object|null}
+ */
+export const getCurrentQuote = (booking) => booking?.quotes?.[booking.quotes.length - 1] || null;
+
+/**
+ * Has the customer still to approve a price before paying?
+ * @param {Object} booking - ServiceBooking
+ * @param {Object} service - Its Service
+ * @returns {Boolean}
+ */
+export const isAwaitingQuoteApproval = (booking, service) =>
+  isInspectionPriced(service) &&
+  getCurrentQuote(booking)?.status !== "approved" &&
+  booking.cancelReason !== "quote_rejected";
+
+/* ================= GUARDS ================= */
+
+registerBookingGuard("completed", "QUOTE_APPROVAL_REQUIRED", async (booking, { actor }) => {
+  const quote = getCurrentQuote(booking);
+  if (quote?.status === "pending") return "The customer has not answered the quote yet";
+  // Admins can close jobs booked before quotes existed
+  if (quote?.status === "approved" || actor.type === "admin") return null;
+
+  const service = await Service.findById(booking.serviceId).select("pricingType").lean();
+  return isInspectionPriced(service) ? "Submit a quote and get the customer's approval before completion" : null;
+});
+
+registerBookingGuard("cancelled", "QUOTE_REJECTION_ONLY", (booking, { from, actor, reason }) =>
+  from === "in_progress" &&
+  actor.type === "customer" &&
+  (reason !== "quote_rejected" || getCurrentQuote(booking)?.status !== "pending")
+    ? "A job in progress can only be ended by rejecting the technician's quote"
+    : null
+);
+
+/* ================= PRICING ================= */
+
+const sanitizeItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw quoteError("items must be a non-empty array", "VALIDATION_ERROR");
+  }
+  if (items.length > QUOTE_MAX_ITEMS) {
+    throw quoteError(`A quote can have at most ${QUOTE_MAX_ITEMS} items`, "VALIDATION_ERROR");
+  }
+
+  const lines = items.map((item, index) => {
+    const label = `items[${index}]`;
+    const quantity = item?.quantity === undefined ? 1 : Number(item.quantity);
+    const unitPrice = Number(item?.unitPrice);
+
+    if (!QUOTE_ITEM_TYPES.includes(item?.type)) {
+      throw quoteError(`${label}.type must be one of: ${QUOTE_ITEM_TYPES.join(", ")}`, "VALIDATION_ERROR");
+    }
+    if (typeof item.description !== "string" || !item.description.trim()) {
+      throw quoteError(`${label}.description is required`, "VALIDATION_ERROR");
+    }
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 100) {
+      throw quoteError(`${label}.quantity must be a whole number from 1 to 100`, "VALIDATION_ERROR");
+    }
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+      throw quoteError(`${label}.unitPrice must be a non-negative number`, "VALIDATION_ERROR");
+    }
+    if (item.productId && (item.type !== "part" || !mongoose.Types.ObjectId.isValid(item.productId))) {
+      throw quoteError(`${label}.productId must be a valid product on a part line`, "VALIDATION_ERROR");
+    }
+
+    return {
+      type: item.type,
+      description: item.description.trim().slice(0, 200),
+      productId: item.productId || null,
+      quantity,
+      unitPrice: round2(unitPrice),
+      amount: round2(quantity * unitPrice),
+    };
+  });
+
+  const productIds = [...new Set(lines.filter((l) => l.productId).map((l) => String(l.productId)))];
+  if (productIds.length) {
+    const found = await Product.countDocuments({ _id: { $in: productIds }, isActive: true });
+    if (found !== productIds.length) {
+      throw quoteError("A quoted part is not an active product", "PRODUCT_NOT_FOUND", 404);
+    }
+  }
+
+  return lines;
+};
+
+// Fields that reprice a booking (GST and split via Utils/pricing.js); credits above the new amount go back to the customer
+const repriceFields = (booking, total, commissionPercentage) => {
+  const pricing = computeBookingSplit(booking, { baseAmount: total, commissionPercentage });
+  return {
+    ...toBookingPricingFields(pricing),
+    ...(booking.creditApplied > pricing.totalAmount ? { creditApplied: 0 } : {}),
+    paymentOrderId: null,
+  };
+};
+
+/**
+ * Make an unpaid Payment follow a repriced booking (a fresh provider order is
+ * created on checkout). Also used when spare parts change the amount.
+ * @param {Object} booking - Updated ServiceBooking
+ */
+export const syncPendingPayment = async (booking) => {
+  const payment = await Payment.findOne({ bookingId: booking._id });
+  if (!payment || payment.status === "success") return;
+
+  const totalAmount = round2(booking.baseAmount + (booking.partsAmount || 0) + (booking.cancellationFeeDue || 0));
+  const creditAmount = Math.min(round2(booking.creditApplied || 0), totalAmount);
+  payment.baseAmount = totalAmount;
+  payment.totalAmount = totalAmount;
+  payment.commissionAmount = booking.commissionAmount;
+  payment.technicianAmount = booking.technicianAmount;
+  payment.taxAmount = booking.taxAmount || 0;
+  payment.cancellationFeeAmount = booking.cancellationFeeDue || 0;
+  payment.creditAmount = creditAmount;
+  payment.chargedAmount = round2(totalAmount - creditAmount);
+  payment.providerOrderId = null;
+  await payment.save();
+};
+
+/* ================= TECHNICIAN ================= */
+
+/**
+ * Technician quotes labour and parts for an inspection-priced job
+ * @param {Object} params
+ * @param {String} params.bookingId
+ * @param {String} params.technicianProfileId
+ * @param {Object[]} params.items - [{ type: "labour" | "part", description, quantity?, unitPrice, productId? }]
+ * @param {String} [params.note]
+ * @param {Object} [params.io]
+ * @returns {Object} { booking, quote }
+ */
+export const submitInspectionQuote = async ({ bookingId, technicianProfileId, items, note, io }) => {
+  const booking = await ServiceBooking.findById(bookingId);
+  if (!booking) {
+    throw quoteError("Booking not found", "BOOKING_NOT_FOUND", 404);
+  }
+  if (!booking.technicianId || booking.technicianId.toString() !== technicianProfileId.toString()) {
+    throw quoteError("Access denied for this booking", "ACCESS_DENIED", 403);
+  }
+
+  const status = normalizeBookingStatus(booking.status);
+  if (!QUOTE_STATUSES.includes(status)) {
+    throw quoteError(`A quote can only be submitted once you have reached the customer (booking is ${status})`, "QUOTE_NOT_ALLOWED", 409, { status });
+  }
+
+  const service = await Service.findById(booking.serviceId).select("pricingType").lean();
+  if (!isInspectionPriced(service)) {
+    throw quoteError("This service has a fixed price and does not need a quote", "QUOTE_NOT_APPLICABLE", 400);
+  }
+  if (booking.paymentStatus === "paid") {
+    throw quoteError("This booking is already paid", "BOOKING_ALREADY_PAID", 409);
+  }
+  if (getCurrentQuote(booking)?.status === "approved") {
+    throw quoteError("The customer already approved a quote for this job", "QUOTE_ALREADY_APPROVED", 409);
+  }
+
+  const lines = await sanitizeItems(items);
+  const labourTotal = round2(lines.filter((l) => l.type === "labour").reduce((sum, l) => sum + l.amount, 0));
+  const partsTotal = round2(lines.filter((l) => l.type === "part").reduce((sum, l) => sum + l.amount, 0));
+  const total = round2(labourTotal + partsTotal);
+  if (total <= 0) {
+    throw quoteError("The quote total must be more than zero", "VALIDATION_ERROR");
+  }
+
+  const now = new Date();
+  const quote = {
+    items: lines,
+    labourTotal,
+    partsTotal,
+    total,
+    note: typeof note === "string" && note.trim() ? note.trim().slice(0, 500) : null,
+    status: "pending",
+    submittedBy: technicianProfileId,
+    submittedAt: now,
+  };
+  const quotes = booking.quotes.map((q) => {
+    const plain = q.toObject();
+    return plain.status === "pending" ? { ...plain, status: "superseded", respondedAt: now } : plain;
+  });
+
+  // Conditional on the quotes we read: a concurrent submit / answer loses
+  const updated = await ServiceBooking.findOneAndUpdate(
+    { _id: booking._id, status: booking.status, technicianId: booking.technicianId, quotes: { $size: booking.quotes.length } },
+    { $set: { quotes: [...quotes, quote] } },
+    { new: true }
+  );
+  if (!updated) {
+    throw quoteError("Booking changed. Please refresh and try again.", "BOOKING_STATUS_CHANGED", 409);
+  }
+
+  const saved = getCurrentQuote(updated);
+  io?.to(SOCKET_ROOMS.CUSTOMER(updated.customerId)).emit(SOCKET_EVENTS.BOOKING_QUOTE_SUBMITTED, {
+    bookingId: updated._id,
+    quoteId: saved._id,
+    total: saved.total,
+    labourTotal: saved.labourTotal,
+    partsTotal: saved.partsTotal,
+    timestamp: now,
+  });
+
+  return { booking: updated, quote: saved };
+};
+
+/* ================= CUSTOMER ================= */
+
+/**
+ * Customer approves or rejects the pending quote
+ * @param {Object} params
+ * @param {String} params.bookingId
+ * @param {String} params.customerId
+ * @param {String} params.action - "approve" | "reject"
+ * @param {String} [params.reason] - Why the customer rejected
+ * @param {Object} [params.io]
+ * @returns {Object} { booking, quote, amountDue }
+ */
+export const respondToInspectionQuote = async ({ bookingId, customerId, action, reason, io }) => {
+  const booking = await ServiceBooking.findOne({ _id: bookingId, customerId });
+  if (!booking) {
+    throw quoteError("Booking not found", "BOOKING_NOT_FOUND", 404);
+  }
+
+  const quote = getCurrentQuote(booking);
+  if (quote?.status !== "pending") {
+    throw quoteError("There is no quote waiting for your answer", "NO_PENDING_QUOTE", 409);
+  }
+
+  const status = normalizeBookingStatus(booking.status);
+  if (!QUOTE_STATUSES.includes(status)) {
+    throw quoteError(`The quote can no longer be answered (booking is ${status})`, "QUOTE_NOT_ALLOWED", 409, { status });
+  }
+
+  const service = await Service.findById(booking.serviceId).select("categoryId commissionPercentage minimumVisitCharge").lean();
+  const commissionPercentage = booking.commissionPercentage || service?.commissionPercentage || 0;
+  const index = booking.quotes.length - 1;
+  const now = new Date();
+
+  let updated;
+  if (action === "approve") {
+    updated = await ServiceBooking.findOneAndUpdate(
+      { _id: booking._id, status: booking.status, [`quotes.${index}.status`]: "pending", quotes: { $size: index + 1 } },
+      {
+        $set: {
+          ...repriceFields(booking, quote.total, commissionPercentage),
+          [`quotes.${index}.status`]: "approved",
+          [`quotes.${index}.respondedAt`]: now,
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw quoteError("Booking changed. Please refresh and try again.", "BOOKING_STATUS_CHANGED", 409);
+    }
+  } else {
+    // Visit charge priced like at booking time (catalog GST convention)
+    const { baseAmount: visitCharge } = await priceServiceBooking({ service, amount: service?.minimumVisitCharge || 0 });
+    updated = await transitionBooking({
+      booking,
+      to: "cancelled",
+      actor: { type: "customer", id: customerId },
+      reason: "quote_rejected",
+      filter: { [`quotes.${index}.status`]: "pending", quotes: { $size: index + 1 } },
+      set: {
+        ...repriceFields(booking, visitCharge, commissionPercentage),
+        cancelledBy: "customer",
+        cancelReason: "quote_rejected",
+        [`quotes.${index}.status`]: "rejected",
+        [`quotes.${index}.respondedAt`]: now,
+        [`quotes.${index}.rejectionReason`]: typeof reason === "string" && reason.trim() ? reason.trim().slice(0, 500) : null,
+      },
+    });
+  }
+
+  // Credit above the new amount was dropped from the booking: give it back
+  if (booking.creditApplied > updated.baseAmount) {
+    await refundBookingCreditsSafely(booking._id, "Booking repriced after inspection");
+  }
+  await syncPendingPayment(updated);
+
+  const approved = action === "approve";
+  const message = approved
+    ? `The customer approved your quote of ₹${quote.total}. You can continue the job.`
+    : `The customer rejected your quote. Only the visit charge of ₹${updated.baseAmount} applies.`;
+  // Not awaited: the socket ACK can take up to 10s before falling back to push
+  notifyTechnicianWithFallback(io, updated.technicianId.toString(), {
+    event: SOCKET_EVENTS.BOOKING_QUOTE_RESPONDED,
+    data: {
+      bookingId: updated._id,
+      quoteId: quote._id,
+      outcome: approved ? "approved" : "rejected",
+      status: updated.status,
+      baseAmount: updated.baseAmount,
+      message,
+      type: "QUOTE_RESPONSE",
+    },
+    pushTitle: approved ? "✅ Quote approved" : "❌ Quote rejected",
+    pushBody: message,
+  });
+
+  return {
+    booking: updated,
+    quote: getCurrentQuote(updated),
+    amountDue: round2(Math.max(updated.baseAmount - (updated.creditApplied || 0), 0)),
+  };
+};
@@ -0,0 +1,395 @@
+import mongoose from "mongoose";
+import Invoice from "../Schemas/Invoice.js";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import Service from "../Schemas/Service.js";
+import Payment from "../Schemas/Payment.js";
+import User from "../Schemas/User.js";
+import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+import { isInspectionPriced, getCurrentQuote } from "./inspectionQuote.js";
+import { getPayableAmount } from "./spareParts.js";
+import { splitTax, loadTaxProfile, PRICING_POLICY } from "./pricing.js";
+
+/**
+ * 🧾 GST INVOICES
+ * A completed + paid booking gets one tax invoice, numbered per Indian financial
+ * year (INVOICE_CONFIG.prefix/2026-27/000001). Booking prices are GST-inclusive:
+ * each service line is split at the booking's rate (Utils/pricing.js) into taxable value and
+ * CGST + SGST (customer in the company's state) or IGST (any other state). Spare parts
+ * the technician fitted pass through at 0%, as they do in the booking split. Refunds are issued as credit notes, numbered in
+ * their own series, reversing the invoice lines in proportion to the refund.
+ * A number is taken only by a document that is saved, so the series has no gaps.
+ */
+
+export const INVOICE_CONFIG = {
+  prefix: process.env.INVOICE_PREFIX || "RT",
+  partsHsn: process.env.INVOICE_PARTS_HSN || null,
+  seller: {
+    name: process.env.COMPANY_LEGAL_NAME || "RightTouch",
+    gstin: process.env.COMPANY_GSTIN || null,
+    address: process.env.COMPANY_ADDRESS || null,
+    state: process.env.COMPANY_STATE || null,
+    stateCode: process.env.COMPANY_STATE_CODE || null,
+    phone: process.env.COMPANY_PHONE || null,
+    email: process.env.COMPANY_EMAIL || null,
+  },
+};
+
+const invoiceError = (message, code, statusCode = 400, details) => {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  if (details !== undefined) err.details = details;
+  return err;
+};
+
+const round2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+const sameState = (a, b) => !a || !b || a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Indian financial year (April - March, IST) of a date
+ * @param {Date} [date]
+ * @returns {String} e.g. "2026-27"
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(date.getTime() + 330 * 60 * 1000);
+  const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, "0")}`;
+};
+
+const NUMBERING_ATTEMPTS = 5;
+
+// Save a document under the number after the last one saved in its series; the unique
+// (type, financialYear, sequence) index turns a race into a retry with the next number
+const createNumbered = async (type, fields) => {
+  const financialYear = getFinancialYear(fields.issuedAt);
+  const series = type === "credit_note" ? `${INVOICE_CONFIG.prefix}/CN` : INVOICE_CONFIG.prefix;
+
+  for (let attempt = 0; attempt < NUMBERING_ATTEMPTS; attempt += 1) {
+    const last = await Invoice.findOne({ type, financialYear }).sort({ sequence: -1 }).select("sequence").lean();
+    const sequence = (last?.sequence || 0) + 1;
+    try {
+      const doc = await Invoice.create({
+        ...fields,
+        type,
+        financialYear,
+        sequence,
+        number: `${series}/${financialYear}/${String(sequence).padStart(6, "0")}`,
+      });
+      return doc.toObject();
+    } catch (err) {
+      const numberTaken = err?.code === 11000 && (err.keyPattern?.sequence || err.keyPattern?.number);
+      if (!numberTaken) throw err;
+    }
+  }
+
+  throw invoiceError("Could not number the document, please retry", "INVOICE_NUMBER_CONFLICT", 409);
+};
+
+// Split a GST-inclusive amount into taxable value and tax heads (a line's own rate wins)
+const taxLine = (line, interState, rate) => {
+  const gstRate = line.gstRate ?? rate;
+  const { taxableValue, taxAmount: tax } = splitTax(line.amount, gstRate);
+  const cgst = interState ? 0 : round2(tax / 2);
+  return {
+    ...line,
+    taxableValue,
+    gstRate,
+    cgst,
+    sgst: interState ? 0 : round2(tax - cgst),
+    igst: interState ? tax : 0,
+  };
+};
+
+const sumTotals = (items) => {
+  const sum = (field, filter = () => true) => round2(items.filter(filter).reduce((s, i) => s + i[field], 0));
+  const cgst = sum("cgst");
+  const sgst = sum("sgst");
+  const igst = sum("igst");
+  return {
+    grossAmount: sum("amount", (i) => i.amount > 0),
+    discount: round2(-sum("amount", (i) => i.amount < 0)),
+    taxableValue: sum("taxableValue"),
+    cgst,
+    sgst,
+    igst,
+    totalTax: round2(cgst + sgst + igst),
+    grandTotal: sum("amount"),
+  };
+};
+
+// What was billed, GST-inclusive: quote lines or visit charge, the service (less discount), parts
+const buildBookingLines = (booking, service, taxProfile) => {
+  const lines = [];
+  const serviceName = service?.serviceName || "Service";
+  const sac = booking.hsnSac || taxProfile.hsnSac;
+
+  if (isInspectionPriced(service)) {
+    const quote = getCurrentQuote(booking);
+    if (quote?.status === "approved") {
+      for (const item of quote.items) {
+        lines.push({
+          type: item.type === "part" ? "part" : "labour",
+          description: item.description,
+          hsnSac: item.type === "part" ? INVOICE_CONFIG.partsHsn : sac,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          amount: item.amount,
+        });
+      }
+    } else {
+      lines.push({ type: "visit_charge", description: `Visit charge - ${serviceName}`, hsnSac: sac, quantity: 1, unitPrice: booking.baseAmount, amount: booking.baseAmount });
+    }
+  } else {
+    // Catalog price as the customer pays it
+    const listPrice = round2(
+      taxProfile.taxInclusive ? service?.serviceCost || 0 : (service?.serviceCost || 0) * (1 + taxProfile.gstRate / 100)
+    );
+    const discount = round2(listPrice - booking.baseAmount);
+    const price = discount > 0 ? listPrice : booking.baseAmount;
+    lines.push({ type: "service", description: serviceName, hsnSac: sac, quantity: 1, unitPrice: price, amount: price });
+    if (discount > 0) {
+      lines.push({ type: "discount", description: `Discount on ${serviceName}`, hsnSac: sac, quantity: 1, unitPrice: -discount, amount: -discount });
+    }
+  }
+
+  for (const part of booking.spareParts || []) {
+    if (!part.billable) continue;
+    const details = [part.brand, part.warrantyMonths ? `${part.warrantyMonths} month warranty` : null].filter(Boolean).join(", ");
+    lines.push({
+      type: "part",
+      description: details ? `${part.name} (${details})` : part.name,
+      hsnSac: INVOICE_CONFIG.partsHsn,
+      quantity: part.quantity,
+      unitPrice: part.unitPrice,
+      amount: part.amount,
+      gstRate: 0,
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Can this booking be invoiced?
+ * @param {Object} booking
+ * @returns {Boolean}
+ */
+export const isInvoiceable = (booking) =>
+  booking?.paymentStatus === "paid" &&
+  (booking.status === "completed" || (booking.status === "cancelled" && booking.cancelReason === "quote_rejected"));
+
+/**
+ * Tax invoice of a booking, issued on first call (idempotent)
+ * @param {String} bookingId
+ * @returns {Object} Invoice (lean)
+ */
+export const issueInvoiceForBooking = async (bookingId) => {
+  const existing = await Invoice.findOne({ bookingId, type: "invoice" }).lean();
+  if (existing) return existing;
+
+  const booking = await ServiceBooking.findById(bookingId).lean();
+  if (!booking) {
+    throw invoiceError("Booking not found", "BOOKING_NOT_FOUND", 404);
+  }
+  if (!isInvoiceable(booking)) {
+    throw invoiceError("An invoice is available once the booking is completed and paid", "INVOICE_NOT_AVAILABLE", 409, {
+      status: booking.status,
+      paymentStatus: booking.paymentStatus,
+    });
+  }
+
+  const [service, customer, technician, payment] = await Promise.all([
+    Service.findById(booking.serviceId).select("serviceName serviceCost pricingType categoryId").lean(),
+    User.findById(booking.customerId).select("fname lname mobileNumber email").lean(),
+    booking.technicianId
+      ? TechnicianProfile.findById(booking.technicianId).select("userId").populate("userId", "fname lname mobileNumber").lean()
+      : null,
+    Payment.findOne({ bookingId: booking._id }).select("creditAmount chargedAmount totalAmount").lean(),
+  ]);
+
+  const buyerState = booking.addressSnapshot?.state || null;
+  const interState = !sameState(INVOICE_CONFIG.seller.state, buyerState);
+  // The rate the booking was split at; bookings from before GST was set on categories carry none
+  const gstRate = booking.gstRate ?? PRICING_POLICY.defaultGstRate;
+  const taxProfile = { ...(await loadTaxProfile(service?.categoryId)), gstRate };
+  const items = buildBookingLines(booking, service, taxProfile).map((line) => taxLine(line, interState, gstRate));
+  const totals = sumTotals(items);
+
+  // Lines come from the booking; a mismatch with what was charged means stale pricing data
+  // (earlier cancellation fees collected with the payment are not part of this supply)
+  const payable = round2(getPayableAmount(booking) - (booking.cancellationFeeDue || 0));
+  if (Math.abs(totals.grandTotal - payable) > 0.01) {
+    console.warn(`⚠️ Invoice lines for booking ${booking._id} total ${totals.grandTotal}, booking payable is ${payable}`);
+  }
+
+  const creditApplied = round2(payment?.creditAmount ?? booking.creditApplied ?? 0);
+  const techUser = technician?.userId;
+
+  try {
+    return await createNumbered("invoice", {
+      issuedAt: new Date(),
+      bookingId: booking._id,
+      customerId: booking.customerId,
+      technicianId: booking.technicianId || null,
+      paymentId: booking.paymentId || payment?._id || null,
+      seller: INVOICE_CONFIG.seller,
+      buyer: {
+        name: booking.addressSnapshot?.name || [customer?.fname, customer?.lname].filter(Boolean).join(" ") || null,
+        address: [booking.addressSnapshot?.addressLine || booking.address, booking.addressSnapshot?.city, booking.addressSnapshot?.pincode]
+          .filter(Boolean)
+          .join(", "),
+        state: buyerState,
+        phone: booking.addressSnapshot?.phone || customer?.mobileNumber || null,
+        email: customer?.email || null,
+      },
+      technician: {
+        name: techUser ? [techUser.fname, techUser.lname].filter(Boolean).join(" ") : booking.technicianSnapshot?.name || null,
+        mobile: techUser?.mobileNumber || booking.technicianSnapshot?.mobile || null,
+      },
+      serviceName: service?.serviceName || null,
+      supplyType: interState ? "inter_state" : "intra_state",
+      placeOfSupply: buyerState || INVOICE_CONFIG.seller.state,
+      items,
+      totals: {
+        ...totals,
+        creditApplied: Math.min(creditApplied, totals.grandTotal),
+        paidOnline: round2(Math.max(totals.grandTotal - creditApplied, 0)),
+      },
+    });
+  } catch (err) {
+    // Issued by a concurrent call
+    if (err?.code === 11000) {
+      const saved = await Invoice.findOne({ bookingId, type: "invoice" }).lean();
+      if (saved) return saved;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Issue the invoice if the booking just became completed + paid, without failing the caller
+ * @param {String} bookingId
+ */
+export const issueInvoiceSafely = async (bookingId) => {
+  try {
+    const booking = await ServiceBooking.findById(bookingId).select("status paymentStatus cancelReason").lean();
+    if (!isInvoiceable(booking)) return null;
+    return await issueInvoiceForBooking(bookingId);
+  } catch (err) {
+    console.error(`❌ Invoice generation failed for booking ${bookingId}:`, err.message);
+    return null;
+  }
+};
+
+/**
+ * Credit note reversing (part of) a booking's invoice after a refund
+ * @param {Object} params
+ * @param {String} params.bookingId
+ * @param {Number} params.amount - Refunded amount (GST-inclusive)
+ * @param {String} [params.refundId] - Provider refund ID (one credit note per refund)
+ * @param {String} [params.reason]
+ * @returns {Object} Credit note (lean)
+ */
+export const issueCreditNote = async ({ bookingId, amount, refundId = null, reason = null }) => {
+  if (refundId) {
+    const existing = await Invoice.findOne({ refundId }).lean();
+    if (existing) return existing;
+  }
+
+  const invoice = await issueInvoiceForBooking(bookingId);
+  const credited = await Invoice.find({ originalInvoiceId: invoice._id, type: "credit_note" }).select("totals.grandTotal").lean();
+  const remaining = round2(invoice.totals.grandTotal - credited.reduce((s, c) => s + c.totals.grandTotal, 0));
+  const refund = round2(Math.min(Number(amount) || 0, remaining));
+  if (refund <= 0) {
+    throw invoiceError("Nothing left to credit on this invoice", "NOTHING_TO_CREDIT", 409, { remaining });
+  }
+
+  // Reverse every line in proportion; the last line absorbs rounding
+  const ratio = refund / invoice.totals.grandTotal;
+  const interState = invoice.supplyType === "inter_state";
+  let allocated = 0;
+  const items = invoice.items.map((item, index) => {
+    const amountShare = index === invoice.items.length - 1 ? round2(refund - allocated) : round2(item.amount * ratio);
+    allocated = round2(allocated + amountShare);
+    return taxLine(
+      {
+        type: item.type,
+        description: item.description,
+        hsnSac: item.hsnSac,
+        quantity: item.quantity,
+        unitPrice: item.quantity ? round2(amountShare / item.quantity) : amountShare,
+        amount: amountShare,
+      },
+      interState,
+      item.gstRate
+    );
+  });
+
+  try {
+    return await createNumbered("credit_note", {
+      issuedAt: new Date(),
+      bookingId: invoice.bookingId,
+      customerId: invoice.customerId,
+      technicianId: invoice.technicianId,
+      paymentId: invoice.paymentId,
+      originalInvoiceId: invoice._id,
+      originalInvoiceNumber: invoice.number,
+      refundId,
+      reason: typeof reason === "string" && reason.trim() ? reason.trim().slice(0, 300) : "Refund",
+      seller: invoice.seller,
+      buyer: invoice.buyer,
+      technician: invoice.technician,
+      serviceName: invoice.serviceName,
+      supplyType: invoice.supplyType,
+      placeOfSupply: invoice.placeOfSupply,
+      items,
+      totals: sumTotals(items),
+    });
+  } catch (err) {
+    // Recorded by a concurrent call for the same refund
+    if (err?.code === 11000 && refundId) {
+      const saved = await Invoice.findOne({ refundId }).lean();
+      if (saved) return saved;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Record a provider refund: credit note, and the booking marked refunded once fully refunded
+ * @param {Object} params
+ * @param {String} params.providerPaymentId - Razorpay payment ID the refund belongs to
+ * @param {String} params.refundId
+ * @param {Number} params.amount - Refunded amount in rupees
+ * @param {String} [params.reason]
+ * @returns {Object|null} Credit note, or null when the payment is not a service booking's
+ */
+export const recordProviderRefund = async ({ providerPaymentId, refundId, amount, reason }) => {
+  const payment = await Payment.findOne({ providerPaymentId }).select("bookingId").lean();
+  if (!payment || !mongoose.Types.ObjectId.isValid(payment.bookingId)) return null;
+
+  const booking = await ServiceBooking.findById(payment.bookingId).select("status paymentStatus cancelReason").lean();
+  if (!isInvoiceable(booking)) return null;
+
+  const note = await issueCreditNote({ bookingId: payment.bookingId, amount, refundId, reason });
+
+  const [invoice, credited] = await Promise.all([
+    Invoice.findById(note.originalInvoiceId).select("totals.grandTotal").lean(),
+    Invoice.find({ originalInvoiceId: note.originalInvoiceId, type: "credit_note" }).select("totals.grandTotal").lean(),
+  ]);
+  const creditedTotal = round2(credited.reduce((s, c) => s + c.totals.grandTotal, 0));
+  if (creditedTotal >= invoice.totals.grandTotal) {
+    await ServiceBooking.updateOne({ _id: payment.bookingId }, { $set: { paymentStatus: "refunded" } });
+  }
+
+  return note;
+};
+
+/**
+ * Invoice and credit notes of a booking, oldest first
+ * @param {String} bookingId
+ * @returns {Object[]}
+ */
+export const getBookingInvoiceDocuments = (bookingId) =>
+  Invoice.find({ bookingId }).sort({ issuedAt: 1 }).lean();
@@ -0,0 +1,331 @@
+import { createRequire } from "module";
+import PDFDocument from "pdfkit";
+
+/**
+ * 🖨 INVOICE RENDERING
+ * HTML (browser / email) and PDF (download) views of a stored Invoice.
+ * The PDF is laid out with pdfkit: text and rules only, A4, in embedded Noto Sans
+ * (Latin, Devanagari, the rupee sign) with Noto Sans Tamil for Tamil text, so
+ * names and addresses print as entered.
+ */
+
+const TITLES = { invoice: "TAX INVOICE", credit_note: "CREDIT NOTE" };
+const LINE_TYPES = {
+  service: "Service",
+  labour: "Labour",
+  part: "Spare part",
+  visit_charge: "Visit charge",
+  discount: "Discount",
+};
+
+const money = (n) =>
+  Number(n || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric", timeZone: "Asia/Kolkata" });
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const partyLines = (party = {}) =>
+  [
+    party.name,
+    party.address,
+    party.state ? `${party.state}${party.stateCode ? ` (${party.stateCode})` : ""}` : null,
+    party.gstin ? `GSTIN: ${party.gstin}` : null,
+    party.phone ? `Phone: ${party.phone}` : null,
+    party.email,
+  ].filter(Boolean);
+
+const taxRows = (invoice) => {
+  const t = invoice.totals || {};
+  return invoice.supplyType === "inter_state"
+    ? [["IGST", t.igst]]
+    : [["CGST", t.cgst], ["SGST", t.sgst]];
+};
+
+/* ================= HTML ================= */
+
+/**
+ * Printable HTML page of an invoice or credit note
+ * @param {Object} invoice - Invoice doc (lean or hydrated)
+ * @returns {String} Full HTML document
+ */
+export const renderInvoiceHtml = (invoice) => {
+  const t = invoice.totals || {};
+  const interState = invoice.supplyType === "inter_state";
+
+  const rows = (invoice.items || [])
+    .map(
+      (item) => `
+        <tr>
+          <td>${escapeHtml(item.description)}<div class="muted">${LINE_TYPES[item.type] || item.type}</div></td>
+          <td>${escapeHtml(item.hsnSac || "-")}</td>
+          <td class="num">${item.quantity}</td>
+          <td class="num">${money(item.unitPrice)}</td>
+          <td class="num">${money(item.taxableValue)}</td>
+          <td class="num">${item.gstRate}%</td>
+          ${interState
+            ? `<td class="num">${money(item.igst)}</td>`
+            : `<td class="num">${money(item.cgst)}</td><td class="num">${money(item.sgst)}</td>`}
+          <td class="num">${money(item.amount)}</td>
+        </tr>`
+    )
+    .join("");
+
+  const reference = invoice.type === "credit_note" && invoice.originalInvoiceNumber
+    ? `<div>Against invoice: <b>${escapeHtml(invoice.originalInvoiceNumber)}</b></div>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${TITLES[invoice.type]} ${escapeHtml(invoice.number)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #222; margin: 32px; font-size: 13px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .head, .parties { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 20px; }
+  .parties > div { flex: 1; }
+  .muted { color: #777; font-size: 11px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border-bottom: 1px solid #ddd; padding: 6px; text-align: left; vertical-align: top; }
+  th { background: #f4f4f4; font-size: 12px; }
+  .num { text-align: right; white-space: nowrap; }
+  .totals { width: 320px; margin-left: auto; margin-top: 16px; }
+  .totals td { border: none; padding: 3px 6px; }
+  .grand td { border-top: 2px solid #222; font-weight: bold; font-size: 15px; }
+</style>
+</head>
+<body>
+  <div class="head">
+    <div>
+      <h1>${TITLES[invoice.type]}</h1>
+      <div>No: <b>${escapeHtml(invoice.number)}</b></div>
+      <div>Date: ${formatDate(invoice.issuedAt)}</div>
+      ${reference}
+      ${invoice.reason ? `<div>Reason: ${escapeHtml(invoice.reason)}</div>` : ""}
+    </div>
+    <div class="num">
+      <div>Booking: ${escapeHtml(invoice.bookingId)}</div>
+      <div>Place of supply: ${escapeHtml(invoice.placeOfSupply || "-")}</div>
+      ${invoice.technician?.name ? `<div>Technician: ${escapeHtml(invoice.technician.name)}</div>` : ""}
+    </div>
+  </div>
+
+  <div class="parties">
+    <div><div class="muted">From</div>${partyLines(invoice.seller).map(escapeHtml).join("<br/>")}</div>
+    <div><div class="muted">Bill to</div>${partyLines(invoice.buyer).map(escapeHtml).join("<br/>")}</div>
+  </div>
+
+  <table>
+    <thead>
+      <tr>
+        <th>Description</th><th>HSN/SAC</th><th class="num">Qty</th><th class="num">Rate</th>
+        <th class="num">Taxable</th><th class="num">GST</th>
+        ${interState ? "<th class=\"num\">IGST</th>" : "<th class=\"num\">CGST</th><th class=\"num\">SGST</th>"}
+        <th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${rows}</tbody>
+  </table>
+
+  <table class="totals">
+    ${t.discount ? `<tr><td>Gross amount</td><td class="num">₹${money(t.grossAmount)}</td></tr>
+    <tr><td>Discount</td><td class="num">-₹${money(t.discount)}</td></tr>` : ""}
+    <tr><td>Taxable value</td><td class="num">₹${money(t.taxableValue)}</td></tr>
+    ${taxRows(invoice).map(([label, value]) => `<tr><td>${label}</td><td class="num">₹${money(value)}</td></tr>`).join("")}
+    <tr class="grand"><td>${invoice.type === "credit_note" ? "Total credited" : "Total"}</td><td class="num">₹${money(t.grandTotal)}</td></tr>
+    ${t.creditApplied ? `<tr><td class="muted">Paid with credits</td><td class="num muted">₹${money(t.creditApplied)}</td></tr>` : ""}
+    ${invoice.type === "invoice" ? `<tr><td class="muted">Paid online</td><td class="num muted">₹${money(t.paidOnline)}</td></tr>` : ""}
+  </table>
+
+  <p class="muted">Prices are inclusive of GST. This is a computer generated document and needs no signature.</p>
+</body>
+</html>`;
+};
+
+/* ================= PDF ================= */
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+
+const require = createRequire(import.meta.url);
+const FONT_FILES = {
+  regular: require.resolve("@expo-google-fonts/noto-sans/400Regular/NotoSans_400Regular.ttf"),
+  bold: require.resolve("@expo-google-fonts/noto-sans/700Bold/NotoSans_700Bold.ttf"),
+  tamilRegular: require.resolve("@expo-google-fonts/noto-sans-tamil/400Regular/NotoSansTamil_400Regular.ttf"),
+  tamilBold: require.resolve("@expo-google-fonts/noto-sans-tamil/700Bold/NotoSansTamil_700Bold.ttf"),
+};
+const TAMIL = /[\u0B80-\u0BFF]/;
+
+const fontFor = (text, bold) => (TAMIL.test(text) ? (bold ? "tamilBold" : "tamilRegular") : bold ? "bold" : "regular");
+
+const truncate = (value, max) => {
+  const text = String(value ?? "");
+  return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+};
+
+/**
+ * Draw the laid out pages into a PDF
+ * @param {Object[][]} pages - Per page: { text, x, y, size?, bold?, align? } or { rule: [x1, y1, x2, y2] };
+ *                             y (the text baseline) is measured from the top of the page
+ * @returns {Promise<Buffer>}
+ */
+const writePdf = (pages) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 0, autoFirstPage: false });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    for (const [name, file] of Object.entries(FONT_FILES)) doc.registerFont(name, file);
+
+    for (const ops of pages) {
+      doc.addPage();
+      for (const op of ops) {
+        if (op.rule) {
+          const [x1, y1, x2, y2] = op.rule;
+          doc.moveTo(x1, y1).lineTo(x2, y2).lineWidth(0.7).stroke();
+          continue;
+        }
+        const text = String(op.text ?? "");
+        doc.font(fontFor(text, op.bold)).fontSize(op.size || 9);
+        const x = op.align === "right" ? op.x - doc.widthOfString(text) : op.x;
+        doc.text(text, x, op.y, { lineBreak: false, baseline: "alphabetic" });
+      }
+    }
+    doc.end();
+  });
+
+/**
+ * A4 PDF of an invoice or credit note
+ * @param {Object} invoice - Invoice doc (lean or hydrated)
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = (invoice) => {
+  const t = invoice.totals || {};
+  const interState = invoice.supplyType === "inter_state";
+  const right = PAGE_WIDTH - MARGIN;
+  const columns = interState
+    ? { hsn: 250, qty: 330, rate: 385, taxable: 445, tax: 500, amount: right }
+    : { hsn: 230, qty: 295, rate: 345, taxable: 400, tax: 450, tax2: 500, amount: right };
+
+  const pages = [];
+  let ops = [];
+  let y = MARGIN;
+
+  const tableHeader = () => {
+    ops.push({ text: "Description", x: MARGIN, y, bold: true });
+    ops.push({ text: "HSN/SAC", x: columns.hsn, y, bold: true });
+    ops.push({ text: "Qty", x: columns.qty, y, bold: true, align: "right" });
+    ops.push({ text: "Rate", x: columns.rate, y, bold: true, align: "right" });
+    ops.push({ text: "Taxable", x: columns.taxable, y, bold: true, align: "right" });
+    if (interState) {
+      ops.push({ text: "IGST", x: columns.tax, y, bold: true, align: "right" });
+    } else {
+      ops.push({ text: "CGST", x: columns.tax, y, bold: true, align: "right" });
+      ops.push({ text: "SGST", x: columns.tax2, y, bold: true, align: "right" });
+    }
+    ops.push({ text: "Amount", x: columns.amount, y, bold: true, align: "right" });
+    ops.push({ rule: [MARGIN, y + 5, right, y + 5] });
+    y += 18;
+  };
+
+  const newPage = () => {
+    pages.push(ops);
+    ops = [];
+    y = MARGIN;
+    ops.push({ text: `${TITLES[invoice.type]} ${invoice.number} (continued)`, x: MARGIN, y, bold: true });
+    y += 24;
+    tableHeader();
+  };
+
+  // Heading
+  ops.push({ text: TITLES[invoice.type], x: MARGIN, y, size: 16, bold: true });
+  ops.push({ text: `No: ${invoice.number}`, x: right, y, bold: true, align: "right" });
+  y += 16;
+  ops.push({ text: `Date: ${formatDate(invoice.issuedAt)}`, x: right, y, align: "right" });
+  ops.push({ text: `Booking: ${invoice.bookingId}`, x: MARGIN, y });
+  y += 13;
+  ops.push({ text: `Place of supply: ${invoice.placeOfSupply || "-"}`, x: MARGIN, y });
+  if (invoice.type === "credit_note" && invoice.originalInvoiceNumber) {
+    ops.push({ text: `Against invoice: ${invoice.originalInvoiceNumber}`, x: right, y, align: "right" });
+  }
+  y += 13;
+  if (invoice.technician?.name) {
+    ops.push({ text: `Technician: ${invoice.technician.name}`, x: MARGIN, y });
+    y += 13;
+  }
+  if (invoice.reason) {
+    ops.push({ text: `Reason: ${truncate(invoice.reason, 100)}`, x: MARGIN, y });
+    y += 13;
+  }
+  y += 10;
+
+  // Parties
+  const from = partyLines(invoice.seller);
+  const to = partyLines(invoice.buyer);
+  ops.push({ text: "From", x: MARGIN, y, bold: true });
+  ops.push({ text: "Bill to", x: 310, y, bold: true });
+  y += 13;
+  for (let i = 0; i < Math.max(from.length, to.length); i += 1) {
+    if (from[i]) ops.push({ text: truncate(from[i], 50), x: MARGIN, y });
+    if (to[i]) ops.push({ text: truncate(to[i], 50), x: 310, y });
+    y += 12;
+  }
+  y += 14;
+
+  // Lines
+  tableHeader();
+  for (const item of invoice.items || []) {
+    if (y > PAGE_HEIGHT - 160) newPage();
+    ops.push({ text: truncate(item.description, interState ? 40 : 36), x: MARGIN, y });
+    ops.push({ text: item.hsnSac || "-", x: columns.hsn, y });
+    ops.push({ text: String(item.quantity), x: columns.qty, y, align: "right" });
+    ops.push({ text: money(item.unitPrice), x: columns.rate, y, align: "right" });
+    ops.push({ text: money(item.taxableValue), x: columns.taxable, y, align: "right" });
+    if (interState) {
+      ops.push({ text: money(item.igst), x: columns.tax, y, align: "right" });
+    } else {
+      ops.push({ text: money(item.cgst), x: columns.tax, y, align: "right" });
+      ops.push({ text: money(item.sgst), x: columns.tax2, y, align: "right" });
+    }
+    ops.push({ text: money(item.amount), x: columns.amount, y, align: "right" });
+    y += 10;
+    ops.push({ text: `${LINE_TYPES[item.type] || item.type}, GST ${item.gstRate}%`, x: MARGIN, y, size: 7 });
+    y += 14;
+  }
+  ops.push({ rule: [MARGIN, y - 8, right, y - 8] });
+  y += 6;
+
+  // Totals
+  const totals = [];
+  if (t.discount) {
+    totals.push(["Gross amount", money(t.grossAmount)], ["Discount", `-${money(t.discount)}`]);
+  }
+  totals.push(["Taxable value", money(t.taxableValue)]);
+  for (const [label, value] of taxRows(invoice)) totals.push([label, money(value)]);
+  totals.push([invoice.type === "credit_note" ? "Total credited (₹)" : "Total (₹)", money(t.grandTotal), true]);
+  if (t.creditApplied) totals.push(["Paid with credits", money(t.creditApplied)]);
+  if (invoice.type === "invoice") totals.push(["Paid online", money(t.paidOnline)]);
+
+  if (y > PAGE_HEIGHT - 60 - totals.length * 14) newPage();
+  for (const [label, value, bold] of totals) {
+    ops.push({ text: label, x: 360, y, bold });
+    ops.push({ text: value, x: right, y, bold, align: "right" });
+    y += 14;
+  }
+
+  y += 20;
+  ops.push({ text: "Prices are inclusive of GST. This is a computer generated document and needs no signature.", x: MARGIN, y, size: 8 });
+  pages.push(ops);
+
+  return writePdf(pages);
+};
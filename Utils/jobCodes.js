@@ -0,0 +1,154 @@
+import crypto from "crypto";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import { registerBookingGuard, BOOKING_STATUS } from "./bookingStateMachine.js";
+
+/**
+ * 🔢 JOB START / COMPLETION CODES
+ * Every booking gets two 4-digit codes when it is created (see ServiceBooking pre-save).
+ * The customer reads them out in person; the technician submits them with
+ * in_progress / completed. Wrong codes are counted and lock the stage after
+ * JOB_CODE_MAX_ATTEMPTS, after which only an admin override (with reason) unlocks it.
+ * Bookings created before codes existed have no issuedAt and are not checked.
+ */
+
+export const JOB_CODE_MAX_ATTEMPTS = Number(process.env.JOB_CODE_MAX_ATTEMPTS) || 5;
+
+export const JOB_CODE_STAGES = ["start", "completion"];
+
+// Target status -> code stage it needs
+export const JOB_CODE_STAGE_BY_STATUS = {
+  [BOOKING_STATUS.IN_PROGRESS]: "start",
+  [BOOKING_STATUS.COMPLETED]: "completion",
+};
+
+const jobCodeError = (message, code, statusCode = 400, details) => {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  if (details !== undefined) err.details = details;
+  return err;
+};
+
+const isPendingStage = (entry) => Boolean(entry?.issuedAt && !entry?.verifiedAt);
+
+const sameCode = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/* ================= GUARDS ================= */
+
+registerBookingGuard(BOOKING_STATUS.IN_PROGRESS, "START_CODE_REQUIRED", (booking) =>
+  isPendingStage(booking.jobCodes?.start) ? "The customer's start code is required to begin the job" : null
+);
+
+registerBookingGuard(BOOKING_STATUS.COMPLETED, "COMPLETION_CODE_REQUIRED", (booking) =>
+  isPendingStage(booking.jobCodes?.completion) ? "The customer's completion code is required to complete the job" : null
+);
+
+/* ================= VERIFY ================= */
+
+/**
+ * Check the code a technician submitted for a stage
+ * On success the stage is marked verified (also on the passed doc, so the
+ * state machine guard sees it). Wrong codes count towards the lock.
+ * @param {Object} params
+ * @param {Object} params.booking - ServiceBooking doc
+ * @param {String} params.stage - "start" | "completion"
+ * @param {String} [params.code] - Code read out by the customer
+ * @returns {Object} { verified: true, verifiedBy }
+ */
+export const verifyJobCode = async ({ booking, stage, code }) => {
+  const field = `jobCodes.${stage}`;
+  const stored = await ServiceBooking.findById(booking._id).select(`+${field}.code`).lean();
+  const entry = stored?.jobCodes?.[stage];
+
+  if (!entry?.issuedAt || entry.verifiedAt) {
+    return { verified: true, verifiedBy: entry?.verifiedBy || null };
+  }
+
+  if (entry.attempts >= JOB_CODE_MAX_ATTEMPTS) {
+    throw jobCodeError(
+      "Too many wrong codes. Ask support to verify this visit.",
+      "JOB_CODE_LOCKED",
+      429,
+      { stage }
+    );
+  }
+
+  const submitted = typeof code === "string" || typeof code === "number" ? String(code).trim() : "";
+  if (!submitted) {
+    throw jobCodeError(`Ask the customer for the ${stage} code`, "JOB_CODE_REQUIRED", 400, { stage });
+  }
+
+  if (!sameCode(submitted, entry.code)) {
+    const updated = await ServiceBooking.findOneAndUpdate(
+      { _id: booking._id, [`${field}.attempts`]: { $lt: JOB_CODE_MAX_ATTEMPTS } },
+      { $inc: { [`${field}.attempts`]: 1 } },
+      { new: true, projection: { [`${field}.attempts`]: 1 } }
+    ).lean();
+    const attempts = updated?.jobCodes?.[stage]?.attempts ?? JOB_CODE_MAX_ATTEMPTS;
+
+    throw jobCodeError("Incorrect code", "JOB_CODE_INVALID", 400, {
+      stage,
+      attemptsRemaining: Math.max(0, JOB_CODE_MAX_ATTEMPTS - attempts),
+    });
+  }
+
+  const verifiedAt = new Date();
+  await ServiceBooking.updateOne(
+    { _id: booking._id },
+    { $set: { [`${field}.verifiedAt`]: verifiedAt, [`${field}.verifiedBy`]: "customer_code" } }
+  );
+  booking.set(`${field}.verifiedAt`, verifiedAt);
+  booking.set(`${field}.verifiedBy`, "customer_code");
+
+  return { verified: true, verifiedBy: "customer_code" };
+};
+
+/* ================= ADMIN OVERRIDE ================= */
+
+/**
+ * Mark a stage verified without the customer's code (customer unreachable, lock, ...)
+ * @param {Object} params
+ * @param {String} params.bookingId
+ * @param {String} params.stage - "start" | "completion"
+ * @param {String} params.adminId - User ID of the staff member
+ * @param {String} params.reason - Logged on the booking
+ * @returns {Object} Updated stage entry
+ */
+export const overrideJobCode = async ({ bookingId, stage, adminId, reason }) => {
+  const field = `jobCodes.${stage}`;
+  const booking = await ServiceBooking.findById(bookingId).select(`status ${field}`).lean();
+
+  if (!booking) {
+    throw jobCodeError("Booking not found", "BOOKING_NOT_FOUND", 404);
+  }
+  if (!booking.jobCodes?.[stage]?.issuedAt) {
+    throw jobCodeError("This booking has no job codes", "JOB_CODE_NOT_ISSUED", 400, { stage });
+  }
+  if (booking.jobCodes[stage].verifiedAt) {
+    throw jobCodeError(`The ${stage} code is already verified`, "JOB_CODE_ALREADY_VERIFIED", 409, { stage });
+  }
+
+  const at = new Date();
+  const updated = await ServiceBooking.findOneAndUpdate(
+    { _id: bookingId, [`${field}.verifiedAt`]: null },
+    {
+      $set: {
+        [`${field}.verifiedAt`]: at,
+        [`${field}.verifiedBy`]: "admin_override",
+        [`${field}.override`]: { by: adminId, reason, at },
+      },
+    },
+    { new: true, projection: { [field]: 1 } }
+  ).lean();
+
+  if (!updated) {
+    throw jobCodeError(`The ${stage} code is already verified`, "JOB_CODE_ALREADY_VERIFIED", 409, { stage });
+  }
+
+  console.log(`🔓 Job ${stage} code overridden on ${bookingId} by ${adminId}: ${reason}`);
+  return updated.jobCodes[stage];
+};
@@ -0,0 +1,228 @@
+import User from "../Schemas/User.js";
+import LoginEvent from "../Schemas/LoginEvent.js";
+import { getDeviceInfo } from "./authSession.js";
+import { sendEmail } from "./sendMail.js";
+import { SOCKET_EVENTS, SOCKET_ROOMS } from "./socketConstants.js";
+
+/**
+ * 🕵️ LOGIN ACTIVITY
+ * Every login attempt is written to LoginEvent. Simple rules raise security alerts:
+ *   - NEW_DEVICE_NEW_CITY: successful login from an unseen device in an unseen city
+ *   - REPEATED_FAILED_LOGINS: LOGIN_ALERT_FAILURE_THRESHOLD failures within the window
+ *   - OWNER_NEW_DEVICE: an Owner logged in from an unseen device (other Owners are told)
+ * Alerts go to the user's socket room and email. Recording never fails a login.
+ * Location comes from the edge named by LOGIN_LOCATION_SOURCE ("appengine" default,
+ * "cloudflare", or "none").
+ */
+
+const FAILURE_THRESHOLD = Number(process.env.LOGIN_ALERT_FAILURE_THRESHOLD) || 5;
+const FAILURE_WINDOW_MINUTES = 15;
+
+const FAILURE_EVENTS = ["login_failed", "otp_failed", "two_factor_failed"];
+
+const clip = (v) => (v === undefined || v === null ? null : String(v).trim().slice(0, 100) || null);
+
+// Geo headers set by the edge the deployment sits behind (LOGIN_LOCATION_SOURCE).
+// Only that edge's headers are read: anything else can be sent by the client itself.
+const LOCATION_HEADERS = {
+  appengine: { city: "x-appengine-city", country: "x-appengine-country" },
+  cloudflare: { city: "cf-ipcity", country: "cf-ipcountry" },
+};
+
+/**
+ * City / country of the request, from the trusted edge headers only (unknown otherwise)
+ * @param {Object} req - Express request
+ */
+export const getRequestLocation = (req) => {
+  const headers = req?.headers || {};
+  const source = LOCATION_HEADERS[(process.env.LOGIN_LOCATION_SOURCE || "appengine").toLowerCase()];
+  if (!source) return { city: null, country: null };
+
+  const decode = (v) => {
+    try {
+      return clip(v ? decodeURIComponent(v) : v);
+    } catch {
+      return clip(v);
+    }
+  };
+
+  const city = decode(headers[source.city]);
+  const country = decode(headers[source.country]);
+
+  return {
+    // App Engine reports "?" when unknown
+    city: city && city !== "?" ? city.toLowerCase() : null,
+    country: country && country !== "?" && country !== "ZZ" ? country.toUpperCase() : null,
+  };
+};
+
+const describeDevice = (event) =>
+  event.deviceName || [event.platform, event.appVersion].filter(Boolean).join(" ") || "a new device";
+
+const describePlace = (event) => {
+  const city = event.city ? event.city.replace(/\b\w/g, (c) => c.toUpperCase()) : null;
+  return [city, event.country].filter(Boolean).join(", ") || event.ip || "an unknown location";
+};
+
+/**
+ * Deliver a security alert to one user (socket + email)
+ * @param {Object} io - Socket.io instance (optional)
+ * @param {Object} user - { _id, email }
+ * @param {Object} alert - { type, title, message, loginEventId }
+ */
+const deliverSecurityAlert = async (io, user, alert) => {
+  try {
+    io?.to(SOCKET_ROOMS.CUSTOMER(user._id)).emit(SOCKET_EVENTS.SECURITY_ALERT, {
+      ...alert,
+      createdAt: new Date(),
+    });
+
+    if (user.email && !user.email.startsWith("deleted_")) {
+      await sendEmail(user.email, alert.title, alert.message);
+    }
+    console.log(`🚨 Security alert ${alert.type} sent to ${user._id}`);
+  } catch (err) {
+    console.error(`❌ Security alert ${alert.type} to ${user._id} failed:`, err.message);
+  }
+};
+
+const dispatchAlerts = async (io, event, user) => {
+  const place = describePlace(event);
+  const device = describeDevice(event);
+
+  for (const type of event.alerts) {
+    if (type === "NEW_DEVICE_NEW_CITY") {
+      await deliverSecurityAlert(io, user, {
+        type,
+        title: "New login to your RightTouch account",
+        message:
+          `Your account was just accessed from ${device} in ${place}. ` +
+          "If this wasn't you, log out of all devices and contact support.",
+        loginEventId: event._id,
+      });
+    }
+
+    if (type === "REPEATED_FAILED_LOGINS") {
+      await deliverSecurityAlert(io, user, {
+        type,
+        title: "Failed login attempts on your RightTouch account",
+        message:
+          `${FAILURE_THRESHOLD} failed login attempts were made on your account in the last ` +
+          `${FAILURE_WINDOW_MINUTES} minutes (last from ${place}). If this wasn't you, contact support.`,
+        loginEventId: event._id,
+      });
+    }
+
+    if (type === "OWNER_NEW_DEVICE") {
+      const owners = await User.find({ role: "Owner", status: "Active", _id: { $ne: user._id } })
+        .select("_id email")
+        .lean();
+      const name = [user.fname, user.lname].filter(Boolean).join(" ") || user.mobileNumber;
+
+      for (const owner of owners) {
+        await deliverSecurityAlert(io, owner, {
+          type,
+          title: "Owner login from a new device",
+          message: `Owner ${name} logged in from ${device} in ${place}.`,
+          loginEventId: event._id,
+        });
+      }
+    }
+  }
+};
+
+/**
+ * Write a login attempt and raise any alerts it triggers (never throws)
+ * @param {Object} params
+ * @param {Object} params.req - Express request (device, IP, location, io)
+ * @param {Object} [params.user] - User doc (null when the identifier is unknown)
+ * @param {String} [params.identifier] - Mobile number used
+ * @param {String} [params.role]
+ * @param {String} params.event - "login_success" | "login_failed" | "otp_failed" | "two_factor_failed"
+ * @param {String} params.method - "password" | "otp" | "signup" | "two_factor" | "recovery_code"
+ * @param {String} [params.reason] - Failure code
+ * @param {String} [params.sessionId] - Session created by a successful login
+ * @returns {Object|null} LoginEvent
+ */
+export const recordLoginEvent = async ({ req, user = null, identifier = null, role = null, event, method, reason = null, sessionId = null }) => {
+  try {
+    const { deviceId, deviceName, platform, appVersion, userAgent, ip } = getDeviceInfo(req);
+    const { city, country } = getRequestLocation(req);
+    const userId = user?._id || null;
+
+    let newDevice = false;
+    let newCity = false;
+    const alerts = [];
+
+    if (userId && event === "login_success") {
+      const seen = { userId, event: "login_success" };
+      const hasHistory = await LoginEvent.exists(seen);
+
+      if (hasHistory) {
+        const deviceFilter = deviceId ? { deviceId } : userAgent ? { userAgent } : null;
+        newDevice = deviceFilter ? !(await LoginEvent.exists({ ...seen, ...deviceFilter })) : false;
+        newCity = city ? !(await LoginEvent.exists({ ...seen, city })) : false;
+      }
+
+      if (newDevice && newCity) alerts.push("NEW_DEVICE_NEW_CITY");
+      if (newDevice && user.role === "Owner") alerts.push("OWNER_NEW_DEVICE");
+    }
+
+    if (userId && FAILURE_EVENTS.includes(event)) {
+      const since = new Date(Date.now() - FAILURE_WINDOW_MINUTES * 60 * 1000);
+      const recentFailures = await LoginEvent.countDocuments({
+        userId,
+        event: { $in: FAILURE_EVENTS },
+        createdAt: { $gte: since },
+      });
+      // Alert once when the threshold is crossed, not on every failure after it
+      if (recentFailures + 1 === FAILURE_THRESHOLD) alerts.push("REPEATED_FAILED_LOGINS");
+    }
+
+    const doc = await LoginEvent.create({
+      userId,
+      identifier: identifier || user?.mobileNumber || null,
+      role: role || user?.role || null,
+      event,
+      method,
+      reason,
+      sessionId,
+      deviceId,
+      deviceName,
+      platform,
+      appVersion,
+      userAgent,
+      ip,
+      city,
+      country,
+      newDevice,
+      newCity,
+      alerts,
+    });
+
+    if (alerts.length > 0) {
+      const recipient = await User.findById(userId).select("fname lname email mobileNumber role").lean();
+      if (recipient) {
+        dispatchAlerts(req?.io, doc, recipient).catch((err) =>
+          console.error("Security alert dispatch failed:", err.message)
+        );
+      }
+    }
+
+    return doc;
+  } catch (err) {
+    console.error("recordLoginEvent failed:", err.message);
+    return null;
+  }
+};
+
+/**
+ * Record a failed attempt for a mobile number (resolves the account if any)
+ * @param {Object} params - Same as recordLoginEvent, with identifier instead of user
+ */
+export const recordLoginFailure = async ({ req, identifier, role = null, event = "login_failed", method, reason }) => {
+  const user = identifier
+    ? await User.findOne({ mobileNumber: identifier }).select("_id role mobileNumber").lean().catch(() => null)
+    : null;
+  return recordLoginEvent({ req, user, identifier, role, event, method, reason });
+};
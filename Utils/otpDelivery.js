@@ -0,0 +1,203 @@
+import fs from "fs/promises";
+import path from "path";
+import Otp from "../Schemas/Otp.js";
+import sendSms from "./sendSMS.js";
+import sendWhatsapp from "./sendWhatsapp.js";
+import { sendEmail } from "./sendMail.js";
+
+/**
+ * 📤 OTP DELIVERY SERVICE
+ * Tries each channel in order (SMS -> WhatsApp -> Email) until one succeeds and
+ * records every attempt on the Otp document. Also used for account notices
+ * (e.g. "your mobile number was changed") so they reach the outbox offline.
+ * The SMS / WhatsApp templates are OTP templates: notices go by email, and by SMS
+ * only through their own registered DLT template.
+ *
+ * Env:
+ *   OTP_PROVIDER               "live" (default) or "outbox" (no gateway; writes OTPs to console + file)
+ *   OTP_CHANNELS               Comma separated channel order, default "sms,whatsapp,email"
+ *   OTP_OUTBOX_FILE            Outbox file path, default "logs/otp-outbox.log"
+ *   NOTICE_SMS_TEMPLATE_ID     Fast2SMS DLT template for notices, e.g.
+ *                              "RightTouch: the {#var#} on your account was changed to {#var#}. ..."
+ *                              (no SMS notices without it)
+ */
+
+const DEFAULT_CHANNELS = ["sms", "whatsapp", "email"];
+
+const PURPOSE_LABELS = {
+  SIGNUP: "signup",
+  LOGIN: "login",
+  RESET_PASSWORD: "password reset",
+  CHANGE_CONTACT: "contact change",
+};
+
+const buildMessage = (otp, purpose) =>
+  `Your RightTouch ${PURPOSE_LABELS[purpose] || "verification"} OTP is ${otp}. It expires in 5 minutes. Do not share it with anyone.`;
+
+/* ================= PROVIDERS ================= */
+
+// SMS / WhatsApp templates take the OTP as their variable; notices fill the notice template
+const liveProviders = {
+  sms: {
+    name: "fast2sms",
+    send: ({ identifier, otp, smsVariables }) =>
+      otp
+        ? sendSms(identifier, otp)
+        : sendSms(identifier, smsVariables.join("|"), { templateId: process.env.NOTICE_SMS_TEMPLATE_ID }),
+  },
+  whatsapp: {
+    name: "twilio",
+    send: ({ identifier, otp }) => sendWhatsapp(identifier, otp),
+  },
+  email: {
+    name: "mailersend",
+    send: ({ email, subject, message }) => sendEmail(email, subject, message),
+  },
+};
+
+// 📭 Local/offline provider: every channel "delivers" into the outbox
+const outboxSend = (channel) => async ({ identifier, email, otp, purpose, message }) => {
+  const entry = {
+    at: new Date().toISOString(),
+    channel,
+    to: channel === "email" ? email : identifier,
+    purpose,
+    otp,
+    message,
+  };
+
+  console.log(`📭 [OTP OUTBOX] ${channel} -> ${entry.to}: ${otp ?? message} (${purpose})`);
+
+  const file = process.env.OTP_OUTBOX_FILE || path.join("logs", "otp-outbox.log");
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.appendFile(file, `${JSON.stringify(entry)}\n`);
+};
+
+const outboxProviders = Object.fromEntries(
+  DEFAULT_CHANNELS.map((channel) => [channel, { name: "outbox", send: outboxSend(channel) }])
+);
+
+const getProviders = () =>
+  (process.env.OTP_PROVIDER || "live").toLowerCase() === "outbox" ? outboxProviders : liveProviders;
+
+const getChannelOrder = () => {
+  const configured = (process.env.OTP_CHANNELS || "")
+    .split(",")
+    .map((c) => c.trim().toLowerCase())
+    .filter((c) => DEFAULT_CHANNELS.includes(c));
+  return configured.length > 0 ? [...new Set(configured)] : DEFAULT_CHANNELS;
+};
+
+/* ================= DELIVERY ================= */
+
+const resolveOrder = (preferChannels = [], onlyChannels = null) => {
+  const configured = getChannelOrder().filter((c) => !onlyChannels || onlyChannels.includes(c));
+  return [...new Set([...preferChannels.filter((c) => configured.includes(c)), ...configured])];
+};
+
+// Try channels in order until one succeeds
+const sendThroughChannels = async (order, payload) => {
+  const providers = getProviders();
+  const { email } = payload;
+  const attempts = [];
+  let deliveredVia = null;
+
+  for (const channel of order) {
+    const provider = providers[channel];
+
+    if (channel === "email" && (!email || email.startsWith("deleted_"))) {
+      attempts.push({ channel, provider: provider.name, status: "skipped", error: "No email on account", at: new Date() });
+      continue;
+    }
+
+    try {
+      await provider.send(payload);
+      attempts.push({ channel, provider: provider.name, status: "sent", error: null, at: new Date() });
+      deliveredVia = channel;
+      break;
+    } catch (err) {
+      console.error(`❌ ${payload.otp ? "OTP" : "Notice"} via ${channel} (${provider.name}) failed:`, err.message);
+      attempts.push({ channel, provider: provider.name, status: "failed", error: err.message, at: new Date() });
+    }
+  }
+
+  return { attempts, deliveredVia };
+};
+
+/**
+ * Deliver an OTP through the first channel that works
+ * @param {Object} params
+ * @param {String} params.identifier - 10-digit mobile number
+ * @param {String} params.otp - Plain OTP code
+ * @param {String} params.purpose - SIGNUP | LOGIN | RESET_PASSWORD | CHANGE_CONTACT
+ * @param {String} [params.email] - User email (email channel is skipped without it)
+ * @param {String} [params.otpId] - Otp document ID to record attempts on
+ * @param {String[]} [params.preferChannels] - Channels to try first (e.g. ["email"] when the user asked by email)
+ * @param {String[]} [params.onlyChannels] - Restrict to these channels (proving ownership of one contact)
+ * @returns {Object} { delivered, channel, attempts }
+ */
+export const deliverOtp = async ({
+  identifier,
+  otp,
+  purpose,
+  email = null,
+  otpId = null,
+  preferChannels = [],
+  onlyChannels = null,
+}) => {
+  const { attempts, deliveredVia } = await sendThroughChannels(resolveOrder(preferChannels, onlyChannels), {
+    identifier,
+    email,
+    otp,
+    purpose,
+    subject: "Your RightTouch OTP",
+    message: buildMessage(otp, purpose),
+  });
+
+  if (otpId) {
+    await Otp.updateOne(
+      { _id: otpId },
+      { $push: { deliveryAttempts: { $each: attempts } }, $set: { deliveredVia } }
+    ).catch((err) => console.error("OTP delivery log failed:", err.message));
+  }
+
+  return {
+    delivered: !!deliveredVia,
+    channel: deliveredVia,
+    attempts: attempts.map(({ channel, status }) => ({ channel, status })),
+  };
+};
+
+/**
+ * Send a plain account notice (security alerts) by email, or SMS via the notice template
+ * WhatsApp is never used: its template is the OTP one.
+ * @param {Object} params
+ * @param {String} [params.identifier] - 10-digit mobile number
+ * @param {String} [params.email] - Email address
+ * @param {String} params.subject - Email subject
+ * @param {String} params.message - Notice text (email / outbox)
+ * @param {String[]} [params.smsVariables] - Values for the {#var#}s of NOTICE_SMS_TEMPLATE_ID
+ * @param {String[]} [params.onlyChannels] - Restrict to these channels
+ * @returns {Boolean} true if any channel delivered it
+ */
+export const deliverNotice = async ({
+  identifier = null,
+  email = null,
+  subject,
+  message,
+  smsVariables = null,
+  onlyChannels = null,
+}) => {
+  const outbox = getProviders() === outboxProviders;
+  const smsReady = !!identifier && !!smsVariables?.length && (outbox || !!process.env.NOTICE_SMS_TEMPLATE_ID);
+  const order = resolveOrder([], onlyChannels).filter((c) => c === "email" || (c === "sms" && smsReady));
+  const { deliveredVia } = await sendThroughChannels(order, {
+    identifier,
+    email,
+    purpose: "NOTICE",
+    subject,
+    message,
+    smsVariables,
+  });
+  return !!deliveredVia;
+};
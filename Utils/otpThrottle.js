@@ -0,0 +1,256 @@
+import OtpThrottle from "../Schemas/OtpThrottle.js";
+
+/**
+ * 🚦 OTP THROTTLE
+ * Per-mobile-number limits that survive OTP resends (unlike Otp.attempts):
+ *  - sends: hourly + daily caps and an exponential cooldown between resends
+ *  - verifies: failed attempts per hour / day, exceeding them locks the number
+ *    for an exponentially growing period
+ *
+ * Env (all optional):
+ *   OTP_SEND_MAX_PER_HOUR (5), OTP_SEND_MAX_PER_DAY (10)
+ *   OTP_VERIFY_MAX_PER_HOUR (10), OTP_VERIFY_MAX_PER_DAY (20)
+ *   OTP_RESEND_COOLDOWN_SECONDS (60)  first resend cooldown, doubles per send in the hour
+ *   OTP_LOCK_MINUTES (15)             first lock duration, doubles per repeated lock
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_LOCK_MS = DAY_MS;
+const MAX_EVENTS = 50;
+
+const envInt = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+const getLimits = () => ({
+  sendPerHour: envInt("OTP_SEND_MAX_PER_HOUR", 5),
+  sendPerDay: envInt("OTP_SEND_MAX_PER_DAY", 10),
+  verifyPerHour: envInt("OTP_VERIFY_MAX_PER_HOUR", 10),
+  verifyPerDay: envInt("OTP_VERIFY_MAX_PER_DAY", 20),
+  resendCooldownMs: envInt("OTP_RESEND_COOLDOWN_SECONDS", 60) * 1000,
+  lockMs: envInt("OTP_LOCK_MINUTES", 15) * 60 * 1000,
+});
+
+const toSeconds = (ms) => Math.max(1, Math.ceil(ms / 1000));
+
+const since = (timestamps = [], from) =>
+  timestamps.filter((t) => new Date(t).getTime() > from);
+
+const rejection = (code, message, retryAfterMs) => ({
+  code,
+  message,
+  retryAfterSeconds: toSeconds(retryAfterMs),
+});
+
+const lockRejection = (throttle, now) =>
+  rejection(
+    "OTP_LOCKED",
+    "Too many failed OTP attempts. Please try again later.",
+    new Date(throttle.lockedUntil).getTime() - now
+  );
+
+const isLocked = (throttle, now) =>
+  !!throttle?.lockedUntil && new Date(throttle.lockedUntil).getTime() > now;
+
+// Keep the document alive for a day after its last event or lock
+const nextExpiry = (now, lockedUntil = null) =>
+  new Date(Math.max(now, lockedUntil ? new Date(lockedUntil).getTime() : 0) + DAY_MS);
+
+/* ================= SEND ================= */
+
+/**
+ * Check whether a new OTP may be sent to this number
+ * @param {String} identifier - Mobile number
+ * @returns {Object|null} Rejection { code, message, retryAfterSeconds } or null when allowed
+ */
+export const checkOtpSend = async (identifier) => {
+  const throttle = await OtpThrottle.findOne({ identifier }).lean();
+  if (!throttle) return null;
+
+  const now = Date.now();
+  const limits = getLimits();
+
+  if (isLocked(throttle, now)) return lockRejection(throttle, now);
+
+  const lastDay = since(throttle.sendTimestamps, now - DAY_MS);
+  if (lastDay.length >= limits.sendPerDay) {
+    return rejection(
+      "OTP_DAILY_LIMIT",
+      "OTP request limit reached for today. Please try again later.",
+      new Date(lastDay[lastDay.length - limits.sendPerDay]).getTime() + DAY_MS - now
+    );
+  }
+
+  const lastHour = since(throttle.sendTimestamps, now - HOUR_MS);
+  if (lastHour.length >= limits.sendPerHour) {
+    return rejection(
+      "OTP_HOURLY_LIMIT",
+      "Too many OTP requests. Please try again later.",
+      new Date(lastHour[lastHour.length - limits.sendPerHour]).getTime() + HOUR_MS - now
+    );
+  }
+
+  // ⏳ Exponential cooldown: 60s, 120s, 240s... based on sends in the last hour
+  if (lastHour.length > 0) {
+    const cooldownMs = Math.min(limits.resendCooldownMs * 2 ** (lastHour.length - 1), HOUR_MS);
+    const waitMs = new Date(lastHour[lastHour.length - 1]).getTime() + cooldownMs - now;
+    if (waitMs > 0) {
+      return rejection("OTP_COOLDOWN", "Please wait before requesting another OTP", waitMs);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Record a sent OTP
+ * @param {String} identifier - Mobile number
+ * @returns {Number} Seconds until the next resend is allowed
+ */
+export const recordOtpSend = async (identifier) => {
+  const now = Date.now();
+  const throttle = await OtpThrottle.findOneAndUpdate(
+    { identifier },
+    {
+      $push: { sendTimestamps: { $each: [new Date(now)], $slice: -MAX_EVENTS } },
+      $set: { expiresAt: nextExpiry(now) },
+    },
+    { upsert: true, new: true }
+  ).lean();
+
+  const { resendCooldownMs } = getLimits();
+  const sendsInHour = since(throttle.sendTimestamps, now - HOUR_MS).length;
+  return toSeconds(Math.min(resendCooldownMs * 2 ** (sendsInHour - 1), HOUR_MS));
+};
+
+/* ================= VERIFY ================= */
+
+/**
+ * Check whether OTP verification is currently allowed for this number
+ * @param {String} identifier - Mobile number
+ * @returns {Object|null} Rejection or null when allowed
+ */
+export const checkOtpVerify = async (identifier) => {
+  const throttle = await OtpThrottle.findOne({ identifier }).select("lockedUntil").lean();
+  const now = Date.now();
+  return isLocked(throttle, now) ? lockRejection(throttle, now) : null;
+};
+
+/**
+ * Record a failed verification; locks the number once a cap is reached
+ * @param {String} identifier - Mobile number
+ * @returns {Object|null} Lock rejection if this failure triggered a lock, else null
+ */
+export const recordOtpVerifyFailure = async (identifier) => {
+  const now = Date.now();
+  const limits = getLimits();
+
+  const throttle = await OtpThrottle.findOneAndUpdate(
+    { identifier },
+    {
+      $push: { failedVerifyTimestamps: { $each: [new Date(now)], $slice: -MAX_EVENTS } },
+      $set: { expiresAt: nextExpiry(now) },
+    },
+    { upsert: true, new: true }
+  );
+
+  // Failures before the last lock were already "paid for" in the hourly window
+  const lastLockedAt = throttle.lastLockedAt ? throttle.lastLockedAt.getTime() : 0;
+  const hourly = since(throttle.failedVerifyTimestamps, Math.max(now - HOUR_MS, lastLockedAt)).length;
+  const daily = since(throttle.failedVerifyTimestamps, now - DAY_MS).length;
+
+  let reason = null;
+  if (daily >= limits.verifyPerDay) reason = "VERIFY_DAILY_LIMIT";
+  else if (hourly >= limits.verifyPerHour) reason = "VERIFY_HOURLY_LIMIT";
+  if (!reason) return null;
+
+  // 📈 Lock level decays after a quiet day
+  const level = lastLockedAt && now - lastLockedAt < DAY_MS ? throttle.lockLevel : 0;
+  const lockMs = Math.min(limits.lockMs * 2 ** level, MAX_LOCK_MS);
+
+  throttle.lockLevel = level + 1;
+  throttle.lockedUntil = new Date(now + lockMs);
+  throttle.lastLockedAt = new Date(now);
+  throttle.lockReason = reason;
+  throttle.expiresAt = nextExpiry(now, throttle.lockedUntil);
+  await throttle.save();
+
+  console.warn(`🔒 OTP locked for ${identifier} (${reason}) for ${toSeconds(lockMs)}s`);
+  return lockRejection(throttle, now);
+};
+
+/**
+ * Reset failed verification tracking after a successful verify
+ * @param {String} identifier - Mobile number
+ */
+export const resetOtpVerifyFailures = async (identifier) => {
+  await OtpThrottle.updateOne(
+    { identifier },
+    { $set: { failedVerifyTimestamps: [], lockLevel: 0, lockedUntil: null, lockReason: null } }
+  );
+};
+
+/* ================= SUPPORT ================= */
+
+/**
+ * Current throttle state for a number (support console)
+ * @param {String} identifier - Mobile number
+ */
+export const getOtpThrottleStatus = async (identifier) => {
+  const throttle = await OtpThrottle.findOne({ identifier }).lean();
+  const now = Date.now();
+  const limits = getLimits();
+
+  const sendCheck = throttle ? await checkOtpSend(identifier) : null;
+  const locked = isLocked(throttle, now);
+
+  return {
+    identifier,
+    locked,
+    lockedUntil: locked ? throttle.lockedUntil : null,
+    lockReason: locked ? throttle.lockReason : null,
+    lockLevel: throttle?.lockLevel || 0,
+    retryAfterSeconds: sendCheck?.retryAfterSeconds || 0,
+    sendBlockedReason: sendCheck?.code || null,
+    sendsLastHour: since(throttle?.sendTimestamps, now - HOUR_MS).length,
+    sendsLastDay: since(throttle?.sendTimestamps, now - DAY_MS).length,
+    failedVerifiesLastHour: since(throttle?.failedVerifyTimestamps, now - HOUR_MS).length,
+    failedVerifiesLastDay: since(throttle?.failedVerifyTimestamps, now - DAY_MS).length,
+    limits: {
+      sendPerHour: limits.sendPerHour,
+      sendPerDay: limits.sendPerDay,
+      verifyPerHour: limits.verifyPerHour,
+      verifyPerDay: limits.verifyPerDay,
+    },
+    clearedAt: throttle?.clearedAt || null,
+    clearedBy: throttle?.clearedBy || null,
+  };
+};
+
+/**
+ * Clear all limits and any lock for a number (support override)
+ * @param {String} identifier - Mobile number
+ * @param {String} clearedBy - Staff user ID
+ * @returns {Boolean} true if there was anything to clear
+ */
+export const clearOtpThrottle = async (identifier, clearedBy) => {
+  const now = Date.now();
+  const result = await OtpThrottle.updateOne(
+    { identifier },
+    {
+      $set: {
+        sendTimestamps: [],
+        failedVerifyTimestamps: [],
+        lockedUntil: null,
+        lockLevel: 0,
+        lockReason: null,
+        clearedAt: new Date(now),
+        clearedBy,
+        expiresAt: nextExpiry(now),
+      },
+    }
+  );
+  return result.matchedCount > 0;
+};
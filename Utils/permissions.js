@@ -0,0 +1,109 @@
+/**
+ * 🛡 PERMISSION REGISTRY (Admin staff RBAC)
+ * Named permissions guard every admin-facing route. Owners implicitly hold all
+ * of them; Admin staff get the union of the AdminRoles assigned to them.
+ */
+
+export const PERMISSIONS = {
+  // 👤 Users
+  USERS_VIEW: "users.view",
+  USERS_MANAGE: "users.manage",
+
+  // 👨‍🔧 Technicians
+  TECHNICIANS_VIEW: "technicians.view",
+  TECHNICIANS_MANAGE: "technicians.manage",
+
+  // 🪪 KYC & bank verification
+  KYC_VIEW: "kyc.view",
+  KYC_VERIFY: "kyc.verify",
+  BANK_VERIFY: "bank.verify",
+
+  // 🛍 Catalog (categories, services, products)
+  CATALOG_EDIT: "catalog.edit",
+
+  // 📋 Bookings
+  BOOKINGS_VIEW: "bookings.view",
+  BOOKINGS_MANAGE: "bookings.manage",
+
+  // 🚩 Reports / complaints
+  REPORTS_VIEW: "reports.view",
+  REPORTS_RESOLVE: "reports.resolve",
+
+  // 💳 Payments & wallet
+  PAYMENTS_MANAGE: "payments.manage",
+  WALLET_VIEW: "wallet.view",
+  WALLET_ADJUST: "wallet.adjust",
+  PAYOUT_APPROVE: "payout.approve",
+  PAYOUT_EXECUTE: "payout.execute",
+
+  // 📜 Terms & Privacy registry
+  POLICIES_MANAGE: "policies.manage",
+
+  // 📅 Booking window, business hours & holidays
+  SCHEDULING_MANAGE: "scheduling.manage",
+
+  // 🧑‍💼 Staff & roles (Owner only, never assignable to a role)
+  STAFF_MANAGE: "staff.manage",
+};
+
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Permissions that only an Owner holds
+export const OWNER_ONLY_PERMISSIONS = [PERMISSIONS.STAFF_MANAGE];
+
+// Permissions an AdminRole may bundle
+export const ASSIGNABLE_PERMISSIONS = ALL_PERMISSIONS.filter(
+  (p) => !OWNER_ONLY_PERMISSIONS.includes(p)
+);
+
+/**
+ * Built-in role bundles, created on first use and kept in sync with code
+ */
+export const SYSTEM_ROLES = [
+  {
+    name: "Super Admin",
+    description: "Every permission except staff management",
+    permissions: ASSIGNABLE_PERMISSIONS,
+  },
+  {
+    name: "Operations",
+    description: "Bookings, customers, technicians and complaints",
+    permissions: [
+      PERMISSIONS.USERS_VIEW,
+      PERMISSIONS.TECHNICIANS_VIEW,
+      PERMISSIONS.TECHNICIANS_MANAGE,
+      PERMISSIONS.BOOKINGS_VIEW,
+      PERMISSIONS.BOOKINGS_MANAGE,
+      PERMISSIONS.SCHEDULING_MANAGE,
+      PERMISSIONS.REPORTS_VIEW,
+      PERMISSIONS.REPORTS_RESOLVE,
+    ],
+  },
+  {
+    name: "KYC Reviewer",
+    description: "Technician KYC and bank verification",
+    permissions: [
+      PERMISSIONS.TECHNICIANS_VIEW,
+      PERMISSIONS.KYC_VIEW,
+      PERMISSIONS.KYC_VERIFY,
+      PERMISSIONS.BANK_VERIFY,
+    ],
+  },
+  {
+    name: "Finance",
+    description: "Payments, wallet summary and technician payouts",
+    permissions: [
+      PERMISSIONS.BOOKINGS_VIEW,
+      PERMISSIONS.PAYMENTS_MANAGE,
+      PERMISSIONS.WALLET_VIEW,
+      PERMISSIONS.WALLET_ADJUST,
+      PERMISSIONS.PAYOUT_APPROVE,
+      PERMISSIONS.PAYOUT_EXECUTE,
+    ],
+  },
+  {
+    name: "Catalog Manager",
+    description: "Categories, services and products",
+    permissions: [PERMISSIONS.CATALOG_EDIT],
+  },
+];
@@ -0,0 +1,132 @@
+import PolicyDocument from "../Schemas/PolicyDocument.js";
+import PolicyAcceptance from "../Schemas/PolicyAcceptance.js";
+import User from "../Schemas/User.js";
+
+/**
+ * 📜 POLICY REGISTRY
+ * Versioned Terms & Privacy documents. A user must re-consent when the latest
+ * effective *mandatory* version is newer than the one they accepted.
+ * Only app users (Customer / Technician) are subject to re-consent.
+ */
+
+export const POLICY_TYPES = ["terms", "privacy"];
+
+// Legacy boolean + timestamp fields kept in sync on User
+const LEGACY_FIELDS = {
+  terms: { flag: "termsAndServices", at: "termsAndServicesAt" },
+  privacy: { flag: "privacyPolicy", at: "privacyPolicyAt" },
+};
+
+const CONSENT_ROLES = ["Customer", "Technician"];
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = { loadedAt: 0, value: null };
+
+export const invalidatePolicyCache = () => {
+  cache = { loadedAt: 0, value: null };
+};
+
+const summarize = (doc) =>
+  doc
+    ? {
+        documentId: doc._id,
+        type: doc.type,
+        version: doc.version,
+        title: doc.title,
+        url: doc.url,
+        summary: doc.summary,
+        effectiveAt: doc.effectiveAt,
+        mandatory: doc.mandatory,
+      }
+    : null;
+
+/**
+ * Current (latest effective) document and required version per type
+ * Cached briefly: Auth calls this on every request.
+ * @returns {Object} { terms: { current, requiredVersion }, privacy: {...} }
+ */
+export const getCurrentPolicies = async () => {
+  if (cache.value && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.value;
+
+  const now = new Date();
+  const value = {};
+
+  for (const type of POLICY_TYPES) {
+    const [current, required] = await Promise.all([
+      PolicyDocument.findOne({ type, effectiveAt: { $lte: now } }).sort({ version: -1 }).lean(),
+      PolicyDocument.findOne({ type, mandatory: true, effectiveAt: { $lte: now } })
+        .sort({ version: -1 })
+        .select("version")
+        .lean(),
+    ]);
+    value[type] = { current: summarize(current), requiredVersion: required?.version || 0 };
+  }
+
+  cache = { loadedAt: Date.now(), value };
+  return value;
+};
+
+/**
+ * Policies the user still has to (re-)accept
+ * @param {Object} user - User doc with role and acceptedPolicyVersions
+ * @returns {Array} [{ type, version, requiredVersion, acceptedVersion, title, url, summary, effectiveAt }]
+ */
+export const getPendingPolicies = async (user) => {
+  if (!user || !CONSENT_ROLES.includes(user.role)) return [];
+
+  const policies = await getCurrentPolicies();
+  const pending = [];
+
+  for (const type of POLICY_TYPES) {
+    const { current, requiredVersion } = policies[type];
+    const acceptedVersion = user.acceptedPolicyVersions?.[type] || 0;
+    if (requiredVersion > acceptedVersion) {
+      pending.push({ ...current, requiredVersion, acceptedVersion });
+    }
+  }
+
+  return pending;
+};
+
+/**
+ * Record acceptance of the current version of each given policy type
+ * @param {Object} params
+ * @param {String} params.userId - User ID
+ * @param {String[]} params.types - Subset of POLICY_TYPES
+ * @param {Object} [params.req] - Express request (ip / user agent)
+ * @param {Object} [params.session] - Mongoose transaction session
+ * @returns {Object} Accepted versions per type
+ */
+export const recordPolicyAcceptance = async ({ userId, types, req = null, session = null }) => {
+  const policies = await getCurrentPolicies();
+  const now = new Date();
+  const $set = {};
+  const rows = [];
+  const accepted = {};
+
+  for (const type of types) {
+    const current = policies[type]?.current;
+    const version = current?.version || 0;
+
+    $set[LEGACY_FIELDS[type].flag] = true;
+    $set[LEGACY_FIELDS[type].at] = now;
+    $set[`acceptedPolicyVersions.${type}`] = version;
+    accepted[type] = version;
+
+    rows.push({
+      userId,
+      type,
+      version,
+      documentId: current?.documentId || null,
+      acceptedAt: now,
+      ip: req?.headers?.["x-forwarded-for"]?.split(",")[0].trim() || req?.ip || null,
+      userAgent: req?.headers?.["user-agent"] || null,
+    });
+  }
+
+  const opts = session ? { session } : {};
+  await User.updateOne({ _id: userId }, { $set }, opts);
+  await PolicyAcceptance.insertMany(rows, opts);
+
+  return accepted;
+};
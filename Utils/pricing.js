@@ -0,0 +1,247 @@
+import Category from "../Schemas/Category.js";
+
+/**
+ * 🧮 PRICING
+ * Every money split of a service (catalog, booking, payment, settlement, invoice)
+ * comes from computePriceBreakdown() so the numbers reconcile:
+ *   list price × quantity − discount            = price (catalog convention)
+ *   price ± GST (category rate, HSN/SAC)        = customer amount (always tax-inclusive once booked)
+ *   customer amount − GST                       = taxable value
+ *   taxable value × commission %                = platform commission (GST goes to neither party)
+ *   taxable value − commission + parts share    = technician share
+ *   technician share − TDS − TCS                = technician payout (wallet credit)
+ * GST is opt-in: only categories with a gstRate charge it. Bookings without a rate
+ * (every booking made before categories had one) split at 0, as they always did.
+ * Categories say whether their catalog prices include GST (Category.taxInclusive).
+ * Amounts the technician enters on site (quotes, spare parts) are what the customer pays.
+ * Spare parts are the technician's outlay: they are not split into taxable value and
+ * pass through in full, less commission when PRICING_POLICY.partsCommissionable.
+ */
+
+const envPercent = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 && value <= 100 ? value : fallback;
+};
+
+// "paise" = 2 decimals, "rupee" = whole rupees
+const envRounding = (name, fallback) => (["paise", "rupee"].includes(process.env[name]) ? process.env[name] : fallback);
+
+export const PRICING_POLICY = {
+  // Categories without a rate of their own charge no GST
+  defaultGstRate: 0,
+  // 998719: maintenance and repair of other goods (INVOICE_SERVICE_SAC is the older name)
+  defaultHsnSac: process.env.DEFAULT_SERVICE_SAC || process.env.INVOICE_SERVICE_SAC || "998719",
+  defaultTaxInclusive: process.env.PRICES_TAX_INCLUSIVE !== "false",
+  // Customer amounts and GST
+  roundTo: envRounding("PRICE_ROUNDING", "paise"),
+  // Platform commission (whole rupees, as bookings always did)
+  commissionRoundTo: envRounding("COMMISSION_ROUNDING", "rupee"),
+  // Platform commission applies to spare parts too
+  partsCommissionable: process.env.SPARE_PARTS_COMMISSIONABLE === "true",
+  // Withheld from technician payouts (income tax TDS, GST TCS)
+  tdsPercent: envPercent("TECHNICIAN_TDS_PERCENT", 0),
+  tcsPercent: envPercent("TECHNICIAN_TCS_PERCENT", 0),
+};
+
+/**
+ * Round an amount by a rounding rule
+ * @param {Number} value
+ * @param {String} [mode] - "paise" | "rupee" (default PRICING_POLICY.roundTo)
+ * @returns {Number}
+ */
+export const roundMoney = (value, mode = PRICING_POLICY.roundTo) => {
+  const n = Number(value) || 0;
+  return mode === "rupee" ? Math.round(n) : Math.round((n + Number.EPSILON) * 100) / 100;
+};
+
+/**
+ * GST settings of a category, with policy defaults for anything not set
+ * @param {Object} [category] - { gstRate, hsnSac, taxInclusive }
+ * @returns {Object} { gstRate, hsnSac, taxInclusive }
+ */
+export const getTaxProfile = (category) => ({
+  gstRate: category?.gstRate ?? PRICING_POLICY.defaultGstRate,
+  hsnSac: category?.hsnSac || PRICING_POLICY.defaultHsnSac,
+  taxInclusive: category?.taxInclusive ?? PRICING_POLICY.defaultTaxInclusive,
+});
+
+/**
+ * GST settings of a service category
+ * @param {String} categoryId
+ * @returns {Object} { gstRate, hsnSac, taxInclusive }
+ */
+export const loadTaxProfile = async (categoryId) => {
+  const category = categoryId
+    ? await Category.findById(categoryId).select("gstRate hsnSac taxInclusive").lean()
+    : null;
+  return getTaxProfile(category);
+};
+
+/**
+ * Split a GST-inclusive amount into taxable value and GST
+ * @param {Number} amount
+ * @param {Number} gstRate
+ * @returns {Object} { taxableValue, taxAmount }
+ */
+export const splitTax = (amount, gstRate) => {
+  const taxableValue = roundMoney((Number(amount || 0) * 100) / (100 + (gstRate || 0)));
+  return { taxableValue, taxAmount: roundMoney((amount || 0) - taxableValue) };
+};
+
+/**
+ * Payout deductions on a technician share
+ * @param {Number} technicianAmount
+ * @returns {Object} { tdsPercent, tdsAmount, tcsPercent, tcsAmount, technicianPayout }
+ */
+export const computePayoutDeductions = (technicianAmount) => {
+  const share = Math.max(Number(technicianAmount) || 0, 0);
+  const tdsAmount = roundMoney((share * PRICING_POLICY.tdsPercent) / 100);
+  const tcsAmount = roundMoney((share * PRICING_POLICY.tcsPercent) / 100);
+  return {
+    tdsPercent: PRICING_POLICY.tdsPercent,
+    tdsAmount,
+    tcsPercent: PRICING_POLICY.tcsPercent,
+    tcsAmount,
+    technicianPayout: roundMoney(Math.max(share - tdsAmount - tcsAmount, 0)),
+  };
+};
+
+/**
+ * Full breakdown of a service price
+ * @param {Object} params
+ * @param {Number} [params.listPrice] - Catalog price per unit (before discount)
+ * @param {Number} [params.quantity=1]
+ * @param {Number} [params.discountPercentage=0]
+ * @param {Number} [params.amount] - Price already decided (after discount); replaces listPrice × quantity − discount
+ * @param {Object} [params.taxProfile] - { gstRate, hsnSac, taxInclusive } of the price
+ * @param {Number} [params.commissionPercentage=0]
+ * @param {Number} [params.partsAmount=0] - Billable spare parts (passed through, no GST split)
+ * @returns {Object} Breakdown (see return statement)
+ */
+export const computePriceBreakdown = ({
+  listPrice = 0,
+  quantity = 1,
+  discountPercentage = 0,
+  amount = null,
+  taxProfile = {},
+  commissionPercentage = 0,
+  partsAmount = 0,
+}) => {
+  const { gstRate, hsnSac, taxInclusive } = { ...getTaxProfile(null), ...taxProfile };
+  const gross = amount !== null && amount !== undefined ? roundMoney(amount) : roundMoney((listPrice || 0) * quantity);
+  const discountAmount = amount !== null && amount !== undefined ? 0 : roundMoney((gross * (discountPercentage || 0)) / 100);
+  const price = roundMoney(gross - discountAmount);
+
+  // What the customer pays for the service, GST included
+  const baseAmount = taxInclusive ? price : roundMoney(price * (1 + gstRate / 100));
+  const { taxableValue, taxAmount } = splitTax(baseAmount, gstRate);
+  const parts = roundMoney(partsAmount);
+
+  const pct = commissionPercentage || 0;
+  const serviceCommission = Math.min(roundMoney((taxableValue * pct) / 100, PRICING_POLICY.commissionRoundTo), taxableValue);
+  const partsCommissionAmount = PRICING_POLICY.partsCommissionable
+    ? Math.min(roundMoney((parts * pct) / 100, PRICING_POLICY.commissionRoundTo), parts)
+    : 0;
+  const commissionAmount = roundMoney(serviceCommission + partsCommissionAmount);
+  const technicianAmount = roundMoney(Math.max(taxableValue + parts - commissionAmount, 0));
+
+  return {
+    listPrice: gross,
+    quantity,
+    discountPercentage: amount !== null && amount !== undefined ? 0 : discountPercentage || 0,
+    discountAmount,
+    price,
+    gstRate,
+    hsnSac,
+    taxInclusive,
+    baseAmount,
+    partsAmount: parts,
+    taxableValue,
+    taxAmount,
+    totalAmount: roundMoney(baseAmount + parts),
+    commissionPercentage: pct,
+    commissionAmount,
+    partsCommissionAmount,
+    technicianAmount,
+    ...computePayoutDeductions(technicianAmount),
+  };
+};
+
+/**
+ * Price a new booking of a service
+ * @param {Object} params
+ * @param {Object} params.service - Service doc
+ * @param {Number|null} [params.amount] - Fixed amount (e.g. visit charge); null = catalog price less discount
+ * @param {Number} [params.quantity=1]
+ * @returns {Object} Breakdown
+ */
+export const priceServiceBooking = async ({ service, amount = null, quantity = 1 }) => {
+  const taxProfile = await loadTaxProfile(service?.categoryId?._id || service?.categoryId);
+  return computePriceBreakdown({
+    listPrice: service?.serviceCost || 0,
+    quantity,
+    discountPercentage: service?.serviceDiscountPercentage || 0,
+    amount,
+    taxProfile,
+    commissionPercentage: typeof service?.commissionPercentage === "number" ? service.commissionPercentage : 0,
+  });
+};
+
+/**
+ * Re-split a booking's (tax-inclusive) amounts, e.g. after a quote or parts change or at payment
+ * @param {Object} booking - ServiceBooking
+ * @param {Object} [overrides] - { baseAmount, partsAmount, commissionPercentage }
+ * @returns {Object} Breakdown
+ */
+export const computeBookingSplit = (booking, overrides = {}) =>
+  computePriceBreakdown({
+    amount: overrides.baseAmount ?? booking?.baseAmount ?? 0,
+    taxProfile: {
+      gstRate: booking?.gstRate ?? PRICING_POLICY.defaultGstRate,
+      hsnSac: booking?.hsnSac || PRICING_POLICY.defaultHsnSac,
+      taxInclusive: true,
+    },
+    commissionPercentage: overrides.commissionPercentage ?? booking?.commissionPercentage ?? 0,
+    partsAmount: overrides.partsAmount ?? booking?.partsAmount ?? 0,
+  });
+
+/**
+ * ServiceBooking fields of a breakdown
+ * @param {Object} breakdown
+ * @returns {Object}
+ */
+export const toBookingPricingFields = (breakdown) => ({
+  baseAmount: breakdown.baseAmount,
+  partsAmount: breakdown.partsAmount,
+  gstRate: breakdown.gstRate,
+  hsnSac: breakdown.hsnSac,
+  taxableAmount: breakdown.taxableValue,
+  taxAmount: breakdown.taxAmount,
+  commissionPercentage: breakdown.commissionPercentage,
+  commissionAmount: breakdown.commissionAmount,
+  partsCommissionAmount: breakdown.partsCommissionAmount,
+  technicianAmount: breakdown.technicianAmount,
+});
+
+/**
+ * Totals of several payments / breakdowns, with the reconciliation check
+ * collected = GST + commission + technician share + earlier cancellation fees
+ * @param {Object[]} rows - { totalAmount, taxAmount, commissionAmount, technicianAmount, tdsAmount, tcsAmount, cancellationFeeAmount }
+ * @returns {Object}
+ */
+export const sumPricing = (rows = []) => {
+  const sum = (field) => roundMoney(rows.reduce((acc, r) => acc + (Number(r?.[field]) || 0), 0));
+  const totals = {
+    collected: sum("totalAmount"),
+    tax: sum("taxAmount"),
+    commission: sum("commissionAmount"),
+    technicianShare: sum("technicianAmount"),
+    tdsWithheld: sum("tdsAmount"),
+    tcsWithheld: sum("tcsAmount"),
+    cancellationFees: sum("cancellationFeeAmount"),
+  };
+  totals.unreconciled = roundMoney(
+    totals.collected - totals.tax - totals.commission - totals.technicianShare - totals.cancellationFees
+  );
+  return totals;
+};
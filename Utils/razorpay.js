@@ -0,0 +1,86 @@
+import https from "node:https";
+
+/* ================= RAZORPAY REQUEST ================= */
+
+/**
+ * Call the Razorpay payments API (orders, refunds) with the payment keys
+ * @param {Object} params - { method, path, body }
+ * @returns {Object} Parsed response; throws with statusCode / details on failure
+ */
+export const razorpayRequest = async ({ method, path, body }) => {
+  const keyId = (process.env.RAZORPAY_KEY_ID || "").trim();
+  const keySecret = (process.env.RAZORPAY_KEY_SECRET || "").trim();
+
+  if (!keyId || !keySecret) {
+    const err = new Error("Razorpay keys not configured");
+    err.statusCode = 500;
+    throw err;
+  }
+
+  const payload = body ? JSON.stringify(body) : "";
+
+  const options = {
+    hostname: "api.razorpay.com",
+    path,
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(payload),
+      Authorization:
+        "Basic " +
+        Buffer.from(`${keyId}:${keySecret}`).toString("base64"),
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = https.request(options, (resp) => {
+      let data = "";
+      resp.on("data", (c) => (data += c));
+      resp.on("end", () => {
+        let json;
+        try {
+          json = data ? JSON.parse(data) : {};
+        } catch {
+          // e.g. an HTML error page from a proxy
+          const err = new Error("Razorpay returned an unreadable response");
+          err.statusCode = resp.statusCode >= 400 ? resp.statusCode : 502;
+          err.details = { body: data.slice(0, 500) };
+          return reject(err);
+        }
+        if (resp.statusCode >= 200 && resp.statusCode < 300) {
+          return resolve(json);
+        }
+        const err = new Error(
+          json?.error?.description || "Razorpay request failed"
+        );
+        err.statusCode = resp.statusCode;
+        err.details = json;
+        reject(err);
+      });
+    });
+    req.on("error", reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+};
+
+/* ================= REFUNDS ================= */
+
+/**
+ * Refund (part of) a captured payment
+ * @param {Object} params
+ * @param {String} params.providerPaymentId - Razorpay payment ID
+ * @param {Number} params.amount - Rupees
+ * @param {Object} [params.notes]
+ * @returns {Object} Razorpay refund entity
+ */
+export const createRefund = ({ providerPaymentId, amount, notes = {} }) =>
+  razorpayRequest({
+    method: "POST",
+    path: `/v1/payments/${encodeURIComponent(providerPaymentId)}/refund`,
+    body: {
+      amount: Math.round(amount * 100),
+      speed: "normal",
+      notes,
+    },
+  });
@@ -0,0 +1,321 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import User from "../Schemas/User.js";
+import Referral from "../Schemas/Referral.js";
+import Session from "../Schemas/Session.js";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+import TechnicianKyc from "../Schemas/TechnicianKYC.js";
+import WalletTransaction from "../Schemas/WalletTransaction.js";
+import { grantCustomerCredit } from "./customerCredit.js";
+
+/**
+ * 🤝 REFERRAL PROGRAM
+ * Every Customer / Technician has a referral code. A signup with a code creates a
+ * pending Referral; the referrer is rewarded once the referee hits the milestone:
+ *   - Customer referee: first completed + paid ServiceBooking
+ *   - Technician referee: KYC approved + REFERRAL_TECH_MIN_JOBS completed jobs
+ * Technician referrers get a wallet `bonus`, customer referrers get credit.
+ */
+
+const REFERRAL_ROLES = ["Customer", "Technician"];
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O/1/I
+const CODE_LENGTH = 8;
+
+const toAmount = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+export const REFERRAL_REWARDS = {
+  Customer: toAmount(process.env.REFERRAL_REWARD_CUSTOMER, 100),
+  Technician: toAmount(process.env.REFERRAL_REWARD_TECHNICIAN, 200),
+};
+
+export const REFERRAL_TECH_MIN_JOBS = Math.max(1, Number(process.env.REFERRAL_TECH_MIN_JOBS) || 3);
+
+const referralError = (message, code, statusCode = 400) => {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  return err;
+};
+
+export const normalizeReferralCode = (code) =>
+  typeof code === "string" ? code.trim().toUpperCase() : "";
+
+const generateReferralCode = () => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  return code;
+};
+
+/**
+ * Return the user's referral code, creating one on first use
+ * @param {String} userId - User ID
+ * @returns {String|null} Code (null for roles outside the program)
+ */
+export const ensureReferralCode = async (userId) => {
+  const user = await User.findById(userId).select("role referralCode").lean();
+  if (!user || !REFERRAL_ROLES.includes(user.role)) return null;
+  if (user.referralCode) return user.referralCode;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      const updated = await User.findOneAndUpdate(
+        { _id: userId, referralCode: null },
+        { $set: { referralCode: generateReferralCode() } },
+        { new: true }
+      ).select("referralCode").lean();
+      if (updated) return updated.referralCode;
+
+      // Set concurrently by another request
+      const current = await User.findById(userId).select("referralCode").lean();
+      return current?.referralCode || null;
+    } catch (err) {
+      if (err?.code !== 11000) throw err; // code collision -> retry
+    }
+  }
+  throw new Error("Could not allocate a referral code");
+};
+
+/**
+ * Validate a referral code used at signup
+ * Rejects unknown codes, self-referrals and devices already used for a referral.
+ * @param {Object} params
+ * @param {String} params.code - Referral code
+ * @param {String} params.identifier - Referee mobile number
+ * @param {String} params.deviceId - Referee device ID
+ * @returns {Object} Referrer { _id, role, referralCode }
+ */
+export const validateReferralCode = async ({ code, identifier, deviceId }) => {
+  const normalized = normalizeReferralCode(code);
+  if (!normalized) {
+    throw referralError("Invalid referral code", "REFERRAL_CODE_INVALID");
+  }
+
+  const referrer = await User.findOne({ referralCode: normalized })
+    .select("_id role status mobileNumber referralCode")
+    .lean();
+  if (!referrer || referrer.status !== "Active" || !REFERRAL_ROLES.includes(referrer.role)) {
+    throw referralError("Invalid referral code", "REFERRAL_CODE_INVALID");
+  }
+
+  if (referrer.mobileNumber === identifier) {
+    throw referralError("You cannot use your own referral code", "SELF_REFERRAL");
+  }
+
+  if (!deviceId) {
+    throw referralError("deviceId is required to use a referral code", "REFERRAL_DEVICE_REQUIRED");
+  }
+
+  // 📱 Same phone as the referrer = self-referral with a second number
+  const referrerDevice = await Session.exists({ userId: referrer._id, deviceId });
+  if (referrerDevice) {
+    throw referralError("You cannot use your own referral code", "SELF_REFERRAL");
+  }
+
+  const deviceUsed = await Referral.exists({ deviceId });
+  if (deviceUsed) {
+    throw referralError("A referral has already been claimed on this device", "REFERRAL_DEVICE_USED", 409);
+  }
+
+  return { _id: referrer._id, role: referrer.role, referralCode: referrer.referralCode };
+};
+
+/**
+ * Record a pending referral for a new account
+ * @param {Object} params
+ * @param {Object} params.referrer - { _id, role, referralCode }
+ * @param {Object} params.referee - New User doc
+ * @param {String} params.deviceId
+ * @param {String} [params.ip]
+ * @param {Object} [params.session] - Mongoose transaction session
+ */
+export const createReferral = async ({ referrer, referee, deviceId, ip = null, session = null }) => {
+  const opts = session ? { session } : {};
+  const [referral] = await Referral.create(
+    [
+      {
+        referrerId: referrer._id,
+        referrerRole: referrer.role,
+        refereeId: referee._id,
+        refereeRole: referee.role,
+        code: referrer.referralCode,
+        deviceId,
+        signupIp: ip,
+      },
+    ],
+    opts
+  );
+  await User.updateOne({ _id: referee._id }, { $set: { referredBy: referrer._id } }, opts);
+  return referral;
+};
+
+/**
+ * Pay the referrer (idempotent: only a pending referral is rewarded)
+ * @param {String} referralId - Referral ID
+ * @returns {Boolean} True when a reward was granted
+ */
+const grantReferralReward = async (referralId) => {
+  const session = await mongoose.startSession();
+  let granted = false;
+
+  try {
+    await session.withTransaction(async () => {
+      granted = false;
+      const referral = await Referral.findOne({ _id: referralId, status: "pending" }).session(session);
+      if (!referral) return;
+
+      const referrer = await User.findById(referral.referrerId).select("role status").session(session);
+      if (referrer?.status === "Blocked") return; // retried on the next milestone check after unblock
+      if (!referrer || !["Active", "PendingDeletion"].includes(referrer.status)) {
+        referral.status = "void";
+        referral.voidReason = "REFERRER_INACTIVE";
+        await referral.save({ session });
+        return;
+      }
+
+      const amount = REFERRAL_REWARDS[referral.referrerRole] || 0;
+      const note = `Referral reward (code ${referral.code})`;
+
+      if (amount > 0 && referral.referrerRole === "Technician") {
+        const profile = await TechnicianProfile.findOneAndUpdate(
+          { userId: referral.referrerId },
+          { $inc: { walletBalance: amount } },
+          { new: true, session }
+        ).select("_id");
+
+        if (!profile) {
+          referral.status = "void";
+          referral.voidReason = "REFERRER_INACTIVE";
+          await referral.save({ session });
+          return;
+        }
+
+        const [txn] = await WalletTransaction.create(
+          [{ technicianId: profile._id, amount, type: "credit", source: "bonus", note }],
+          { session }
+        );
+        referral.walletTransactionId = txn._id;
+      } else if (amount > 0) {
+        const txn = await grantCustomerCredit({
+          customerId: referral.referrerId,
+          amount,
+          source: "referral",
+          referralId: referral._id,
+          note,
+          session,
+        });
+        referral.creditTransactionId = txn._id;
+      }
+
+      referral.status = "rewarded";
+      referral.rewardAmount = amount;
+      referral.rewardedAt = new Date();
+      await referral.save({ session });
+      granted = true;
+    });
+  } finally {
+    session.endSession();
+  }
+
+  if (granted) console.log(`🎁 Referral ${referralId} rewarded`);
+  return granted;
+};
+
+/**
+ * Technician referee milestone: KYC approved + REFERRAL_TECH_MIN_JOBS completed jobs
+ * @param {String} technicianProfileId - TechnicianProfile ID
+ */
+export const checkTechnicianReferralMilestone = async (technicianProfileId) => {
+  const profile = await TechnicianProfile.findById(technicianProfileId).select("userId").lean();
+  if (!profile) return false;
+
+  const referral = await Referral.findOne({ refereeId: profile.userId, status: "pending" }).select("_id").lean();
+  if (!referral) return false;
+
+  const kyc = await TechnicianKyc.findOne({ technicianId: technicianProfileId }).select("verificationStatus").lean();
+  if (kyc?.verificationStatus !== "approved") return false;
+
+  const completedJobs = await ServiceBooking.countDocuments({ technicianId: technicianProfileId, status: "completed" });
+  if (completedJobs < REFERRAL_TECH_MIN_JOBS) return false;
+
+  return grantReferralReward(referral._id);
+};
+
+/**
+ * Customer referee milestone: first completed + paid ServiceBooking
+ * @param {String} customerId - User ID
+ */
+export const checkCustomerReferralMilestone = async (customerId) => {
+  const referral = await Referral.findOne({ refereeId: customerId, status: "pending" }).select("_id").lean();
+  if (!referral) return false;
+
+  const qualifying = await ServiceBooking.exists({ customerId, status: "completed", paymentStatus: "paid" });
+  if (!qualifying) return false;
+
+  return grantReferralReward(referral._id);
+};
+
+/**
+ * Re-check both sides of a booking after completion / payment (never throws)
+ * @param {String} bookingId - ServiceBooking ID
+ */
+export const checkReferralMilestonesForBooking = async (bookingId) => {
+  try {
+    const booking = await ServiceBooking.findById(bookingId).select("customerId technicianId status paymentStatus").lean();
+    if (!booking || booking.status !== "completed") return;
+
+    if (booking.paymentStatus === "paid" && booking.customerId) {
+      await checkCustomerReferralMilestone(booking.customerId);
+    }
+    if (booking.technicianId) {
+      await checkTechnicianReferralMilestone(booking.technicianId);
+    }
+  } catch (err) {
+    console.error("Referral milestone check failed:", err.message);
+  }
+};
+
+/**
+ * Referral summary for the "invite friends" screen
+ * @param {String} userId - User ID
+ */
+export const getReferralSummary = async (userId) => {
+  const referralCode = await ensureReferralCode(userId);
+
+  const referrals = await Referral.find({ referrerId: userId })
+    .populate("refereeId", "fname")
+    .select("refereeId refereeRole status rewardAmount rewardedAt createdAt")
+    .sort({ createdAt: -1 })
+    .limit(100)
+    .lean();
+
+  const user = await User.findById(userId).select("role").lean();
+
+  return {
+    referralCode,
+    rewardPerReferral: REFERRAL_REWARDS[user?.role] || 0,
+    rewardType: user?.role === "Technician" ? "wallet_bonus" : "credit",
+    milestones: {
+      Customer: "First completed and paid service booking",
+      Technician: `KYC approved and ${REFERRAL_TECH_MIN_JOBS} completed jobs`,
+    },
+    totals: {
+      invited: referrals.length,
+      pending: referrals.filter((r) => r.status === "pending").length,
+      rewarded: referrals.filter((r) => r.status === "rewarded").length,
+      earned: referrals.reduce((sum, r) => sum + (r.status === "rewarded" ? r.rewardAmount : 0), 0),
+    },
+    referrals: referrals.map((r) => ({
+      name: r.refereeId?.fname || "New user",
+      role: r.refereeRole,
+      status: r.status,
+      rewardAmount: r.rewardAmount,
+      rewardedAt: r.rewardedAt,
+      joinedAt: r.createdAt,
+    })),
+  };
+};
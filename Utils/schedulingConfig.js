@@ -0,0 +1,290 @@
+import mongoose from "mongoose";
+import SchedulingConfig from "../Schemas/SchedulingConfig.js";
+
+/**
+ * 📅 SCHEDULING CONFIGURATION
+ * Owner-managed booking window, business hours and holiday calendar. Every path
+ * that accepts or lists a scheduled time reads its rules from getSchedulingRules().
+ * Overrides apply from least to most specific: city, category, category in city.
+ * Cached briefly: slot listing calls this on every request.
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Used until an owner saves a configuration (the original fixed rules)
+export const DEFAULT_SCHEDULING = {
+  startOffsetDays: 1,
+  horizonDays: 2,
+  minLeadMinutes: 30,
+  openTime: "09:00",
+  closeTime: "21:00",
+  slotIntervalMinutes: 30,
+  closedWeekdays: [],
+  overrides: [],
+  holidays: [],
+};
+
+const OVERRIDE_FIELDS = ["openTime", "closeTime", "horizonDays", "closedWeekdays"];
+const BASE_FIELDS = ["startOffsetDays", "horizonDays", "minLeadMinutes", "openTime", "closeTime", "slotIntervalMinutes", "closedWeekdays"];
+
+let cache = { loadedAt: 0, value: null };
+
+export const invalidateSchedulingCache = () => {
+  cache = { loadedAt: 0, value: null };
+};
+
+const schedulingError = (message, code = "VALIDATION_ERROR", statusCode = 400) => {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  return err;
+};
+
+const normalizeCity = (city) => (typeof city === "string" && city.trim() ? city.trim().toLowerCase() : null);
+
+const toMinutes = (time) => {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+};
+
+/**
+ * Saved configuration, or the defaults when none was saved yet
+ * @returns {Object} Plain config
+ */
+export const getSchedulingConfig = async () => {
+  if (cache.value && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.value;
+
+  const saved = await SchedulingConfig.findOne({ key: "default" }).lean();
+  const value = saved ? { ...DEFAULT_SCHEDULING, ...saved } : { ...DEFAULT_SCHEDULING };
+
+  cache = { loadedAt: Date.now(), value };
+  return value;
+};
+
+// Base rules with every matching override applied, most specific last
+const mergeOverrides = (config, cityKey, categoryKey) => {
+  const matches = (config.overrides || [])
+    .filter((o) => (!o.city || o.city === cityKey) && (!o.categoryId || String(o.categoryId) === categoryKey))
+    .filter((o) => o.city || o.categoryId)
+    // city only (1) < category only (2) < category in city (3)
+    .map((o) => ({ override: o, rank: (o.city ? 1 : 0) + (o.categoryId ? 2 : 0) }))
+    .sort((a, b) => a.rank - b.rank);
+
+  const rules = {};
+  for (const field of BASE_FIELDS) rules[field] = config[field];
+  for (const { override } of matches) {
+    for (const field of OVERRIDE_FIELDS) {
+      if (override[field] !== null && override[field] !== undefined) rules[field] = override[field];
+    }
+  }
+  return rules;
+};
+
+/**
+ * Effective rules for a booking location and service category
+ * @param {Object} [params]
+ * @param {String} [params.city] - City of the booking address
+ * @param {String} [params.categoryId] - Category of the booked service
+ * @returns {Object} { startOffsetDays, horizonDays, minLeadMinutes, openTime, closeTime,
+ *                     slotIntervalMinutes, closedWeekdays, holidays: { "YYYY-MM-DD": name } }
+ */
+export const getSchedulingRules = async ({ city = null, categoryId = null } = {}) => {
+  const config = await getSchedulingConfig();
+  const cityKey = normalizeCity(city);
+  const categoryKey = categoryId ? String(categoryId) : null;
+
+  const rules = mergeOverrides(config, cityKey, categoryKey);
+
+  rules.holidays = {};
+  for (const holiday of config.holidays || []) {
+    if (!holiday.cities?.length || (cityKey && holiday.cities.includes(cityKey))) {
+      rules.holidays[holiday.date] = holiday.name;
+    }
+  }
+
+  return rules;
+};
+
+/* ================= ADMIN UPDATES ================= */
+
+const validateHours = (openTime, closeTime, label) => {
+  for (const time of [openTime, closeTime]) {
+    if (time !== null && time !== undefined && !TIME_OF_DAY.test(time)) {
+      throw schedulingError(`${label}: times must be HH:MM (24h)`);
+    }
+  }
+  if (openTime && closeTime && toMinutes(openTime) >= toMinutes(closeTime)) {
+    throw schedulingError(`${label}: openTime must be before closeTime`);
+  }
+};
+
+const validateWeekdays = (days, label) => {
+  if (days === null || days === undefined) return;
+  if (!Array.isArray(days) || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+    throw schedulingError(`${label}: closedWeekdays must be numbers 0 (Sunday) to 6 (Saturday)`);
+  }
+  if (days.length >= 7) {
+    throw schedulingError(`${label}: at least one weekday must stay open`);
+  }
+};
+
+const validateRange = (value, min, max, label) => {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw schedulingError(`${label} must be a whole number from ${min} to ${max}`);
+  }
+};
+
+const sanitizeOverride = (input, index) => {
+  const label = `overrides[${index}]`;
+  const city = normalizeCity(input?.city);
+  const categoryId = input?.categoryId || null;
+
+  if (!city && !categoryId) {
+    throw schedulingError(`${label}: city or categoryId is required`);
+  }
+  if (categoryId && !mongoose.Types.ObjectId.isValid(categoryId)) {
+    throw schedulingError(`${label}: invalid categoryId`);
+  }
+  validateHours(input.openTime, input.closeTime, label);
+  validateWeekdays(input.closedWeekdays, label);
+  if (input.horizonDays !== undefined && input.horizonDays !== null) {
+    validateRange(input.horizonDays, 1, 14, `${label}: horizonDays`);
+  }
+
+  return {
+    city,
+    categoryId,
+    openTime: input.openTime || null,
+    closeTime: input.closeTime || null,
+    horizonDays: input.horizonDays ?? null,
+    closedWeekdays: input.closedWeekdays ?? undefined,
+    note: typeof input.note === "string" ? input.note.trim().slice(0, 200) : null,
+  };
+};
+
+/**
+ * Update the base rules and/or replace the overrides
+ * @param {Object} patch - Any of BASE_FIELDS, plus overrides[]
+ * @param {String} userId - Staff member making the change
+ * @returns {Object} Saved config
+ */
+export const updateSchedulingConfig = async (patch = {}, userId) => {
+  const current = await getSchedulingConfig();
+  const update = {};
+
+  for (const field of BASE_FIELDS) {
+    if (patch[field] !== undefined) update[field] = patch[field];
+  }
+
+  const next = { ...current, ...update };
+  validateRange(next.startOffsetDays, 0, 7, "startOffsetDays");
+  validateRange(next.horizonDays, 1, 14, "horizonDays");
+  validateRange(next.minLeadMinutes, 0, 24 * 60, "minLeadMinutes");
+  if (![15, 30, 60].includes(next.slotIntervalMinutes)) {
+    throw schedulingError("slotIntervalMinutes must be 15, 30 or 60");
+  }
+  validateHours(next.openTime, next.closeTime, "hours");
+  validateWeekdays(next.closedWeekdays, "closedWeekdays");
+  if (next.startOffsetDays > next.horizonDays) {
+    throw schedulingError("startOffsetDays cannot be after horizonDays");
+  }
+
+  if (patch.overrides !== undefined) {
+    if (!Array.isArray(patch.overrides)) {
+      throw schedulingError("overrides must be an array");
+    }
+    update.overrides = patch.overrides.map(sanitizeOverride);
+
+    const keys = update.overrides.map((o) => `${o.city}|${o.categoryId}`);
+    if (new Set(keys).size !== keys.length) {
+      throw schedulingError("Only one override per city / category combination");
+    }
+  }
+
+  // An override may set only one end of the day, so check the hours every city / category ends up with
+  const overrides = update.overrides ?? current.overrides ?? [];
+  const cityKeys = [null, ...new Set(overrides.map((o) => o.city).filter(Boolean))];
+  const categoryKeys = [null, ...new Set(overrides.map((o) => o.categoryId && String(o.categoryId)).filter(Boolean))];
+  for (const cityKey of cityKeys) {
+    for (const categoryKey of categoryKeys) {
+      const rules = mergeOverrides({ ...next, overrides }, cityKey, categoryKey);
+      const label = `hours for ${cityKey || "every city"} / ${categoryKey ? `category ${categoryKey}` : "every category"}`;
+      validateHours(rules.openTime, rules.closeTime, label);
+    }
+  }
+
+  const saved = await SchedulingConfig.findOneAndUpdate(
+    { key: "default" },
+    { $set: { ...update, updatedBy: userId } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  invalidateSchedulingCache();
+  return saved;
+};
+
+/**
+ * Add a day to the holiday calendar
+ * @param {Object} params - { date: "YYYY-MM-DD", name, cities?: [String] }
+ * @param {String} userId
+ * @returns {Object} Saved config
+ */
+export const addHoliday = async ({ date, name, cities = [] }, userId) => {
+  if (!DATE_KEY.test(date || "") || isNaN(new Date(`${date}T00:00:00`).getTime())) {
+    throw schedulingError("date must be YYYY-MM-DD");
+  }
+  if (!name || typeof name !== "string" || !name.trim()) {
+    throw schedulingError("name is required");
+  }
+  if (!Array.isArray(cities)) {
+    throw schedulingError("cities must be an array");
+  }
+
+  const cityKeys = [...new Set(cities.map(normalizeCity).filter(Boolean))];
+  const current = await getSchedulingConfig();
+  const clash = (current.holidays || []).find(
+    (h) => h.date === date && (h.cities?.length === 0 || cityKeys.length === 0 || h.cities.some((c) => cityKeys.includes(c)))
+  );
+  if (clash) {
+    throw schedulingError(`${date} is already a holiday (${clash.name})`, "HOLIDAY_EXISTS", 409);
+  }
+
+  const saved = await SchedulingConfig.findOneAndUpdate(
+    { key: "default" },
+    {
+      $push: { holidays: { $each: [{ date, name: name.trim(), cities: cityKeys }], $sort: { date: 1 } } },
+      $set: { updatedBy: userId },
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  invalidateSchedulingCache();
+  return saved;
+};
+
+/**
+ * Remove a holiday
+ * @param {String} holidayId
+ * @param {String} userId
+ * @returns {Object} Saved config
+ */
+export const removeHoliday = async (holidayId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(holidayId)) {
+    throw schedulingError("Invalid holiday ID");
+  }
+
+  const saved = await SchedulingConfig.findOneAndUpdate(
+    { key: "default", "holidays._id": holidayId },
+    { $pull: { holidays: { _id: holidayId } }, $set: { updatedBy: userId } },
+    { new: true }
+  ).lean();
+
+  if (!saved) {
+    throw schedulingError("Holiday not found", "HOLIDAY_NOT_FOUND", 404);
+  }
+
+  invalidateSchedulingCache();
+  return saved;
+};
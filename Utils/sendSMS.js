@@ -1,6 +1,7 @@
 import axios from "axios";
 
-export default async function sendSms(phoneNumber, otpCode) {
+// templateId: registered DLT template (default: the OTP template); otpCode fills its {#var#} ("a|b" for several)
+export default async function sendSms(phoneNumber, otpCode, { templateId = "208466" } = {}) {
   try {
     const API_KEY = process.env.FAST2SMS_API_KEY;
 
@@ -9,7 +10,7 @@ export default async function sendSms(phoneNumber, otpCode) {
     const payload = {
       route: "dlt",
       sender_id: "RTHUBS",
-      message: "208466", // Fast2SMS internal message ID
+      message: templateId, // Fast2SMS internal message ID
       variables_values: otpCode, // replaces {#var#}
       numbers: phoneNumber, // 10-digit number only
     };
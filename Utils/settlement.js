@@ -3,6 +3,8 @@ import mongoose from "mongoose";
 import ServiceBooking from "../Schemas/ServiceBooking.js";
 import TechnicianProfile from "../Schemas/TechnicianProfile.js";
 import WalletTransaction from "../Schemas/WalletTransaction.js"; // ✅ FIXED
+import Payment from "../Schemas/Payment.js";
+import { computePayoutDeductions } from "./pricing.js";
 
 const toMoney = (v) => {
   const n = Number(v);
@@ -21,9 +23,12 @@ export const settleBookingEarningsIfEligible = async (bookingId) => {
     return { settled: true, reason: "already_settled" };
   }
 
+  // 🧾 Rejected inspection quote: the technician still earns the visit charge
+  const visitChargeOnly = booking.status === "cancelled" && booking.cancelReason === "quote_rejected";
+
   const eligible =
     booking.paymentStatus === "paid" &&
-    booking.status === "completed" &&
+    (booking.status === "completed" || visitChargeOnly) &&
     booking.technicianId &&
     mongoose.Types.ObjectId.isValid(booking.technicianId);
 
@@ -42,6 +47,45 @@ export const settleBookingEarningsIfEligible = async (bookingId) => {
     return { settled: false, reason: "invalid_technician_amount" };
   }
 
+  // 🧮 TDS / TCS are withheld from the share; the wallet gets the net payout
+  const payout = computePayoutDeductions(technicianAmount);
+  if (payout.technicianPayout <= 0) {
+    booking.settlementStatus = "eligible";
+    await booking.save();
+    return { settled: false, reason: "invalid_technician_amount" };
+  }
+
+  // 🔩 technicianAmount already includes the technician's share of billable spare parts
+  const partsShare = Math.max(
+    Math.round(((toMoney(booking.partsAmount) || 0) - (toMoney(booking.partsCommissionAmount) || 0)) * 100) / 100,
+    0
+  );
+  const notes = [
+    partsShare > 0 ? `incl. ₹${partsShare} for spare parts` : null,
+    payout.tdsAmount > 0 ? `TDS ₹${payout.tdsAmount} withheld` : null,
+    payout.tcsAmount > 0 ? `TCS ₹${payout.tcsAmount} withheld` : null,
+  ].filter(Boolean);
+  const earningNote = notes.length
+    ? `Job earning credited after verified payment (${notes.join(", ")})`
+    : "Job earning credited after verified payment";
+
+  const settledFields = () => ({
+    settlementStatus: "settled",
+    settledAt: new Date(),
+    tdsAmount: payout.tdsAmount,
+    tcsAmount: payout.tcsAmount,
+  });
+
+  // Deductions also go on the payment for the admin wallet summary
+  const recordPaymentDeductions = async (session = null) => {
+    if (!booking.paymentId) return;
+    await Payment.updateOne(
+      { _id: booking.paymentId },
+      { $set: { tdsAmount: payout.tdsAmount, tcsAmount: payout.tcsAmount } },
+      session ? { session } : {}
+    );
+  };
+
   // 🔁 Fallback if Mongo transactions are not supported
   const doNonTransactional = async () => {
     try {
@@ -49,10 +93,10 @@ export const settleBookingEarningsIfEligible = async (bookingId) => {
         technicianId: booking.technicianId,
         bookingId: booking._id,
         paymentId: booking.paymentId || null,
-        amount: technicianAmount,
+        amount: payout.technicianPayout,
         type: "credit",
         source: "job",
-        note: "Job earning credited after verified payment",
+        note: earningNote,
       });
     } catch (e) {
       if (e?.code !== 11000) throw e; // duplicate = already credited
@@ -60,13 +104,14 @@ export const settleBookingEarningsIfEligible = async (bookingId) => {
 
     await TechnicianProfile.updateOne(
       { _id: booking.technicianId },
-      { $inc: { walletBalance: technicianAmount } }
+      { $inc: { walletBalance: payout.technicianPayout } }
     );
 
     await ServiceBooking.updateOne(
       { _id: booking._id },
-      { $set: { settlementStatus: "settled", settledAt: new Date() } }
+      { $set: settledFields() }
     );
+    await recordPaymentDeductions();
 
     return { settled: true, reason: "settled_non_transactional" };
   };
@@ -95,10 +140,10 @@ export const settleBookingEarningsIfEligible = async (bookingId) => {
             technicianId: booking.technicianId,
             bookingId: booking._id,
             paymentId: booking.paymentId || null,
-            amount: technicianAmount,
+            amount: payout.technicianPayout,
             type: "credit",
             source: "job",
-            note: "Job earning credited after verified payment",
+            note: earningNote,
           },
         ],
         { session }
@@ -106,15 +151,16 @@ export const settleBookingEarningsIfEligible = async (bookingId) => {
 
       await TechnicianProfile.updateOne(
         { _id: booking.technicianId },
-        { $inc: { walletBalance: technicianAmount } },
+        { $inc: { walletBalance: payout.technicianPayout } },
         { session }
       );
 
       await ServiceBooking.updateOne(
         { _id: booking._id },
-        { $set: { settlementStatus: "settled", settledAt: new Date() } },
+        { $set: settledFields() },
         { session }
       );
+      await recordPaymentDeductions(session);
     });
 
     return { settled: true, reason: "settled_transactional" };
@@ -24,10 +24,18 @@ export const SOCKET_EVENTS = {
     JOB_NEW: "job:new",
     JOB_TAKEN: "job_taken",
     NEW_BOOKING_ALERT: "new_booking", // Admin/global alert
+    BOOKING_RESCHEDULE_REQUEST: "booking:reschedule_request", // Assigned technician: confirm or release
+    BOOKING_RESCHEDULED: "booking:rescheduled", // Customer: outcome of a reschedule
+    BOOKING_QUOTE_SUBMITTED: "booking:quote_submitted", // Customer: approve or reject the technician's quote
+    BOOKING_QUOTE_RESPONDED: "booking:quote_responded", // Technician: customer approved / rejected the quote
 
     // 📍 Location Events
     LOCATION_UPDATE_EMIT: "location_update", // Emitted to customer
 
+    // 🔒 Auth/Session Events
+    FORCE_LOGOUT: "auth:force_logout", // Sent right before the server drops the socket
+    SECURITY_ALERT: "security:alert", // New device / failed login attempts
+
     // 🚀 Internal/System
     REDIS_CONNECTED: "redis:connected",
 };
@@ -39,4 +47,5 @@ export const SOCKET_ROOMS = {
     TECHNICIAN: (id) => `technician_${id}`,
     CUSTOMER: (id) => `customer_${id}`,
     BOOKING: (id) => `booking_${id}`,
+    SESSION: (id) => `session_${id}`,
 };
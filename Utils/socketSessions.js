@@ -0,0 +1,43 @@
+import { SOCKET_EVENTS, SOCKET_ROOMS } from "./socketConstants.js";
+
+/**
+ * 🔌 SOCKET SESSION UTILITY
+ * Force-disconnects live sockets when an account or device loses access.
+ */
+
+/**
+ * Disconnect every socket belonging to a user (or to one device session)
+ * @param {Object} io - Socket.io instance
+ * @param {Object} target
+ * @param {String} [target.userId] - User ID (customer_* room)
+ * @param {String} [target.technicianProfileId] - Technician profile ID (technician_* room)
+ * @param {String} [target.sessionId] - Only this device session (session_* room)
+ * @param {String} reason - Reason sent to the client (e.g. "blocked", "deleted", "logout")
+ */
+export const disconnectUserSockets = (io, { userId, technicianProfileId, sessionId } = {}, reason = "logout") => {
+  try {
+    if (!io) {
+      console.warn("⚠️ Socket.io not initialized");
+      return { success: false, message: "Socket.io not available" };
+    }
+
+    // A single device logout only drops that device; everything else drops all rooms
+    const rooms = sessionId
+      ? [SOCKET_ROOMS.SESSION(sessionId)]
+      : [
+          userId && SOCKET_ROOMS.CUSTOMER(userId),
+          technicianProfileId && SOCKET_ROOMS.TECHNICIAN(technicianProfileId),
+        ].filter(Boolean);
+
+    if (rooms.length === 0) return { success: false, message: "No target rooms" };
+
+    io.to(rooms).emit(SOCKET_EVENTS.FORCE_LOGOUT, { reason, timestamp: new Date() });
+    io.in(rooms).disconnectSockets(true);
+
+    console.log(`🔌 Force-disconnected sockets in ${rooms.join(", ")} (${reason})`);
+    return { success: true, rooms };
+  } catch (error) {
+    console.error("❌ Socket disconnect error:", error.message);
+    return { success: false, error: error.message };
+  }
+};
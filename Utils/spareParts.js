@@ -0,0 +1,205 @@
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import Service from "../Schemas/Service.js";
+import { normalizeBookingStatus } from "./bookingStateMachine.js";
+import { isInspectionPriced, syncPendingPayment } from "./inspectionQuote.js";
+import { refundBookingCreditsSafely } from "./customerCredit.js";
+import { computeBookingSplit, toBookingPricingFields } from "./pricing.js";
+
+/**
+ * 🔩 SPARE PARTS
+ * The assigned technician records the parts fitted on a job (reached / in_progress,
+ * before payment). Billable parts add to what the customer pays:
+ *   payable = baseAmount + partsAmount
+ * Parts are not taxed as part of the service: the full partsAmount goes to the technician,
+ * less the platform's commission when PRICING_POLICY.partsCommissionable (Utils/pricing.js).
+ * That share is kept in partsCommissionAmount and included in commissionAmount, so
+ * technicianAmount (settled to the wallet) always covers the parts they paid for.
+ * Inspection-priced jobs record parts for warranty only: the quote already prices them.
+ */
+
+export const PARTS_STATUSES = ["reached", "in_progress"];
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+export const SPARE_PARTS_POLICY = {
+  // Parts allowed per booking
+  maxParts: envNumber("SPARE_PARTS_MAX_PER_BOOKING", 20),
+};
+
+const partsError = (message, code, statusCode = 400, details) => {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  if (details !== undefined) err.details = details;
+  return err;
+};
+
+const round2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Total the customer owes for a service booking
+ * @param {Object} booking - { baseAmount, partsAmount, cancellationFeeDue }
+ * @returns {Number}
+ */
+export const getPayableAmount = (booking) =>
+  round2((booking?.baseAmount || 0) + (booking?.partsAmount || 0) + (booking?.cancellationFeeDue || 0));
+
+const sanitizePart = (input) => {
+  const quantity = input?.quantity === undefined || input.quantity === "" ? 1 : Number(input.quantity);
+  const unitPrice = Number(input?.unitPrice);
+  const warrantyMonths = input?.warrantyMonths === undefined || input.warrantyMonths === "" ? 0 : Number(input.warrantyMonths);
+
+  if (typeof input?.name !== "string" || !input.name.trim()) {
+    throw partsError("name is required", "VALIDATION_ERROR");
+  }
+  if (input.brand !== undefined && input.brand !== null && typeof input.brand !== "string") {
+    throw partsError("brand must be text", "VALIDATION_ERROR");
+  }
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > 100) {
+    throw partsError("quantity must be a whole number from 1 to 100", "VALIDATION_ERROR");
+  }
+  if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+    throw partsError("unitPrice must be a non-negative number", "VALIDATION_ERROR");
+  }
+  if (!Number.isInteger(warrantyMonths) || warrantyMonths < 0 || warrantyMonths > 120) {
+    throw partsError("warrantyMonths must be a whole number from 0 to 120", "VALIDATION_ERROR");
+  }
+
+  return {
+    name: input.name.trim().slice(0, 120),
+    brand: input.brand?.trim() ? input.brand.trim().slice(0, 80) : null,
+    quantity,
+    unitPrice: round2(unitPrice),
+    amount: round2(quantity * unitPrice),
+    warrantyMonths,
+  };
+};
+
+// Booking the technician may still change the parts of
+const loadEditableBooking = async (bookingId, technicianProfileId) => {
+  const booking = await ServiceBooking.findById(bookingId);
+  if (!booking) {
+    throw partsError("Booking not found", "BOOKING_NOT_FOUND", 404);
+  }
+  if (!booking.technicianId || booking.technicianId.toString() !== technicianProfileId.toString()) {
+    throw partsError("Access denied for this booking", "ACCESS_DENIED", 403);
+  }
+
+  const status = normalizeBookingStatus(booking.status);
+  if (!PARTS_STATUSES.includes(status)) {
+    throw partsError(`Spare parts can only be changed while on the job (booking is ${status})`, "PARTS_NOT_ALLOWED", 409, { status });
+  }
+  if (booking.paymentStatus === "paid") {
+    throw partsError("This booking is already paid", "BOOKING_ALREADY_PAID", 409);
+  }
+
+  return booking;
+};
+
+// Amount fields after the parts list changed (tax, commission and share re-split)
+const repriceForParts = (booking, spareParts) => {
+  const partsAmount = round2(spareParts.filter((p) => p.billable).reduce((sum, p) => sum + p.amount, 0));
+  const split = computeBookingSplit(booking, { partsAmount });
+  const payable = split.totalAmount;
+
+  return {
+    spareParts,
+    ...toBookingPricingFields(split),
+    ...(booking.creditApplied > payable ? { creditApplied: 0 } : {}),
+    paymentOrderId: null,
+  };
+};
+
+// Conditional on the parts we read: a concurrent add / remove loses
+const saveParts = async (booking, spareParts) => {
+  const updated = await ServiceBooking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      status: booking.status,
+      technicianId: booking.technicianId,
+      paymentStatus: { $ne: "paid" },
+      spareParts: { $size: booking.spareParts.length },
+    },
+    { $set: repriceForParts(booking, spareParts) },
+    { new: true }
+  );
+  if (!updated) {
+    throw partsError("Booking changed. Please refresh and try again.", "BOOKING_STATUS_CHANGED", 409);
+  }
+
+  // Credit dropped from the booking (more than the new amount): give it back
+  if ((updated.creditApplied || 0) < (booking.creditApplied || 0)) {
+    await refundBookingCreditsSafely(booking._id, "Spare parts removed from booking");
+  }
+  await syncPendingPayment(updated);
+  return updated;
+};
+
+/**
+ * Technician records a spare part fitted on the job
+ * @param {Object} params
+ * @param {String} params.bookingId
+ * @param {String} params.technicianProfileId
+ * @param {Object} params.part - { name, brand?, quantity?, unitPrice, warrantyMonths? }
+ * @param {String} [params.photo] - Uploaded photo URL
+ * @returns {Object} { booking, part }
+ */
+export const addSparePart = async ({ bookingId, technicianProfileId, part, photo = null }) => {
+  const booking = await loadEditableBooking(bookingId, technicianProfileId);
+
+  if (booking.spareParts.length >= SPARE_PARTS_POLICY.maxParts) {
+    throw partsError(`A booking can have at most ${SPARE_PARTS_POLICY.maxParts} spare parts`, "PARTS_LIMIT_REACHED", 409);
+  }
+
+  const line = sanitizePart(part);
+  const service = await Service.findById(booking.serviceId).select("pricingType").lean();
+
+  const spareParts = [
+    ...booking.spareParts.map((p) => p.toObject()),
+    {
+      ...line,
+      photo,
+      billable: !isInspectionPriced(service),
+      addedBy: technicianProfileId,
+      addedAt: new Date(),
+    },
+  ];
+
+  const updated = await saveParts(booking, spareParts);
+  return { booking: updated, part: updated.spareParts[updated.spareParts.length - 1] };
+};
+
+/**
+ * Technician removes a spare part recorded by mistake
+ * @param {Object} params
+ * @param {String} params.bookingId
+ * @param {String} params.technicianProfileId
+ * @param {String} params.partId
+ * @returns {Object} { booking }
+ */
+export const removeSparePart = async ({ bookingId, technicianProfileId, partId }) => {
+  const booking = await loadEditableBooking(bookingId, technicianProfileId);
+
+  if (!booking.spareParts.some((p) => p._id.toString() === String(partId))) {
+    throw partsError("Spare part not found on this booking", "PART_NOT_FOUND", 404);
+  }
+
+  const spareParts = booking.spareParts.filter((p) => p._id.toString() !== String(partId)).map((p) => p.toObject());
+  const updated = await saveParts(booking, spareParts);
+  return { booking: updated };
+};
+
+/**
+ * Parts summary shown to the customer and technician
+ * @param {Object} booking - ServiceBooking (doc or lean)
+ * @returns {Object} { parts, partsAmount, baseAmount, payableAmount }
+ */
+export const summarizeSpareParts = (booking) => ({
+  parts: booking.spareParts || [],
+  partsAmount: booking.partsAmount || 0,
+  baseAmount: booking.baseAmount,
+  payableAmount: getPayableAmount(booking),
+});
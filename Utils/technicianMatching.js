@@ -6,6 +6,7 @@ import JobBroadcast from "../Schemas/TechnicianBroadcast.js";
 import Service from "../Schemas/Service.js";
 import { findNearbyTechnicians } from "./findNearbyTechnicians.js";
 import { broadcastJobToTechnicians, notifyTechnicianOfNewJob } from "./sendNotification.js";
+import { transitionBooking, normalizeBookingStatus, OPEN_BOOKING_STATUSES } from "./bookingStateMachine.js";
 
 const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
@@ -163,6 +164,9 @@ export const findEligibleTechniciansForService = async ({
   enableGeo = true,
   limit = 50,
   session,
+  // Off for future slots: a technician offline or on a job now can still take tomorrow's work
+  requireOnline = true,
+  excludeBusy = true,
 } = {}) => {
   // REMOVED ALL VALIDATIONS: KYC, Online Status, Skills, workStatus, etc.
   // Any technician profile in the system is now "eligible".
@@ -186,21 +190,24 @@ export const findEligibleTechniciansForService = async ({
     return [];
   }
 
-  const activeTechIdsQuery = ServiceBooking.find({
-    technicianId: { $in: approvedTechnicianIds },
-    status: { $in: ["accepted", "ACCEPTED", "on_the_way", "reached", "in_progress"] },
-  }).distinct("technicianId");
+  let activeTechIds = [];
+  if (excludeBusy) {
+    const activeTechIdsQuery = ServiceBooking.find({
+      technicianId: { $in: approvedTechnicianIds },
+      status: { $in: ["accepted", "ACCEPTED", "on_the_way", "reached", "in_progress"] },
+    }).distinct("technicianId");
 
-  const activeTechIds = session
-    ? await activeTechIdsQuery.session(session)
-    : await activeTechIdsQuery;
+    activeTechIds = session
+      ? await activeTechIdsQuery.session(session)
+      : await activeTechIdsQuery;
+  }
 
   const baseQuery = {
     _id: { $in: approvedTechnicianIds, $nin: activeTechIds },
     workStatus: "approved",
     profileComplete: true,
     trainingCompleted: true,
-    "availability.isOnline": true,
+    ...(requireOnline ? { "availability.isOnline": true } : {}),
     $or: [
       { "skills.serviceId": serviceObjectId },
       { "skills.serviceId": serviceIdString },
@@ -282,7 +289,7 @@ export const matchAndBroadcastBooking = async (bookingId, io) => {
       return { success: false, message: "Booking not found" };
     }
 
-    if (!["pending", "SEARCHING", "requested", "broadcasted"].includes(booking.status)) {
+    if (!OPEN_BOOKING_STATUSES.includes(booking.status)) {
       // Already processed or cancelled
       return { success: false, message: `Booking status is ${booking.status}` };
     }
@@ -354,11 +361,23 @@ export const matchAndBroadcastBooking = async (bookingId, io) => {
       console.error(`❌ matchAndBroadcastBooking: Error in bulkWrite for broadcasts:`, e);
     }
 
-    // 4. Update Booking Status
-    await ServiceBooking.updateOne(
-      { _id: booking._id },
-      { status: "broadcasted", broadcastedAt: new Date() }
-    );
+    // 4. Update Booking Status (first broadcast goes through the state machine, re-broadcasts only refresh the time)
+    if (normalizeBookingStatus(booking.status) === "broadcasted") {
+      await ServiceBooking.updateOne({ _id: booking._id }, { broadcastedAt: new Date() });
+    } else {
+      try {
+        await transitionBooking({
+          booking,
+          to: "broadcasted",
+          actor: { type: "system" },
+          set: { broadcastedAt: new Date() },
+        });
+      } catch (err) {
+        // Accepted / cancelled while technicians were being matched
+        console.warn(`⚠️ matchAndBroadcastBooking: ${booking._id} not broadcasted (${err.code || err.message})`);
+        return { success: false, message: err.message };
+      }
+    }
 
     // 5. Send Notifications (Push + Socket)
     await broadcastJobToTechnicians(
@@ -0,0 +1,401 @@
+import crypto from "crypto";
+import User from "../Schemas/User.js";
+import Session from "../Schemas/Session.js";
+
+/**
+ * 🔑 TWO-FACTOR AUTHENTICATION (TOTP, RFC 6238)
+ * Owner / Admin staff can enrol an authenticator app. Once enabled:
+ *   - password login returns a short-lived challenge that must be completed with a code
+ *   - sensitive actions need a recent step-up (code verified on the current session)
+ * Secrets are stored AES-256-GCM encrypted; recovery codes only as sha256 hashes.
+ * Set TWO_FACTOR_ENFORCED=true to make enrolment mandatory for staff.
+ */
+
+export const TWO_FACTOR_ROLES = ["Owner", "Admin"];
+export const TWO_FACTOR_ENFORCED = process.env.TWO_FACTOR_ENFORCED === "true";
+export const STEP_UP_TTL_SECONDS = (Number(process.env.TWO_FACTOR_STEP_UP_MINUTES) || 5) * 60;
+export const LOGIN_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "RightTouch";
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const twoFactorError = (message, code, statusCode = 400) => {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  return err;
+};
+
+const sha256 = (value) => crypto.createHash("sha256").update(String(value)).digest("hex");
+
+/* ================= ENCODING ================= */
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/* ================= SECRET STORAGE ================= */
+
+const encryptionKey = () =>
+  crypto.createHash("sha256").update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || "").digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((b) => b.toString("base64")).join(".");
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = String(payload).split(".").map((p) => Buffer.from(p, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+/* ================= TOTP ================= */
+
+const totpAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+/**
+ * Match a code against the steps around now
+ * A step at or before lastUsedStep is rejected so a code cannot be replayed.
+ * @returns {Number|null} Matched time step
+ */
+const matchTotp = (secret, code, lastUsedStep = 0) => {
+  const normalized = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const step = now + drift;
+    if (step <= (lastUsedStep || 0)) continue;
+    const expected = totpAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+};
+
+/* ================= RECOVERY CODES ================= */
+
+const normalizeRecoveryCode = (code) => String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = base32Encode(crypto.randomBytes(5)); // 8 chars
+    codes.push(`${raw.slice(0, 4)}-${raw.slice(4, 8)}`);
+  }
+  return { codes, hashes: codes.map((c) => sha256(normalizeRecoveryCode(c))) };
+};
+
+/* ================= HELPERS ================= */
+
+/**
+ * True when the user must enrol before using staff features
+ * @param {Object} user - { role, twoFactor: { enabled } }
+ */
+export const isTwoFactorSetupRequired = (user) =>
+  TWO_FACTOR_ENFORCED && TWO_FACTOR_ROLES.includes(user?.role) && !user?.twoFactor?.enabled;
+
+const loadStaffUser = async (userId, fields = "") => {
+  const user = await User.findById(userId).select(`role status twoFactor.enabled ${fields}`.trim());
+  if (!user || user.status === "Deleted") {
+    throw twoFactorError("User not found", "USER_NOT_FOUND", 404);
+  }
+  if (!TWO_FACTOR_ROLES.includes(user.role)) {
+    throw twoFactorError("Two-factor authentication is only available for staff accounts", "TWO_FACTOR_NOT_AVAILABLE", 403);
+  }
+  return user;
+};
+
+/**
+ * Two-factor status of a staff account
+ * @param {String} userId - User ID
+ */
+export const getTwoFactorStatus = async (userId) => {
+  const user = await loadStaffUser(userId, "twoFactor.enabledAt +twoFactor.recoveryCodeHashes");
+  return {
+    enabled: Boolean(user.twoFactor?.enabled),
+    enabledAt: user.twoFactor?.enabledAt || null,
+    recoveryCodesRemaining: user.twoFactor?.recoveryCodeHashes?.length || 0,
+    enforced: TWO_FACTOR_ENFORCED,
+    setupRequired: isTwoFactorSetupRequired(user),
+  };
+};
+
+/**
+ * Start enrolment: generate a pending secret for the authenticator app
+ * @param {String} userId - User ID
+ * @returns {Object} { secret, otpauthUrl } - render otpauthUrl as a QR code
+ */
+export const beginTwoFactorSetup = async (userId) => {
+  const user = await loadStaffUser(userId, "mobileNumber email");
+  if (user.twoFactor?.enabled) {
+    throw twoFactorError("Two-factor authentication is already enabled", "TWO_FACTOR_ALREADY_ENABLED", 409);
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await User.updateOne({ _id: userId }, { $set: { "twoFactor.pendingSecret": encryptSecret(secret) } });
+
+  const label = encodeURIComponent(`${ISSUER}:${user.email || user.mobileNumber}`);
+  const otpauthUrl =
+    `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+    `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD}`;
+
+  return { secret, otpauthUrl };
+};
+
+/**
+ * Finish enrolment with a code from the app
+ * @param {String} userId - User ID
+ * @param {String} code - 6-digit TOTP
+ * @returns {String[]} Recovery codes (shown once)
+ */
+export const confirmTwoFactorSetup = async (userId, code) => {
+  const user = await loadStaffUser(userId, "+twoFactor.pendingSecret");
+  if (user.twoFactor?.enabled) {
+    throw twoFactorError("Two-factor authentication is already enabled", "TWO_FACTOR_ALREADY_ENABLED", 409);
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw twoFactorError("Start two-factor setup first", "TWO_FACTOR_SETUP_NOT_STARTED");
+  }
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = matchTotp(secret, code);
+  if (step === null) {
+    throw twoFactorError("Invalid authentication code", "TWO_FACTOR_INVALID_CODE", 401);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.enabledAt": new Date(),
+        "twoFactor.secret": user.twoFactor.pendingSecret,
+        "twoFactor.recoveryCodeHashes": hashes,
+        "twoFactor.lastUsedStep": step,
+        "twoFactor.failedAttempts": 0,
+        "twoFactor.lockedUntil": null,
+      },
+      $unset: { "twoFactor.pendingSecret": 1 },
+    }
+  );
+
+  return codes;
+};
+
+/**
+ * Verify a TOTP or recovery code for an enrolled user
+ * Failed attempts are counted; MAX_FAILED_ATTEMPTS locks 2FA for LOCK_MINUTES.
+ * @param {Object} params
+ * @param {String} params.userId - User ID
+ * @param {String} [params.code] - 6-digit TOTP
+ * @param {String} [params.recoveryCode] - One-time recovery code
+ * @returns {Object} { method: "totp" | "recovery_code", recoveryCodesRemaining }
+ */
+export const verifySecondFactor = async ({ userId, code, recoveryCode }) => {
+  const user = await loadStaffUser(
+    userId,
+    "+twoFactor.secret +twoFactor.recoveryCodeHashes twoFactor.lastUsedStep twoFactor.failedAttempts twoFactor.lockedUntil"
+  );
+  const tf = user.twoFactor || {};
+
+  if (!tf.enabled || !tf.secret) {
+    throw twoFactorError("Two-factor authentication is not enabled", "TWO_FACTOR_NOT_ENABLED");
+  }
+  if (tf.lockedUntil && tf.lockedUntil > new Date()) {
+    throw twoFactorError("Too many invalid codes. Try again later.", "TWO_FACTOR_LOCKED", 429);
+  }
+  if (!code && !recoveryCode) {
+    throw twoFactorError("Authentication code required", "TWO_FACTOR_CODE_REQUIRED");
+  }
+
+  if (code) {
+    const step = matchTotp(decryptSecret(tf.secret), code, tf.lastUsedStep);
+    if (step !== null) {
+      // Conditional update: the same code cannot be used twice concurrently
+      const claimed = await User.updateOne(
+        { _id: userId, $or: [{ "twoFactor.lastUsedStep": { $lt: step } }, { "twoFactor.lastUsedStep": null }] },
+        { $set: { "twoFactor.lastUsedStep": step, "twoFactor.failedAttempts": 0, "twoFactor.lockedUntil": null } }
+      );
+      if (claimed.modifiedCount > 0) {
+        return { method: "totp", recoveryCodesRemaining: tf.recoveryCodeHashes?.length || 0 };
+      }
+    }
+  } else {
+    const hash = sha256(normalizeRecoveryCode(recoveryCode));
+    const consumed = await User.findOneAndUpdate(
+      { _id: userId, "twoFactor.recoveryCodeHashes": hash },
+      { $pull: { "twoFactor.recoveryCodeHashes": hash }, $set: { "twoFactor.failedAttempts": 0, "twoFactor.lockedUntil": null } },
+      { new: true }
+    ).select("+twoFactor.recoveryCodeHashes");
+    if (consumed) {
+      return { method: "recovery_code", recoveryCodesRemaining: consumed.twoFactor.recoveryCodeHashes.length };
+    }
+  }
+
+  const failedAttempts = (tf.failedAttempts || 0) + 1;
+  const update = { "twoFactor.failedAttempts": failedAttempts };
+  if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    update["twoFactor.failedAttempts"] = 0;
+    update["twoFactor.lockedUntil"] = new Date(Date.now() + LOCK_MINUTES * 60 * 1000);
+  }
+  await User.updateOne({ _id: userId }, { $set: update });
+
+  throw twoFactorError("Invalid authentication code", "TWO_FACTOR_INVALID_CODE", 401);
+};
+
+/**
+ * Replace all recovery codes (old ones stop working)
+ * @param {String} userId - User ID
+ * @returns {String[]} New recovery codes (shown once)
+ */
+export const regenerateRecoveryCodes = async (userId) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: userId, "twoFactor.enabled": true }, { $set: { "twoFactor.recoveryCodeHashes": hashes } });
+  return codes;
+};
+
+/**
+ * Turn 2FA off (not allowed while enforcement is on)
+ * @param {String} userId - User ID
+ */
+export const disableTwoFactor = async (userId) => {
+  if (TWO_FACTOR_ENFORCED) {
+    throw twoFactorError("Two-factor authentication is mandatory for staff accounts", "TWO_FACTOR_REQUIRED", 403);
+  }
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { "twoFactor.enabled": false, "twoFactor.failedAttempts": 0, "twoFactor.lockedUntil": null },
+      $unset: {
+        "twoFactor.secret": 1,
+        "twoFactor.pendingSecret": 1,
+        "twoFactor.recoveryCodeHashes": 1,
+        "twoFactor.enabledAt": 1,
+        "twoFactor.lastUsedStep": 1,
+        "twoFactor.challengeHash": 1,
+        "twoFactor.challengeExpiresAt": 1,
+      },
+    }
+  );
+};
+
+/* ================= LOGIN CHALLENGE ================= */
+
+/**
+ * Issue the second-step login token after a correct password
+ * @param {String} userId - User ID
+ * @returns {String} Raw challenge token (only its hash is stored)
+ */
+export const createLoginChallenge = async (userId) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        "twoFactor.challengeHash": sha256(token),
+        "twoFactor.challengeExpiresAt": new Date(Date.now() + LOGIN_CHALLENGE_TTL_SECONDS * 1000),
+      },
+    }
+  );
+  return token;
+};
+
+/**
+ * Resolve a login challenge token to its user (does not consume it)
+ * @param {String} token - Raw challenge token
+ * @returns {Object} User doc (role, status)
+ */
+export const findLoginChallengeUser = async (token) => {
+  if (!token || typeof token !== "string") {
+    throw twoFactorError("Login challenge required", "TWO_FACTOR_CHALLENGE_REQUIRED");
+  }
+
+  const user = await User.findOne({
+    "twoFactor.challengeHash": sha256(token),
+    "twoFactor.challengeExpiresAt": { $gt: new Date() },
+  }).select("role status email mobileNumber deletionScheduledFor");
+
+  if (!user) {
+    throw twoFactorError("Login challenge expired. Please login again.", "TWO_FACTOR_CHALLENGE_INVALID", 401);
+  }
+  return user;
+};
+
+/**
+ * Invalidate the login challenge once it has been completed
+ * @param {String} userId - User ID
+ */
+export const clearLoginChallenge = (userId) =>
+  User.updateOne({ _id: userId }, { $unset: { "twoFactor.challengeHash": 1, "twoFactor.challengeExpiresAt": 1 } });
+
+/* ================= STEP-UP ================= */
+
+/**
+ * Record a fresh 2FA verification on the current session
+ * @param {String} sessionId - Session ID
+ */
+export const markSessionStepUp = async (sessionId) => {
+  if (!sessionId) return;
+  await Session.updateOne({ _id: sessionId }, { $set: { stepUpAt: new Date() } });
+};
+
+/**
+ * True when the session verified 2FA within STEP_UP_TTL_SECONDS
+ * @param {String} sessionId - Session ID
+ */
+export const hasRecentStepUp = async (sessionId) => {
+  if (!sessionId) return false;
+  const session = await Session.findById(sessionId).select("stepUpAt").lean();
+  return Boolean(session?.stepUpAt && Date.now() - session.stepUpAt.getTime() < STEP_UP_TTL_SECONDS * 1000);
+};
@@ -0,0 +1,199 @@
+import cron from "node-cron";
+import User from "../Schemas/User.js";
+import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+import UserStatusHistory from "../Schemas/UserStatusHistory.js";
+import { revokeAllSessions } from "./authSession.js";
+import { disconnectUserSockets } from "./socketSessions.js";
+
+/**
+ * 🚫 USER STATUS
+ * Block / unblock with a mandatory reason and optional expiry (temporary
+ * suspension). Every status change is written to UserStatusHistory.
+ */
+
+const MAX_REASON_LENGTH = 500;
+
+const statusError = (message, code, statusCode = 400) => {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * Append a status change to the audit trail
+ * @param {Object} params
+ * @param {Object} params.user - User doc (needs _id, role)
+ * @param {String} params.fromStatus - Previous status
+ * @param {String} params.toStatus - New status
+ * @param {String} params.source - "admin" | "self" | "system"
+ * @param {String} [params.reason]
+ * @param {Date} [params.blockedUntil]
+ * @param {String} [params.changedBy] - Staff user ID
+ * @param {Object} [params.session] - Mongoose transaction session
+ */
+export const recordStatusChange = async ({
+  user,
+  fromStatus,
+  toStatus,
+  source,
+  reason = null,
+  blockedUntil = null,
+  changedBy = null,
+  session = null,
+}) => {
+  const [entry] = await UserStatusHistory.create(
+    [{ userId: user._id, role: user.role, fromStatus, toStatus, reason, blockedUntil, source, changedBy }],
+    session ? { session } : {}
+  );
+  return entry;
+};
+
+/**
+ * Validate the reason / expiry sent by an admin
+ * @returns {Object} { reason, blockedUntil }
+ */
+export const parseStatusChangeInput = ({ reason, blockedUntil }, { requireReason = true } = {}) => {
+  const trimmed = typeof reason === "string" ? reason.trim() : "";
+  if (requireReason && !trimmed) {
+    throw statusError("reason is required", "REASON_REQUIRED");
+  }
+  if (trimmed.length > MAX_REASON_LENGTH) {
+    throw statusError(`reason must be at most ${MAX_REASON_LENGTH} characters`, "VALIDATION_ERROR");
+  }
+
+  let until = null;
+  if (blockedUntil !== undefined && blockedUntil !== null && blockedUntil !== "") {
+    until = new Date(blockedUntil);
+    if (isNaN(until.getTime())) {
+      throw statusError("Invalid blockedUntil date", "VALIDATION_ERROR");
+    }
+    if (until <= new Date()) {
+      throw statusError("blockedUntil must be in the future", "VALIDATION_ERROR");
+    }
+  }
+
+  return { reason: trimmed || null, blockedUntil: until };
+};
+
+const loadTarget = async (userId, actorId) => {
+  if (actorId && String(userId) === String(actorId)) {
+    throw statusError("You cannot change your own status", "SELF_STATUS_CHANGE");
+  }
+
+  const user = await User.findById(userId).select("role status blockReason blockedUntil statusBeforeBlock");
+  if (!user || user.status === "Deleted") {
+    throw statusError("User not found", "USER_NOT_FOUND", 404);
+  }
+  return user;
+};
+
+/**
+ * Block an account (sessions revoked, sockets dropped, technician taken offline)
+ * @param {Object} params
+ * @param {String} params.userId - Target user ID
+ * @param {String} params.reason - Mandatory reason
+ * @param {Date} [params.blockedUntil] - Temporary suspension end
+ * @param {String} params.changedBy - Staff user ID
+ * @param {Object} [params.io] - Socket.io server
+ * @returns {Object} Updated user
+ */
+export const blockUserAccount = async ({ userId, reason, blockedUntil = null, changedBy, io = null }) => {
+  const user = await loadTarget(userId, changedBy);
+
+  if (user.role === "Owner") {
+    throw statusError("Owner accounts cannot be blocked", "OWNER_PROTECTED", 403);
+  }
+
+  const fromStatus = user.status;
+  // Re-blocking (e.g. changing the expiry) keeps the status from before the first block
+  if (fromStatus !== "Blocked") user.statusBeforeBlock = fromStatus;
+  user.status = "Blocked";
+  user.blockReason = reason;
+  user.blockedAt = new Date();
+  user.blockedUntil = blockedUntil;
+  await user.save();
+
+  await recordStatusChange({ user, fromStatus, toStatus: "Blocked", source: "admin", reason, blockedUntil, changedBy });
+
+  // 🔒 Cut off every device: revoke sessions and drop live sockets
+  const techProfile = user.role === "Technician"
+    ? await TechnicianProfile.findOneAndUpdate(
+      { userId: user._id },
+      { $set: { "availability.isOnline": false } },
+      { new: true }
+    ).select("_id")
+    : null;
+
+  await revokeAllSessions(user._id, "admin");
+  disconnectUserSockets(io, { userId: user._id, technicianProfileId: techProfile?._id }, "blocked");
+
+  return user;
+};
+
+/**
+ * Lift a block (admin action or expired suspension), restoring the status from before it
+ * @param {Object} params
+ * @param {String} params.userId - Target user ID
+ * @param {String} [params.reason]
+ * @param {String} [params.changedBy] - Staff user ID (null for system)
+ * @param {String} [params.source] - "admin" | "system"
+ * @returns {Object} Updated user
+ */
+export const unblockUserAccount = async ({ userId, reason = null, changedBy = null, source = "admin" }) => {
+  const user = await loadTarget(userId, changedBy);
+
+  if (user.status !== "Blocked") {
+    throw statusError("User is not blocked", "USER_NOT_BLOCKED");
+  }
+
+  const toStatus = user.statusBeforeBlock || "Active";
+  user.status = toStatus;
+  user.statusBeforeBlock = null;
+  user.blockReason = null;
+  user.blockedAt = null;
+  user.blockedUntil = null;
+  await user.save();
+
+  await recordStatusChange({ user, fromStatus: "Blocked", toStatus, source, reason, changedBy });
+
+  return user;
+};
+
+/**
+ * Unblock accounts whose temporary suspension has ended (back to their status before the block,
+ * so a pending deletion resumes)
+ * @returns {Number} Accounts released
+ */
+export const releaseExpiredBlocks = async () => {
+  const due = await User.find({ status: "Blocked", blockedUntil: { $ne: null, $lte: new Date() } })
+    .select("_id")
+    .limit(200)
+    .lean();
+
+  let released = 0;
+  for (const { _id } of due) {
+    try {
+      await unblockUserAccount({ userId: _id, reason: "Suspension period ended", source: "system" });
+      released += 1;
+    } catch (err) {
+      console.error(`❌ Auto-unblock failed for ${_id}:`, err.message);
+    }
+  }
+
+  if (released > 0) console.log(`🔓 Released ${released} expired suspension(s)`);
+  return released;
+};
+
+/**
+ * ⏰ Lift expired temporary suspensions every 5 minutes
+ */
+export const initUserStatusCron = () => {
+  cron.schedule("*/5 * * * *", async () => {
+    try {
+      await releaseExpiredBlocks();
+    } catch (err) {
+      console.error("User status cron error:", err.message);
+    }
+  });
+};
@@ -20,6 +20,8 @@ import UserRoutes from "./Routes/User.js";
 import TechnicianRoutes from "./Routes/technician.js";
 import AddressRoutes from "./Routes/address.js";
 import adminWalletRoutes from "./Routes/adminWalletRoutes.js";
+import adminStaffRoutes from "./Routes/adminStaffRoutes.js";
+import adminUserRoutes from "./Routes/adminUserRoutes.js";
 import technicianWalletRoutes from "./Routes/technicianWalletRoutes.js";
 import DevRoutes from "./Routes/dev.js";
 
@@ -151,6 +153,11 @@ io.on(SOCKET_EVENTS.CONNECTION, (socket) => {
     console.log(`🏠 Technician joined room: technician_${techProfileId}`);
   }
 
+  // Per-device room so a single logged-out session can be dropped
+  if (socket.user?.sid) {
+    socket.join(SOCKET_ROOMS.SESSION(socket.user.sid));
+  }
+
   // 🛡 RATE LIMITER for Socket Events (simple memory-based)
   const socketRateLimit = new Map();
   const checkRateLimit = (event, limit = 10, windowMs = 1000) => {
@@ -166,7 +173,7 @@ io.on(SOCKET_EVENTS.CONNECTION, (socket) => {
   // 📍 Location Update Listener (Real-time)
   socket.on(SOCKET_EVENTS.TECH_LOCATION_UPDATE, async (data, ack) => {
     try {
-      if (!role === "Technician" || !techProfileId) return;
+      if (role !== "Technician" || !techProfileId) return;
 
       // Rate limit protection - Prevent spamming DB updates
       if (!checkRateLimit(SOCKET_EVENTS.TECH_LOCATION_UPDATE, 1, 5000)) {
@@ -213,6 +220,11 @@ io.on(SOCKET_EVENTS.CONNECTION, (socket) => {
 import { handleLocationUpdate } from "./Utils/technicianLocation.js";
 import { fetchTechnicianJobsInternal } from "./Utils/technicianJobFetch.js";
 import { initBookingCrons } from "./Utils/bookingCron.js";
+import { initAccountDeletionCron } from "./Utils/accountDeletion.js";
+import { initUserStatusCron } from "./Utils/userStatus.js";
+import { initCustomerCreditCron } from "./Utils/customerCredit.js";
+import { initCancellationRefundCron } from "./Utils/cancellationRefund.js";
+import { initAdminRoles } from "./Utils/adminRoles.js";
 
 // Middleware to attach io to all requests
 App.use((req, res, next) => {
@@ -222,6 +234,10 @@ App.use((req, res, next) => {
 
 // ⏰ Initialize new booking cron jobs (pass io for real-time socket events)
 initBookingCrons(io);
+initAccountDeletionCron(io);
+initUserStatusCron();
+initCustomerCreditCron();
+initCancellationRefundCron();
 
 // ✅ Single JSON parser with rawBody capture (needed for payment webhooks)
 
@@ -286,7 +302,11 @@ mongoose
     serverSelectionTimeoutMS: 10000, // 10 seconds
     socketTimeoutMS: 45000, // 45 seconds
   })
-  .then(() => console.log("Connected to MongoDB Atlas..."))
+  .then(() => {
+    console.log("Connected to MongoDB Atlas...");
+    // 🧑‍💼 System roles, and a role for admins created before roles existed (one-off)
+    return initAdminRoles();
+  })
   .catch((err) => console.error("Could not connect to MongoDB...", err));
 
 App.get("/", (req, res) => {
@@ -300,6 +320,8 @@ App.use("/api/technician", TechnicianRoutes);
 App.use("/api/technician", technicianWalletRoutes);
 App.use("/api/addresses", AddressRoutes);
 App.use("/api/admin", adminWalletRoutes);
+App.use("/api/admin", adminStaffRoutes);
+App.use("/api/admin", adminUserRoutes);
 App.use("/api/dev", DevRoutes);
 
 // ❗ GLOBAL ERROR HANDLER (MUST BE LAST)